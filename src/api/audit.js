@@ -0,0 +1,61 @@
+// src/api/audit.js
+// "Who did what" metadata for every mutating call. api/client.js and the outbox
+// send these headers; the backend writes them to its audit table, which the
+// Audit tab reads back from GET /audit.
+//
+//   X-Actor-Id / X-Actor-Name   the signed-in user (api/auth.js)
+//   X-Audit-Action              what happened — 'alert.resolve', 'merchant.delete' …
+//   X-Audit-Reason              why, when the operator gave one (URI-encoded)
+//
+// Usage:
+//   await api.alerts.resolve(id, { reason: 'Settlement hold lifted after KYC refresh' });
+//   const csv = auditToCsv(rows);
+
+import { getSession } from './auth';
+import { toCsv } from '../merchantDataModel';
+
+// Most specific first — matched against METHOD + path without the query
+const ACTIONS = [
+  ['POST',   /^\/alerts\/[^/]+\/resolve$/,      'alert.resolve'],
+  ['POST',   /^\/alerts$/,                      'alert.create'],
+  ['POST',   /^\/rules\/[^/]+\/rollback$/,      'rule.rollback'],
+  ['PUT',    /^\/rules\/[^/]+$/,                'rule.update'],
+  ['POST',   /^\/rules$/,                       'rule.create'],
+  ['POST',   /^\/merchants\/[^/]+\/mutations$/, 'merchant.mutate'],
+  ['DELETE', /^\/merchants\/[^/]+$/,            'merchant.delete'],
+  ['PUT',    /^\/merchants\/[^/]+$/,            'merchant.update'],
+  ['POST',   /^\/merchants\/generate$/,         'merchant.generate'],
+  ['POST',   /^\/merchants$/,                   'merchant.create'],
+  ['POST',   /^\/snapshots\/[^/]+\/restore$/,  'snapshot.restore'],
+  ['POST',   /^\/snapshots$/,                   'snapshot.create'],
+  ['POST',   /^\/upload\/merchants$/,           'upload.merchants'],
+  ['POST',   /^\/upload\/behaviours$/,          'upload.behaviours'],
+  ['POST',   /^\/upload\/rules$/,               'upload.rules'],
+  ['PUT',    /^\/crm\/tickets\/[^/]+\/status$/, 'crm.status'],
+  ['POST',   /^\/crm\/tickets$/,                'crm.create'],
+  ['POST',   /^\/notifications\/sms$/,          'sms.send'],
+];
+
+export const AUDIT_ACTIONS = ACTIONS.map(([, , action]) => action);
+
+export function describeAction(method, path) {
+  const bare = path.split('?')[0];
+  const hit = ACTIONS.find(([m, re]) => m === method && re.test(bare));
+  return hit ? hit[2] : `${method.toLowerCase()} ${bare}`;
+}
+
+export function auditHeaders(method, path, reason) {
+  const user = getSession()?.user;
+  return {
+    'X-Audit-Action': describeAction(method, path),
+    ...(user ? { 'X-Actor-Id': String(user.id), 'X-Actor-Name': encodeURIComponent(user.name || user.id) } : {}),
+    ...(reason ? { 'X-Audit-Reason': encodeURIComponent(reason) } : {}),
+  };
+}
+
+// ── CSV export — one row per audit entry, written like every other CSV (merchantDataModel.js)
+export const AUDIT_COLUMNS = ['at', 'actor_id', 'actor_name', 'action', 'method', 'path', 'target', 'reason', 'status'];
+
+export function auditToCsv(rows, columns = AUDIT_COLUMNS) {
+  return toCsv(rows, columns);
+}
@@ -0,0 +1,39 @@
+import api from "./client";
+import { auditHeaders, auditToCsv, describeAction } from "./audit";
+import { clearSession, setSession } from "./auth";
+
+afterEach(() => { clearSession(); delete global.fetch; });
+
+test("names each write by method and path", () => {
+  expect(describeAction("POST", "/alerts/42/resolve")).toBe("alert.resolve");
+  expect(describeAction("PUT", "/rules/SETTLE_FUNDS")).toBe("rule.update");
+  expect(describeAction("POST", "/merchants/generate")).toBe("merchant.generate");
+  expect(describeAction("DELETE", "/merchants/M001?hard=1")).toBe("merchant.delete");
+  expect(describeAction("POST", "/events/batch")).toBe("post /events/batch");
+});
+
+test("the client stamps writes with actor and reason, reads stay bare", async () => {
+  setSession({ token: "t-1", user: { id: "u7", name: "Achieng Otieno", roles: ["agent"] } });
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => JSON.stringify({ success: true }) }));
+  await api.alerts.resolve(9, { reason: "Settlement hold lifted, KYC refreshed" });
+  await api.alerts.list({ limit: 5 });
+  const [write, read] = fetch.mock.calls.map(c => c[1].headers);
+  expect(write["X-Audit-Action"]).toBe("alert.resolve");
+  expect(write["X-Actor-Id"]).toBe("u7");
+  expect(decodeURIComponent(write["X-Actor-Name"])).toBe("Achieng Otieno");
+  expect(decodeURIComponent(write["X-Audit-Reason"])).toBe("Settlement hold lifted, KYC refreshed");
+  expect(read["X-Audit-Action"]).toBeUndefined();
+  expect(auditHeaders("DELETE", "/merchants/M1")).not.toHaveProperty("X-Audit-Reason");
+});
+
+test("exports CSV with quoted commas, quotes and line breaks", () => {
+  const csv = auditToCsv([
+    { at: "2026-10-01T08:00:00Z", actor_id: "u7", action: "rule.update", reason: 'Paused "SETTLE_FUNDS", pending review', status: 200 },
+    { at: "2026-10-01T09:00:00Z", actor_id: "u8", action: "merchant.delete", reason: "duplicate\nentry" },
+  ], ["at", "actor_id", "action", "reason", "status"]);
+  expect(csv.split("\r\n")).toEqual([
+    "at,actor_id,action,reason,status",
+    '2026-10-01T08:00:00Z,u7,rule.update,"Paused ""SETTLE_FUNDS"", pending review",200',
+    '2026-10-01T09:00:00Z,u8,merchant.delete,"duplicate\nentry",',
+  ]);
+});
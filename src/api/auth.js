@@ -0,0 +1,79 @@
+// src/api/auth.js
+// Who is signed in, and what they may do. api/client.js attaches the token to
+// every request; components ask can(…) before showing a destructive control.
+//
+// Roles (a user may hold several):
+//   viewer      read-only — dashboards, evaluator, scans
+//   agent       resolves alerts
+//   rules-admin creates, edits, toggles and rolls back rules (+ agent)
+//   data-admin  generates, adds, uploads and deletes merchants (+ agent)
+//
+// The UI only hides what the backend would refuse anyway — the API must enforce
+// the same roles on the token.
+//
+// Usage:
+//   import { can, getSession, setSession } from './auth';
+//   if (can('merchants.delete')) ...
+
+import { subscribeEnv } from './env';
+
+const STORAGE_KEY = 'auth_session';
+
+export const ROLES = ['viewer', 'agent', 'rules-admin', 'data-admin'];
+
+export const PERMISSIONS = {
+  'alerts.resolve':   ['agent', 'rules-admin', 'data-admin'],
+  'rules.write':      ['rules-admin'],
+  'merchants.write':  ['data-admin'],
+  'merchants.delete': ['data-admin'],
+};
+
+// Backend may send `role: 'agent'` or `roles: [...]`
+function normalizeUser(user = {}) {
+  const roles = Array.isArray(user.roles) ? user.roles : user.role ? [user.role] : [];
+  return { ...user, roles: roles.filter(r => ROLES.includes(r)) };
+}
+
+function readStored() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return raw?.token ? { token: raw.token, user: normalizeUser(raw.user) } : null;
+  } catch {
+    return null;
+  }
+}
+
+let session = readStored();
+const listeners = new Set();
+
+const emit = () => listeners.forEach(fn => fn(session));
+
+export const getSession = () => session;
+export const getToken = () => session?.token || null;
+
+export function setSession({ token, user }) {
+  session = { token, user: normalizeUser(user) };
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(session)); } catch { /* storage blocked */ }
+  emit();
+}
+
+export function clearSession() {
+  if (!session) return;
+  session = null;
+  try { localStorage.removeItem(STORAGE_KEY); } catch { /* storage blocked */ }
+  emit();
+}
+
+export function subscribeAuth(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function can(permission, user = session?.user) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission "${permission}"`);
+  return !!user && user.roles.some(r => allowed.includes(r));
+}
+
+// A token is only good for the backend that issued it
+subscribeEnv(() => clearSession());
@@ -0,0 +1,36 @@
+import api from "./client";
+import { can, clearSession, getSession, setSession } from "./auth";
+
+afterEach(() => { clearSession(); delete global.fetch; });
+
+test("gates destructive actions by role", () => {
+  const viewer = { id: "u1", roles: ["viewer"] };
+  const agent = { id: "u2", roles: ["agent"] };
+  const dataAdmin = { id: "u3", roles: ["data-admin"] };
+  expect(can("merchants.delete", viewer)).toBe(false);
+  expect(can("alerts.resolve", viewer)).toBe(false);
+  expect(can("alerts.resolve", agent)).toBe(true);
+  expect(can("rules.write", agent)).toBe(false);
+  expect(can("merchants.delete", dataAdmin)).toBe(true);
+  expect(can("rules.write", dataAdmin)).toBe(false);
+  expect(can("merchants.delete", null)).toBe(false);
+  expect(() => can("registry.wipe", dataAdmin)).toThrow(/Unknown permission/);
+});
+
+test("persists the session and accepts a single role string", () => {
+  setSession({ token: "t-1", user: { id: "u9", name: "Wanjiru", role: "rules-admin" } });
+  expect(getSession().user.roles).toEqual(["rules-admin"]);
+  expect(JSON.parse(localStorage.getItem("auth_session")).token).toBe("t-1");
+  expect(can("rules.write")).toBe(true);
+  clearSession();
+  expect(localStorage.getItem("auth_session")).toBeNull();
+  expect(can("rules.write")).toBe(false);
+});
+
+test("the client sends the token and drops it when the backend answers 401", async () => {
+  setSession({ token: "t-2", user: { id: "u1", roles: ["viewer"] } });
+  global.fetch = jest.fn(async () => ({ ok: false, status: 401, statusText: "Unauthorized", json: async () => ({ error: "Token expired" }) }));
+  await expect(api.merchants.get("M001", { retries: 0 })).rejects.toMatchObject({ status: 401 });
+  expect(fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer t-2");
+  expect(getSession()).toBeNull();
+});
@@ -6,59 +6,198 @@
 //   import api from './api/client';
 //   const merchants = await api.merchants.list();
 //   const result = await api.ai.analyze({ merchantId: 'M001', actionKey: 'SETTLE_FUNDS' });
+//   const rows = await api.get('/events', { limit: 200 });   // raw path, for tab components
+//
+// The base URL comes from the active environment profile (./env.js) and is read
+// on every request, so switching environments at runtime needs no reload.
+
+import { getBase } from './env';
+import { ApiError, ERROR_KINDS, errorFromResponse } from './errors';
+import { clearSession, getToken } from './auth';
+import { auditHeaders } from './audit';
+
+export { getBase };
+export { ApiError, ERROR_KINDS, isAbort } from './errors';
 
-const BASE = 'http://localhost:4000/api/v1';
+// ── Request options (last argument of every call):
+//   signal        AbortSignal — cancel from the caller (unmount, newer query)
+//   timeoutMs     give up after this long; AI calls get longer by default
+//   retries       extra attempts on network / timeout / 5xx / 429 — GETs only,
+//                 writes are never repeated behind the caller's back
+//   retryDelayMs  first backoff step, doubled per attempt with jitter
+//   reason        why the operator did this — recorded with the write (./audit.js)
+const DEFAULT_TIMEOUT_MS = 15000;
+const AI_TIMEOUT_MS = 60000;
+const DEFAULT_GET_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 400;
 
-async function req(method, path, body, isFile = false) {
-  const opts = {
-    method,
-    headers: isFile ? {} : { 'Content-Type': 'application/json' },
-    body: body ? (isFile ? body : JSON.stringify(body)) : undefined,
+// One controller per attempt, fired by either the caller's signal or the timer
+function attemptSignal(outer, timeoutMs) {
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const onAbort = () => ctrl.abort();
+  const timer = timeoutMs ? setTimeout(() => { timedOut = true; ctrl.abort(); }, timeoutMs) : null;
+  if (outer?.aborted) ctrl.abort();
+  else outer?.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: ctrl.signal,
+    timedOut: () => timedOut,
+    release: () => { clearTimeout(timer); outer?.removeEventListener('abort', onAbort); },
   };
-  const res = await fetch(`${BASE}${path}`, opts);
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({ error: res.statusText }));
-    throw new Error(err.error || `HTTP ${res.status}`);
+}
+
+const backoff = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => { clearTimeout(t); reject(new ApiError(ERROR_KINDS.ABORTED, 'Request cancelled')); };
+  const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+async function attempt(method, path, body, { isFile, signal, timeoutMs, reason }) {
+  const meta = { method, path };
+  const linked = attemptSignal(signal, timeoutMs);
+  try {
+    const token = getToken();
+    let res;
+    try {
+      res = await fetch(`${getBase()}${path}`, {
+        method,
+        headers: {
+          ...(isFile ? {} : { 'Content-Type': 'application/json' }),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(method === 'GET' ? {} : auditHeaders(method, path, reason)),
+        },
+        body: body ? (isFile ? body : JSON.stringify(body)) : undefined,
+        signal: linked.signal,
+      });
+    } catch (e) {
+      if (linked.timedOut()) throw new ApiError(ERROR_KINDS.TIMEOUT, `No response after ${timeoutMs / 1000}s`, meta);
+      if (signal?.aborted) throw new ApiError(ERROR_KINDS.ABORTED, 'Request cancelled', meta);
+      throw new ApiError(ERROR_KINDS.NETWORK, `Cannot reach ${getBase()}`, meta);
+    }
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({ error: res.statusText }));
+      // Expired or revoked token — drop it so the app shows the sign-in screen
+      if (res.status === 401 && token) clearSession();
+      throw errorFromResponse(res.status, err, meta);
+    }
+    // 204 / empty body (e.g. DELETE) → null; anything unparsable is still an ApiError
+    const text = await res.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new ApiError(ERROR_KINDS.SERVER, 'Unreadable response from the backend', { ...meta, status: res.status, body: text });
+    }
+  } finally {
+    linked.release();
+  }
+}
+
+// Successful writes are announced so cached reads can be refreshed (see ./queryCache.js)
+const mutationListeners = new Set();
+
+export function onMutation(fn) {
+  mutationListeners.add(fn);
+  return () => mutationListeners.delete(fn);
+}
+
+// Also raised by ./outbox.js when a queued write is finally delivered
+export function notifyMutation(method, path) {
+  mutationListeners.forEach(fn => fn(method, path));
+}
+
+async function req(method, path, body, {
+  isFile = false,
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = method === 'GET' ? DEFAULT_GET_RETRIES : 0,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  reason,
+} = {}) {
+  for (let n = 0; ; n++) {
+    try {
+      const data = await attempt(method, path, body, { isFile, signal, timeoutMs, reason });
+      if (method !== 'GET') notifyMutation(method, path);
+      return data;
+    } catch (e) {
+      if (method !== 'GET' || n >= retries || !e.retryable) throw e;
+      await backoff(retryDelayMs * 2 ** n * (0.75 + Math.random() / 2), signal);
+    }
   }
-  return res.json();
 }
 
+const withQuery = (path, query = {}) =>
+  Object.keys(query).length ? `${path}?${new URLSearchParams(query)}` : path;
+
 const api = {
+  // ── Raw verbs — same error handling as the typed calls below
+  get:      (path, query, opts)    => req('GET', withQuery(path, query), null, opts),
+  post:     (path, body, opts)     => req('POST', path, body, opts),
+  put:      (path, body, opts)     => req('PUT', path, body, opts),
+  delete:   (path, opts)           => req('DELETE', path, null, opts),
+  postForm: (path, formData, opts) => req('POST', path, formData, { ...opts, isFile: true }),
+
   // ── Health
-  health: () => req('GET', '/health'),
+  health: (opts) => req('GET', '/health', null, { retries: 0, ...opts }),
+
+  // ── Auth — returns { token, user: { id, name, roles } }
+  auth: {
+    login: (username, password) => req('POST', '/auth/login', { username, password }),
+    me:    (opts)               => req('GET', '/auth/me', null, opts),
+  },
 
   // ── Merchants
   merchants: {
-    list:     (filters = {}) => req('GET', '/merchants?' + new URLSearchParams(filters)),
-    get:      (id)           => req('GET', `/merchants/${id}`),
-    create:   (data)         => req('POST', '/merchants', data),
-    update:   (id, data)     => req('PUT', `/merchants/${id}`, data),
-    delete:   (id)           => req('DELETE', `/merchants/${id}`),
-    profile:  (id)           => req('GET', `/merchants/${id}/profile`),
-    ussdSessions: (id, limit) => req('GET', `/merchants/${id}/sessions/ussd?limit=${limit || 20}`),
-    appSessions:  (id)        => req('GET', `/merchants/${id}/sessions/app`),
-    transactions: (id, limit) => req('GET', `/merchants/${id}/transactions?limit=${limit || 50}`),
-    tickets:      (id)        => req('GET', `/merchants/${id}/tickets`),
-    generate: (count)        => req('POST', '/merchants/generate', { count }),
+    list:     (filters = {}, opts) => req('GET', '/merchants?' + new URLSearchParams(filters), null, opts),
+    get:      (id, opts)           => req('GET', `/merchants/${id}`, null, opts),
+    create:   (data, opts)         => req('POST', '/merchants', data, opts),
+    update:   (id, data, opts)     => req('PUT', `/merchants/${id}`, data, opts),
+    delete:   (id, opts)           => req('DELETE', `/merchants/${id}`, null, opts),
+    profile:  (id, opts)           => req('GET', `/merchants/${id}/profile`, null, opts),
+    ussdSessions: (id, limit, opts) => req('GET', `/merchants/${id}/sessions/ussd?limit=${limit || 20}`, null, opts),
+    appSessions:  (id, opts)        => req('GET', `/merchants/${id}/sessions/app`, null, opts),
+    transactions: (id, limit, opts) => req('GET', `/merchants/${id}/transactions?limit=${limit || 50}`, null, opts),
+    tickets:      (id, opts)        => req('GET', `/merchants/${id}/tickets`, null, opts),
+    generate: (count, opts)        => req('POST', '/merchants/generate', { count }, opts),
+    // Sensor mutations — entry from applyMutation / replayTo (merchantDataModel.js § 7)
+    journal:  (id, opts)           => req('GET', `/merchants/${id}/journal`, null, opts),
+    mutate:   (id, entry, opts)    => req('POST', `/merchants/${id}/mutations`, entry, opts),
+  },
+
+  // ── Named merchant snapshots — the backend copies one merchant (merchant_id)
+  // or the whole registry, and restores it on request.
+  // asOf reads the automatic per-merchant history instead: for each merchant, the
+  // latest state stored on or before `date` (YYYY-MM-DD), as
+  // [{ merchant_id, taken_at, snapshot }] with `snapshot` the merchant row (JSON TEXT).
+  snapshots: {
+    list:    (opts)                        => req('GET', '/snapshots', null, opts),
+    asOf:    (date, page = {}, opts)       => req('GET', '/snapshots/as-of?' + new URLSearchParams({ date, ...page }), null, opts),
+    get:     (id, opts)                    => req('GET', `/snapshots/${id}`, null, opts),
+    create:  ({ name, merchant_id }, opts) => req('POST', '/snapshots', { name, merchant_id: merchant_id || null }, opts),
+    restore: (id, opts)                    => req('POST', `/snapshots/${id}/restore`, null, opts),
   },
 
   // ── Rules
   rules: {
-    list:   ()               => req('GET', '/rules'),
-    update: (actionKey, data) => req('PUT', `/rules/${actionKey}`, data),
+    list:     (opts)                       => req('GET', '/rules', null, opts),
+    create:   (data, opts)                 => req('POST', '/rules', data, opts),
+    update:   (actionKey, data, opts)      => req('PUT', `/rules/${actionKey}`, data, opts),
+    versions: (actionKey, opts)            => req('GET', `/rules/${actionKey}/versions`, null, opts),
+    rollback: (actionKey, version, author, opts) => req('POST', `/rules/${actionKey}/rollback`, { version, author }, opts),
   },
 
   // ── Events
   events: {
-    log:  (event)            => req('POST', '/events', event),
-    list: (filters = {})     => req('GET', '/events?' + new URLSearchParams(filters)),
+    log:      (event)        => req('POST', '/events', event),
+    logBatch: (events)       => req('POST', '/events/batch', { events }),
+    list:     (filters = {}, opts) => req('GET', '/events?' + new URLSearchParams(filters), null, opts),
   },
 
   // ── Alerts
   alerts: {
-    list:    (filters = {})  => req('GET', '/alerts?' + new URLSearchParams(filters)),
-    create:  (alert)         => req('POST', '/alerts', alert),
-    resolve: (id)            => req('POST', `/alerts/${id}/resolve`),
+    list:    (filters = {}, opts) => req('GET', '/alerts?' + new URLSearchParams(filters), null, opts),
+    create:  (alert, opts)        => req('POST', '/alerts', alert, opts),
+    resolve: (id, opts)           => req('POST', `/alerts/${id}/resolve`, null, opts),
   },
 
   // ── USSD Gateway
@@ -67,14 +206,14 @@ const api = {
     logInput:      (data) => req('POST', '/ussd/session/input', data),
     logTimeout:    (data) => req('POST', '/ussd/session/timeout', data),
     endSession:    (data) => req('POST', '/ussd/session/end', data),
-    timeoutStats:  ()     => req('GET', '/ussd/stats/timeouts'),
+    timeoutStats:  (opts) => req('GET', '/ussd/stats/timeouts', null, opts),
   },
 
   // ── App Logger
   app: {
     log:    (data) => req('POST', '/app/log', data),
     retry:  (data) => req('POST', '/app/retry', data),
-    trends: ()     => req('GET', '/app/trends'),
+    trends: (opts) => req('GET', '/app/trends', null, opts),
   },
 
   // ── Transactions
@@ -84,40 +223,45 @@ const api = {
 
   // ── Upload (CSV / Excel / JSON)
   upload: {
-    merchants:   (formData) => req('POST', '/upload/merchants', formData, true),
-    behaviours:  (formData) => req('POST', '/upload/behaviours', formData, true),
-    rules:       (formData) => req('POST', '/upload/rules', formData, true),
-    history:     ()         => req('GET', '/uploads'),
-    template:    (type)     => `${BASE}/upload/${type}/template`,
+    merchants:   (formData, opts) => req('POST', '/upload/merchants', formData, { ...opts, isFile: true }),
+    behaviours:  (formData, opts) => req('POST', '/upload/behaviours', formData, { ...opts, isFile: true }),
+    rules:       (formData, opts) => req('POST', '/upload/rules', formData, { ...opts, isFile: true }),
+    history:     (opts)     => req('GET', '/uploads', null, opts),
+    template:    (type)     => `${getBase()}/upload/${type}/template`,
   },
 
   // ── AI (runs server-side — API key never in browser)
   ai: {
-    analyze:   (data) => req('POST', '/ai/analyze', data),
-    sms:       (data) => req('POST', '/ai/sms', data),
-    briefing:  (data) => req('POST', '/ai/briefing', data),
-    fleet:     ()     => req('POST', '/ai/fleet', {}),
-    behaviour: (data) => req('POST', '/ai/behaviour', data),
+    analyze:   (data, opts) => req('POST', '/ai/analyze', data, { timeoutMs: AI_TIMEOUT_MS, ...opts }),
+    sms:       (data, opts) => req('POST', '/ai/sms', data, { timeoutMs: AI_TIMEOUT_MS, ...opts }),
+    briefing:  (data, opts) => req('POST', '/ai/briefing', data, { timeoutMs: AI_TIMEOUT_MS, ...opts }),
+    fleet:     (opts)       => req('POST', '/ai/fleet', {}, { timeoutMs: AI_TIMEOUT_MS, ...opts }),
+    behaviour: (data, opts) => req('POST', '/ai/behaviour', data, { timeoutMs: AI_TIMEOUT_MS, ...opts }),
   },
 
   // ── Analytics
   analytics: {
-    list:         (filters = {}) => req('GET', '/analytics?' + new URLSearchParams(filters)),
-    fleet:        ()             => req('GET', '/analytics/fleet'),
-    demographics: ()             => req('GET', '/analytics/demographics'),
-    demand:       ()             => req('GET', '/analytics/demand'),
+    list:         (filters = {}, opts) => req('GET', '/analytics?' + new URLSearchParams(filters), null, opts),
+    fleet:        (opts)               => req('GET', '/analytics/fleet', null, opts),
+    demographics: (opts)               => req('GET', '/analytics/demographics', null, opts),
+    demand:       (opts)               => req('GET', '/analytics/demand', null, opts),
+  },
+
+  // ── Audit — operator actions recorded from the X-Actor-* / X-Audit-* headers
+  audit: {
+    list: (filters = {}, opts) => req('GET', '/audit?' + new URLSearchParams(filters), null, opts),
   },
 
   // ── CRM
   crm: {
-    tickets:      (limit)         => req('GET', `/crm/tickets?limit=${limit || 50}`),
-    createTicket: (data)          => req('POST', '/crm/tickets', data),
-    updateStatus: (id, status, agentId) => req('PUT', `/crm/tickets/${id}/status`, { status, agent_id: agentId }),
+    tickets:      (limit, opts)   => req('GET', `/crm/tickets?limit=${limit || 50}`, null, opts),
+    createTicket: (data, opts)    => req('POST', '/crm/tickets', data, opts),
+    updateStatus: (id, status, agentId, opts) => req('PUT', `/crm/tickets/${id}/status`, { status, agent_id: agentId }, opts),
   },
 
   // ── Notifications
   notifications: {
-    sendSMS: (data) => req('POST', '/notifications/sms', data),
+    sendSMS: (data, opts) => req('POST', '/notifications/sms', data, opts),
   },
 };
 
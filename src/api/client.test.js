@@ -0,0 +1,85 @@
+import api, { ApiError, ERROR_KINDS, onMutation } from "./client";
+
+const reply = (status, body) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `HTTP ${status}`,
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body)),
+});
+
+// Never answers on its own — only the request's signal can end it
+const hang = (url, { signal }) => new Promise((_, reject) => {
+  signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+});
+
+const failure = (promise) => promise.then(() => { throw new Error("expected a rejection"); }, e => e);
+
+beforeEach(() => { global.fetch = jest.fn(); });
+afterEach(() => { delete global.fetch; });
+
+test("classifies a 422 as validation with field errors", async () => {
+  fetch.mockReturnValueOnce(reply(422, { error: "Invalid merchant", errors: [{ field: "phone", message: "Must start with 07" }] }));
+  const e = await failure(api.merchants.create({ phone: "123" }));
+  expect(e).toBeInstanceOf(ApiError);
+  expect(e.kind).toBe(ERROR_KINDS.VALIDATION);
+  expect(e.message).toBe("Invalid merchant");
+  expect(e.fieldErrors).toEqual({ phone: "Must start with 07" });
+});
+
+test("classifies 409 as conflict and never retries a write", async () => {
+  fetch.mockReturnValue(reply(409, { error: "Rule changed since you loaded it" }));
+  const e = await failure(api.rules.update("SETTLE_FUNDS", { enabled: 0 }));
+  expect(e.kind).toBe(ERROR_KINDS.CONFLICT);
+  fetch.mockReturnValue(reply(503, {}));
+  expect((await failure(api.alerts.resolve(7))).kind).toBe(ERROR_KINDS.SERVER);
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test("retries an idempotent GET through 5xx and network failures", async () => {
+  fetch
+    .mockReturnValueOnce(reply(502, {}))
+    .mockImplementationOnce(() => Promise.reject(new TypeError("Failed to fetch")))
+    .mockReturnValueOnce(reply(200, [{ id: "M001" }]));
+  expect(await api.get("/merchants", { limit: 1 }, { retryDelayMs: 0 })).toEqual([{ id: "M001" }]);
+  expect(fetch).toHaveBeenCalledTimes(3);
+  expect(fetch.mock.calls[0][0]).toMatch(/\/merchants\?limit=1$/);
+});
+
+test("gives up after the retry budget and reports the last failure", async () => {
+  fetch.mockImplementation(() => Promise.reject(new TypeError("Failed to fetch")));
+  const e = await failure(api.rules.list({ retries: 1, retryDelayMs: 0 }));
+  expect(e.kind).toBe(ERROR_KINDS.NETWORK);
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test("times out a request that never answers", async () => {
+  fetch.mockImplementation(hang);
+  const e = await failure(api.health({ timeoutMs: 10 }));
+  expect(e.kind).toBe(ERROR_KINDS.TIMEOUT);
+});
+
+test("reports a caller abort as aborted and does not retry it", async () => {
+  fetch.mockImplementation(hang);
+  const ctrl = new AbortController();
+  const pending = failure(api.merchants.list({}, { signal: ctrl.signal, retryDelayMs: 0 }));
+  ctrl.abort();
+  const e = await pending;
+  expect(e.kind).toBe(ERROR_KINDS.ABORTED);
+  expect(e.retryable).toBe(false);
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test("an empty success body resolves to null and still announces the write", async () => {
+  const mutated = jest.fn();
+  const stop = onMutation(mutated);
+  fetch.mockReturnValueOnce(reply(204));
+  await expect(api.merchants.delete("M001")).resolves.toBeNull();
+  expect(mutated).toHaveBeenCalledWith("DELETE", "/merchants/M001");
+
+  fetch.mockReturnValueOnce(reply(200, "<html>proxy error</html>"));
+  const e = await failure(api.merchants.delete("M002"));
+  expect(e).toBeInstanceOf(ApiError);
+  expect(e.kind).toBe(ERROR_KINDS.SERVER);
+  stop();
+});
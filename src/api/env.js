@@ -0,0 +1,51 @@
+// src/api/env.js
+// Backend environment profiles — which API the twin talks to.
+//
+// Build time:  REACT_APP_API_ENV=staging npm start   (default: local)
+//              REACT_APP_API_BASE_LOCAL / _STAGING / _DEMO override each base URL
+// Runtime:     the nav bar switcher calls setEnv(); the choice is kept in
+//              localStorage so a reload stays on the same backend.
+//
+// Staging and demo have no default URL — they are listed but not selectable
+// until their REACT_APP_API_BASE_* variable is set for the build.
+//
+// Usage:
+//   import { getBase, setEnv, subscribeEnv } from './env';
+//   fetch(`${getBase()}/health`);
+
+const STORAGE_KEY = 'api_env';
+
+export const ENVIRONMENTS = [
+  { id: 'local',   label: 'Local',   base: process.env.REACT_APP_API_BASE_LOCAL || 'http://localhost:4000/api/v1' },
+  { id: 'staging', label: 'Staging', base: process.env.REACT_APP_API_BASE_STAGING || null },
+  { id: 'demo',    label: 'Demo',    base: process.env.REACT_APP_API_BASE_DEMO || null },
+];
+
+const usable = (id) => ENVIRONMENTS.some(e => e.id === id && e.base);
+
+function initialEnv() {
+  let stored = null;
+  try { stored = localStorage.getItem(STORAGE_KEY); } catch { /* storage blocked */ }
+  if (usable(stored)) return stored;
+  const built = process.env.REACT_APP_API_ENV;
+  return usable(built) ? built : 'local';
+}
+
+let current = initialEnv();
+const listeners = new Set();
+
+export const getEnv = () => ENVIRONMENTS.find(e => e.id === current);
+export const getBase = () => getEnv().base;
+
+export function setEnv(id) {
+  if (!usable(id)) throw new Error(`No API base configured for "${id}"`);
+  if (id === current) return;
+  current = id;
+  try { localStorage.setItem(STORAGE_KEY, id); } catch { /* storage blocked */ }
+  listeners.forEach(fn => fn(getEnv()));
+}
+
+export function subscribeEnv(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
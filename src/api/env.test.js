@@ -0,0 +1,17 @@
+import { getBase, getEnv, setEnv, subscribeEnv } from "./env";
+
+test("defaults to the local backend", () => {
+  expect(getEnv().id).toBe("local");
+  expect(getBase()).toBe("http://localhost:4000/api/v1");
+});
+
+test("refuses a profile with no base URL configured", () => {
+  const seen = jest.fn();
+  const unsubscribe = subscribeEnv(seen);
+  expect(() => setEnv("staging")).toThrow(/No API base/);
+  expect(() => setEnv("nowhere")).toThrow();
+  setEnv("local");
+  unsubscribe();
+  expect(getEnv().id).toBe("local");
+  expect(seen).not.toHaveBeenCalled();
+});
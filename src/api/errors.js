@@ -0,0 +1,79 @@
+// src/api/errors.js
+// One error model for every backend call. api/client.js throws nothing else,
+// so callers branch on `error.kind` instead of parsing message strings.
+//
+//   network     — fetch never got a response (backend down, DNS, CORS)
+//   timeout     — no response within the request's timeout
+//   aborted     — the caller cancelled (unmount, newer request); not a failure
+//   validation  — 400/422, with per-field messages in `fieldErrors`
+//   conflict    — 409, someone else changed the record first
+//   server      — 5xx
+//   http        — any other non-2xx (401, 403, 404, 429 …)
+//
+// Usage:
+//   try { await api.merchants.update(id, form); }
+//   catch (e) {
+//     if (e.kind === ERROR_KINDS.VALIDATION) setFieldErrors(e.fieldErrors);
+//     else if (e.kind !== ERROR_KINDS.ABORTED) toast(e.message, 'error');
+//   }
+
+export const ERROR_KINDS = {
+  NETWORK:    'network',
+  TIMEOUT:    'timeout',
+  ABORTED:    'aborted',
+  VALIDATION: 'validation',
+  CONFLICT:   'conflict',
+  SERVER:     'server',
+  HTTP:       'http',
+};
+
+export class ApiError extends Error {
+  constructor(kind, message, { status = null, fieldErrors = {}, body = null, method = null, path = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+  }
+
+  // Worth trying again unchanged — the request itself was fine
+  get retryable() {
+    return this.kind === ERROR_KINDS.NETWORK
+      || this.kind === ERROR_KINDS.TIMEOUT
+      || this.kind === ERROR_KINDS.SERVER
+      || this.status === 429;
+  }
+}
+
+export const isAbort = (e) => e instanceof ApiError && e.kind === ERROR_KINDS.ABORTED;
+
+// Accepts { errors: { field: msg } }, { errors: [{ field, message }] } or { fields: { … } }
+function fieldErrorsOf(body) {
+  const raw = body?.errors ?? body?.fields;
+  if (Array.isArray(raw)) {
+    return raw.reduce((acc, e) => (e?.field ? { ...acc, [e.field]: e.message || e.error || 'Invalid' } : acc), {});
+  }
+  return raw && typeof raw === 'object' ? { ...raw } : {};
+}
+
+function kindOf(status) {
+  if (status === 400 || status === 422) return ERROR_KINDS.VALIDATION;
+  if (status === 409) return ERROR_KINDS.CONFLICT;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  return ERROR_KINDS.HTTP;
+}
+
+export function errorFromResponse(status, body, { method, path } = {}) {
+  const kind = kindOf(status);
+  const message = body?.error || body?.message || `HTTP ${status}`;
+  return new ApiError(kind, message, {
+    status,
+    body,
+    method,
+    path,
+    fieldErrors: kind === ERROR_KINDS.VALIDATION ? fieldErrorsOf(body) : {},
+  });
+}
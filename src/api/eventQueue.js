@@ -0,0 +1,70 @@
+// src/api/eventQueue.js
+// Buffered event queue — every write to the events table goes through here.
+//
+// Events are held in memory and sent in one POST /events/batch when
+// MAX_BATCH are waiting, or FLUSH_MS after the first one arrives, whichever
+// comes first. A batch scan of 200 merchants × 12 rules becomes a handful of
+// requests instead of thousands. Batches go through the durable outbox
+// (outbox.js), so they survive the backend being down. A batch that fails
+// anyway is put back in order and retried FLUSH_MS later.
+//
+// Usage:
+//   import eventQueue from './api/eventQueue';
+//   eventQueue.push({ merchant_id, action_key, channel, success, ... });
+//   await eventQueue.flush();   // e.g. before reading /events back
+
+import outbox from './outbox';
+
+const MAX_BATCH = 100;
+const FLUSH_MS = 2000;
+const MAX_BUFFER = 5000; // oldest events are dropped past this while the backend is down
+
+export function createEventQueue({ send = (events) => outbox.post('/events/batch', { events }), maxBatch = MAX_BATCH, flushMs = FLUSH_MS, maxBuffer = MAX_BUFFER } = {}) {
+  let buffer = [];
+  let timer = null;
+  let inFlight = Promise.resolve();
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!buffer.length) return inFlight;
+    const batches = [];
+    while (buffer.length) batches.push(buffer.splice(0, maxBatch));
+    // One batch at a time, so events reach the backend in the order they happened
+    inFlight = inFlight.then(async () => {
+      for (let i = 0; i < batches.length; i++) {
+        try {
+          await send(batches[i]);
+        } catch (e) {
+          // Put this batch and the unsent ones back ahead of newer events, and retry later
+          buffer = batches.slice(i).flat().concat(buffer).slice(-maxBuffer);
+          console.warn('[eventQueue] Could not persist events:', e.message);
+          if (!timer) timer = setTimeout(flush, flushMs);
+          return;
+        }
+      }
+    });
+    return inFlight;
+  };
+
+  const push = (event) => {
+    buffer.push({ ...event, created_at: event.created_at || new Date().toISOString() });
+    if (buffer.length > maxBuffer) buffer = buffer.slice(-maxBuffer);
+    if (buffer.length >= maxBatch) flush();
+    else if (!timer) timer = setTimeout(flush, flushMs);
+  };
+
+  return {
+    push,
+    flush,
+    size: () => buffer.length,
+  };
+}
+
+const eventQueue = createEventQueue();
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => eventQueue.flush());
+}
+
+export default eventQueue;
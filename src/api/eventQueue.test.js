@@ -0,0 +1,57 @@
+import { createEventQueue } from "./eventQueue";
+
+const event = (i) => ({ merchant_id: `M${i}`, action_key: "BALANCE", channel: "batch_scan", success: 0 });
+
+afterEach(() => jest.useRealTimers());
+
+test("flushes once the batch size is reached", async () => {
+  const send = jest.fn(() => Promise.resolve());
+  const queue = createEventQueue({ send, maxBatch: 3, flushMs: 60000 });
+  [1, 2, 3, 4].forEach(i => queue.push(event(i)));
+  await queue.flush();
+  expect(send).toHaveBeenCalledTimes(2);
+  expect(send.mock.calls[0][0].map(e => e.merchant_id)).toEqual(["M1", "M2", "M3"]);
+  expect(send.mock.calls[1][0].map(e => e.merchant_id)).toEqual(["M4"]);
+});
+
+test("flushes a partial batch after the interval", async () => {
+  jest.useFakeTimers();
+  const send = jest.fn(() => Promise.resolve());
+  const queue = createEventQueue({ send, maxBatch: 50, flushMs: 2000 });
+  queue.push(event(1));
+  queue.push(event(2));
+  expect(send).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(2000);
+  expect(queue.size()).toBe(0);
+  await queue.flush();
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(send.mock.calls[0][0]).toHaveLength(2);
+});
+
+test("keeps a failed batch in order and retries it with no further push", async () => {
+  jest.useFakeTimers();
+  const send = jest.fn()
+    .mockImplementationOnce(() => Promise.reject(new Error("HTTP 503")))
+    .mockImplementationOnce(() => Promise.reject(new Error("HTTP 503")))
+    .mockImplementation(() => Promise.resolve());
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const queue = createEventQueue({ send, maxBatch: 2, flushMs: 2000 });
+  queue.push(event(1));
+  queue.push(event(2));
+  await queue.flush();
+  expect(queue.size()).toBe(2);
+
+  // [M1, M2] fails again, so [M3] behind it is held back too
+  queue.push(event(3));
+  await queue.flush();
+  expect(queue.size()).toBe(3);
+  expect(send).toHaveBeenCalledTimes(2);
+
+  jest.advanceTimersByTime(2000);
+  await queue.flush();
+  expect(queue.size()).toBe(0);
+  expect(send.mock.calls.map(([batch]) => batch.map(e => e.merchant_id))).toEqual([
+    ["M1", "M2"], ["M1", "M2"], ["M1", "M2"], ["M3"],
+  ]);
+  warn.mockRestore();
+});
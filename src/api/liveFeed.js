@@ -0,0 +1,108 @@
+// src/api/liveFeed.js
+// Push channel for the Twin Dashboard — one Server-Sent Events connection to
+// GET /stream per browser tab, shared by every subscriber.
+//
+// Named SSE messages, each `data:` a JSON object:
+//   event           a new row for the events table
+//   alert           an alert created or updated
+//   alert_resolved  { id } of an alert that was resolved
+//   merchant        a merchant whose state changed
+//
+// The connection opens with the first subscriber and closes with the last.
+// If it drops, it is retried with backoff and status() reports 'down' in the
+// meantime — that is the only time the dashboard falls back to polling.
+// Browsers without EventSource (and jest) stay 'down' and poll as before.
+//
+// Usage:
+//   import liveFeed from './liveFeed';
+//   const off = liveFeed.subscribe(({ type, data }) => ...);
+//   const offStatus = liveFeed.onStatus(status => ...);  // 'connecting' | 'live' | 'down'
+
+import { getBase, subscribeEnv } from './env';
+import { getToken, subscribeAuth } from './auth';
+
+export const FEED_TYPES = ['event', 'alert', 'alert_resolved', 'merchant'];
+
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+export function createLiveFeed({
+  // EventSource cannot send headers, so the token rides in the query string
+  url = () => `${getBase()}/stream${getToken() ? `?access_token=${encodeURIComponent(getToken())}` : ''}`,
+  EventSourceImpl = typeof EventSource !== 'undefined' ? EventSource : null,
+} = {}) {
+  const listeners = new Set();
+  const statusListeners = new Set();
+  let source = null;
+  let status = 'down';
+  let retryMs = RETRY_MIN_MS;
+  let retryTimer = null;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    statusListeners.forEach(fn => fn(status));
+  };
+
+  const dispatch = (type) => (msg) => {
+    let data;
+    try { data = JSON.parse(msg.data); } catch { return; }
+    listeners.forEach(fn => fn({ type, data }));
+  };
+
+  function close() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    source?.close();
+    source = null;
+  }
+
+  function open() {
+    if (!EventSourceImpl || source) return;
+    setStatus('connecting');
+    source = new EventSourceImpl(url());
+    source.onopen = () => { retryMs = RETRY_MIN_MS; setStatus('live'); };
+    // EventSource retries on its own while readyState is CONNECTING; once it
+    // gives up (CLOSED) we take over with a growing delay
+    source.onerror = () => {
+      if (source?.readyState === 0) { setStatus('connecting'); return; }
+      close();
+      setStatus('down');
+      if (listeners.size) retryTimer = setTimeout(open, retryMs);
+      retryMs = Math.min(retryMs * 2, RETRY_MAX_MS);
+    };
+    FEED_TYPES.forEach(type => source.addEventListener(type, dispatch(type)));
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    open();
+    return () => {
+      listeners.delete(fn);
+      if (!listeners.size) { close(); setStatus('down'); }
+    };
+  }
+
+  function onStatus(fn) {
+    statusListeners.add(fn);
+    fn(status);
+    return () => statusListeners.delete(fn);
+  }
+
+  // Another backend — drop the stream and reconnect there
+  function reconnect() {
+    close();
+    setStatus('down');
+    retryMs = RETRY_MIN_MS;
+    if (listeners.size) open();
+  }
+
+  return { subscribe, onStatus, reconnect, status: () => status };
+}
+
+const liveFeed = createLiveFeed();
+
+subscribeEnv(() => liveFeed.reconnect());
+subscribeAuth(() => liveFeed.reconnect());
+
+export default liveFeed;
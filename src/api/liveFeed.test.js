@@ -0,0 +1,66 @@
+import { createLiveFeed } from "./liveFeed";
+
+// Minimal EventSource stand-in; tests drive it through open() / emit() / fail()
+function fakeEventSource() {
+  const made = [];
+  class FakeSource {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.handlers = {};
+      this.closed = false;
+      made.push(this);
+    }
+    addEventListener(type, fn) { this.handlers[type] = fn; }
+    close() { this.closed = true; this.readyState = 2; }
+    open() { this.readyState = 1; this.onopen(); }
+    emit(type, data) { this.handlers[type]({ data: JSON.stringify(data) }); }
+    fail() { this.readyState = 2; this.onerror(); }
+  }
+  return { FakeSource, made };
+}
+
+test("shares one connection and fans messages out to every subscriber", () => {
+  const { FakeSource, made } = fakeEventSource();
+  const feed = createLiveFeed({ url: () => "/stream", EventSourceImpl: FakeSource });
+  const a = jest.fn();
+  const b = jest.fn();
+  const offA = feed.subscribe(a);
+  const offB = feed.subscribe(b);
+  made[0].open();
+  made[0].emit("alert", { id: 7, severity: "critical" });
+  expect(made).toHaveLength(1);
+  expect(feed.status()).toBe("live");
+  expect(a).toHaveBeenCalledWith({ type: "alert", data: { id: 7, severity: "critical" } });
+  expect(b).toHaveBeenCalledTimes(1);
+  offA();
+  expect(made[0].closed).toBe(false);
+  offB();
+  expect(made[0].closed).toBe(true);
+  expect(feed.status()).toBe("down");
+});
+
+test("reports down when the stream drops and reconnects with backoff", () => {
+  jest.useFakeTimers();
+  const { FakeSource, made } = fakeEventSource();
+  const feed = createLiveFeed({ url: () => "/stream", EventSourceImpl: FakeSource });
+  const statuses = [];
+  feed.onStatus(s => statuses.push(s));
+  const off = feed.subscribe(() => {});
+  made[0].open();
+  made[0].fail();
+  expect(feed.status()).toBe("down");
+  jest.advanceTimersByTime(2000);
+  expect(made).toHaveLength(2);
+  made[1].open();
+  expect(statuses).toEqual(["down", "connecting", "live", "down", "connecting", "live"]);
+  off();
+  jest.useRealTimers();
+});
+
+test("stays down without EventSource support so callers keep polling", () => {
+  const feed = createLiveFeed({ EventSourceImpl: null });
+  const off = feed.subscribe(() => {});
+  expect(feed.status()).toBe("down");
+  off();
+});
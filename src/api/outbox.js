@@ -0,0 +1,188 @@
+// src/api/outbox.js
+// Durable outbox for fire-and-forget writes — events, alerts, USSD session
+// calls and app logs. Nothing is lost while the API on :4000 is down.
+//
+// Every write is persisted to IndexedDB first, then replayed in order
+// (oldest first). Delivery stops at the first network/5xx failure; later writes
+// only queue up until the next drain() — BackendStatus calls it whenever
+// /health answers, and the browser's `online` event and a sign-in do too.
+// A 4xx is a bad payload, not an outage, so that entry is dropped — except
+// 401/403: an expired or signed-out session is kept like an outage until
+// someone signs in again. A delivered write refreshes cached reads just like a
+// write through ./client.js.
+//
+// If IndexedDB will not open, the queue lives in memory for the tab; post()
+// never rejects either way, so callers need no .catch().
+//
+// Each write is pinned to the user who queued it (its audit headers) and only
+// replays under that user's token. Another user's writes wait, in order, for
+// their owner to sign back in; the current user's writes go ahead of them.
+//
+// Usage:
+//   import outbox from './api/outbox';
+//   outbox.post('/alerts', alert);
+//   const unsubscribe = outbox.subscribe(depth => ...);
+
+import { getBase } from './env';
+import { getSession, getToken, subscribeAuth } from './auth';
+import { auditHeaders } from './audit';
+import { notifyMutation } from './client';
+
+const DB_NAME = 'merchant-twin';
+const STORE = 'outbox';
+
+// ── Stores: IndexedDB in the browser, memory where it is unavailable (tests,
+// private mode, storage blocked) — writes then last as long as the tab does
+function idbStore() {
+  const ready = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).then(db => {
+    const run = (mode, op) => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = op(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error || req.error);
+    });
+    return {
+      add:    (entry) => run('readwrite', s => s.add(entry)),
+      all:    ()      => run('readonly',  s => s.getAll()),   // ascending seq = send order
+      remove: (seq)   => run('readwrite', s => s.delete(seq)),
+      count:  ()      => run('readonly',  s => s.count()),
+    };
+  }, e => {
+    console.warn('[outbox] IndexedDB unavailable, queueing in memory:', e?.message);
+    return memoryStore();
+  });
+  return {
+    add:    async (entry) => (await ready).add(entry),
+    all:    async ()      => (await ready).all(),
+    remove: async (seq)   => (await ready).remove(seq),
+    count:  async ()      => (await ready).count(),
+  };
+}
+
+export function memoryStore() {
+  let seq = 0;
+  const rows = new Map();
+  return {
+    add:    async (entry) => { rows.set(++seq, { ...entry, seq }); return seq; },
+    all:    async ()      => [...rows.values()],
+    remove: async (s)     => { rows.delete(s); },
+    count:  async ()      => rows.size,
+  };
+}
+
+// 'sent' | 'rejected' | 'offline' | 'unauthorized'
+async function deliver(entry) {
+  try {
+    const res = await fetch(`${entry.base || getBase()}${entry.path}`, {
+      method: entry.method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(getToken() ? { Authorization: `Bearer ${getToken()}` } : {}),
+        ...entry.audit,
+      },
+      body: JSON.stringify(entry.body),
+    });
+    if (res.ok) return 'sent';
+    if (res.status === 401 || res.status === 403) return 'unauthorized';
+    return res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429 ? 'rejected' : 'offline';
+  } catch {
+    return 'offline';
+  }
+}
+
+const signedInActor = () => {
+  const user = getSession()?.user;
+  return user ? String(user.id) : null;
+};
+
+export function createOutbox({ store = typeof indexedDB !== 'undefined' ? idbStore() : memoryStore(), send = deliver } = {}) {
+  const listeners = new Set();
+  let depth = 0;
+  let draining = null;
+  let offline = false; // last drain hit an outage — new writes wait for the next drain()
+
+  const notify = async () => {
+    try {
+      depth = await store.count();
+    } catch (e) {
+      console.warn('[outbox] Cannot read queue depth:', e.message);
+      return;
+    }
+    listeners.forEach(fn => fn(depth));
+  };
+
+  // Written by whoever is signed in now — or by nobody in particular
+  const replayable = (entry) => {
+    const owner = entry.audit?.['X-Actor-Id'];
+    return !owner || owner === signedInActor();
+  };
+
+  const drain = () => {
+    if (draining) return draining;
+    offline = false;
+    draining = (async () => {
+      while (!offline) {
+        const entries = (await store.all()).filter(replayable);
+        if (!entries.length) break;
+        for (const entry of entries) {
+          if (!replayable(entry)) continue; // signed out mid-drain
+          const outcome = await send(entry);
+          if (outcome === 'offline' || outcome === 'unauthorized') { offline = true; break; }
+          if (outcome === 'rejected') console.warn('[outbox] Backend rejected', entry.method, entry.path, '— dropped');
+          else notifyMutation(entry.method, entry.path);
+          await store.remove(entry.seq);
+          await notify();
+        }
+      }
+      return !offline;
+    })().catch(e => {
+      console.warn('[outbox] Drain failed:', e.message);
+      return false;
+    }).finally(() => { draining = null; notify(); });
+    return draining;
+  };
+
+  let storeFailed = false;
+
+  // Never rejects — callers fire and forget
+  const post = async (path, body) => {
+    // Pin the base URL and the actor — a write queued against staging, or by the
+    // previous user, must not replay into local or under someone else's name and token
+    const entry = { method: 'POST', base: getBase(), audit: auditHeaders('POST', path), path, body, queued_at: new Date().toISOString() };
+    try {
+      await store.add(entry);
+    } catch (e) {
+      // Quota exceeded or storage gone mid-session — one direct attempt, no replay
+      if (!storeFailed) console.warn('[outbox] Cannot queue writes, sending without retry:', e.message);
+      storeFailed = true;
+      if (await send(entry) === 'sent') notifyMutation(entry.method, entry.path);
+      return;
+    }
+    await notify();
+    if (!offline) drain();
+  };
+
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    fn(depth);
+    return () => listeners.delete(fn);
+  };
+
+  notify();
+  return { post, drain, subscribe, depth: () => depth };
+}
+
+const outbox = createOutbox();
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => outbox.drain());
+}
+// A sign-in may be the owner of held writes, or a fresh token after a 401
+subscribeAuth(session => { if (session) outbox.drain(); });
+
+export default outbox;
@@ -0,0 +1,102 @@
+import { createOutbox, memoryStore } from "./outbox";
+import { clearSession, setSession } from "./auth";
+import { onMutation } from "./client";
+
+const outboxWith = (outcomes) => {
+  const sent = [];
+  const send = jest.fn(async (entry) => {
+    const outcome = outcomes.length ? outcomes.shift() : "sent";
+    if (outcome === "sent") sent.push(entry.path);
+    return outcome;
+  });
+  return { outbox: createOutbox({ store: memoryStore(), send }), send, sent };
+};
+
+test("delivers writes in the order they were queued", async () => {
+  const { outbox, sent } = outboxWith([]);
+  await outbox.post("/events/batch", { events: [] });
+  await outbox.post("/alerts", {});
+  await outbox.drain();
+  expect(sent).toEqual(["/events/batch", "/alerts"]);
+  expect(outbox.depth()).toBe(0);
+});
+
+test("holds everything while offline and replays on the next drain", async () => {
+  const { outbox, sent } = outboxWith(["offline"]);
+  const depths = [];
+  outbox.subscribe(d => depths.push(d));
+  await outbox.post("/ussd/session/start", {});
+  expect(await outbox.drain()).toBe(false);
+  await outbox.post("/ussd/session/end", {});
+  expect(sent).toEqual([]);
+  expect(outbox.depth()).toBe(2);
+
+  expect(await outbox.drain()).toBe(true);
+  expect(sent).toEqual(["/ussd/session/start", "/ussd/session/end"]);
+  expect(depths[depths.length - 1]).toBe(0);
+});
+
+test("drops a write the backend rejects instead of blocking the queue", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const { outbox, sent } = outboxWith(["rejected"]);
+  await outbox.post("/alerts", { bad: true });
+  await outbox.post("/app/log", {});
+  await outbox.drain();
+  expect(sent).toEqual(["/app/log"]);
+  expect(outbox.depth()).toBe(0);
+  warn.mockRestore();
+});
+
+test("keeps writes through an expired or signed-out session until the next drain", async () => {
+  const { outbox, sent } = outboxWith(["unauthorized"]);
+  await outbox.post("/events/batch", { events: [] });
+  expect(await outbox.drain()).toBe(false);
+  expect(outbox.depth()).toBe(1);
+
+  expect(await outbox.drain()).toBe(true);
+  expect(sent).toEqual(["/events/batch"]);
+});
+
+test("replays a write only while the user who queued it is signed in", async () => {
+  const { outbox, send, sent } = outboxWith(["offline"]);
+  setSession({ token: "t-7", user: { id: "u7", name: "Achieng Otieno", roles: ["agent"] } });
+  await outbox.post("/alerts", { by: "u7" });
+  await outbox.drain();
+
+  clearSession();
+  setSession({ token: "t-8", user: { id: "u8", name: "Brian Kiprop", roles: ["agent"] } });
+  await outbox.post("/app/log", { by: "u8" });
+  await outbox.drain();
+  expect(sent).toEqual(["/app/log"]);
+  expect(outbox.depth()).toBe(1);
+
+  setSession({ token: "t-7b", user: { id: "u7", name: "Achieng Otieno", roles: ["agent"] } });
+  await outbox.drain();
+  expect(sent).toEqual(["/app/log", "/alerts"]);
+  expect(send.mock.calls.map(([entry]) => entry.audit["X-Actor-Id"])).toEqual(["u7", "u8", "u7"]);
+  clearSession();
+});
+
+test("a store that fails never rejects post(), and a delivered write refreshes cached reads", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const mutated = jest.fn();
+  const stop = onMutation(mutated);
+  const broken = { add: async () => { throw new Error("QuotaExceededError"); }, all: async () => [], remove: async () => {}, count: async () => { throw new Error("gone"); } };
+  const send = jest.fn(async () => "sent");
+  const outbox = createOutbox({ store: broken, send });
+
+  await expect(outbox.post("/alerts", {})).resolves.toBeUndefined();
+  await expect(outbox.post("/app/log", {})).resolves.toBeUndefined();
+  expect(send.mock.calls.map(([entry]) => entry.path)).toEqual(["/alerts", "/app/log"]);
+  expect(mutated.mock.calls).toEqual([["POST", "/alerts"], ["POST", "/app/log"]]);
+  expect(warn.mock.calls.filter(([msg]) => msg.includes("Cannot queue"))).toHaveLength(1);
+
+  mutated.mockClear();
+  const { outbox: queued } = outboxWith(["rejected"]);
+  await queued.post("/alerts", { bad: true });
+  await queued.post("/events/batch", { events: [] });
+  await queued.drain();
+  expect(mutated.mock.calls).toEqual([["POST", "/events/batch"]]);
+  stop();
+  warn.mockRestore();
+});
@@ -0,0 +1,127 @@
+// src/api/queryCache.js
+// Shared read cache behind hooks/useApi.js — one copy of /merchants and /rules
+// for every tab instead of one fetch per component mount.
+//
+//   keyed            the key is the GET path incl. query ('/merchants?limit=200')
+//   deduplicated     concurrent fetches of one key share a single request
+//   stale-while-     cached data is served immediately; past `staleMs` it is
+//   revalidate       refetched in the background and subscribers re-render
+//   invalidation     any successful write through api/client.js marks its
+//                    resource stale (PUT /rules/X → every '/rules…' key) and
+//                    refetches the keys something is still watching
+//
+// Switching environment (api/env.js) or user (api/auth.js) drops everything.
+//
+// Usage:
+//   import queryCache from './queryCache';
+//   const rules = await queryCache.fetch('/rules', () => api.get('/rules'));
+//   queryCache.invalidate('/merchants');
+//   queryCache.update(key => key.startsWith('/merchants?'), list => list.filter(m => m.id !== id));
+
+import { onMutation } from './client';
+import { subscribeEnv } from './env';
+import { subscribeAuth } from './auth';
+
+const DEFAULT_STALE_MS = 30000;
+
+export function createQueryCache({ staleMs: defaultStaleMs = DEFAULT_STALE_MS } = {}) {
+  const entries = new Map();
+
+  const entryFor = (key) => {
+    if (!entries.has(key)) {
+      entries.set(key, { data: undefined, error: null, updatedAt: 0, invalid: false, promise: null, fetcher: null, listeners: new Set() });
+    }
+    return entries.get(key);
+  };
+
+  const snapshot = (e) => ({ data: e.data, error: e.error, updatedAt: e.updatedAt, fetching: !!e.promise });
+  const emit = (e) => e.listeners.forEach(fn => fn(snapshot(e)));
+  const isStale = (e, staleMs) => e.invalid || !e.updatedAt || Date.now() - e.updatedAt > staleMs;
+
+  function fetch(key, fetcher, { staleMs = defaultStaleMs, force = false } = {}) {
+    const e = entryFor(key);
+    e.fetcher = fetcher;
+    if (e.promise) return e.promise;
+    if (!force && !isStale(e, staleMs)) return Promise.resolve(e.data);
+    const promise = fetcher()
+      .then(data => {
+        // A clear() mid-flight means this answer came from the previous backend
+        if (entries.get(key) !== e) return data;
+        Object.assign(e, { data, error: null, updatedAt: Date.now(), invalid: false });
+        return data;
+      }, err => {
+        e.error = err;
+        throw err;
+      })
+      .finally(() => { e.promise = null; emit(e); });
+    e.promise = promise;
+    emit(e);
+    return promise;
+  }
+
+  const peek = (key) => snapshot(entries.get(key) || entryFor(key));
+
+  function subscribe(key, fn) {
+    const e = entryFor(key);
+    e.listeners.add(fn);
+    return () => e.listeners.delete(fn);
+  }
+
+  // `match` is a key prefix or a predicate over keys
+  const matcher = (match) => (typeof match === 'function' ? match : (key) => key.startsWith(match));
+
+  function invalidate(match) {
+    const test = matcher(match);
+    entries.forEach((e, key) => {
+      if (!test(key)) return;
+      e.invalid = true;
+      if (e.listeners.size && e.fetcher) fetch(key, e.fetcher, { force: true }).catch(() => {});
+    });
+  }
+
+  // Patch cached data in place, without a request — e.g. one merchant re-read
+  // after an edit, written into every cached fleet list
+  function update(match, fn) {
+    const test = matcher(match);
+    entries.forEach((e, key) => {
+      if (!test(key) || e.data === undefined) return;
+      e.data = fn(e.data, key);
+      emit(e);
+    });
+  }
+
+  function clear() {
+    const watched = [...entries].filter(([, e]) => e.listeners.size);
+    entries.clear();
+    watched.forEach(([key, e]) => {
+      const fresh = entryFor(key);
+      fresh.listeners = e.listeners;
+      emit(fresh);
+      if (e.fetcher) fetch(key, e.fetcher, { force: true }).catch(() => {});
+    });
+  }
+
+  return { fetch, peek, subscribe, invalidate, update, clear };
+}
+
+// Which cached reads a successful write makes stale
+export function invalidatedBy(path) {
+  const [first, second] = path.split('?')[0].split('/').filter(Boolean);
+  if (first === 'upload') {
+    return ['/uploads', second === 'rules' ? '/rules' : '/merchants'];
+  }
+  // Restoring a snapshot rewrites the registry
+  if (first === 'snapshots' && path.split('?')[0].endsWith('/restore')) {
+    return ['/snapshots', '/merchants'];
+  }
+  return [`/${first}`];
+}
+
+const queryCache = createQueryCache();
+
+// Every write also appends a row to the audit trail
+onMutation((method, path) => [...invalidatedBy(path), '/audit'].forEach(prefix => queryCache.invalidate(prefix)));
+subscribeEnv(() => queryCache.clear());
+subscribeAuth(() => queryCache.clear()); // another user may see other data
+
+export default queryCache;
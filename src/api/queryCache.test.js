@@ -0,0 +1,69 @@
+import api from "./client";
+import queryCache, { createQueryCache, invalidatedBy } from "./queryCache";
+
+const settle = () => new Promise(r => setTimeout(r, 0));
+
+test("concurrent fetches of one key share a single request", async () => {
+  const cache = createQueryCache();
+  const fetcher = jest.fn(async () => ["M001"]);
+  const [a, b] = await Promise.all([cache.fetch("/merchants", fetcher), cache.fetch("/merchants", fetcher)]);
+  expect(a).toBe(b);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+});
+
+test("serves cached data until it goes stale", async () => {
+  const cache = createQueryCache({ staleMs: 60000 });
+  const fetcher = jest.fn(async () => fetcher.mock.calls.length);
+  const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+  expect(await cache.fetch("/rules", fetcher)).toBe(1);
+  now.mockReturnValue(60000);
+  expect(await cache.fetch("/rules", fetcher)).toBe(1);
+  now.mockReturnValue(61001);
+  expect(await cache.fetch("/rules", fetcher)).toBe(2);
+  expect(cache.peek("/rules").data).toBe(2);
+  now.mockRestore();
+});
+
+test("invalidation refetches watched keys and only marks the rest stale", async () => {
+  const cache = createQueryCache();
+  const watched = jest.fn(async () => "fleet");
+  const idle = jest.fn(async () => "profile");
+  await cache.fetch("/merchants?limit=200", watched);
+  await cache.fetch("/merchants/M001/profile", idle);
+  const seen = [];
+  cache.subscribe("/merchants?limit=200", s => seen.push(s));
+
+  cache.invalidate("/merchants");
+  await settle();
+  expect(watched).toHaveBeenCalledTimes(2);
+  expect(idle).toHaveBeenCalledTimes(1);
+  expect(seen[seen.length - 1]).toMatchObject({ data: "fleet", fetching: false });
+
+  await cache.fetch("/merchants/M001/profile", idle);
+  expect(idle).toHaveBeenCalledTimes(2);
+});
+
+test("maps writes to the reads they make stale", () => {
+  expect(invalidatedBy("/merchants/generate")).toEqual(["/merchants"]);
+  expect(invalidatedBy("/rules/SETTLE_FUNDS/rollback")).toEqual(["/rules"]);
+  expect(invalidatedBy("/upload/rules")).toEqual(["/uploads", "/rules"]);
+  expect(invalidatedBy("/upload/behaviours")).toEqual(["/uploads", "/merchants"]);
+  expect(invalidatedBy("/snapshots/7/restore")).toEqual(["/snapshots", "/merchants"]);
+  expect(invalidatedBy("/snapshots")).toEqual(["/snapshots"]);
+});
+
+test("a rule update through the client refreshes the shared /rules entry", async () => {
+  global.fetch = jest.fn(async (url, { method }) => ({
+    ok: true,
+    status: 200,
+    text: async () => JSON.stringify(method === "GET" ? [{ action_key: "SETTLE_FUNDS" }] : { ok: true }),
+  }));
+  const unsubscribe = queryCache.subscribe("/rules", () => {});
+  await queryCache.fetch("/rules", () => api.get("/rules"));
+  await api.put("/rules/SETTLE_FUNDS", { enabled: 0 });
+  await settle();
+  const gets = fetch.mock.calls.filter(([, opts]) => opts.method === "GET");
+  expect(gets).toHaveLength(2);
+  unsubscribe();
+  delete global.fetch;
+});
@@ -0,0 +1,174 @@
+// AuditTrail.jsx
+// Who did what — every write the app sends carries actor, action and reason
+// headers (api/audit.js); the backend records them and GET /audit reads them back.
+// Filter by actor, action, date range or free text, and export what is shown as CSV.
+
+import { useMemo, useState } from "react";
+import { AUDIT_ACTIONS, auditToCsv } from "./api/audit";
+import { useQuery } from "./hooks/useApi";
+
+const NO_ROWS = [];
+
+const ACTION_COLOR = {
+  alert:    "#4ade80",
+  rule:     "#f97316",
+  merchant: "#60a5fa",
+  upload:   "#a78bfa",
+  crm:      "#fbbf24",
+  sms:      "#22d3ee",
+};
+
+// ─── STYLES ───────────────────────────────────────────────────────────────────
+const S = {
+  root: {
+    background: "#04080d", color: "#dde8f4", flex: 1, display: "flex", flexDirection: "column", overflow: "hidden",
+    fontFamily: "'IBM Plex Mono', 'Fira Code', 'JetBrains Mono', monospace", fontSize: 11,
+  },
+  header: {
+    background: "#060b11", borderBottom: "1px solid rgba(251,191,36,.15)", padding: "10px 18px",
+    display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+  },
+  filters: { display: "flex", gap: 8, padding: "10px 18px", borderBottom: "1px solid #0e1922", flexWrap: "wrap", alignItems: "flex-end" },
+  label: { fontSize: 8, color: "#9C9C9C", letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 4, display: "block" },
+  input: {
+    background: "#060c13", border: "1px solid #1e2730", color: "#dde8f4",
+    borderRadius: 5, padding: "5px 8px", fontSize: 10, outline: "none", fontFamily: "inherit",
+  },
+  btn: {
+    background: "rgba(251,191,36,.1)", border: "1px solid rgba(251,191,36,.3)", color: "#fbbf24",
+    borderRadius: 5, padding: "6px 12px", cursor: "pointer", fontFamily: "inherit", fontSize: 10, fontWeight: 700,
+  },
+  btnGhost: {
+    background: "none", border: "1px solid #1e2730", color: "#9C9C9C",
+    borderRadius: 5, padding: "5px 10px", cursor: "pointer", fontFamily: "inherit", fontSize: 10,
+  },
+  th: { textAlign: "left", fontSize: 8, color: "#9C9C9C", letterSpacing: 1.5, textTransform: "uppercase", padding: "6px 8px", borderBottom: "1px solid #0e1922", position: "sticky", top: 0, background: "#04080d" },
+  td: { padding: "6px 8px", borderBottom: "1px solid #0a121a", verticalAlign: "top" },
+};
+
+// ─── FILTER FIELD ─────────────────────────────────────────────────────────────
+function Field({ label, children }) {
+  return (
+    <div>
+      <span style={S.label}>{label}</span>
+      {children}
+    </div>
+  );
+}
+
+// ─── CSV DOWNLOAD ─────────────────────────────────────────────────────────────
+function downloadCsv(rows) {
+  const blob = new Blob([auditToCsv(rows)], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROOT
+// ═══════════════════════════════════════════════════════════════════════════════
+export default function AuditTrail() {
+  const [filters, setFilters] = useState({ actor: "", action: "", from: "", to: "", q: "" });
+  const set = (key) => (e) => setFilters(f => ({ ...f, [key]: e.target.value }));
+
+  // Only the filters that are set go to the backend — empty ones would match nothing
+  const path = useMemo(() => {
+    const qs = new URLSearchParams({ limit: 500 });
+    Object.entries(filters).forEach(([k, v]) => { if (v.trim()) qs.set(k, v.trim()); });
+    return `/audit?${qs}`;
+  }, [filters]);
+
+  const { data, error, loading, fetching, refetch } = useQuery(path, { staleMs: 10000 });
+  const rows = Array.isArray(data) ? data : data?.entries || NO_ROWS;
+  const anyFilter = Object.values(filters).some(v => v.trim());
+
+  return (
+    <div style={S.root}>
+      <div style={S.header}>
+        <div>
+          <div style={{ fontWeight: 800, fontSize: 13, color: "#fbbf24" }}>🧾 Audit Trail</div>
+          <div style={{ fontSize: 9, color: "#9C9C9C" }}>Every resolve, rule change, delete, upload and CRM update — with who and why</div>
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <span style={{ fontSize: 9, color: "#9C9C9C" }}>{fetching ? "refreshing…" : `${rows.length} entr${rows.length === 1 ? "y" : "ies"}`}</span>
+          <button onClick={refetch} style={S.btnGhost} title="Refresh">↺</button>
+          <button onClick={() => downloadCsv(rows)} disabled={!rows.length}
+            style={{ ...S.btn, opacity: rows.length ? 1 : .4 }}>
+            ⬇ Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div style={S.filters}>
+        <Field label="Actor">
+          <input value={filters.actor} onChange={set("actor")} placeholder="id or name" style={{ ...S.input, width: 130 }} />
+        </Field>
+        <Field label="Action">
+          <select value={filters.action} onChange={set("action")} style={{ ...S.input, width: 150 }}>
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+          </select>
+        </Field>
+        <Field label="From">
+          <input type="date" value={filters.from} onChange={set("from")} style={S.input} />
+        </Field>
+        <Field label="To">
+          <input type="date" value={filters.to} onChange={set("to")} style={S.input} />
+        </Field>
+        <Field label="Search">
+          <input value={filters.q} onChange={set("q")} placeholder="merchant, rule, reason…" style={{ ...S.input, width: 200 }} />
+        </Field>
+        {anyFilter && (
+          <button onClick={() => setFilters({ actor: "", action: "", from: "", to: "", q: "" })} style={S.btnGhost}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div style={{ flex: 1, overflow: "auto", padding: "0 18px 18px" }}>
+        {error ? (
+          <div style={{ color: "#f87171", fontSize: 10, padding: 16 }}>Could not load the audit trail: {error.message}</div>
+        ) : loading ? (
+          <div style={{ color: "#9C9C9C", fontSize: 10, padding: 16 }}>Loading…</div>
+        ) : !rows.length ? (
+          <div style={{ color: "#9C9C9C", fontSize: 10, padding: 16 }}>{anyFilter ? "No actions match these filters" : "No actions recorded yet"}</div>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                {["When", "Actor", "Action", "Target", "Reason", "Status"].map(h => <th key={h} style={S.th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => {
+                const color = ACTION_COLOR[String(r.action).split(".")[0]] || "#9C9C9C";
+                const failed = Number(r.status) >= 400;
+                return (
+                  <tr key={r.id ?? i}>
+                    <td style={{ ...S.td, whiteSpace: "nowrap", color: "#8ca4bc" }}>{r.at ? new Date(r.at).toLocaleString() : "—"}</td>
+                    <td style={S.td}>
+                      <div>{r.actor_name || r.actor_id || "unknown"}</div>
+                      {r.actor_name && r.actor_id && <div style={{ fontSize: 8, color: "#9C9C9C" }}>{r.actor_id}</div>}
+                    </td>
+                    <td style={S.td}>
+                      <span style={{ color, background: `${color}15`, border: `1px solid ${color}40`, borderRadius: 3, padding: "1px 5px", fontSize: 9 }}>{r.action}</span>
+                    </td>
+                    <td style={{ ...S.td, color: "#dde8f4" }}>
+                      {r.target || "—"}
+                      <div style={{ fontSize: 8, color: "#9C9C9C" }}>{r.method} {r.path}</div>
+                    </td>
+                    <td style={{ ...S.td, color: r.reason ? "#dde8f4" : "#374151", maxWidth: 280 }}>{r.reason || "no reason given"}</td>
+                    <td style={{ ...S.td, color: failed ? "#f87171" : "#4ade80" }}>{r.status ?? "—"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+// batchScanPool.js
+// Pool of batchScanWorker.js workers for the Rules Engine Batch Scanner.
+//
+// Usage:
+//   const pool = createScanPool({ rules });
+//   const rows = await pool.scan(merchants, ["SETTLE_FUNDS", "PIN_PUK"]);
+//   pool.terminate();
+//
+// Chunks are queued and handed to whichever worker is idle. Where Web Workers
+// are unavailable (tests, old browsers) chunks are evaluated inline instead.
+//
+// runScanJob(pool, job, options) drives a whole scan: it pages through the fleet
+// and fans each page out to the pool — see SCAN JOB below.
+
+import { loadRuleDefinitions, scanMatrixRows } from "./failureRulesEngine";
+import spawnScanWorker from "./spawnScanWorker";
+
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+function createInlinePool(rules) {
+  loadRuleDefinitions(rules);
+  return {
+    size: 1,
+    // Yield between chunks so progress can paint
+    scan: (merchants, actionKeys) => new Promise(resolve =>
+      setTimeout(() => resolve(scanMatrixRows(merchants, actionKeys)), 0)),
+    terminate: () => {},
+  };
+}
+
+export function createScanPool({ rules = [], size = defaultPoolSize() } = {}) {
+  if (typeof Worker === "undefined") return createInlinePool(rules);
+
+  const workers = Array.from({ length: size }, spawnScanWorker);
+  const idle = [...workers];
+  const queue = [];
+  const busy = new Map(); // worker → job
+  let nextId = 1;
+  let terminated = null;
+
+  const dispatch = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      busy.set(worker, job);
+      worker.postMessage({ type: "scan", id: job.id, merchants: job.merchants, actionKeys: job.actionKeys });
+    }
+  };
+
+  const settle = (worker, settleJob) => {
+    const job = busy.get(worker);
+    busy.delete(worker);
+    idle.push(worker);
+    if (job) settleJob(job);
+    dispatch();
+  };
+
+  workers.forEach(worker => {
+    worker.postMessage({ type: "rules", rules });
+    worker.onmessage = ({ data }) => settle(worker, job =>
+      data.type === "error" ? job.reject(new Error(data.message)) : job.resolve(data.rows));
+    worker.onerror = (e) => {
+      e.preventDefault();
+      settle(worker, job => job.reject(new Error(e.message || "Batch scan worker crashed")));
+    };
+  });
+
+  return {
+    size,
+    scan: (merchants, actionKeys) => new Promise((resolve, reject) => {
+      if (terminated) { reject(terminated); return; }
+      queue.push({ id: nextId++, merchants, actionKeys, resolve, reject });
+      dispatch();
+    }),
+    terminate: () => {
+      workers.forEach(w => w.terminate());
+      terminated = new Error("Batch scan pool terminated");
+      queue.splice(0).forEach(job => job.reject(terminated));
+      busy.forEach(job => job.reject(terminated));
+      busy.clear();
+    },
+  };
+}
+
+// ─── SCAN JOB ─────────────────────────────────────────────────────────────────
+// A page is committed to the job — rows, offset, onPage — only once every chunk
+// in it has come back. A chunk that fails rejects the run and leaves the job at
+// the last finished page, so resuming scans that page again and counts it once.
+// `stopped` is checked before each page is scanned: a cancel finishes the page
+// already on the pool, then returns.
+//
+//   job:        { offset, pages, rows, actionKeys }  — advanced page by page
+//   loadPage:   (offset) => Promise<merchants>       — pageSize long unless last
+//   select:     (page, job) => the merchants of that page to scan
+//   isDone:     (job) => true to stop early once a page commits (samples)
+//   onPage:     (rows, job) => void                  — once per committed page
+//   onProgress: ({ pages, chunksDone, chunks }) => void
+//
+// → true when the fleet is exhausted or isDone, false when stopped.
+export async function runScanJob(pool, job, {
+  loadPage, pageSize, chunkSize = 100,
+  select = page => page, isDone = () => false, onPage, onProgress, stopped = () => false,
+}) {
+  while (!stopped()) {
+    const page = await loadPage(job.offset);
+    if (stopped()) return false;
+    const scope = select(page, job);
+    const chunks = [];
+    for (let i = 0; i < scope.length; i += chunkSize) chunks.push(scope.slice(i, i + chunkSize));
+
+    let chunksDone = 0;
+    const report = () => onProgress?.({ pages: job.pages, chunksDone, chunks: chunks.length });
+    report();
+    const results = await Promise.all(chunks.map(chunk => pool.scan(chunk, job.actionKeys).then(rows => {
+      chunksDone++;
+      report();
+      return rows;
+    })));
+
+    const rows = results.flat();
+    rows.forEach(row => job.rows.push(row));
+    job.offset += page.length;
+    job.pages++;
+    onPage?.(rows, job);
+    if (page.length < pageSize || isDone(job)) return true;
+  }
+  return false;
+}
@@ -0,0 +1,112 @@
+import { createScanPool, runScanJob } from "./batchScanPool";
+import { scanMatrixRows } from "./failureRulesEngine";
+import { fixtureMerchant } from "./failureRuleFixtures";
+import spawnScanWorker from "./spawnScanWorker";
+
+jest.mock("./spawnScanWorker", () => jest.fn());
+
+// Answers like batchScanWorker.js, a tick later; a chunk holding FX-7 crashes it
+class FakeWorker {
+  postMessage(msg) {
+    if (msg.type !== "scan") return;
+    setTimeout(() => {
+      if (msg.merchants.some(m => m.id === "FX-7")) this.onerror({ message: "worker crashed", preventDefault: () => {} });
+      else this.onmessage({ data: { type: "rows", id: msg.id, rows: scanMatrixRows(msg.merchants, msg.actionKeys) } });
+    }, 0);
+  }
+  terminate() {}
+}
+
+const ACTION_KEYS = ["SETTLE_FUNDS", "PIN_PUK"];
+const FLEET = Array.from({ length: 25 }, (_, i) => fixtureMerchant({
+  id: `FX-${i + 1}`,
+  account_status: i % 5 === 0 ? "frozen" : "active",
+}));
+
+const loadPage = (pageSize) => async (offset) => FLEET.slice(offset, offset + pageSize);
+const newJob = () => ({ offset: 0, pages: 0, rows: [], actionKeys: ACTION_KEYS });
+
+test("without Web Workers the pool scans inline", async () => {
+  expect(typeof Worker).toBe("undefined");
+  const pool = createScanPool({ rules: [] });
+  expect(pool.size).toBe(1);
+  const rows = await pool.scan(FLEET.slice(0, 3), ACTION_KEYS);
+  expect(rows).toEqual(scanMatrixRows(FLEET.slice(0, 3), ACTION_KEYS));
+  expect(rows[0].results.SETTLE_FUNDS.code).toBe("ACC_FROZEN");
+  pool.terminate();
+});
+
+describe("with Web Workers", () => {
+  beforeEach(() => {
+    global.Worker = FakeWorker;
+    spawnScanWorker.mockImplementation(() => new FakeWorker());
+  });
+  afterEach(() => { delete global.Worker; });
+
+  test("hands chunks to idle workers, and a crash fails only its own chunk", async () => {
+    const pool = createScanPool({ size: 2 });
+    expect(spawnScanWorker).toHaveBeenCalledTimes(2);
+    const [a, b, c] = await Promise.allSettled([
+      pool.scan(FLEET.slice(0, 3), ACTION_KEYS),
+      pool.scan(FLEET.slice(5, 8), ACTION_KEYS),
+      pool.scan(FLEET.slice(10, 13), ACTION_KEYS),
+    ]);
+    expect(a.value).toEqual(scanMatrixRows(FLEET.slice(0, 3), ACTION_KEYS));
+    expect(b.reason.message).toBe("worker crashed");
+    expect(c.value.map(r => r.merchant.id)).toEqual(["FX-11", "FX-12", "FX-13"]);
+
+    pool.terminate();
+    await expect(pool.scan(FLEET.slice(0, 1), ACTION_KEYS)).rejects.toThrow("terminated");
+  });
+});
+
+test("pages through the whole fleet in chunks, committing once per page", async () => {
+  const pool = createScanPool();
+  const job = newJob();
+  const onPage = jest.fn();
+  const progress = [];
+  const done = await runScanJob(pool, job, {
+    loadPage: loadPage(10), pageSize: 10, chunkSize: 4, onPage, onProgress: p => progress.push(p),
+  });
+  expect(done).toBe(true);
+  expect(job).toMatchObject({ offset: 25, pages: 3 });
+  expect(job.rows.map(r => r.merchant.id)).toEqual(FLEET.map(m => m.id));
+  expect(onPage.mock.calls.map(([rows]) => rows.length)).toEqual([10, 10, 5]);
+  expect(progress[progress.length - 1]).toEqual({ pages: 2, chunksDone: 2, chunks: 2 });
+});
+
+test("a failed chunk leaves the job at the last finished page, and resuming counts each merchant once", async () => {
+  const inline = createScanPool();
+  let calls = 0;
+  const flaky = { scan: (merchants, keys) => (++calls === 5 ? Promise.reject(new Error("worker crashed")) : inline.scan(merchants, keys)) };
+  const job = newJob();
+  const committed = [];
+  const options = { loadPage: loadPage(10), pageSize: 10, chunkSize: 4, onPage: rows => committed.push(...rows) };
+
+  // Page 1 is chunks 1–3; chunk 5 fails in page 2
+  await expect(runScanJob(flaky, job, options)).rejects.toThrow("worker crashed");
+  expect(job).toMatchObject({ offset: 10, pages: 1 });
+  expect(job.rows).toHaveLength(10);
+  expect(committed).toHaveLength(10);
+
+  expect(await runScanJob(flaky, job, options)).toBe(true);
+  expect(job.rows.map(r => r.merchant.id)).toEqual(FLEET.map(m => m.id));
+  expect(committed.map(r => r.merchant.id)).toEqual(FLEET.map(m => m.id));
+});
+
+test("stops before the next page once cancelled, and resumes from there", async () => {
+  const pool = createScanPool();
+  const job = newJob();
+  let cancelled = false;
+  const options = {
+    loadPage: loadPage(10), pageSize: 10,
+    onPage: () => { cancelled = true; },
+    stopped: () => cancelled,
+  };
+  expect(await runScanJob(pool, job, options)).toBe(false);
+  expect(job).toMatchObject({ offset: 10, pages: 1 });
+
+  cancelled = false;
+  expect(await runScanJob(pool, job, { ...options, onPage: undefined })).toBe(true);
+  expect(job.rows).toHaveLength(25);
+});
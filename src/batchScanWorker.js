@@ -0,0 +1,26 @@
+// batchScanWorker.js
+// Web Worker for the Rules Engine Batch Scanner — evaluates merchant chunks off
+// the UI thread. Spawned and fed by batchScanPool.js.
+//
+// in:  { type:"rules", rules }                      backend rule rows (declarative overrides)
+//      { type:"scan",  id, merchants, actionKeys }
+// out: { type:"rows",  id, rows }  |  { type:"error", id, message }
+
+/* global globalThis */
+import { loadRuleDefinitions, scanMatrixRows } from "./failureRulesEngine";
+
+const ctx = globalThis; // the worker scope
+
+ctx.onmessage = ({ data }) => {
+  if (data.type === "rules") {
+    loadRuleDefinitions(data.rules || []);
+    return;
+  }
+  if (data.type === "scan") {
+    try {
+      ctx.postMessage({ type: "rows", id: data.id, rows: scanMatrixRows(data.merchants, data.actionKeys) });
+    } catch (err) {
+      ctx.postMessage({ type: "error", id: data.id, message: err.message });
+    }
+  }
+};
@@ -0,0 +1,162 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// FAILURE RULE FIXTURES
+// Safaricom LNM Merchant Digital Twin
+//
+// Fixture merchants with the verdict each rule must return for them.
+// Run by failureRulesEngine.test.js (npm test) and by the Rules Engine
+// Catalog / Tests tabs, so a rule edit that breaks an expected verdict is
+// caught before it is saved.
+//
+// Each case lists only the fields that differ from HEALTHY_MERCHANT.
+// `expected` is the result code — "OK" when the action must succeed.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { evaluateAction } from "./failureRulesEngine";
+
+// Passes every rule in the catalogue
+export const HEALTHY_MERCHANT = {
+  id: "FX-0001",
+  business_name: "Fixture Duka",
+  paybill: "600100",
+  phone_number: "0712000000",
+  email: "duka@example.co.ke",
+  bank: "KCB",
+  bank_account_name: "Fixture Duka Ltd",
+  document_number: "12345678",
+  account_status: "active",
+  kyc_status: "verified",
+  kyc_age_days: 120,
+  sim_status: "active",
+  sim_swap_days_ago: null,
+  pin_attempts: 0,
+  pin_locked: false,
+  start_key_status: "valid",
+  balance: 25000,
+  dormant_days: 3,
+  notifications_enabled: true,
+  settlement_on_hold: false,
+  operator_dormant_days: 5,
+};
+
+export function fixtureMerchant(overrides = {}) {
+  return { ...HEALTHY_MERCHANT, ...overrides };
+}
+
+export const RULE_FIXTURES = {
+  SETTLE_FUNDS: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_SUSPENDED" },
+    { name: "frozen account",               overrides: { account_status: "frozen" },                     expected: "ACC_FROZEN" },
+    { name: "settlement hold (backend 1)",  overrides: { settlement_on_hold: 1 },                        expected: "SETTLE_HOLD" },
+    { name: "expired KYC",                  overrides: { kyc_status: "expired", kyc_age_days: 400 },     expected: "KYC_EXPIRED" },
+    { name: "SIM swapped 10 days ago",      overrides: { sim_status: "swapped", sim_swap_days_ago: 10 }, expected: "SIM_SWAP_HOLD" },
+    { name: "SIM swapped 45 days ago",      overrides: { sim_status: "swapped", sim_swap_days_ago: 45 }, expected: "OK" },
+    { name: "zero balance",                 overrides: { balance: 0 },                                   expected: "ZERO_BALANCE" },
+    { name: "KYC 320 days old",             overrides: { kyc_age_days: 320 },                            expected: "KYC_EXPIRING" },
+    { name: "low balance",                  overrides: { balance: 350 },                                 expected: "LOW_BALANCE" },
+  ],
+  PIN_PUK: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_SUSPENDED" },
+    { name: "PIN locked",                   overrides: { pin_locked: 1, pin_attempts: 3 },               expected: "PIN_LOCKED" },
+    { name: "SIM swapped 3 days ago",       overrides: { sim_status: "swapped", sim_swap_days_ago: 3 },  expected: "SIM_SWAP_RECENT" },
+    { name: "SIM swapped 7 days ago",       overrides: { sim_status: "swapped", sim_swap_days_ago: 7 },  expected: "OK" },
+    { name: "2 failed PIN attempts",        overrides: { pin_attempts: 2 },                              expected: "PIN_ATTEMPTS_HIGH" },
+  ],
+  SIM_SWAP: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "frozen account",               overrides: { account_status: "frozen" },                     expected: "ACC_FROZEN" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_SUSPENDED" },
+    { name: "expired KYC",                  overrides: { kyc_status: "expired", kyc_age_days: 400 },     expected: "KYC_EXPIRED" },
+    { name: "KYC under review",             overrides: { kyc_status: "pending" },                        expected: "KYC_PENDING" },
+    { name: "PIN locked",                   overrides: { pin_locked: true },                             expected: "PIN_LOCKED" },
+    { name: "KYC 320 days old",             overrides: { kyc_age_days: 320 },                            expected: "KYC_EXPIRING" },
+  ],
+  ACCOUNT_STATUS: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "KYC overdue past a year",      overrides: { kyc_status: "expired", kyc_age_days: 400 },     expected: "KYC_OVERDUE_365" },
+    { name: "dormant 95 days",              overrides: { dormant_days: 95 },                             expected: "FULLY_DORMANT" },
+    { name: "dormant 65 days",              overrides: { dormant_days: 65 },                             expected: "DORMANT_60" },
+    { name: "compliance freeze",            overrides: { account_status: "frozen" },                     expected: "COMPLIANCE_FREEZE" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "COMPLIANCE_HOLD" },
+    { name: "KYC 320 days old",             overrides: { kyc_age_days: 320 },                            expected: "KYC_EXPIRING" },
+    { name: "dormant 40 days",              overrides: { dormant_days: 40 },                             expected: "DORMANCY_APPROACHING" },
+    { name: "dormant 65, KYC 320 days old", overrides: { dormant_days: 65, kyc_age_days: 320 },          expected: "DORMANT_60" },
+  ],
+  START_KEY: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "expired start key",            overrides: { start_key_status: "expired" },                  expected: "START_KEY_EXPIRED" },
+    { name: "corrupted start key",          overrides: { start_key_status: "invalid" },                  expected: "START_KEY_CORRUPT" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_NOT_ACTIVE" },
+    { name: "SIM swapped yesterday",        overrides: { sim_status: "swapped", sim_swap_days_ago: 1 },  expected: "SIM_SWAP_KEY_HOLD" },
+    { name: "dormant 40 days",              overrides: { dormant_days: 40 },                             expected: "DORMANCY_APPROACHING" },
+  ],
+  STATEMENT: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_SUSPENDED" },
+    { name: "frozen account",               overrides: { account_status: "frozen" },                     expected: "ACC_FROZEN" },
+    { name: "notifications off (backend 0)", overrides: { notifications_enabled: 0 },                    expected: "NOTIF_OFF" },
+  ],
+  KYC_CHANGE: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "frozen account",               overrides: { account_status: "frozen" },                     expected: "ACC_FROZEN" },
+    { name: "SIM swapped 5 days ago",       overrides: { sim_status: "swapped", sim_swap_days_ago: 5 },  expected: "SIM_SWAP_KYC_HOLD" },
+    { name: "KYC under review",             overrides: { kyc_status: "pending" },                        expected: "KYC_REVIEW_ACTIVE" },
+    { name: "KYC 320 days old",             overrides: { kyc_age_days: 320 },                            expected: "KYC_EXPIRING" },
+  ],
+  NOTIFICATIONS: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "notifications off",            overrides: { notifications_enabled: false },                 expected: "NOTIF_DISABLED" },
+    { name: "SIM swapped",                  overrides: { sim_status: "swapped", sim_swap_days_ago: 40 }, expected: "SIM_NOTIF_UNREG" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_INACTIVE_NOTIF" },
+    { name: "dormant 40 days",              overrides: { dormant_days: 40 },                             expected: "DORMANCY_APPROACHING" },
+  ],
+  BALANCE: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "frozen account",               overrides: { account_status: "frozen" },                     expected: "ACC_FROZEN_BAL" },
+    { name: "PIN locked",                   overrides: { pin_locked: "1" },                              expected: "PIN_LOCKED_BAL" },
+    { name: "2 failed PIN attempts",        overrides: { pin_attempts: "2" },                            expected: "PIN_ATTEMPTS_HIGH" },
+    { name: "low balance",                  overrides: { balance: 350 },                                 expected: "LOW_BALANCE" },
+  ],
+  DORMANT_OP: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "operator dormant 95 days",     overrides: { operator_dormant_days: 95 },                    expected: "OP_FULLY_DORMANT" },
+    { name: "operator dormant 70 days",     overrides: { operator_dormant_days: "70" },                  expected: "OP_DORMANT_WARN" },
+    { name: "operator dormant 40 days",     overrides: { operator_dormant_days: 40 },                    expected: "OP_DORMANT_NOTICE" },
+  ],
+  PIN_UNLOCK: [
+    { name: "PIN not locked",               overrides: {},                                               expected: "OK" },
+    { name: "locked, otherwise healthy",    overrides: { pin_locked: true },                             expected: "OK" },
+    { name: "locked and suspended",         overrides: { pin_locked: true, account_status: "suspended" }, expected: "ACC_SUSPENDED_UNLOCK" },
+    { name: "locked and KYC expired",       overrides: { pin_locked: true, kyc_status: "expired" },      expected: "KYC_EXPIRED_UNLOCK" },
+    { name: "locked, SIM swapped 2 days",   overrides: { pin_locked: true, sim_status: "swapped", sim_swap_days_ago: 2 }, expected: "SIM_SWAP_PIN_UNLOCK" },
+    { name: "2 failed attempts, not locked", overrides: { pin_attempts: 2 },                              expected: "PIN_ATTEMPTS_HIGH" },
+  ],
+  APPLICATION: [
+    { name: "healthy merchant",             overrides: {},                                               expected: "OK" },
+    { name: "expired KYC",                  overrides: { kyc_status: "expired", kyc_age_days: 400 },     expected: "KYC_EXPIRED_APP" },
+    { name: "KYC under review",             overrides: { kyc_status: "pending" },                        expected: "KYC_PENDING_APP" },
+    { name: "suspended account",            overrides: { account_status: "suspended" },                  expected: "ACC_SUSPENDED_APP" },
+    { name: "frozen account",               overrides: { account_status: "frozen" },                     expected: "ACC_FROZEN_APP" },
+    { name: "KYC 320 days old",             overrides: { kyc_age_days: 320 },                            expected: "KYC_EXPIRING" },
+  ],
+};
+
+// Run one rule's fixtures. `evaluate(merchant)` defaults to the live engine;
+// pass a draft evaluator to check an unsaved edit.
+export function runFixtureSuite(actionKey, evaluate = (m) => evaluateAction(m, actionKey)) {
+  const cases = (RULE_FIXTURES[actionKey] || []).map(fx => {
+    const result = evaluate(fixtureMerchant(fx.overrides));
+    return { name: fx.name, expected: fx.expected, actual: result.code, passed: result.code === fx.expected, inline: result.inline };
+  });
+  return {
+    actionKey,
+    cases,
+    passed: cases.filter(c => c.passed).length,
+    failed: cases.filter(c => !c.passed).length,
+  };
+}
+
+export function runAllFixtureSuites() {
+  return Object.keys(RULE_FIXTURES).map(actionKey => runFixtureSuite(actionKey));
+}
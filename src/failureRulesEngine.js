@@ -4,18 +4,27 @@
 //
 // Responsibilities:
 //   1. RULES CATALOGUE  — 12 rules, each mapped to a call center demand driver
-//   2. EVALUATOR        — evaluateAction(merchant, actionKey) → result object
-//   3. PRE-SCANNER      — scanAllFailures(merchant) → prioritised failure list
-//   4. BATCH SCANNER    — scanMerchantBatch(merchants) → fleet-level risk matrix
+//   2. EVALUATOR        — evaluateAction(merchant, actionKey) → result object,
+//                         explainAction(merchant, actionKey) → full guard trace
+//   3. PRE-SCANNER      — scanAllFailures(merchant) → prioritised failure list,
+//                         diffVerdicts(before, after) → rules an edit flips,
+//                         scanAllWarnings(merchant) → early warnings, same order
+//                         groupByRootCause(failures) → one group per root cause
+//                         projectFailures(merchant) → rules that will fail, and when
+//   4. BATCH SCANNER    — scanMerchantBatch(merchants) → fleet-level risk matrix,
+//                         scanMatrixRows(merchants, keys) → matrix rows (worker-safe),
+//                         previewRuleImpact(merchants, draft) → dry run of a rule edit
 //   5. RESULT SCHEMA    — standard result object shape consumed by the simulator
+//   6. DECLARATIVE      — condition lists from the backend rules table, run at runtime
 //
-// Consumed by:  merchant-simulator.jsx  (Step 3 simulator)
-//               Step 4 Twin Loop Dashboard
+// Consumed by:  failurerulesviewer.jsx  (Evaluator · Batch Scanner)
+//               merchantSimulator.jsx   (App · USSD · Web channels)
+//               twinDashboard.jsx       (Step 4 Twin Loop Dashboard)
 //
 // Imports from: merchantDataModel.js  (merchant shape + utilities)
 // ═══════════════════════════════════════════════════════════════════════════
 
-import { formatKES } from "./merchantDataModel.js";
+import { MERCHANT_SCHEMA, ageMerchant, formatKES, normalizeMerchant, toFlag } from "./merchantDataModel.js";
 
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -182,192 +191,265 @@ export const RULE_METADATA = {
 };
 
 //
-// The rules themselves — one function per action key
+// Early warnings — the step before a failure. A rule returns one of these
+// (success: "warn") only after every failing guard has passed, so the twin
+// can reach the merchant one PIN attempt before lockout.
 //
+const KYC_EXPIRING_DAYS = 300;   // accounts freeze once KYC is older than 365 days
+const PIN_ATTEMPTS_WARN = 2;     // PIN locks on the 3rd failed attempt
+const LOW_BALANCE_KES = 500;
+const DORMANCY_WARN_DAYS = 30;   // dormancy suspension starts at 60 days
+
+const EARLY = {
+  kycExpiring: (m) => m.kyc_status === "verified" && m.kyc_age_days > KYC_EXPIRING_DAYS && m.kyc_age_days <= 365,
+  pinAttempts: (m) => !m.pin_locked && m.pin_attempts >= PIN_ATTEMPTS_WARN,
+  lowBalance:  (m) => m.balance > 0 && m.balance < LOW_BALANCE_KES,
+  dormancy:    (m) => m.dormant_days >= DORMANCY_WARN_DAYS && m.dormant_days < 60,
+};
+
+function kycExpiringWarn(m) {
+  return warn("KYC_EXPIRING", "low",
+    "KYC expires in " + (365 - m.kyc_age_days) + " day(s).",
+    "Accounts are frozen automatically once KYC is older than 365 days.",
+    "Renew KYC at any Safaricom Shop before it lapses. Bring: National ID, Business Certificate, KRA PIN.");
+}
+
+function pinAttemptsWarn(m) {
+  return warn("PIN_ATTEMPTS_HIGH", "medium",
+    m.pin_attempts + "/3 failed PIN attempts — one more will lock the account.",
+    "The PIN locks automatically on the 3rd consecutive wrong entry.",
+    "Reset the PIN via *234*0# or the App before the next attempt.");
+}
+
+function lowBalanceWarn(m) {
+  return warn("LOW_BALANCE", "low",
+    "Balance is low (" + formatKES(m.balance) + ").",
+    "Settlements and outgoing payments fail once the paybill reaches zero.",
+    "Top up float via bank transfer or a Safaricom agent.");
+}
+
+function dormancyWarn(m) {
+  return warn("DORMANCY_APPROACHING", "medium",
+    "No transactions in " + m.dormant_days + " days — dormancy suspension at 60.",
+    "Accounts are suspended automatically after 60 days without activity.",
+    "Make any transaction now to reset the dormancy timer.");
+}
+
+//
+// The rules themselves — one function per action key.
+// Every guard goes through `check` so explainAction() can record what each one
+// read and matched; in normal evaluation it simply returns the condition.
+//
+const untraced = (cond) => cond;
+
 const RULES = {
 
   // ── RULE 1: Settlement of Funds  (14,144 calls / 3 months)
   // Most common call driver. Blocked by: suspension, freeze, hold, expired KYC, SIM swap, zero balance.
-  SETTLE_FUNDS: (m) => {
-    if (m.account_status === "suspended")
+  SETTLE_FUNDS: (m, check = untraced) => {
+    if (check(m.account_status === "suspended"))
       return fail("ACC_SUSPENDED", "critical",
         "Your account is suspended. Settlement is blocked.",
         "Account suspension prevents all fund disbursements until resolved.",
         "Visit the nearest Safaricom Shop or call 100 with your National ID to resolve the suspension.", 1);
 
-    if (m.account_status === "frozen")
+    if (check(m.account_status === "frozen"))
       return fail("ACC_FROZEN", "critical",
         "Account frozen — settlement on hold pending compliance review.",
         "A compliance hold prevents outflows. This is triggered by regulatory review or KYC overdue >365 days.",
         "Contact Safaricom Business Compliance on 0722 000 100 to initiate account unfreeze.", 1);
 
-    if (m.settlement_on_hold)
+    if (check(m.settlement_on_hold))
       return fail("SETTLE_HOLD", "high",
         "Settlement is manually on hold for your paybill " + m.paybill + ".",
         "A settlement hold has been applied, often after a dispute or fraud investigation.",
         "Call 100 and reference your paybill " + m.paybill + " to request hold removal.", 1);
 
-    if (m.kyc_status === "expired")
+    if (check(m.kyc_status === "expired"))
       return fail("KYC_EXPIRED", "high",
         "Settlement blocked — your KYC documents have expired.",
         "CBK regulations require valid KYC for all fund settlements. Your KYC is " + m.kyc_age_days + " days old.",
         "Update KYC at any Safaricom Shop. Bring: National ID + business certificate.", 1);
 
-    if (m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 30)
+    if (check(m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 30))
       return fail("SIM_SWAP_HOLD", "medium",
         "Settlement locked for " + (30 - m.sim_swap_days_ago) + " more day(s) after SIM swap.",
         "A 30-day fraud prevention hold applies after every SIM swap event.",
         "Wait " + (30 - m.sim_swap_days_ago) + " day(s) or visit Safaricom Shop with original ID to request early lift.", 1);
 
-    if (m.balance <= 0)
+    if (check(m.balance <= 0))
       return fail("ZERO_BALANCE", "high",
         "No balance available to settle.",
         "Your paybill has zero or negative balance — nothing to disburse.",
         "Accept customer payments to accumulate balance, then initiate settlement.", 1);
 
+    if (check(EARLY.kycExpiring(m)))
+      return kycExpiringWarn(m);
+
+    if (check(EARLY.lowBalance(m)))
+      return lowBalanceWarn(m);
+
     return ok("Settlement of " + formatKES(m.balance) + " processed to " + m.bank_account_name + " (" + m.bank + "). Funds arrive within 24 working hours.");
   },
 
   // ── RULE 2: PIN / PUK Request  (11,353 calls)
-  PIN_PUK: (m) => {
-    if (m.account_status === "suspended")
+  PIN_PUK: (m, check = untraced) => {
+    if (check(m.account_status === "suspended"))
       return fail("ACC_SUSPENDED", "critical",
         "PIN operations are blocked — account is suspended.",
         "Account suspension restricts all authentication and security operations.",
         "Resolve the account suspension first by calling 100 or visiting Safaricom Shop.", 2);
 
-    if (m.pin_locked)
+    if (check(m.pin_locked))
       return fail("PIN_LOCKED", "high",
         "Account locked after 3 failed PIN attempts.",
         "Security lockout is triggered automatically after 3 consecutive wrong PINs.",
         "Visit any Safaricom Shop with your National ID for PIN reset. USSD/App self-service is unavailable after lockout.", 2);
 
-    if (m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 7)
+    if (check(m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 7))
       return fail("SIM_SWAP_RECENT", "medium",
         "PIN request blocked — SIM swap was " + m.sim_swap_days_ago + " day(s) ago (7-day hold).",
         "A 7-day security hold prevents PIN changes immediately after SIM swap.",
         "Wait " + (7 - m.sim_swap_days_ago) + " more day(s) or visit Safaricom Shop in person.", 2);
 
+    if (check(EARLY.pinAttempts(m)))
+      return pinAttemptsWarn(m);
+
     return ok("PIN/PUK request initiated. A confirmation SMS will be sent to " + m.phone_number + " within 2 minutes.");
   },
 
   // ── RULE 3: SIM Swap  (10,076 calls)
-  SIM_SWAP: (m) => {
-    if (m.account_status === "frozen")
+  SIM_SWAP: (m, check = untraced) => {
+    if (check(m.account_status === "frozen"))
       return fail("ACC_FROZEN", "critical",
         "SIM swap not permitted — account is frozen.",
         "Frozen accounts cannot process identity changes until the freeze is lifted.",
         "Request account unfreeze via 0722 000 100, then retry SIM swap.", 3);
 
-    if (m.account_status === "suspended")
+    if (check(m.account_status === "suspended"))
       return fail("ACC_SUSPENDED", "critical",
         "SIM swap blocked — account is suspended.",
         "Suspended accounts cannot initiate SIM swaps.",
         "Resolve the suspension first by calling 100 or visiting Safaricom Shop.", 3);
 
-    if (m.kyc_status === "expired")
+    if (check(m.kyc_status === "expired"))
       return fail("KYC_EXPIRED", "high",
         "SIM swap requires valid KYC. Yours expired " + (m.kyc_age_days - 365) + " day(s) ago.",
         "CBK regulatory requirement: valid KYC must be on file for SIM swap.",
         "Renew KYC at any Safaricom Shop before proceeding with SIM swap.", 3);
 
-    if (m.kyc_status === "pending")
+    if (check(m.kyc_status === "pending"))
       return fail("KYC_PENDING", "medium",
         "SIM swap on hold — KYC review is still in progress.",
         "Cannot process SIM swap while KYC is actively under review.",
         "Wait 24–48hrs for KYC approval, or visit Safaricom Shop to expedite review.", 3);
 
-    if (m.pin_locked)
+    if (check(m.pin_locked))
       return fail("PIN_LOCKED", "high",
         "Cannot process SIM swap — PIN is locked.",
         "A valid PIN is required to authenticate the SIM swap request.",
         "Reset PIN at Safaricom Shop first, then retry SIM swap.", 3);
 
+    if (check(EARLY.kycExpiring(m)))
+      return kycExpiringWarn(m);
+
     return ok("SIM swap initiated. Present your National ID at any Safaricom Shop. Reference: SWP-" + m.paybill + ". Processing takes 2–4 hours.");
   },
 
   // ── RULE 4: Account Status & Issues  (9,951 calls)
-  ACCOUNT_STATUS: (m) => {
-    if (m.account_status === "active" && m.dormant_days < 30 && m.kyc_status === "verified")
+  ACCOUNT_STATUS: (m, check = untraced) => {
+    if (check(m.account_status === "active" && m.dormant_days < 30 && EARLY.kycExpiring(m)))
+      return kycExpiringWarn(m);
+
+    if (check(m.account_status === "active" && m.dormant_days < 30 && m.kyc_status === "verified"))
       return ok("Account is fully active. KYC: VERIFIED. Last activity: " + m.dormant_days + " day(s) ago. All services operational.");
 
-    if (m.kyc_age_days > 365)
+    if (check(m.kyc_age_days > 365))
       return fail("KYC_OVERDUE_365", "critical",
         "Account frozen — KYC overdue by " + (m.kyc_age_days - 365) + " day(s).",
         "Accounts with KYC older than 1 year are automatically frozen per Safaricom compliance policy.",
         "Renew KYC immediately at any Safaricom Shop. Bring: National ID, Business Certificate, KRA PIN.", 4);
 
-    if (m.dormant_days >= 90)
+    if (check(m.dormant_days >= 90))
       return fail("FULLY_DORMANT", "critical",
         "Account suspended — no transactions in " + m.dormant_days + " days.",
         "Accounts with no activity for 90+ days are automatically suspended by the dormancy system.",
         "Visit Safaricom Shop or call 100 to reactivate. A transaction history review will be required.", 4);
 
-    if (m.dormant_days >= 60)
+    if (check(m.dormant_days >= 60))
       return fail("DORMANT_60", "high",
         "Account suspended — inactive for " + m.dormant_days + " days.",
         "Dormancy suspension is triggered at 60 days of inactivity.",
         "Call 100 or visit Safaricom Shop with National ID to reactivate your account.", 4);
 
-    if (m.account_status === "frozen")
+    if (check(m.account_status === "frozen"))
       return fail("COMPLIANCE_FREEZE", "critical",
         "Account is under a compliance freeze. All services restricted.",
         "The compliance team has placed a hold on your account for regulatory review.",
         "Contact Safaricom Business Compliance: 0722 000 100. Have paybill " + m.paybill + " and ID ready.", 4);
 
-    if (m.account_status === "suspended")
+    if (check(m.account_status === "suspended"))
       return fail("COMPLIANCE_HOLD", "high",
         "Account is suspended. Services are restricted.",
         "Account suspension may be due to inactivity, compliance review, or manual hold.",
         "Call 100 or visit Safaricom Shop with National ID to resolve and reactivate.", 4);
 
+    if (check(EARLY.dormancy(m)))
+      return dormancyWarn(m);
+
+    if (check(EARLY.kycExpiring(m)))
+      return kycExpiringWarn(m);
+
     return ok("Account status: " + m.account_status.toUpperCase() + ". KYC: " + m.kyc_status.toUpperCase() + ". Dormant days: " + m.dormant_days + ". Review required.");
   },
 
   // ── RULE 5: Start Key Reset  (9,303 calls)
-  START_KEY: (m) => {
-    if (m.start_key_status === "expired")
+  START_KEY: (m, check = untraced) => {
+    if (check(m.start_key_status === "expired"))
       return fail("START_KEY_EXPIRED", "critical",
         "Start key expired — you cannot send or receive any payments.",
         "An expired start key completely breaks the merchant payment pipeline. Customers cannot pay you.",
         "Request urgent start key renewal via the Safaricom Business portal or call 100 immediately.", 5);
 
-    if (m.start_key_status === "invalid")
+    if (check(m.start_key_status === "invalid"))
       return fail("START_KEY_CORRUPT", "critical",
         "Start key is corrupted. Customer payments are actively failing.",
         "Key corruption is caused by SIM swap without re-registration, or a system error. Payments fail silently.",
         "Visit any Safaricom Shop immediately with National ID. Request emergency start key regeneration.", 5);
 
-    if (m.account_status !== "active")
+    if (check(m.account_status !== "active"))
       return fail("ACC_NOT_ACTIVE", "high",
         "Start key reset requires an active account.",
         "Key operations are locked when account is " + m.account_status + ".",
         "Reactivate the account first, then retry the start key reset.", 5);
 
-    if (m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 2)
+    if (check(m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 2))
       return fail("SIM_SWAP_KEY_HOLD", "medium",
         "Start key reset available in " + (2 - m.sim_swap_days_ago) + " day(s) — SIM swap too recent.",
         "System requires SIM stabilisation before issuing new start key.",
         "Wait 1–2 days after SIM swap, then retry. Or visit Safaricom Shop for same-day resolution.", 5);
 
+    if (check(EARLY.dormancy(m)))
+      return dormancyWarn(m);
+
     return ok("Start key reset successful. New key provisioned to " + m.phone_number + ". Key activates within 5 minutes. Test a payment to confirm.");
   },
 
   // ── RULE 6: Statement Request  (8,330 calls)
-  STATEMENT: (m) => {
-    if (m.account_status === "suspended")
+  STATEMENT: (m, check = untraced) => {
+    if (check(m.account_status === "suspended"))
       return fail("ACC_SUSPENDED", "medium",
         "Statement access restricted — account is suspended.",
         "Suspended accounts have limited portal access. Full statements are unavailable.",
         "Call 100 for a partial statement via agent access. Resolve suspension to restore full access.", 6);
 
-    if (m.account_status === "frozen")
+    if (check(m.account_status === "frozen"))
       return fail("ACC_FROZEN", "medium",
         "Statement access restricted — account is under compliance freeze.",
         "Frozen accounts have read-restricted access. Statement generation is paused.",
         "Contact the compliance team on 0722 000 100 to request a statement during the freeze period.", 6);
 
-    if (!m.notifications_enabled)
+    if (check(!m.notifications_enabled))
       return warn("NOTIF_OFF", "low",
         "Statement generated but cannot be delivered — notifications are disabled.",
         "SMS and email notifications are turned off on your account. The statement was created but won't be sent.",
@@ -377,83 +459,95 @@ const RULES = {
   },
 
   // ── RULE 7: Update KYC Details  (8,157 calls)
-  KYC_CHANGE: (m) => {
-    if (m.account_status === "frozen")
+  KYC_CHANGE: (m, check = untraced) => {
+    if (check(m.account_status === "frozen"))
       return fail("ACC_FROZEN", "critical",
         "KYC changes blocked — account is frozen.",
         "Frozen accounts require compliance clearance before any KYC modifications.",
         "Request account unfreeze first via 0722 000 100, then resubmit KYC change.", 7);
 
-    if (m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 14)
+    if (check(m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 14))
       return fail("SIM_SWAP_KYC_HOLD", "medium",
         "KYC change blocked — " + (14 - m.sim_swap_days_ago) + " day(s) remaining on post-SIM swap hold.",
         "A 14-day fraud prevention hold restricts KYC changes after every SIM swap.",
         "Wait " + (14 - m.sim_swap_days_ago) + " day(s), or visit Safaricom Shop in person for an assisted KYC update.", 7);
 
-    if (m.kyc_status === "pending")
+    if (check(m.kyc_status === "pending"))
       return fail("KYC_REVIEW_ACTIVE", "medium",
         "KYC change locked — a review is already in progress.",
         "You cannot modify KYC details while an existing review is active.",
         "Wait 24–48 hours for current review to complete, then submit your changes.", 7);
 
+    if (check(EARLY.kycExpiring(m)))
+      return kycExpiringWarn(m);
+
     return ok("KYC update submitted for paybill " + m.paybill + ". Review expected within 24–48 hours. Reference: KYC-" + m.document_number + ".");
   },
 
   // ── RULE 8: Notification Settings  (5,013 calls)
-  NOTIFICATIONS: (m) => {
-    if (!m.notifications_enabled)
+  NOTIFICATIONS: (m, check = untraced) => {
+    if (check(!m.notifications_enabled))
       return fail("NOTIF_DISABLED", "low",
         "Notifications are OFF — you will miss payment alerts, settlement SMS, and security warnings.",
         "Your account has notifications disabled. This causes missed payment confirmations and delayed fraud alerts.",
         "Enable via: App > Settings > Notifications > Enable All. Or: *234# > 3 > 4.", 8);
 
-    if (m.sim_status === "swapped")
+    if (check(m.sim_status === "swapped"))
       return fail("SIM_NOTIF_UNREG", "medium",
         "New SIM not registered — notifications are going to your old number.",
         "SIM swap does not automatically re-register notification channels. Your old SIM receives alerts.",
         "Update via: *234# > My Account > Update Phone Number, or visit Safaricom Shop.", 8);
 
-    if (m.account_status !== "active")
+    if (check(m.account_status !== "active"))
       return fail("ACC_INACTIVE_NOTIF", "medium",
         "Notifications are paused while account is " + m.account_status + ".",
         "Non-active accounts have notification services suspended as part of account lifecycle policy.",
         "Reactivate the account to restore full notification delivery.", 8);
 
+    if (check(EARLY.dormancy(m)))
+      return dormancyWarn(m);
+
     return ok("Notification test sent to " + m.phone_number + " and " + m.email + ". All channels are operational. You will receive payment and security alerts in real time.");
   },
 
   // ── RULE 9: Balance Enquiry  (4,439 calls)
-  BALANCE: (m) => {
-    if (m.account_status === "frozen")
+  BALANCE: (m, check = untraced) => {
+    if (check(m.account_status === "frozen"))
       return fail("ACC_FROZEN_BAL", "medium",
         "Balance display restricted — account is frozen.",
         "Frozen accounts have read-limited access. Balance cannot be confirmed via self-service.",
         "Contact 0722 000 100 for a balance confirmation from a Safaricom agent.", 9);
 
-    if (m.pin_locked)
+    if (check(m.pin_locked))
       return fail("PIN_LOCKED_BAL", "high",
         "Balance enquiry unavailable — PIN is locked.",
         "PIN lockout restricts all authenticated account actions including balance checks.",
         "Reset PIN at any Safaricom Shop with National ID, then retry balance enquiry.", 9);
 
+    if (check(EARLY.pinAttempts(m)))
+      return pinAttemptsWarn(m);
+
+    if (check(EARLY.lowBalance(m)))
+      return lowBalanceWarn(m);
+
     return ok("Available Balance: " + formatKES(m.balance) + " | Paybill: " + m.paybill + " | Last activity: " + m.dormant_days + " day(s) ago.");
   },
 
   // ── RULE 10: G2 Dormant Operator  (3,778 calls)
-  DORMANT_OP: (m) => {
-    if (m.operator_dormant_days >= 90)
+  DORMANT_OP: (m, check = untraced) => {
+    if (check(m.operator_dormant_days >= 90))
       return fail("OP_FULLY_DORMANT", "critical",
         "Operator access revoked — inactive for " + m.operator_dormant_days + " days.",
         "G2 operator permissions are automatically revoked after 90 days without login or transaction.",
         "Visit Safaricom Shop for operator reactivation. Bring: National ID + business registration documents.", 10);
 
-    if (m.operator_dormant_days >= 60)
+    if (check(m.operator_dormant_days >= 60))
       return fail("OP_DORMANT_WARN", "high",
         "Warning: Operator approaching dormancy lock (" + m.operator_dormant_days + "/90 days inactive).",
         "Operator will be fully locked in " + (90 - m.operator_dormant_days) + " day(s) if no action is taken.",
         "Initiate any transaction or G2 login now to reset your dormancy timer.", 10);
 
-    if (m.operator_dormant_days >= 30)
+    if (check(m.operator_dormant_days >= 30))
       return warn("OP_DORMANT_NOTICE", "low",
         "Operator inactive for " + m.operator_dormant_days + " days. Dormancy warning at 60 days.",
         "Early notice: operator has been inactive for " + m.operator_dormant_days + " days.",
@@ -463,23 +557,26 @@ const RULES = {
   },
 
   // ── RULE 11: PIN Unlock  (3,788 calls)
-  PIN_UNLOCK: (m) => {
-    if (!m.pin_locked)
+  PIN_UNLOCK: (m, check = untraced) => {
+    if (check(EARLY.pinAttempts(m)))
+      return pinAttemptsWarn(m);
+
+    if (check(!m.pin_locked))
       return ok("PIN is not locked. Current failed attempts: " + m.pin_attempts + "/3. No unlock needed.");
 
-    if (m.account_status === "suspended")
+    if (check(m.account_status === "suspended"))
       return fail("ACC_SUSPENDED_UNLOCK", "critical",
         "Cannot unlock PIN — account is suspended.",
         "Account suspension blocks all authentication management including PIN unlock.",
         "Resolve the suspension first (call 100), then proceed with PIN unlock.", 11);
 
-    if (m.kyc_status === "expired")
+    if (check(m.kyc_status === "expired"))
       return fail("KYC_EXPIRED_UNLOCK", "high",
         "PIN unlock requires valid KYC. Your KYC has expired.",
         "Identity verification for PIN unlock fails when KYC is expired.",
         "Renew KYC at Safaricom Shop, then return for PIN unlock via OTP.", 11);
 
-    if (m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 7)
+    if (check(m.sim_status === "swapped" && m.sim_swap_days_ago !== null && m.sim_swap_days_ago < 7))
       return fail("SIM_SWAP_PIN_UNLOCK", "medium",
         "PIN unlock blocked — SIM swap too recent (" + m.sim_swap_days_ago + " day(s) ago).",
         "OTP for PIN unlock cannot be sent to a new SIM within 7 days of swap.",
@@ -489,71 +586,400 @@ const RULES = {
   },
 
   // ── RULE 12: New Application  (3,483 calls)
-  APPLICATION: (m) => {
-    if (m.kyc_status === "expired")
+  APPLICATION: (m, check = untraced) => {
+    if (check(m.kyc_status === "expired"))
       return fail("KYC_EXPIRED_APP", "high",
         "Application rejected — KYC has expired.",
         "All new applications require valid KYC on file. Your KYC expired " + (m.kyc_age_days - 365) + " day(s) ago.",
         "Renew KYC first. Required documents: National ID, Business Certificate, KRA PIN.", 12);
 
-    if (m.kyc_status === "pending")
+    if (check(m.kyc_status === "pending"))
       return fail("KYC_PENDING_APP", "medium",
         "Application on hold — KYC review is in progress.",
         "New applications cannot be processed while a KYC review is active for the same merchant.",
         "Wait 24–48hrs for current KYC review to complete, then resubmit.", 12);
 
-    if (m.account_status === "suspended")
+    if (check(m.account_status === "suspended"))
       return fail("ACC_SUSPENDED_APP", "critical",
         "Application blocked — account is suspended.",
         "Suspended merchants cannot initiate new product applications.",
         "Resolve the suspension first, then resubmit your application.", 12);
 
-    if (m.account_status === "frozen")
+    if (check(m.account_status === "frozen"))
       return fail("ACC_FROZEN_APP", "critical",
         "Application blocked — account is frozen.",
         "Frozen accounts cannot initiate new applications until the compliance freeze is lifted.",
         "Contact the compliance team to unfreeze, then resubmit.", 12);
 
+    if (check(EARLY.kycExpiring(m)))
+      return kycExpiringWarn(m);
+
     return ok("Application submitted for paybill " + m.paybill + ". Reference: APP-" + m.paybill + "-" + Date.now().toString().slice(-6) + ". Expected review: 3–5 business days.");
   },
 };
 
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 2B — DECLARATIVE RULES
+// Rules provisioned through POST /rules or /upload/rules carry a `conditions`
+// list instead of code. Conditions are checked in order and the first one whose
+// clauses all match produces the result. A definition with conditions takes
+// over the built-in rule of the same action key.
+//
+//   conditions: [
+//     { when: [{ field: "sim_status",        op: "eq", value: "swapped" },
+//              { field: "sim_swap_days_ago", op: "lt", value: 7 }],
+//       outcome: "fail",                       // fail | warn
+//       code: "SIM_SWAP_RECENT", severity: "medium",
+//       inline: "PIN request blocked — SIM swap was {sim_swap_days_ago} day(s) ago.",
+//       reason: "A 7-day security hold applies after SIM swap.",
+//       fix: "Wait 7 days or visit Safaricom Shop in person." },
+//   ],
+//   ok_message: "PIN/PUK request initiated."   // optional, shown on pass
+//
+// Text fields may reference merchant fields as {field_name}.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+export const CONDITION_OPERATORS = {
+  eq:       { label: "=",        test: (a, b) => String(a) === String(b) },
+  neq:      { label: "≠",        test: (a, b) => String(a) !== String(b) },
+  gt:       { label: ">",        numeric: true, test: (a, b) => a > b },
+  gte:      { label: "≥",        numeric: true, test: (a, b) => a >= b },
+  lt:       { label: "<",        numeric: true, test: (a, b) => a < b },
+  lte:      { label: "≤",        numeric: true, test: (a, b) => a <= b },
+  in:       { label: "in",       list: true,    test: (a, b) => b.includes(String(a)) },
+  not_in:   { label: "not in",   list: true,    test: (a, b) => !b.includes(String(a)) },
+  is_true:  { label: "is true",  unary: true,   test: (a) => a === true },
+  is_false: { label: "is false", unary: true,   test: (a) => a !== true },
+};
+
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+function clauseMatches(m, clause) {
+  const op = CONDITION_OPERATORS[clause.op];
+  if (!op) throw new Error("Unknown operator '" + clause.op + "' on " + clause.field);
+  const actual = m[clause.field];
+  if (op.unary) return op.test(actual);
+  if (op.list) return op.test(actual, toList(clause.value));
+  if (op.numeric) {
+    // A blank counter never matches — sim_swap_days_ago is null until the first swap
+    if (isBlank(actual)) return false;
+    return op.test(parseFloat(actual), parseFloat(clause.value));
+  }
+  return op.test(actual, clause.value);
+}
+
+function fillTemplate(text, m) {
+  return String(text || "").replace(/\{(\w+)\}/g, (_, field) => (isBlank(m[field]) ? "—" : m[field]));
+}
+
+// Backend stores conditions as a JSON TEXT column; uploads may send either form
+export function parseConditions(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// A clause must fit the merchant schema — a typo in the field or enum value
+// would otherwise never match and the rule would silently pass everyone
+function clauseSchemaErrors(clause, op) {
+  const spec = MERCHANT_SCHEMA[clause.field];
+  if (!spec) return ["unknown merchant field '" + clause.field + "'."];
+  if (op.unary) return spec.type === "flag" ? [] : [clause.field + " is not a yes/no field — " + op.label + " does not apply."];
+  if (op.numeric) {
+    if (spec.type !== "number") return [clause.field + " is not numeric — " + op.label + " does not apply."];
+    return isNaN(parseFloat(clause.value)) ? [clause.field + " " + op.label + " needs a number."] : [];
+  }
+  if (spec.type !== "enum") return [];
+  const unknown = (op.list ? toList(clause.value) : [String(clause.value)]).filter(v => !spec.options.includes(v));
+  return unknown.length ? [clause.field + " has no value " + unknown.map(v => "'" + v + "'").join(", ") + " (expected " + spec.options.join(", ") + ")."] : [];
+}
+
+// Returns a list of human-readable problems; empty list means the conditions are usable
+export function validateConditions(raw) {
+  let conditions = raw;
+  if (typeof raw === "string") {
+    try { conditions = JSON.parse(raw); }
+    catch (err) { return ["Conditions are not valid JSON: " + err.message]; }
+  }
+  if (!Array.isArray(conditions)) return ["Conditions must be a list."];
+
+  const errors = [];
+  conditions.forEach((c, i) => {
+    const at = "Condition " + (i + 1) + ": ";
+    if (!Array.isArray(c.when) || c.when.length === 0) {
+      errors.push(at + "needs at least one clause in `when`.");
+    } else {
+      c.when.forEach(clause => {
+        const op = CONDITION_OPERATORS[clause.op];
+        if (!clause.field) errors.push(at + "a clause is missing its field.");
+        if (!op) errors.push(at + "unknown operator '" + clause.op + "'.");
+        else if (!op.unary && isBlank(clause.value)) errors.push(at + clause.field + " " + op.label + " needs a value.");
+        else if (clause.field) errors.push(...clauseSchemaErrors(clause, op).map(e => at + e));
+      });
+    }
+    if (!c.code) errors.push(at + "code is required.");
+    if (!SEVERITY_RANK[c.severity]) errors.push(at + "severity must be critical, high, medium or low.");
+    if (c.outcome && c.outcome !== "fail" && c.outcome !== "warn") errors.push(at + "outcome must be fail or warn.");
+    if (!c.inline) errors.push(at + "inline message is required.");
+  });
+  return errors;
+}
+
+function runConditions(m, definition) {
+  const conditions = parseConditions(definition.conditions);
+  const demandRank = definition.demand_rank || RULE_METADATA[definition.action_key]?.demand_rank || null;
+
+  for (const c of conditions) {
+    if (c.when.every(clause => clauseMatches(m, clause))) return conditionResult(c, m, demandRank);
+  }
+
+  return definitionOk(m, definition);
+}
+
+function conditionResult(c, m, demandRank) {
+  const inline = fillTemplate(c.inline, m);
+  const reason = fillTemplate(c.reason, m);
+  const fix = fillTemplate(c.fix, m);
+  return c.outcome === "warn"
+    ? warn(c.code, c.severity, inline, reason, fix)
+    : fail(c.code, c.severity, inline, reason, fix, demandRank);
+}
+
+function definitionOk(m, definition) {
+  return ok(fillTemplate(definition.ok_message || (definition.label || definition.action_key) + " completed successfully.", m));
+}
+
+// Definitions loaded from GET /rules, keyed by action_key
+const DEFINITIONS = {};
+
+// Register rule records from the backend. Records with valid conditions take
+// over their action key; the rest — and any the catalog has disabled — fall back
+// to the built-in RULES.
+export function loadRuleDefinitions(records) {
+  Object.keys(DEFINITIONS).forEach(key => { delete DEFINITIONS[key]; });
+  (records || []).forEach(record => {
+    const conditions = parseConditions(record.conditions);
+    if (!record.action_key || !conditions.length || validateConditions(conditions).length) return;
+    if (record.enabled !== undefined && record.enabled !== null && !toFlag(record.enabled)) return;
+    DEFINITIONS[record.action_key] = { ...record, conditions };
+  });
+  return Object.keys(DEFINITIONS);
+}
+
+export function getRuleDefinition(actionKey) {
+  return DEFINITIONS[actionKey] || null;
+}
+
+// Built-in plus declarative action keys, in catalogue order
+export function getRuleKeys() {
+  return [...new Set([...Object.keys(RULES), ...Object.keys(DEFINITIONS)])];
+}
+
+// Metadata for any action key — declarative-only rules have no RULE_METADATA entry
+export function getRuleMeta(actionKey) {
+  const def = DEFINITIONS[actionKey];
+  return RULE_METADATA[actionKey] || {
+    label: def?.label || actionKey,
+    demand_rank: def?.demand_rank || 99,
+    demand_total: def?.demand_total || 0,
+    menu_path: null,
+    ussd_path: null,
+    description: def?.description || "",
+  };
+}
+
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SECTION 3 — EVALUATOR
 // Public API: evaluate one action against one merchant.
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Backend rows arrive with 1/0 flags and numeric strings (SQLite, CSV uploads).
+// Coerce them once, through the merchant schema, so every screen gets the same verdict.
+export function normalizeSensors(merchant) {
+  return normalizeMerchant(merchant);
+}
+
+function ruleError(err) {
+  return fail("RULE_ERROR", "high",
+    "An error occurred evaluating this action.",
+    "Rules engine threw: " + err.message,
+    "Report this error to the digital twin engineering team.");
+}
+
+function runSafely(rule, merchant) {
+  try {
+    return rule(normalizeSensors(merchant));
+  } catch (err) {
+    return ruleError(err);
+  }
+}
+
 export function evaluateAction(merchant, actionKey) {
+  const definition = DEFINITIONS[actionKey];
+  if (definition) return runSafely(m => runConditions(m, definition), merchant);
   const rule = RULES[actionKey];
   if (!rule) return ok("Action not found in rules engine.");
+  return runSafely(rule, merchant);
+}
+
+// Evaluate an unsaved definition (e.g. the Provision form) without registering it
+export function evaluateDefinition(merchant, definition) {
+  return runSafely(m => runConditions(m, definition), merchant);
+}
+
+
+// Result → value for the /events `success` column (1 = pass, 0 = fail, 2 = warn)
+export function toEventSuccess(result) {
+  return result.success === true ? 1 : result.success === "warn" ? 2 : 0;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 3B — EXPLAIN MODE
+// evaluateAction stops at the first failing guard. explainAction keeps going
+// and returns every guard it checked, so an agent can name all blockers in
+// one call instead of fixing one and discovering the next on call-back.
+//
+//   { actionKey, source: "built-in" | "declarative" | "none",
+//     result,                      // same verdict evaluateAction returns
+//     steps: [{ index, reads: { field: value }, clauses?, matched,
+//               reached,           // false = short-circuited in a normal run
+//               decisive,          // the guard that produced `result`
+//               code, success }],  // set when the guard matched
+//     blockers: [result, …] }      // every failing / warning guard that matches
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Merchant proxy that logs each sensor field a guard reads
+function recordReads(m) {
+  const log = [];
+  const proxy = new Proxy(m, {
+    get(target, key) {
+      if (typeof key === "string" && key in target) log.push(key);
+      return target[key];
+    },
+  });
+  const flush = () => {
+    const reads = {};
+    log.splice(0).forEach(key => { reads[key] = m[key]; });
+    return reads;
+  };
+  return { proxy, flush };
+}
+
+// Built-in rules are plain if-chains. Run the rule, note the guard that fired,
+// then re-run with that guard forced false to find the next one — until the
+// rule falls through to a pass.
+function traceBuiltIn(rule, m) {
+  const steps = [];
+  const masked = new Set();
+  const blockers = [];
+  let result = null;
+
+  for (;;) {
+    const { proxy, flush } = recordReads(m);
+    let index = 0;
+    let fired = null;
+    const firstRun = result === null;
+    const check = (cond) => {
+      const i = index++;
+      const matched = Boolean(cond);
+      if (!steps[i]) steps[i] = { index: i, reads: flush(), matched, reached: firstRun, decisive: false, code: null, success: null };
+      else flush();
+      if (!matched || masked.has(i)) return false;
+      fired = i;
+      return true;
+    };
+
+    const res = rule(proxy, check);
+    if (result === null) result = res;
+    if (fired !== null) {
+      steps[fired].code = res.code;
+      steps[fired].success = res.success;
+      if (res === result) steps[fired].decisive = true;
+    }
+    if (fired === null || res.success === true) break;
+    blockers.push(res);
+    masked.add(fired);
+  }
+
+  return { result, steps, blockers };
+}
+
+function traceDefinition(definition, m) {
+  const conditions = parseConditions(definition.conditions);
+  const demandRank = definition.demand_rank || RULE_METADATA[definition.action_key]?.demand_rank || null;
+  let result = null;
+  const blockers = [];
+
+  const steps = conditions.map((c, index) => {
+    const clauses = c.when.map(clause => ({ ...clause, actual: m[clause.field], matched: clauseMatches(m, clause) }));
+    const matched = clauses.every(cl => cl.matched);
+    const step = {
+      index,
+      reads: Object.fromEntries(clauses.map(cl => [cl.field, cl.actual])),
+      clauses,
+      matched,
+      reached: result === null,
+      decisive: false,
+      code: matched ? c.code : null,
+      success: matched ? (c.outcome === "warn" ? "warn" : false) : null,
+    };
+    if (matched) {
+      const res = conditionResult(c, m, demandRank);
+      blockers.push(res);
+      if (result === null) { result = res; step.decisive = true; }
+    }
+    return step;
+  });
+
+  return { result: result || definitionOk(m, definition), steps, blockers };
+}
+
+export function explainAction(merchant, actionKey) {
+  const definition = DEFINITIONS[actionKey];
+  const rule = RULES[actionKey];
+  const source = definition ? "declarative" : rule ? "built-in" : "none";
+  if (source === "none") return { actionKey, source, result: ok("Action not found in rules engine."), steps: [], blockers: [] };
+
   try {
-    return rule(merchant);
+    const m = normalizeSensors(merchant);
+    const trace = definition ? traceDefinition(definition, m) : traceBuiltIn(rule, m);
+    return { actionKey, source, ...trace };
   } catch (err) {
-    return fail("RULE_ERROR", "high",
-      "An error occurred evaluating this action.",
-      "Rules engine threw: " + err.message,
-      "Report this error to the digital twin engineering team.");
+    const result = ruleError(err);
+    return { actionKey, source, result, steps: [], blockers: [result] };
   }
 }
 
-
 // ─────────────────────────────────────────────────────────────────────────────
 // SECTION 4 — PRE-SCANNER
-// Runs ALL rules against ONE merchant and returns a sorted failure list.
+// Runs ALL rules against ONE merchant and returns sorted failure / warning lists.
 // This is how the twin detects failures BEFORE the merchant even tries.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
 
-export function scanAllFailures(merchant) {
+function scanResults(merchant, keep) {
   const results = [];
 
-  Object.keys(RULES).forEach(actionKey => {
+  getRuleKeys().forEach(actionKey => {
     const result = evaluateAction(merchant, actionKey);
-    const meta = RULE_METADATA[actionKey];
+    const meta = getRuleMeta(actionKey);
 
-    if (!result.success) {
+    if (keep(result)) {
       results.push({
         actionKey,
         actionLabel: meta.label,
@@ -576,12 +1002,21 @@ export function scanAllFailures(merchant) {
   return results;
 }
 
+export function scanAllFailures(merchant) {
+  return scanResults(merchant, result => result.success === false);
+}
+
+// Early warnings only — actions that still work but are one step from failing
+export function scanAllWarnings(merchant) {
+  return scanResults(merchant, result => result.success === "warn");
+}
+
 // Get pass/fail summary counts for a merchant
 export function getMerchantSummary(merchant) {
-  const all = Object.keys(RULES).map(key => ({
+  const all = getRuleKeys().map(key => ({
     key,
     result: evaluateAction(merchant, key),
-    meta: RULE_METADATA[key],
+    meta: getRuleMeta(key),
   }));
 
   const failures = all.filter(r => !r.result.success);
@@ -602,6 +1037,168 @@ export function getMerchantSummary(merchant) {
   };
 }
 
+// Rules whose verdict differs between two states of one merchant — e.g. before
+// and after an edit. [{ actionKey, label, before, after }], results in full.
+export function diffVerdicts(before, after) {
+  return getRuleKeys()
+    .map(key => ({ actionKey: key, label: getRuleMeta(key).label, before: evaluateAction(before, key), after: evaluateAction(after, key) }))
+    .filter(d => d.before.code !== d.after.code || d.before.success !== d.after.success);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 4B — ROOT CAUSES
+// Dependency model: one merchant condition explains failures across many
+// actions. A frozen account fails SETTLE_FUNDS, SIM_SWAP, BALANCE and
+// APPLICATION with four different codes — the fix is one call to compliance.
+// Roots are checked in order; a failure belongs to the first root whose test
+// holds for the merchant and whose codes include the failure code. Failures
+// no root explains stand alone under their own code.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const ROOT_CAUSES = [
+  { key: "ACCOUNT_FROZEN", label: "Account frozen", severity: "critical",
+    test: (m) => m.account_status === "frozen",
+    codes: ["ACC_FROZEN", "COMPLIANCE_FREEZE", "ACC_FROZEN_BAL", "ACC_FROZEN_APP", "ACC_NOT_ACTIVE", "ACC_INACTIVE_NOTIF"],
+    fix: "Contact Safaricom Business Compliance on 0722 000 100 to lift the freeze." },
+  { key: "ACCOUNT_SUSPENDED", label: "Account suspended", severity: "critical",
+    test: (m) => m.account_status === "suspended",
+    codes: ["ACC_SUSPENDED", "COMPLIANCE_HOLD", "ACC_SUSPENDED_UNLOCK", "ACC_SUSPENDED_APP", "ACC_NOT_ACTIVE", "ACC_INACTIVE_NOTIF"],
+    fix: "Call 100 or visit a Safaricom Shop with your National ID to lift the suspension." },
+  { key: "ACCOUNT_DORMANT", label: "Account dormant", severity: "high",
+    test: (m) => m.account_status === "dormant" || m.dormant_days >= 60,
+    codes: ["FULLY_DORMANT", "DORMANT_60", "ACC_NOT_ACTIVE", "ACC_INACTIVE_NOTIF"],
+    fix: "Make any transaction, or visit a Safaricom Shop with your National ID to reactivate." },
+  { key: "KYC_EXPIRED", label: "KYC expired", severity: "high",
+    test: (m) => m.kyc_status === "expired" || m.kyc_age_days > 365,
+    codes: ["KYC_EXPIRED", "KYC_OVERDUE_365", "KYC_EXPIRED_UNLOCK", "KYC_EXPIRED_APP"],
+    fix: "Renew KYC at any Safaricom Shop. Bring: National ID, Business Certificate, KRA PIN." },
+  { key: "KYC_PENDING", label: "KYC review in progress", severity: "medium",
+    test: (m) => m.kyc_status === "pending",
+    codes: ["KYC_PENDING", "KYC_REVIEW_ACTIVE", "KYC_PENDING_APP"],
+    fix: "Wait 24–48 hours for the KYC review to finish, or visit a Safaricom Shop to expedite it." },
+  { key: "SIM_SWAP", label: "Recent SIM swap", severity: "medium",
+    test: (m) => m.sim_status === "swapped",
+    codes: ["SIM_SWAP_HOLD", "SIM_SWAP_RECENT", "SIM_SWAP_KEY_HOLD", "SIM_SWAP_KYC_HOLD", "SIM_SWAP_PIN_UNLOCK", "SIM_NOTIF_UNREG"],
+    fix: "Post-swap security holds lift on their own; visit a Safaricom Shop with your original ID to lift them early and re-register notifications." },
+  { key: "PIN_LOCKED", label: "PIN locked", severity: "high",
+    test: (m) => m.pin_locked,
+    codes: ["PIN_LOCKED", "PIN_LOCKED_BAL"],
+    fix: "Reset your PIN at any Safaricom Shop with your National ID." },
+  { key: "NOTIFICATIONS_OFF", label: "Notifications disabled", severity: "low",
+    test: (m) => !m.notifications_enabled,
+    codes: ["NOTIF_DISABLED", "NOTIF_OFF"],
+    fix: "Enable notifications: App > Settings > Notifications > Enable All, or *234# > 3 > 4." },
+];
+
+// Root cause that explains a failure code, or null when it stands alone.
+// Without a merchant, only codes a single root claims can be attributed.
+export function rootCauseOf(code, merchant = null) {
+  if (merchant) {
+    const m = normalizeSensors(merchant);
+    return ROOT_CAUSES.find(root => root.codes.includes(code) && root.test(m)) || null;
+  }
+  const roots = ROOT_CAUSES.filter(root => root.codes.includes(code));
+  return roots.length === 1 ? roots[0] : null;
+}
+
+// Collapse failures (scanAllFailures output, or alerts mapped to { code,
+// severity, actionKey, inline, fix }) into one group per root cause, worst first.
+export function groupByRootCause(failures, merchant = null) {
+  const groups = {};
+  failures.forEach(f => {
+    const root = rootCauseOf(f.code, merchant);
+    const key = root ? root.key : f.code;
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        label: root ? root.label : (f.actionKey ? getRuleMeta(f.actionKey).label + " — " : "") + f.code,
+        isRoot: Boolean(root),
+        severity: root ? root.severity : f.severity,
+        fix: root ? root.fix : f.fix,
+        failures: [],
+        actionKeys: [],
+      };
+    }
+    const g = groups[key];
+    g.failures.push(f);
+    if (!g.actionKeys.includes(f.actionKey)) g.actionKeys.push(f.actionKey);
+    if ((SEVERITY_RANK[f.severity] || 0) > (SEVERITY_RANK[g.severity] || 0)) g.severity = f.severity;
+  });
+
+  return Object.values(groups).sort((a, b) =>
+    (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0) || b.failures.length - a.failures.length);
+}
+
+// One outreach message per merchant instead of one per failing action
+export function buildOutreachMessage(groups) {
+  if (!groups.length) return "";
+  return groups.map(g => g.isRoot
+    ? g.label + " — affects " + g.actionKeys.map(k => getRuleMeta(k).label).join(", ") + ". " + g.fix
+    : (g.failures[0].inline || g.label) + " " + (g.fix || "")
+  ).join("\n");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 4C — PROJECTIONS
+// Time-travel evaluation: age the merchant's day-counters forward and report
+// the first day each rule flips to failing, assuming nothing else changes
+// (no transactions, no KYC renewal, no operator login).
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Y-M-D on the operator's calendar, not UTC's — Nairobi is UTC+3
+export function localDate(date = new Date()) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// The merchant as it will look `days` from now (merchantDataModel.js § 7)
+export function advanceMerchant(merchant, days) {
+  return ageMerchant(merchant, days);
+}
+
+// [{ actionKey, actionLabel, daysUntil, date, code, severity, inline, ... }]
+// for every rule that passes (or only warns) today but fails within the horizon.
+export function projectFailures(merchant, { horizonDays = 14, asOf = new Date() } = {}) {
+  const pending = getRuleKeys().filter(key => evaluateAction(merchant, key).success !== false);
+  const projections = [];
+
+  for (let day = 1; day <= horizonDays && pending.length; day++) {
+    const future = advanceMerchant(merchant, day);
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const actionKey = pending[i];
+      const result = evaluateAction(future, actionKey);
+      if (result.success !== false) continue;
+      const meta = getRuleMeta(actionKey);
+      projections.push({
+        actionKey,
+        actionLabel: meta.label,
+        demand_rank: meta.demand_rank,
+        demand_total: meta.demand_total,
+        daysUntil: day,
+        date: localDate(addDays(asOf, day)),
+        ...result,
+      });
+      pending.splice(i, 1);
+    }
+  }
+
+  return projections.sort((a, b) =>
+    a.daysUntil - b.daysUntil || (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0));
+}
+
+// Fleet-wide "failing in the next N days" list, soonest first
+export function projectFleetFailures(merchants, options = {}) {
+  return merchants
+    .flatMap(merchant => projectFailures(merchant, options).map(p => ({ merchant, ...p })))
+    .sort((a, b) => a.daysUntil - b.daysUntil || (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0));
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // SECTION 5 — BATCH SCANNER
@@ -613,26 +1210,29 @@ export function scanMerchantBatch(merchants) {
   const merchantResults = merchants.map(merchant => ({
     merchant,
     failures: scanAllFailures(merchant),
+    warnings: scanAllWarnings(merchant),
     summary: getMerchantSummary(merchant),
-  }));
+  })).map(r => ({ ...r, rootCauses: groupByRootCause(r.failures, r.merchant) }));
 
   // Fleet-level stats
   const totalMerchants = merchants.length;
   const merchantsWithCritical = merchantResults.filter(r => r.summary.bySeverity.critical > 0).length;
   const merchantsWithAnyFailure = merchantResults.filter(r => r.summary.failures > 0).length;
+  // Early warning: nothing failing yet, but at least one action one step away
+  const merchantsAtRisk = merchantResults.filter(r => r.summary.failures === 0 && r.summary.warnings > 0).length;
   const totalCallsAtRisk = merchantResults.reduce((sum, r) => sum + r.summary.callsAtRisk, 0);
 
-  // Most common failure across fleet
-  const failureFrequency = {};
-  merchantResults.forEach(({ failures }) => {
-    failures.forEach(f => {
-      failureFrequency[f.code] = (failureFrequency[f.code] || 0) + 1;
+  // Most common failure / warning codes across fleet
+  const topCodes = (key) => {
+    const frequency = {};
+    merchantResults.forEach(r => {
+      r[key].forEach(f => { frequency[f.code] = (frequency[f.code] || 0) + 1; });
     });
-  });
-  const topFailures = Object.entries(failureFrequency)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([code, count]) => ({ code, count, pct: Math.round((count / totalMerchants) * 100) }));
+    return Object.entries(frequency)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([code, count]) => ({ code, count, pct: Math.round((count / totalMerchants) * 100) }));
+  };
 
   return {
     merchantResults,
@@ -640,14 +1240,80 @@ export function scanMerchantBatch(merchants) {
       totalMerchants,
       merchantsWithCritical,
       merchantsWithAnyFailure,
-      healthyMerchants: totalMerchants - merchantsWithAnyFailure,
+      merchantsAtRisk,
+      healthyMerchants: totalMerchants - merchantsWithAnyFailure - merchantsAtRisk,
+      totalWarnings: merchantResults.reduce((sum, r) => sum + r.summary.warnings, 0),
       totalCallsAtRisk,
-      topFailures,
+      topFailures: topCodes("failures"),
+      topWarnings: topCodes("warnings"),
     },
   };
 }
 
 
+// One risk-matrix row per merchant: { merchant, results: { [actionKey]: result } }.
+// Pure, so the batch scanner runs it the same in batchScanWorker.js or inline.
+export function scanMatrixRows(merchants, actionKeys) {
+  return merchants.map(merchant => ({
+    merchant,
+    results: Object.fromEntries(actionKeys.map(key => [key, evaluateAction(merchant, key)])),
+  }));
+}
+
+// Dry run of an unsaved rule edit across the fleet. `draft` is a rule record
+// ({ action_key, conditions, ok_message, demand_total }); a draft without
+// conditions falls back to the built-in rule, as it will once saved.
+// Returns the merchants whose verdict flips and the callsAtRisk change.
+export function previewRuleImpact(merchants, draft) {
+  const actionKey = draft.action_key;
+  const conditions = parseConditions(draft.conditions);
+  // A disabled draft is skipped by loadRuleDefinitions, so the key falls back to its built-in rule
+  const enabled = draft.enabled === undefined || draft.enabled === null || toFlag(draft.enabled);
+  const evaluateDraft = conditions.length && enabled
+    ? (m) => evaluateDefinition(m, { ...draft, conditions })
+    : (m) => (RULES[actionKey] ? runSafely(RULES[actionKey], m) : ok("Action not found in rules engine."));
+
+  // Built-in keys keep their RULE_METADATA demand, exactly as getMerchantSummary counts it
+  const demandBefore = getRuleMeta(actionKey).demand_total || 0;
+  const demandAfter = RULE_METADATA[actionKey] ? demandBefore : parseFloat(draft.demand_total) || 0;
+
+  const flippedToFail = [];
+  const flippedToPass = [];
+  const codeChanged = [];
+  let failingBefore = 0, failingAfter = 0, callsAtRiskBefore = 0, callsAtRiskAfter = 0;
+
+  merchants.forEach(merchant => {
+    const before = evaluateAction(merchant, actionKey);
+    const after = evaluateDraft(merchant);
+    const failedBefore = before.success === false;
+    const failedAfter = after.success === false;
+    const callsBefore = getMerchantSummary(merchant).callsAtRisk;
+
+    callsAtRiskBefore += callsBefore;
+    callsAtRiskAfter += callsBefore - (failedBefore ? demandBefore : 0) + (failedAfter ? demandAfter : 0);
+    if (failedBefore) failingBefore++;
+    if (failedAfter) failingAfter++;
+
+    const row = { merchant, before, after };
+    if (!failedBefore && failedAfter) flippedToFail.push(row);
+    else if (failedBefore && !failedAfter) flippedToPass.push(row);
+    else if (failedBefore && failedAfter && before.code !== after.code) codeChanged.push(row);
+  });
+
+  return {
+    actionKey,
+    totalMerchants: merchants.length,
+    failingBefore,
+    failingAfter,
+    flippedToFail,
+    flippedToPass,
+    codeChanged,
+    callsAtRiskBefore,
+    callsAtRiskAfter,
+    callsAtRiskDelta: callsAtRiskAfter - callsAtRiskBefore,
+  };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SECTION 6 — MENU STRUCTURE
 // Exported here so the simulator (Step 3) and dashboard (Step 4)
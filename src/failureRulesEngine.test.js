@@ -0,0 +1,289 @@
+import {
+  RULE_METADATA,
+  buildOutreachMessage,
+  evaluateAction,
+  evaluateDefinition,
+  explainAction,
+  getMerchantSummary,
+  advanceMerchant,
+  diffVerdicts,
+  groupByRootCause,
+  loadRuleDefinitions,
+  previewRuleImpact,
+  projectFailures,
+  projectFleetFailures,
+  rootCauseOf,
+  scanAllFailures,
+  scanAllWarnings,
+  scanMatrixRows,
+  scanMerchantBatch,
+  validateConditions,
+} from "./failureRulesEngine";
+import { HEALTHY_MERCHANT, RULE_FIXTURES, fixtureMerchant, runAllFixtureSuites, runFixtureSuite } from "./failureRuleFixtures";
+
+afterEach(() => loadRuleDefinitions([]));
+
+describe.each(Object.keys(RULE_METADATA))("%s fixtures", (actionKey) => {
+  test("has a suite", () => {
+    expect(RULE_FIXTURES[actionKey]?.length).toBeGreaterThan(1);
+  });
+
+  test.each(RULE_FIXTURES[actionKey] || [])("$name → $expected", ({ overrides, expected }) => {
+    expect(evaluateAction(fixtureMerchant(overrides), actionKey).code).toBe(expected);
+  });
+});
+
+test("runAllFixtureSuites reports every suite green", () => {
+  runAllFixtureSuites().forEach(suite => {
+    expect(suite.failed).toBe(0);
+  });
+});
+
+test("runFixtureSuite catches a draft that breaks an expected verdict", () => {
+  const draft = {
+    action_key: "SETTLE_FUNDS",
+    conditions: [{ when: [{ field: "balance", op: "lte", value: 0 }], outcome: "fail", code: "ZERO_BALANCE", severity: "low", inline: "No funds." }],
+  };
+  const suite = runFixtureSuite("SETTLE_FUNDS", m => evaluateDefinition(m, draft));
+  expect(suite.failed).toBeGreaterThan(0);
+  expect(suite.cases.find(c => c.name === "frozen account")).toMatchObject({ passed: false, actual: "OK", expected: "ACC_FROZEN" });
+});
+
+test("conditions are checked against the merchant schema", () => {
+  const rule = (when) => [{ when, outcome: "fail", code: "X", severity: "low", inline: "x" }];
+  expect(validateConditions(rule([{ field: "account_status", op: "in", value: "frozen, suspended" }]))).toEqual([]);
+  expect(validateConditions(rule([{ field: "acount_status", op: "eq", value: "frozen" }]))).toEqual(["Condition 1: unknown merchant field 'acount_status'."]);
+  expect(validateConditions(rule([{ field: "kyc_status", op: "eq", value: "lapsed" }]))[0]).toMatch(/kyc_status has no value 'lapsed'/);
+  expect(validateConditions(rule([{ field: "sim_status", op: "gt", value: 3 }]))[0]).toMatch(/sim_status is not numeric/);
+  expect(validateConditions(rule([{ field: "balance", op: "is_true" }]))[0]).toMatch(/balance is not a yes\/no field/);
+});
+
+test("declarative definitions override the built-in rule", () => {
+  loadRuleDefinitions([{
+    action_key: "BALANCE",
+    conditions: JSON.stringify([{ when: [{ field: "balance", op: "lt", value: 100 }], outcome: "fail", code: "LOW_FLOAT", severity: "low", inline: "Float below KES 100." }]),
+  }]);
+  expect(evaluateAction(fixtureMerchant({ balance: 50 }), "BALANCE").code).toBe("LOW_FLOAT");
+  expect(runFixtureSuite("BALANCE").failed).toBeGreaterThan(0);
+});
+
+test("a definition disabled in the catalog does not override the built-in rule", () => {
+  const record = {
+    action_key: "BALANCE",
+    conditions: [{ when: [{ field: "balance", op: "lt", value: 100 }], outcome: "fail", code: "LOW_FLOAT", severity: "low", inline: "Float below KES 100." }],
+  };
+  [0, false, "0"].forEach(enabled => {
+    expect(loadRuleDefinitions([{ ...record, enabled }])).toEqual([]);
+    expect(evaluateAction(fixtureMerchant({ balance: 50 }), "BALANCE").code).not.toBe("LOW_FLOAT");
+  });
+  expect(loadRuleDefinitions([{ ...record, enabled: 1 }])).toEqual(["BALANCE"]);
+});
+
+describe("scanAllFailures", () => {
+  test("healthy merchant has no failures", () => {
+    expect(scanAllFailures(HEALTHY_MERCHANT)).toEqual([]);
+  });
+
+  test("sorts by severity, then demand rank", () => {
+    const failures = scanAllFailures(fixtureMerchant({ account_status: "frozen", balance: 0 }));
+    const ranks = { critical: 4, high: 3, medium: 2, low: 1 };
+    const sortKey = f => (5 - ranks[f.severity]) * 100 + f.demand_rank;
+    const keys = failures.map(sortKey);
+    expect(failures.length).toBeGreaterThan(1);
+    expect(keys).toEqual([...keys].sort((a, b) => a - b));
+  });
+});
+
+describe("scanAllWarnings", () => {
+  test("healthy merchant has no warnings", () => {
+    expect(scanAllWarnings(HEALTHY_MERCHANT)).toEqual([]);
+  });
+
+  test("an early-warning merchant has warnings but no failures", () => {
+    const merchant = fixtureMerchant({ pin_attempts: 2, balance: 300 });
+    expect(scanAllFailures(merchant)).toEqual([]);
+    expect(scanAllWarnings(merchant).map(w => w.code)).toEqual(expect.arrayContaining(["PIN_ATTEMPTS_HIGH", "LOW_BALANCE"]));
+    expect(getMerchantSummary(merchant).callsAtRisk).toBe(0);
+  });
+
+  test("batch fleet stats count at-risk merchants apart from healthy ones", () => {
+    const { fleet, merchantResults } = scanMerchantBatch([
+      fixtureMerchant({ id: "A" }),
+      fixtureMerchant({ id: "B", dormant_days: 40 }),
+      fixtureMerchant({ id: "C", account_status: "frozen" }),
+    ]);
+    expect(fleet).toMatchObject({ healthyMerchants: 1, merchantsAtRisk: 1, merchantsWithAnyFailure: 1 });
+    expect(fleet.topWarnings[0].code).toBe("DORMANCY_APPROACHING");
+    expect(merchantResults[1].warnings.map(w => w.code)).toContain("DORMANCY_APPROACHING");
+  });
+});
+
+test("scanMatrixRows evaluates each requested rule per merchant", () => {
+  const rows = scanMatrixRows([fixtureMerchant({ id: "A" }), fixtureMerchant({ id: "B", pin_locked: 1 })], ["BALANCE", "PIN_PUK"]);
+  expect(rows.map(r => r.merchant.id)).toEqual(["A", "B"]);
+  expect(Object.keys(rows[0].results)).toEqual(["BALANCE", "PIN_PUK"]);
+  expect(rows[1].results.BALANCE.code).toBe("PIN_LOCKED_BAL");
+});
+
+describe("getMerchantSummary", () => {
+  test("healthy merchant passes every rule", () => {
+    const summary = getMerchantSummary(HEALTHY_MERCHANT);
+    expect(summary.total).toBe(Object.keys(RULE_METADATA).length);
+    expect(summary.failures).toBe(0);
+    expect(summary.callsAtRisk).toBe(0);
+  });
+
+  test("calls at risk sum the demand of failing rules", () => {
+    const merchant = fixtureMerchant({ account_status: "frozen" });
+    const expected = scanAllFailures(merchant).reduce((sum, f) => sum + f.demand_total, 0);
+    expect(getMerchantSummary(merchant).callsAtRisk).toBe(expected);
+  });
+});
+
+test("diffVerdicts lists only the rules an edit flips", () => {
+  const before = fixtureMerchant();
+  const diff = diffVerdicts(before, { ...before, pin_locked: "1" });
+  expect(diff.length).toBeGreaterThan(0);
+  expect(diff.find(d => d.actionKey === "PIN_PUK")).toMatchObject({ label: "Change / Reset PIN", before: { code: "OK" }, after: { code: "PIN_LOCKED" } });
+  diff.forEach(d => expect(d.before.code).not.toBe(d.after.code));
+  expect(diffVerdicts(before, { ...before, county: "Kisumu" })).toEqual([]);
+});
+
+describe("previewRuleImpact", () => {
+  const fleet = [
+    fixtureMerchant({ id: "A" }),
+    fixtureMerchant({ id: "B", balance: 50 }),
+    fixtureMerchant({ id: "C", account_status: "frozen" }),
+  ];
+  const lowFloat = [{ when: [{ field: "balance", op: "lt", value: 100 }], outcome: "fail", code: "LOW_FLOAT", severity: "low", inline: "Float low." }];
+
+  test("reports merchants that flip either way", () => {
+    const impact = previewRuleImpact(fleet, { action_key: "BALANCE", conditions: lowFloat });
+    expect(impact.flippedToFail.map(r => r.merchant.id)).toEqual(["B"]);
+    expect(impact.flippedToPass.map(r => r.merchant.id)).toEqual(["C"]);
+    expect(impact.callsAtRiskDelta).toBe(0);
+  });
+
+  test("new rules add their demand to calls at risk", () => {
+    const impact = previewRuleImpact(fleet, { action_key: "LOW_FLOAT", demand_total: 500, conditions: lowFloat });
+    expect(impact.failingBefore).toBe(0);
+    expect(impact.failingAfter).toBe(1);
+    expect(impact.callsAtRiskAfter - impact.callsAtRiskBefore).toBe(500);
+  });
+
+  test("a draft without conditions matches the built-in rule", () => {
+    const impact = previewRuleImpact(fleet, { action_key: "BALANCE", conditions: [] });
+    expect(impact.flippedToFail).toHaveLength(0);
+    expect(impact.flippedToPass).toHaveLength(0);
+  });
+
+  test("a disabled draft previews what the engine will run once it is saved", () => {
+    const builtIn = previewRuleImpact(fleet, { action_key: "BALANCE", enabled: 0, conditions: lowFloat });
+    expect(builtIn.flippedToFail).toHaveLength(0);
+    expect(builtIn.flippedToPass).toHaveLength(0);
+
+    const fresh = previewRuleImpact(fleet, { action_key: "LOW_FLOAT", enabled: false, demand_total: 500, conditions: lowFloat });
+    expect(fresh.failingAfter).toBe(0);
+    expect(fresh.callsAtRiskDelta).toBe(0);
+  });
+});
+
+describe("explainAction", () => {
+  test("agrees with evaluateAction on every fixture", () => {
+    Object.entries(RULE_FIXTURES).forEach(([actionKey, cases]) => {
+      cases.forEach(({ overrides, expected }) => {
+        expect(explainAction(fixtureMerchant(overrides), actionKey).result.code).toBe(expected);
+      });
+    });
+  });
+
+  test("lists every blocker, not just the first", () => {
+    const merchant = fixtureMerchant({ account_status: "frozen", kyc_status: "expired", sim_status: "swapped", sim_swap_days_ago: 3 });
+    const trace = explainAction(merchant, "SETTLE_FUNDS");
+    expect(trace.source).toBe("built-in");
+    expect(trace.blockers.map(b => b.code)).toEqual(["ACC_FROZEN", "KYC_EXPIRED", "SIM_SWAP_HOLD"]);
+    expect(trace.steps.find(s => s.decisive)).toMatchObject({ code: "ACC_FROZEN", reached: true, reads: { account_status: "frozen" } });
+    expect(trace.steps.find(s => s.code === "SIM_SWAP_HOLD")).toMatchObject({ reached: false, reads: { sim_status: "swapped", sim_swap_days_ago: 3 } });
+  });
+
+  test("traces declarative conditions clause by clause", () => {
+    loadRuleDefinitions([{
+      action_key: "BALANCE",
+      conditions: [
+        { when: [{ field: "pin_locked", op: "is_true" }], outcome: "fail", code: "LOCKED", severity: "high", inline: "Locked." },
+        { when: [{ field: "balance", op: "lt", value: 100 }], outcome: "warn", code: "LOW_FLOAT", severity: "low", inline: "Low." },
+      ],
+    }]);
+    const trace = explainAction(fixtureMerchant({ pin_locked: 1, balance: 50 }), "BALANCE");
+    expect(trace.source).toBe("declarative");
+    expect(trace.result.code).toBe("LOCKED");
+    expect(trace.blockers.map(b => b.code)).toEqual(["LOCKED", "LOW_FLOAT"]);
+    expect(trace.steps[1]).toMatchObject({ reached: false, matched: true, clauses: [{ field: "balance", actual: 50, matched: true }] });
+  });
+});
+
+describe("root causes", () => {
+  test("a frozen account collapses into one group with one fix", () => {
+    const merchant = fixtureMerchant({ account_status: "frozen" });
+    const groups = groupByRootCause(scanAllFailures(merchant), merchant);
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ key: "ACCOUNT_FROZEN", isRoot: true, severity: "critical" });
+    expect(groups[0].actionKeys).toEqual(expect.arrayContaining(["SETTLE_FUNDS", "SIM_SWAP", "APPLICATION"]));
+  });
+
+  test("independent conditions stay separate", () => {
+    const merchant = fixtureMerchant({ account_status: "frozen", start_key_status: "expired", pin_locked: true });
+    const keys = groupByRootCause(scanAllFailures(merchant), merchant).map(g => g.key);
+    expect(keys).toEqual(expect.arrayContaining(["ACCOUNT_FROZEN", "START_KEY_EXPIRED", "PIN_LOCKED"]));
+    expect(keys).toHaveLength(3);
+  });
+
+  test("ambiguous codes need the merchant to attribute", () => {
+    expect(rootCauseOf("ACC_NOT_ACTIVE")).toBeNull();
+    expect(rootCauseOf("ACC_NOT_ACTIVE", fixtureMerchant({ account_status: "suspended" })).key).toBe("ACCOUNT_SUSPENDED");
+    expect(rootCauseOf("KYC_EXPIRED_APP").key).toBe("KYC_EXPIRED");
+  });
+
+  test("outreach is one line per root cause", () => {
+    const merchant = fixtureMerchant({ account_status: "suspended" });
+    const message = buildOutreachMessage(groupByRootCause(scanAllFailures(merchant), merchant));
+    expect(message.split("\n")).toHaveLength(1);
+    expect(message).toMatch(/^Account suspended — affects /);
+  });
+});
+
+describe("projections", () => {
+  // Half past midnight on 1 March, local time — still 28 February in UTC east of Greenwich
+  const asOf = new Date(2026, 2, 1, 0, 30);
+
+  test("advanceMerchant ages counters and lapses KYC past a year", () => {
+    const future = advanceMerchant(fixtureMerchant({ kyc_age_days: "360", sim_swap_days_ago: null }), 10);
+    expect(future).toMatchObject({ kyc_age_days: 370, dormant_days: 13, sim_swap_days_ago: null, kyc_status: "expired" });
+  });
+
+  test("healthy merchant has nothing due in the next 14 days", () => {
+    expect(projectFailures(HEALTHY_MERCHANT, { asOf })).toEqual([]);
+  });
+
+  test("reports the first failing day and date per rule", () => {
+    const projections = projectFailures(fixtureMerchant({ dormant_days: 55, kyc_age_days: 300 }), { asOf });
+    const dormant = projections.find(p => p.actionKey === "ACCOUNT_STATUS");
+    expect(dormant).toMatchObject({ daysUntil: 5, date: "2026-03-06", code: "DORMANT_60" });
+    expect(projections.every(p => p.daysUntil <= 14)).toBe(true);
+    expect(projections.map(p => p.daysUntil)).toEqual([...projections.map(p => p.daysUntil)].sort((a, b) => a - b));
+  });
+
+  test("rules already failing today are not projected", () => {
+    const merchant = fixtureMerchant({ account_status: "frozen", dormant_days: 55 });
+    const failingNow = scanAllFailures(merchant).map(f => f.actionKey);
+    expect(projectFailures(merchant, { asOf }).filter(p => failingNow.includes(p.actionKey))).toEqual([]);
+  });
+
+  test("fleet projections carry the merchant and respect the horizon", () => {
+    const fleet = [fixtureMerchant({ id: "A" }), fixtureMerchant({ id: "B", kyc_age_days: 360 })];
+    expect(projectFleetFailures(fleet, { horizonDays: 3, asOf })).toEqual([]);
+    const soon = projectFleetFailures(fleet, { horizonDays: 14, asOf });
+    expect(soon.length).toBeGreaterThan(0);
+    expect(soon.every(p => p.merchant.id === "B" && p.daysUntil === 6)).toBe(true);
+  });
+});
@@ -1,152 +1,17 @@
 // RulesEngine.jsx
-// Rules Engine — 5 tabs: Catalog · Evaluator · Pre-Scanner · Batch Scanner · Provision
-// Zero hardcoded data — all from http://localhost:4000/api/v1
+// Rules Engine — 7 tabs: Catalog · Evaluator · Pre-Scanner · Batch Scanner · Provision · History · Tests
+// Zero hardcoded data — all from the active API environment (api/env.js)
 // Mission: reduce call-centre demand through proactive automation
 
-import { useState, useEffect, useCallback, useRef } from "react";
-
-// ─── API CLIENT ───────────────────────────────────────────────────────────────
-const BASE = "http://localhost:4000/api/v1";
-const api = {
-  get:    (p)    => fetch(`${BASE}${p}`).then(r => r.json()),
-  post:   (p, b) => fetch(`${BASE}${p}`, { method:"POST",  headers:{"Content-Type":"application/json"}, body:JSON.stringify(b) }).then(r => r.json()),
-  put:    (p, b) => fetch(`${BASE}${p}`, { method:"PUT",   headers:{"Content-Type":"application/json"}, body:JSON.stringify(b) }).then(r => r.json()),
-  delete: (p)    => fetch(`${BASE}${p}`, { method:"DELETE" }).then(r => r.json()),
-  upload: (p, f) => fetch(`${BASE}${p}`, { method:"POST", body:f }).then(r => r.json()),
-};
-
-// ─── RULE EVALUATION ENGINE (mirrors backend logic) ────────────────────────
-// Evaluates a merchant object against each rule's action_key
-// Returns { passed, errorCode, severity, inlineMessage, fixMessage }
-function evaluateRule(actionKey, merchant) {
-  const checks = {
-    SETTLE_FUNDS: () => {
-      if (merchant.settlement_on_hold == 1 || merchant.settlement_on_hold === true)
-        return { passed:false, errorCode:"SETTLEMENT_HOLD", severity:"critical",
-          inlineMessage:"Settlement funds are on hold — merchant cannot receive payouts",
-          fixMessage:"Verify KYC compliance and lift hold via admin portal" };
-      if (merchant.account_status !== "active")
-        return { passed:false, errorCode:"ACCOUNT_INACTIVE", severity:"high",
-          inlineMessage:"Account not active — settlement blocked",
-          fixMessage:"Reactivate account before releasing funds" };
-      return { passed:true };
-    },
-    PIN_PUK: () => {
-      if (merchant.pin_locked == 1 || merchant.pin_locked === true)
-        return { passed:false, errorCode:"PIN_LOCKED", severity:"high",
-          inlineMessage:"PIN is locked after too many failed attempts",
-          fixMessage:"Reset PIN via self-service USSD *234*0# or contact centre" };
-      if (parseInt(merchant.pin_attempts) >= 2)
-        return { passed:false, errorCode:"PIN_ATTEMPTS_HIGH", severity:"medium",
-          inlineMessage:`${merchant.pin_attempts}/3 failed PIN attempts — approaching lockout`,
-          fixMessage:"Advise merchant to reset PIN before next attempt" };
-      return { passed:true };
-    },
-    SIM_SWAP: () => {
-      if (merchant.sim_status === "unregistered")
-        return { passed:false, errorCode:"SIM_UNREGISTERED", severity:"critical",
-          inlineMessage:"SIM not registered — service will be blocked by CBK mandate",
-          fixMessage:"Register SIM immediately at Safaricom agent" };
-      if (merchant.sim_status === "swapped")
-        return { passed:false, errorCode:"SIM_RECENTLY_SWAPPED", severity:"medium",
-          inlineMessage:"SIM was recently swapped — 24h hold applies to transactions",
-          fixMessage:"Wait out the 24h hold or escalate for early clearance" };
-      return { passed:true };
-    },
-    ACCOUNT_STATUS: () => {
-      if (merchant.account_status === "frozen")
-        return { passed:false, errorCode:"ACCOUNT_FROZEN", severity:"critical",
-          inlineMessage:"Account is frozen — all services suspended",
-          fixMessage:"Contact compliance team to initiate unfreeze procedure" };
-      if (merchant.account_status === "suspended")
-        return { passed:false, errorCode:"ACCOUNT_SUSPENDED", severity:"high",
-          inlineMessage:"Account is suspended",
-          fixMessage:"Resolve outstanding compliance flags to reinstate" };
-      return { passed:true };
-    },
-    START_KEY: () => {
-      if (merchant.start_key_status === "expired" || merchant.start_key_status === "invalid")
-        return { passed:false, errorCode:"START_KEY_INVALID", severity:"high",
-          inlineMessage:`Start key is ${merchant.start_key_status} — LNM transactions will fail`,
-          fixMessage:"Re-register start key via merchant portal or USSD" };
-      return { passed:true };
-    },
-    STATEMENT: () => {
-      if (merchant.account_status !== "active")
-        return { passed:false, errorCode:"NO_STATEMENT_ACCESS", severity:"medium",
-          inlineMessage:"Account inactive — statement access restricted",
-          fixMessage:"Reactivate account to restore full statement access" };
-      return { passed:true };
-    },
-    KYC_CHANGE: () => {
-      if (merchant.kyc_status === "expired")
-        return { passed:false, errorCode:"KYC_EXPIRED", severity:"critical",
-          inlineMessage:`KYC expired (${merchant.kyc_age_days || "?"} days old) — CBK compliance breach`,
-          fixMessage:"Submit updated KYC documents immediately via merchant portal" };
-      if (merchant.kyc_status === "pending")
-        return { passed:false, errorCode:"KYC_PENDING", severity:"medium",
-          inlineMessage:"KYC verification pending",
-          fixMessage:"Follow up with compliance team on pending KYC submission" };
-      if (parseInt(merchant.kyc_age_days) > 300)
-        return { passed:false, errorCode:"KYC_EXPIRING_SOON", severity:"low",
-          inlineMessage:`KYC expires in ~${365 - parseInt(merchant.kyc_age_days)} days`,
-          fixMessage:"Schedule KYC renewal to avoid service interruption" };
-      return { passed:true };
-    },
-    NOTIFICATIONS: () => {
-      if (!merchant.notifications_enabled || merchant.notifications_enabled == 0)
-        return { passed:false, errorCode:"NOTIFICATIONS_OFF", severity:"low",
-          inlineMessage:"Transaction notifications disabled — merchant won't receive alerts",
-          fixMessage:"Enable notifications via *234# or M-PESA app settings" };
-      return { passed:true };
-    },
-    BALANCE: () => {
-      const bal = parseFloat(merchant.balance) || 0;
-      if (bal === 0)
-        return { passed:false, errorCode:"ZERO_BALANCE", severity:"medium",
-          inlineMessage:"Float balance is zero — outgoing transactions will fail",
-          fixMessage:"Top up float via bank transfer or Safaricom agent" };
-      if (bal < 500)
-        return { passed:false, errorCode:"LOW_BALANCE", severity:"low",
-          inlineMessage:`Float balance critically low (KES ${bal.toLocaleString()})`,
-          fixMessage:"Top up float soon to avoid service disruption" };
-      return { passed:true };
-    },
-    DORMANT_OP: () => {
-      const days = parseInt(merchant.operator_dormant_days) || 0;
-      if (days >= 90)
-        return { passed:false, errorCode:"OPERATOR_DORMANT", severity:"high",
-          inlineMessage:`Operator account dormant for ${days} days — auto-suspension imminent`,
-          fixMessage:"Process any transaction to reactivate operator account" };
-      if (days >= 30)
-        return { passed:false, errorCode:"OPERATOR_INACTIVE", severity:"medium",
-          inlineMessage:`Operator inactive for ${days} days`,
-          fixMessage:"Advise merchant to log in and process a test transaction" };
-      return { passed:true };
-    },
-    PIN_UNLOCK: () => {
-      if (merchant.pin_locked == 1 || merchant.pin_locked === true)
-        return { passed:false, errorCode:"PIN_NEEDS_UNLOCK", severity:"high",
-          inlineMessage:"PIN is locked — merchant cannot transact",
-          fixMessage:"Unlock via USSD self-service or agent-assisted reset" };
-      return { passed:true };
-    },
-    APPLICATION: () => {
-      if (merchant.account_status === "frozen" || merchant.account_status === "suspended")
-        return { passed:false, errorCode:"APPLICATION_BLOCKED", severity:"high",
-          inlineMessage:"Account issues blocking application processing",
-          fixMessage:"Resolve account status before resubmitting application" };
-      if (merchant.kyc_status !== "verified")
-        return { passed:false, errorCode:"KYC_NOT_VERIFIED", severity:"medium",
-          inlineMessage:"KYC must be verified before application can proceed",
-          fixMessage:"Complete KYC verification first" };
-      return { passed:true };
-    },
-  };
-  const fn = checks[actionKey];
-  if (!fn) return { passed:true, errorCode:null, severity:"info", inlineMessage:"No evaluation logic for this rule", fixMessage:"" };
-  return fn();
-}
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { CONDITION_OPERATORS, RULE_METADATA, advanceMerchant, buildOutreachMessage, evaluateAction, evaluateDefinition, explainAction, groupByRootCause, localDate, parseConditions, previewRuleImpact, validateConditions, toEventSuccess } from "./failureRulesEngine";
+import { SENSOR_FIELDS } from "./merchantDataModel";
+import { RULE_FIXTURES, runAllFixtureSuites, runFixtureSuite } from "./failureRuleFixtures";
+import { createScanPool, runScanJob } from "./batchScanPool";
+import eventQueue from "./api/eventQueue";
+import outbox from "./api/outbox";
+import api, { getBase } from "./api/client";
+import { useAuth, useMerchants, useQuery, useRuleDefinitions } from "./hooks/useApi";
 
 // ─── HELPERS ──────────────────────────────────────────────────────────────────
 const SEV_COLOR = { critical:"#f87171", high:"#fb923c", medium:"#fbbf24", low:"#a3e635", info:"#60a5fa" };
@@ -198,6 +63,172 @@ function Toggle({ checked, onChange, disabled }) {
   );
 }
 
+// ─── RULE VERSION DIFF ────────────────────────────────────────────────────────
+// Versions come from GET /rules/:actionKey/versions with the full rule row as
+// `snapshot` (a JSON TEXT column). Diffs are computed field by field here.
+const VERSIONED_FIELDS = ["label","description","demand_total","demand_rank","enabled","automatable","ok_message"];
+
+function parseSnapshot(snapshot) {
+  if (!snapshot) return {};
+  if (typeof snapshot === "object") return snapshot;
+  try { return JSON.parse(snapshot); } catch { return {}; }
+}
+
+function diffRule(before, after) {
+  const changes = [];
+  VERSIONED_FIELDS.forEach(field => {
+    const a = before[field] ?? null, b = after[field] ?? null;
+    if (String(a) !== String(b)) changes.push({ field, before:a, after:b });
+  });
+  const ca = parseConditions(before.conditions), cb = parseConditions(after.conditions);
+  for (let i = 0; i < Math.max(ca.length, cb.length); i++) {
+    const a = ca[i] ? JSON.stringify(ca[i]) : null, b = cb[i] ? JSON.stringify(cb[i]) : null;
+    if (a !== b) changes.push({ field:`conditions[${i + 1}]`, before:a, after:b });
+  }
+  return changes;
+}
+
+// The version in force at the end of `date` (YYYY-MM-DD) — latest one created on or before it
+function versionInForce(versions, date) {
+  if (!date) return null;
+  const cutoff = new Date(`${date}T23:59:59`);
+  return versions
+    .filter(v => new Date(v.created_at) <= cutoff)
+    .sort((a, b) => b.version - a.version)[0] || null;
+}
+
+const SEGMENT_FIELDS = [
+  { key:"county",            label:"County" },
+  { key:"business_category", label:"Category" },
+  { key:"network_type",      label:"Network" },
+  { key:"literacy_tier",     label:"Literacy" },
+  { key:"transaction_tier",  label:"Txn Tier" },
+];
+
+const PAGE_SIZE = 500;        // merchants per /merchants page
+const SCAN_CHUNK_SIZE = 100;  // merchants per worker message
+const SAMPLE_SIZE = 10;
+const MATRIX_ROW_HEIGHT = 34;
+
+// The operator's calendar date, not UTC's
+const today = () => localDate();
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000));
+}
+
+// ─── AS-OF MERCHANT SNAPSHOTS ─────────────────────────────────────────────────
+// A past date reads api.snapshots.asOf — the latest stored state of each merchant
+// on or before that date — and ages its day-counters from taken_at to the as-of
+// date. A future date has no snapshots, so today's merchants are projected forward.
+async function loadMerchantPage(asOf, offset) {
+  const live = !asOf || asOf >= today();
+  const page = { limit: PAGE_SIZE, offset };
+  const rows = await (live ? api.merchants.list(page) : api.snapshots.asOf(asOf, page));
+  if (!Array.isArray(rows)) throw new Error(rows?.error || (live ? "No merchants returned" : `No snapshots for ${asOf}`));
+  if (live) return !asOf || asOf === today() ? rows : rows.map(m => advanceMerchant(m, daysBetween(today(), asOf)));
+  return rows.map(row => {
+    const merchant = { ...parseSnapshot(row.snapshot), id: row.merchant_id };
+    const age = row.taken_at ? daysBetween(row.taken_at.slice(0, 10), asOf) : 0;
+    return { ...(age > 0 ? advanceMerchant(merchant, age) : merchant), taken_at: row.taken_at };
+  });
+}
+
+// Every live merchant, page by page — the population a rule dry run is measured on
+async function loadFleet() {
+  const fleet = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await loadMerchantPage(null, offset);
+    fleet.push(...page);
+    if (page.length < PAGE_SIZE) return fleet;
+  }
+}
+
+function inSegment(merchant, segment) {
+  return Object.entries(segment).every(([field, value]) => !value || merchant[field] === value);
+}
+
+// ─── BATCH SCAN TALLY ─────────────────────────────────────────────────────────
+// Running summary of a streamed scan, updated chunk by chunk.
+function newTally(actionKeys) {
+  return {
+    scanned: 0,
+    ruleStats: Object.fromEntries(actionKeys.map(k => [k, { pass:0, warn:0, fail:0, critical:0, high:0, medium:0, low:0 }])),
+    totalCallsAtRisk: 0,
+    criticalMerchants: 0,
+    healthyMerchants: 0,
+    earlyWarningMerchants: 0,
+  };
+}
+
+function tallyRows(tally, rows, ruleMap) {
+  rows.forEach(row => {
+    let failed = false, warned = false, critical = false;
+    Object.entries(row.results).forEach(([key, res]) => {
+      const stat = tally.ruleStats[key];
+      if (res.success === true) {
+        stat.pass++;
+      } else if (res.success === "warn") {
+        stat.warn++;
+        warned = true;
+      } else {
+        stat.fail++;
+        stat[res.severity] = (stat[res.severity] || 0) + 1;
+        failed = true;
+        if (res.severity === "critical") critical = true;
+        if (ruleMap[key]?.demand_total) tally.totalCallsAtRisk += ruleMap[key].demand_total;
+      }
+    });
+    tally.scanned++;
+    if (critical) tally.criticalMerchants++;
+    if (!failed && !warned) tally.healthyMerchants++;
+    if (!failed && warned) tally.earlyWarningMerchants++;
+  });
+  return tally;
+}
+
+// Queue failed and early-warning results for /events — sent in batches
+function logScanEvents(rows, ruleMap, logged) {
+  rows.forEach(row => {
+    Object.entries(row.results).forEach(([key, res]) => {
+      if (res.success === true) return;
+      if (res.success === "warn") logged.warnings++; else logged.failures++;
+      eventQueue.push({
+        merchant_id: row.merchant.id,
+        merchant_name: row.merchant.business_name,
+        action_key: key,
+        action_label: ruleMap[key]?.label || key,
+        channel: "batch_scan",
+        success: toEventSuccess(res),
+        error_code: res.code,
+        severity: res.severity,
+        escalated: res.success === false && res.severity === "critical" ? 1 : 0,
+      });
+    });
+  });
+}
+
+// ─── VIRTUAL ROWS ─────────────────────────────────────────────────────────────
+// Renders only the rows in view (plus overscan), so a matrix of tens of
+// thousands of merchants scrolls without mounting them all.
+function VirtualRows({ count, rowHeight, height, width, renderRow, overscan = 8 }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last  = Math.min(count, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+  return (
+    <div onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ height:Math.min(height, count * rowHeight), overflowY:"auto", width }}>
+      <div style={{ height:count * rowHeight, position:"relative" }}>
+        {Array.from({ length:Math.max(0, last - first) }, (_, i) => first + i).map(index => (
+          <div key={index} style={{ position:"absolute", top:index * rowHeight, left:0, right:0, height:rowHeight }}>
+            {renderRow(index)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ─── TOAST ────────────────────────────────────────────────────────────────────
 function Toast({ toasts }) {
   return (
@@ -216,13 +247,380 @@ function Toast({ toasts }) {
   );
 }
 
+// ─── RULE TRACE ───────────────────────────────────────────────────────────────
+// Renders explainAction() output: every guard, what it read, and how it went.
+
+function fmtRead(v) {
+  return v === null || v === undefined || v === "" ? "—" : String(v);
+}
+
+function TraceStep({ step }) {
+  const blocks = step.matched && step.success !== true;
+  const color = step.decisive ? (step.success === true ? "#4ade80" : step.success === "warn" ? "#fbbf24" : "#f87171")
+    : blocks ? (step.success === "warn" ? "#fbbf24" : "#fb923c") : "#9C9C9C";
+  const status = step.decisive ? `◆ decides → ${step.code}`
+    : blocks ? `${step.success === "warn" ? "⚠ also warns" : "✗ also blocks"} → ${step.code}`
+    : step.reached ? "✓ clear"
+    : step.matched ? `· short-circuited → ${step.code}`
+    : "· short-circuited, clear";
+
+  return (
+    <div style={{ display:"grid", gridTemplateColumns:"22px 1fr auto", gap:8, alignItems:"baseline",
+      padding:"4px 0", borderBottom:"1px solid #060d14", opacity: step.reached || blocks ? 1 : .6 }}>
+      <span style={{ fontSize:8, color:"#9C9C9C" }}>#{step.index + 1}</span>
+      <span style={{ fontSize:9, fontFamily:"monospace", color:"#8ca4bc" }}>
+        {step.clauses
+          ? step.clauses.map((cl, i) => (
+              <span key={i} style={{ color: cl.matched ? "#c8d8e8" : "#9C9C9C" }}>
+                {i > 0 && " ∧ "}{cl.field} {CONDITION_OPERATORS[cl.op]?.label || cl.op}{CONDITION_OPERATORS[cl.op]?.unary ? "" : ` ${cl.value}`}
+                <span style={{ color:"#9C9C9C" }}> ({fmtRead(cl.actual)})</span>
+              </span>
+            ))
+          : Object.entries(step.reads).map(([field, value]) => `${field} = ${fmtRead(value)}`).join(" · ") || "—"}
+      </span>
+      <span style={{ fontSize:8, fontWeight:700, color, whiteSpace:"nowrap" }}>{status}</span>
+    </div>
+  );
+}
+
+function RuleTrace({ trace }) {
+  return (
+    <div>
+      {trace.blockers.length > 1 && (
+        <div style={{ background:"rgba(248,113,113,.06)", border:"1px solid rgba(248,113,113,.2)", borderRadius:6,
+          padding:"8px 10px", marginBottom:8 }}>
+          <div style={{ fontSize:8, color:"#f87171", letterSpacing:1, textTransform:"uppercase", marginBottom:4 }}>
+            {trace.blockers.length} blockers — tell the merchant all of them
+          </div>
+          {trace.blockers.map(b => (
+            <div key={b.code} style={{ fontSize:9, color:"#c8d8e8", lineHeight:1.6 }}>
+              <span style={{ fontFamily:"monospace", color: SEV_COLOR[b.severity] }}>{b.code}</span> — {b.fix}
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ fontSize:8, color:"#9C9C9C", marginBottom:4 }}>
+        {trace.source === "declarative" ? "Declarative conditions" : "Built-in guards"} checked in order · first match decides
+      </div>
+      {trace.steps.map(step => <TraceStep key={step.index} step={step} />)}
+      {trace.steps.length === 0 && <div style={{ fontSize:9, color:"#9C9C9C" }}>No guards — action always passes.</div>}
+    </div>
+  );
+}
+
+// ─── CONDITION BUILDER ────────────────────────────────────────────────────────
+// Edits a rule's declarative conditions (see failureRulesEngine.js § 2B)
+// and previews the draft against a live merchant before saving.
+const OPS_BY_TYPE = {
+  number: ["lt","lte","gt","gte","eq","neq"],
+  enum:   ["eq","neq","in","not_in"],
+  flag:   ["is_true","is_false"],
+};
+
+const NEW_CONDITION = {
+  when:[{ field:"account_status", op:"eq", value:"frozen" }],
+  outcome:"fail", code:"", severity:"high", inline:"", reason:"", fix:"",
+};
+
+const builderInput = { background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
+  borderRadius:3, padding:"3px 6px", fontSize:9, fontFamily:"inherit", outline:"none" };
+
+function sensorField(key) {
+  return SENSOR_FIELDS.find(f => f.key === key) || { key, label:key, type:"enum", options:[] };
+}
+
+function ClauseEditor({ clause, onChange, onRemove }) {
+  const field = sensorField(clause.field);
+  const op = CONDITION_OPERATORS[clause.op];
+
+  const pickField = (key) => {
+    const f = sensorField(key);
+    onChange({ field:key, op:OPS_BY_TYPE[f.type][0], value: f.type === "enum" ? f.options[0] : f.type === "number" ? 0 : undefined });
+  };
+
+  return (
+    <div style={{ display:"flex", gap:4, alignItems:"center", marginBottom:3 }}>
+      <select value={clause.field} onChange={e=>pickField(e.target.value)} style={{ ...builderInput, width:130 }}>
+        {SENSOR_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+      </select>
+      <select value={clause.op} onChange={e=>onChange({ ...clause, op:e.target.value })} style={{ ...builderInput, width:70 }}>
+        {OPS_BY_TYPE[field.type].map(k => <option key={k} value={k}>{CONDITION_OPERATORS[k].label}</option>)}
+      </select>
+      {op?.unary ? null : field.type === "enum" && !op?.list ? (
+        <select value={clause.value ?? ""} onChange={e=>onChange({ ...clause, value:e.target.value })} style={{ ...builderInput, width:100 }}>
+          {field.options.map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+      ) : (
+        <input value={clause.value ?? ""} placeholder={op?.list ? "a, b, c" : "threshold"}
+          onChange={e=>onChange({ ...clause, value: field.type === "number" && e.target.value !== "" ? Number(e.target.value) : e.target.value })}
+          type={field.type === "number" ? "number" : "text"} style={{ ...builderInput, width:100 }} />
+      )}
+      {field.suffix && !op?.unary && <span style={{ fontSize:8, color:"#9C9C9C" }}>{field.suffix}</span>}
+      <button onClick={onRemove} title="Remove clause"
+        style={{ background:"none", border:"none", color:"#9C9C9C", cursor:"pointer", fontSize:9 }}>✕</button>
+    </div>
+  );
+}
+
+// Fixture suite for an unsaved edit — no conditions means the rule as it runs today
+function draftFixtureSuite(rule, conditions, okMessage) {
+  if (validateConditions(conditions).length) return null;
+  return conditions.length
+    ? runFixtureSuite(rule.action_key, m => evaluateDefinition(m, { ...rule, conditions, ok_message:okMessage }))
+    : runFixtureSuite(rule.action_key);
+}
+
+function FixtureCases({ suite }) {
+  return suite.cases.map(c => (
+    <div key={c.name} style={{ display:"flex", gap:6, fontSize:8, padding:"2px 0", color: c.passed ? "#9C9C9C" : "#f87171" }}>
+      <span style={{ width:10, color: c.passed ? "#4ade80" : "#f87171" }}>{c.passed ? "✓" : "✗"}</span>
+      <span style={{ flex:1 }}>{c.name}</span>
+      <span style={{ fontFamily:"monospace" }}>
+        {c.passed ? c.expected : `expected ${c.expected} · got ${c.actual}`}
+      </span>
+    </div>
+  ));
+}
+
+function ConditionBuilder({ rule, conditions, okMessage, merchants, onChange, onOkMessageChange }) {
+  const [previewId, setPreviewId] = useState("");
+
+  const update = (i, patch) => onChange(conditions.map((c, j) => j === i ? { ...c, ...patch } : c));
+  const updateClause = (i, ci, clause) => update(i, { when: conditions[i].when.map((cl, j) => j === ci ? clause : cl) });
+  const removeClause = (i, ci) => update(i, { when: conditions[i].when.filter((_, j) => j !== ci) });
+  const move = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= conditions.length) return;
+    const next = [...conditions];
+    [next[i], next[j]] = [next[j], next[i]];
+    onChange(next);
+  };
+
+  const errors = validateConditions(conditions);
+  const previewMerchant = merchants.find(m => String(m.id) === String(previewId));
+  const current = previewMerchant && evaluateAction(previewMerchant, rule.action_key);
+  const draft = previewMerchant && !errors.length && (conditions.length
+    ? evaluateDefinition(previewMerchant, { ...rule, conditions, ok_message:okMessage })
+    : current);
+
+  const suite = draftFixtureSuite(rule, conditions, okMessage);
+
+  // Codes the built-in rule can return, as its fixture suite expects them
+  const builtInCodes = RULE_METADATA[rule.action_key] && !parseConditions(rule.conditions).length
+    ? [...new Set((RULE_FIXTURES[rule.action_key] || []).map(f => f.expected).filter(code => code !== "OK"))]
+    : null;
+
+  const verdict = (res) => res.success === true ? "✓ PASS" : `${res.success === "warn" ? "⚠" : "✗"} ${res.code}`;
+
+  return (
+    <div style={{ margin:"4px 10px 12px 42px", background:"#060d14", border:"1px solid rgba(167,139,250,.2)",
+      borderRadius:8, padding:12, display:"grid", gridTemplateColumns:"1fr 240px", gap:14 }}>
+      <div>
+        <div style={{ fontSize:8, color:"#a78bfa", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>
+          ◇ Conditions — checked top to bottom, first match wins
+        </div>
+        {conditions.length === 0 && (
+          <div style={{ fontSize:9, color:"#9C9C9C", marginBottom:8 }}>
+            No conditions — the built-in engine rule for {rule.action_key} applies.
+          </div>
+        )}
+        {builtInCodes && (
+          <div style={{ fontSize:8, color:"#fbbf24", background:"rgba(251,191,36,.05)", border:"1px solid rgba(251,191,36,.2)",
+            borderRadius:5, padding:"6px 8px", marginBottom:8, lineHeight:1.6 }}>
+            ⚠ Built-in checks live in the engine's code and cannot be opened here. Any condition you add replaces the
+            whole built-in rule — to change one threshold (say, the 7-day PIN hold), re-create every check you want to keep:
+            <div style={{ fontFamily:"monospace", color:"#e2cfa0", marginTop:3 }}>{builtInCodes.join(" · ")}</div>
+            The fixture suite shows which built-in verdicts your draft still holds.
+          </div>
+        )}
+        {conditions.map((c, i) => (
+          <div key={i} style={{ background:"#040b10", border:`1px solid ${SEV_COLOR[c.severity] || "#9C9C9C"}30`,
+            borderLeft:`3px solid ${SEV_COLOR[c.severity] || "#9C9C9C"}`, borderRadius:"0 6px 6px 0", padding:8, marginBottom:6 }}>
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:5 }}>
+              <span style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1 }}>#{i + 1} WHEN ALL OF</span>
+              <div style={{ display:"flex", gap:3 }}>
+                {[["↑", () => move(i, -1)], ["↓", () => move(i, 1)], ["✕", () => onChange(conditions.filter((_, j) => j !== i))]].map(([icon, fn]) => (
+                  <button key={icon} onClick={fn} style={{ ...builderInput, cursor:"pointer", padding:"1px 6px" }}>{icon}</button>
+                ))}
+              </div>
+            </div>
+            {c.when.map((clause, ci) => (
+              <ClauseEditor key={ci} clause={clause}
+                onChange={cl => updateClause(i, ci, cl)} onRemove={() => removeClause(i, ci)} />
+            ))}
+            <button onClick={() => update(i, { when:[...c.when, { ...NEW_CONDITION.when[0] }] })}
+              style={{ background:"none", border:"none", color:"#a78bfa", cursor:"pointer", fontSize:8, padding:0, marginBottom:6 }}>
+              + and…
+            </button>
+            <div style={{ display:"grid", gridTemplateColumns:"70px 1fr 80px", gap:4, marginBottom:4 }}>
+              <select value={c.outcome || "fail"} onChange={e=>update(i, { outcome:e.target.value })} style={builderInput}>
+                <option value="fail">fail</option>
+                <option value="warn">warn</option>
+              </select>
+              <input value={c.code} placeholder="ERROR_CODE" onChange={e=>update(i, { code:e.target.value.toUpperCase().replace(/\s+/g,"_") })}
+                style={{ ...builderInput, fontFamily:"monospace", color:"#e2cfa0" }} />
+              <select value={c.severity} onChange={e=>update(i, { severity:e.target.value })} style={builderInput}>
+                {["critical","high","medium","low"].map(sv => <option key={sv} value={sv}>{sv}</option>)}
+              </select>
+            </div>
+            {[["inline","Inline message — {paybill}, {sim_swap_days_ago} …"],["reason","Reason (why)"],["fix","Fix (how)"]].map(([k, ph]) => (
+              <input key={k} value={c[k] || ""} placeholder={ph} onChange={e=>update(i, { [k]:e.target.value })}
+                style={{ ...builderInput, width:"100%", marginBottom:3 }} />
+            ))}
+          </div>
+        ))}
+        <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+          <button onClick={() => onChange([...conditions, { ...NEW_CONDITION, when:[{ ...NEW_CONDITION.when[0] }] }])}
+            style={{ background:"rgba(167,139,250,.08)", border:"1px solid rgba(167,139,250,.25)", color:"#a78bfa",
+              borderRadius:4, padding:"4px 10px", cursor:"pointer", fontSize:8, fontFamily:"inherit" }}>
+            + Add condition
+          </button>
+          <input value={okMessage} placeholder="Pass message (optional)" onChange={e=>onOkMessageChange(e.target.value)}
+            style={{ ...builderInput, flex:1 }} />
+        </div>
+        {errors.map((err, i) => (
+          <div key={i} style={{ fontSize:8, color:"#f87171", marginTop:3 }}>{err}</div>
+        ))}
+      </div>
+
+      {/* Live preview */}
+      <div>
+        <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:6 }}>
+          Live Preview
+        </div>
+        <select value={previewId} onChange={e=>setPreviewId(e.target.value)} style={{ ...builderInput, width:"100%", marginBottom:8 }}>
+          <option value="">Select a merchant…</option>
+          {merchants.map(m => <option key={m.id} value={m.id}>{m.business_name} · {m.account_status}</option>)}
+        </select>
+        {previewMerchant && (
+          <div style={{ display:"flex", flexDirection:"column", gap:6 }}>
+            {[["Saved rule", current], ["Draft", draft]].map(([label, res]) => (
+              <div key={label} style={{ background:"#040b10", borderRadius:5, padding:"7px 9px",
+                borderLeft:`2px solid ${!res ? "#9C9C9C" : res.success === true ? "#4ade80" : SEV_COLOR[res.severity]}` }}>
+                <div style={{ fontSize:7, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase" }}>{label}</div>
+                {res ? (
+                  <>
+                    <div style={{ fontSize:10, fontWeight:800, fontFamily:"monospace",
+                      color: res.success === true ? "#4ade80" : SEV_COLOR[res.severity] }}>{verdict(res)}</div>
+                    <div style={{ fontSize:8, color:"#c8d8e8", marginTop:2, lineHeight:1.5 }}>{res.inline}</div>
+                  </>
+                ) : (
+                  <div style={{ fontSize:8, color:"#f87171" }}>Fix the errors to preview</div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Fixture suite */}
+        <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", margin:"12px 0 6px" }}>
+          Fixture Suite
+        </div>
+        {!suite ? (
+          <div style={{ fontSize:8, color:"#f87171" }}>Fix the errors to run fixtures</div>
+        ) : suite.cases.length === 0 ? (
+          <div style={{ fontSize:8, color:"#9C9C9C" }}>No fixtures for {rule.action_key}</div>
+        ) : (
+          <>
+            <div style={{ fontSize:10, fontWeight:800, marginBottom:4, color: suite.failed ? "#f87171" : "#4ade80" }}>
+              {suite.passed}/{suite.cases.length} expected verdicts hold
+            </div>
+            <FixtureCases suite={suite} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── IMPACT PREVIEW ───────────────────────────────────────────────────────────
+// Shown between "Save" and the actual PUT/POST so a threshold tweak can't
+// silently flag half the fleet. `impact` comes from previewRuleImpact() over
+// every live merchant (loadFleet), not the builder's preview sample.
+
+function ImpactPreview({ impact, saving, onConfirm, onCancel }) {
+  const flipPct = impact.totalMerchants ? Math.round((impact.flippedToFail.length / impact.totalMerchants) * 100) : 0;
+  const delta = impact.callsAtRiskDelta;
+  const noChange = !impact.flippedToFail.length && !impact.flippedToPass.length && !impact.codeChanged.length && !delta;
+
+  const flipList = (rows, color, label) => rows.length > 0 && (
+    <div style={{ flex:1, minWidth:0 }}>
+      <div style={{ fontSize:7, color, letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>{label}</div>
+      {rows.slice(0, 8).map(({ merchant, before, after }) => (
+        <div key={merchant.id} style={{ display:"flex", justifyContent:"space-between", gap:6, fontSize:8, padding:"1px 0" }}>
+          <span style={{ color:"#c8d8e8", overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>{merchant.business_name}</span>
+          <span style={{ fontFamily:"monospace", color:"#9C9C9C", flexShrink:0 }}>{before.code} → {after.code}</span>
+        </div>
+      ))}
+      {rows.length > 8 && <div style={{ fontSize:8, color:"#9C9C9C" }}>+{rows.length - 8} more</div>}
+    </div>
+  );
+
+  return (
+    <div style={{ background:"#060d14", borderRadius:8, padding:12,
+      border:`1px solid ${impact.flippedToFail.length ? "rgba(248,113,113,.3)" : "rgba(74,222,128,.2)"}` }}>
+      <div style={{ fontSize:8, color:"#e2cfa0", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>
+        ⚡ Impact Preview — {impact.actionKey} over the full fleet ({impact.totalMerchants} merchants)
+      </div>
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(5, 1fr)", gap:8, marginBottom:8 }}>
+        {[
+          { label:"Failing",     v:`${impact.failingBefore} → ${impact.failingAfter}`, color:"#c8d8e8" },
+          { label:"Pass → Fail", v:impact.flippedToFail.length, color: impact.flippedToFail.length ? "#f87171" : "#9C9C9C" },
+          { label:"Fail → Pass", v:impact.flippedToPass.length, color: impact.flippedToPass.length ? "#4ade80" : "#9C9C9C" },
+          { label:"Code Changed", v:impact.codeChanged.length,  color: impact.codeChanged.length ? "#fbbf24" : "#9C9C9C" },
+          { label:"Calls at Risk", v:`${delta > 0 ? "+" : delta < 0 ? "−" : ""}${Math.abs(delta).toLocaleString()}`,
+            color: delta > 0 ? "#f87171" : delta < 0 ? "#4ade80" : "#9C9C9C" },
+        ].map(({ label, v, color }) => (
+          <div key={label} style={{ background:"#040b10", borderRadius:5, padding:"6px 9px" }}>
+            <div style={{ fontSize:7, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase" }}>{label}</div>
+            <div style={{ fontSize:13, fontWeight:800, color }}>{v}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize:8, color:"#9C9C9C", marginBottom:8 }}>
+        Calls at risk {fmtDemand(impact.callsAtRiskBefore)} → {fmtDemand(impact.callsAtRiskAfter)} across the fleet
+      </div>
+      {flipPct >= 25 && (
+        <div style={{ fontSize:9, color:"#f87171", marginBottom:8 }}>
+          ⚠ This change newly fails {flipPct}% of the fleet — expect the Alert Feed to fill up.
+        </div>
+      )}
+      {noChange && (
+        <div style={{ fontSize:9, color:"#4ade80", marginBottom:8 }}>✓ No merchant changes verdict.</div>
+      )}
+      <div style={{ display:"flex", gap:14, marginBottom:10 }}>
+        {flipList(impact.flippedToFail, "#f87171", "Newly failing")}
+        {flipList(impact.flippedToPass, "#4ade80", "Newly passing")}
+      </div>
+      <div style={{ display:"flex", gap:6 }}>
+        <button onClick={onConfirm} disabled={saving}
+          style={{ background:"rgba(0,200,83,.12)", border:"1px solid rgba(0,200,83,.3)", color:"#4ade80",
+            borderRadius:4, padding:"4px 12px", cursor:saving?"wait":"pointer", fontSize:9, fontFamily:"inherit" }}>
+          {saving ? "Saving…" : "Confirm save"}
+        </button>
+        <button onClick={onCancel}
+          style={{ background:"none", border:"1px solid #9C9C9C", color:"#9C9C9C",
+            borderRadius:4, padding:"4px 10px", cursor:"pointer", fontSize:9, fontFamily:"inherit" }}>
+          Keep editing
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // TAB 1 — RULES CATALOG
 // ═══════════════════════════════════════════════════════════════════════════════
-function CatalogTab({ rules, loading, onRulesChanged, toast }) {
+function CatalogTab({ rules, loading, author, toast }) {
+  const canWrite = useAuth().can("rules.write");
   const [editing, setEditing] = useState(null); // actionKey being edited
   const [editForm, setEditForm] = useState({});
   const [saving, setSaving] = useState(false);
+  const [impact, setImpact] = useState(null); // { ...previewRuleImpact, formKey }
+  const [dryRunning, setDryRunning] = useState(false);
+
+  // Merchants for the condition builder preview — fetched on first edit
+  const { merchants } = useMerchants({ limit:200 }, { enabled:!!editing });
 
   const maxDemand = Math.max(...rules.map(r => r.demand_total || 0), 1);
   const totalDemand = rules.reduce((s, r) => s + (r.demand_total || 0), 0);
@@ -230,25 +628,47 @@ function CatalogTab({ rules, loading, onRulesChanged, toast }) {
 
   const toggleEnabled = async (rule) => {
     const newVal = !(rule.enabled == 1 || rule.enabled === true);
+    if (!author) { toast("Your account has no name — every rule change is versioned", "error"); return; }
+    // Switching a rule off stops its pre-failure alerts — the audit trail needs a why
+    const reason = window.prompt(`Reason for ${newVal ? "enabling" : "disabling"} ${rule.action_key} (recorded in the audit trail):`);
+    if (reason === null) return;
     try {
-      await api.put(`/rules/${rule.action_key}`, { enabled: newVal ? 1 : 0 });
+      await api.put(`/rules/${rule.action_key}`, { enabled: newVal ? 1 : 0, author }, { reason });
       toast(`${rule.action_key} ${newVal ? "enabled" : "disabled"}`, "success");
-      onRulesChanged();
     } catch (e) { toast(`Error: ${e.message}`, "error"); }
   };
 
   const startEdit = (rule) => {
     setEditing(rule.action_key);
-    setEditForm({ demand_total: rule.demand_total, demand_rank: rule.demand_rank, label: rule.label, description: rule.description });
+    setImpact(null);
+    setEditForm({ demand_total: rule.demand_total, demand_rank: rule.demand_rank, label: rule.label, description: rule.description,
+      conditions: parseConditions(rule.conditions), ok_message: rule.ok_message || "" });
   };
 
   const saveEdit = async (actionKey) => {
+    const errors = validateConditions(editForm.conditions || []);
+    if (errors.length) { toast(errors[0], "error"); return; }
+    if (!author) { toast("Your account has no name — every rule change is versioned", "error"); return; }
+    // First click runs fixtures and the dry run; the save itself goes through the impact preview
+    const formKey = JSON.stringify(editForm);
+    if (impact?.formKey !== formKey) {
+      const rule = rules.find(r => r.action_key === actionKey);
+      const suite = draftFixtureSuite(rule, editForm.conditions || [], editForm.ok_message);
+      if (suite?.failed && !window.confirm(`${suite.failed} fixture(s) for ${actionKey} no longer get their expected verdict. Save anyway?`)) return;
+      setDryRunning(true);
+      try {
+        const fleet = await loadFleet();
+        setImpact({ ...previewRuleImpact(fleet, { ...rule, ...editForm }), formKey });
+      } catch (e) { toast(`Dry run failed: ${e.message}`, "error"); }
+      finally { setDryRunning(false); }
+      return;
+    }
     setSaving(true);
     try {
-      await api.put(`/rules/${actionKey}`, editForm);
+      await api.put(`/rules/${actionKey}`, { ...editForm, author }, { reason:"Edited in Catalog" });
       toast(`Updated ${actionKey}`, "success");
       setEditing(null);
-      onRulesChanged();
+      setImpact(null);
     } catch (e) { toast(`Error: ${e.message}`, "error"); }
     finally { setSaving(false); }
   };
@@ -287,99 +707,122 @@ function CatalogTab({ rules, loading, onRulesChanged, toast }) {
             const isEditing = editing === rule.action_key;
             const enabled = rule.enabled == 1 || rule.enabled === true;
             return (
-              <div key={rule.action_key} style={{
-                display:"grid", gridTemplateColumns:"32px 1fr 140px 90px 80px 90px 80px",
-                gap:0, padding:"9px 10px", borderBottom:"1px solid #060d14",
-                background: idx % 2 === 0 ? "transparent" : "rgba(255,255,255,.01)",
-                transition:"background .15s", alignItems:"center",
-              }}
-                onMouseEnter={e=>e.currentTarget.style.background="rgba(230,175,80,.03)"}
-                onMouseLeave={e=>e.currentTarget.style.background=idx%2===0?"transparent":"rgba(255,255,255,.01)"}
-              >
-                {/* Rank number */}
-                <div style={{ fontSize:9, color:"#9C9C9C", fontWeight:700 }}>
-                  {rule.demand_rank || idx+1}
-                </div>
+              <div key={rule.action_key}>
+                <div style={{
+                  display:"grid", gridTemplateColumns:"32px 1fr 140px 90px 80px 90px 80px",
+                  gap:0, padding:"9px 10px", borderBottom:"1px solid #060d14",
+                  background: idx % 2 === 0 ? "transparent" : "rgba(255,255,255,.01)",
+                  transition:"background .15s", alignItems:"center",
+                }}
+                  onMouseEnter={e=>e.currentTarget.style.background="rgba(230,175,80,.03)"}
+                  onMouseLeave={e=>e.currentTarget.style.background=idx%2===0?"transparent":"rgba(255,255,255,.01)"}
+                >
+                  {/* Rank number */}
+                  <div style={{ fontSize:9, color:"#9C9C9C", fontWeight:700 }}>
+                    {rule.demand_rank || idx+1}
+                  </div>
 
-                {/* Action key + description */}
-                <div>
-                  <div style={{ fontSize:10, fontWeight:700, color: enabled ? "#e2cfa0" : "#9C9C9C",
-                    fontFamily:"monospace", letterSpacing:.3 }}>{rule.action_key}</div>
-                  {isEditing ? (
-                    <input value={editForm.description || ""} onChange={e=>setEditForm(f=>({...f,description:e.target.value}))}
-                      style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
-                        borderRadius:3, padding:"2px 6px", fontSize:9, width:"90%", fontFamily:"inherit", outline:"none", marginTop:3 }} />
-                  ) : (
-                    <div style={{ fontSize:9, color:"#9C9C9C", marginTop:1 }}>{rule.description || "—"}</div>
-                  )}
-                </div>
+                  {/* Action key + description */}
+                  <div>
+                    <div style={{ fontSize:10, fontWeight:700, color: enabled ? "#e2cfa0" : "#9C9C9C",
+                      fontFamily:"monospace", letterSpacing:.3 }}>
+                      {rule.action_key}
+                      {parseConditions(rule.conditions).length > 0 && (
+                        <span title="Declarative rule — conditions run in the engine at runtime"
+                          style={{ fontSize:7, color:"#a78bfa", marginLeft:6, fontFamily:"inherit" }}>
+                          ◇ {parseConditions(rule.conditions).length} conditions
+                        </span>
+                      )}
+                    </div>
+                    {isEditing ? (
+                      <input value={editForm.description || ""} onChange={e=>setEditForm(f=>({...f,description:e.target.value}))}
+                        style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
+                          borderRadius:3, padding:"2px 6px", fontSize:9, width:"90%", fontFamily:"inherit", outline:"none", marginTop:3 }} />
+                    ) : (
+                      <div style={{ fontSize:9, color:"#9C9C9C", marginTop:1 }}>{rule.description || "—"}</div>
+                    )}
+                  </div>
 
-                {/* Label */}
-                <div>
-                  {isEditing ? (
-                    <input value={editForm.label || ""} onChange={e=>setEditForm(f=>({...f,label:e.target.value}))}
-                      style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
-                        borderRadius:3, padding:"2px 6px", fontSize:9, width:"90%", fontFamily:"inherit", outline:"none" }} />
-                  ) : (
-                    <span style={{ fontSize:9, color:"#8ca4bc" }}>{rule.label || rule.action_key}</span>
-                  )}
-                </div>
+                  {/* Label */}
+                  <div>
+                    {isEditing ? (
+                      <input value={editForm.label || ""} onChange={e=>setEditForm(f=>({...f,label:e.target.value}))}
+                        style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
+                          borderRadius:3, padding:"2px 6px", fontSize:9, width:"90%", fontFamily:"inherit", outline:"none" }} />
+                    ) : (
+                      <span style={{ fontSize:9, color:"#8ca4bc" }}>{rule.label || rule.action_key}</span>
+                    )}
+                  </div>
 
-                {/* Demand bar */}
-                <div>
-                  {isEditing ? (
-                    <input type="number" value={editForm.demand_total || 0}
-                      onChange={e=>setEditForm(f=>({...f,demand_total:parseInt(e.target.value)||0}))}
-                      style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#fbbf24",
-                        borderRadius:3, padding:"2px 6px", fontSize:9, width:70, fontFamily:"inherit", outline:"none" }} />
-                  ) : (
-                    <DemandBar value={rule.demand_total} max={maxDemand} />
-                  )}
-                </div>
+                  {/* Demand bar */}
+                  <div>
+                    {isEditing ? (
+                      <input type="number" value={editForm.demand_total || 0}
+                        onChange={e=>setEditForm(f=>({...f,demand_total:parseInt(e.target.value)||0}))}
+                        style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#fbbf24",
+                          borderRadius:3, padding:"2px 6px", fontSize:9, width:70, fontFamily:"inherit", outline:"none" }} />
+                    ) : (
+                      <DemandBar value={rule.demand_total} max={maxDemand} />
+                    )}
+                  </div>
 
-                {/* Rank */}
-                <div style={{ textAlign:"center" }}>
-                  {isEditing ? (
-                    <input type="number" value={editForm.demand_rank || 0}
-                      onChange={e=>setEditForm(f=>({...f,demand_rank:parseInt(e.target.value)||0}))}
-                      style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
-                        borderRadius:3, padding:"2px 6px", fontSize:9, width:40, fontFamily:"inherit", outline:"none", textAlign:"center" }} />
-                  ) : (
-                    <span style={{ fontSize:9, color:"#9C9C9C" }}>#{rule.demand_rank || "—"}</span>
-                  )}
-                </div>
+                  {/* Rank */}
+                  <div style={{ textAlign:"center" }}>
+                    {isEditing ? (
+                      <input type="number" value={editForm.demand_rank || 0}
+                        onChange={e=>setEditForm(f=>({...f,demand_rank:parseInt(e.target.value)||0}))}
+                        style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc",
+                          borderRadius:3, padding:"2px 6px", fontSize:9, width:40, fontFamily:"inherit", outline:"none", textAlign:"center" }} />
+                    ) : (
+                      <span style={{ fontSize:9, color:"#9C9C9C" }}>#{rule.demand_rank || "—"}</span>
+                    )}
+                  </div>
 
-                {/* Toggle */}
-                <div style={{ display:"flex", justifyContent:"center" }}>
-                  <Toggle checked={enabled} onChange={() => toggleEnabled(rule)} />
-                </div>
+                  {/* Toggle */}
+                  <div style={{ display:"flex", justifyContent:"center" }}>
+                    <Toggle checked={enabled} onChange={() => toggleEnabled(rule)} disabled={!canWrite} />
+                  </div>
 
-                {/* Edit / Save */}
-                <div style={{ display:"flex", justifyContent:"center", gap:4 }}>
-                  {isEditing ? (
-                    <>
-                      <button onClick={()=>saveEdit(rule.action_key)} disabled={saving}
-                        style={{ background:"rgba(0,200,83,.12)", border:"1px solid rgba(0,200,83,.3)", color:"#4ade80",
-                          borderRadius:4, padding:"3px 8px", cursor:"pointer", fontSize:8, fontFamily:"inherit" }}>
-                        {saving?"…":"Save"}
-                      </button>
-                      <button onClick={()=>setEditing(null)}
+                  {/* Edit / Save */}
+                  <div style={{ display:"flex", justifyContent:"center", gap:4 }}>
+                    {isEditing ? (
+                      <>
+                        <button onClick={()=>saveEdit(rule.action_key)} disabled={saving || dryRunning}
+                          style={{ background:"rgba(0,200,83,.12)", border:"1px solid rgba(0,200,83,.3)", color:"#4ade80",
+                            borderRadius:4, padding:"3px 8px", cursor:saving || dryRunning ? "wait" : "pointer", fontSize:8, fontFamily:"inherit",
+                            opacity:saving || dryRunning ? .6 : 1 }}>
+                          {saving ? "…" : dryRunning ? "Dry run…" : "Save…"}
+                        </button>
+                        <button onClick={()=>setEditing(null)}
+                          style={{ background:"none", border:"1px solid #9C9C9C", color:"#9C9C9C",
+                            borderRadius:4, padding:"3px 6px", cursor:"pointer", fontSize:8, fontFamily:"inherit" }}>
+                          ✕
+                        </button>
+                      </>
+                    ) : canWrite && (
+                      <button onClick={()=>startEdit(rule)}
                         style={{ background:"none", border:"1px solid #9C9C9C", color:"#9C9C9C",
-                          borderRadius:4, padding:"3px 6px", cursor:"pointer", fontSize:8, fontFamily:"inherit" }}>
-                        ✕
+                          borderRadius:4, padding:"3px 8px", cursor:"pointer", fontSize:8, fontFamily:"inherit",
+                          transition:"all .15s" }}
+                        onMouseEnter={e=>{e.currentTarget.style.color="#e2cfa0";e.currentTarget.style.borderColor="rgba(226,207,160,.3)"}}
+                        onMouseLeave={e=>{e.currentTarget.style.color="#9C9C9C";e.currentTarget.style.borderColor="#9C9C9C"}}>
+                        edit
                       </button>
-                    </>
-                  ) : (
-                    <button onClick={()=>startEdit(rule)}
-                      style={{ background:"none", border:"1px solid #9C9C9C", color:"#9C9C9C",
-                        borderRadius:4, padding:"3px 8px", cursor:"pointer", fontSize:8, fontFamily:"inherit",
-                        transition:"all .15s" }}
-                      onMouseEnter={e=>{e.currentTarget.style.color="#e2cfa0";e.currentTarget.style.borderColor="rgba(226,207,160,.3)"}}
-                      onMouseLeave={e=>{e.currentTarget.style.color="#9C9C9C";e.currentTarget.style.borderColor="#9C9C9C"}}>
-                      edit
-                    </button>
-                  )}
+                    )}
+                  </div>
                 </div>
+                {isEditing && (
+                  <ConditionBuilder rule={rule} merchants={merchants}
+                    conditions={editForm.conditions || []} okMessage={editForm.ok_message || ""}
+                    onChange={conditions => setEditForm(f => ({ ...f, conditions }))}
+                    onOkMessageChange={ok_message => setEditForm(f => ({ ...f, ok_message }))} />
+                )}
+                {isEditing && impact?.formKey === JSON.stringify(editForm) && (
+                  <div style={{ margin:"4px 10px 12px 42px" }}>
+                    <ImpactPreview impact={impact} saving={saving}
+                      onConfirm={() => saveEdit(rule.action_key)} onCancel={() => setImpact(null)} />
+                  </div>
+                )}
               </div>
             );
           })}
@@ -393,23 +836,16 @@ function CatalogTab({ rules, loading, onRulesChanged, toast }) {
 // TAB 2 — EVALUATOR (single merchant × single rule)
 // ═══════════════════════════════════════════════════════════════════════════════
 function EvaluatorTab({ rules, toast }) {
-  const [merchants, setMerchants] = useState([]);
-  const [loadingM, setLoadingM] = useState(true);
+  const { merchants, loading:loadingM } = useMerchants({ limit:200 });
   const [selectedMerchant, setSelectedMerchant] = useState(null);
   const [selectedRule, setSelectedRule] = useState(null);
   const [result, setResult] = useState(null);
+  const [trace, setTrace] = useState(null);
   const [running, setRunning] = useState(false);
   const [aiResult, setAiResult] = useState(null);
   const [runningAi, setRunningAi] = useState(false);
   const [autoActions, setAutoActions] = useState([]);
 
-  useEffect(() => {
-    api.get("/merchants?limit=200").then(d => {
-      setMerchants(Array.isArray(d) ? d : []);
-      setLoadingM(false);
-    }).catch(()=>setLoadingM(false));
-  }, []);
-
   const runEvaluation = async () => {
     if (!selectedMerchant || !selectedRule) return;
     setRunning(true);
@@ -417,42 +853,44 @@ function EvaluatorTab({ rules, toast }) {
     setAiResult(null);
     setAutoActions([]);
 
-    const evalResult = evaluateRule(selectedRule.action_key, selectedMerchant);
+    const evalTrace = explainAction(selectedMerchant, selectedRule.action_key);
+    const evalResult = evalTrace.result;
+    const failed = evalResult.success === false;
 
-    // Log to backend events table
+    // Queue for the backend events table (flushed in batches)
     try {
-      await api.post("/events", {
+      eventQueue.push({
         merchant_id: selectedMerchant.id,
         merchant_name: selectedMerchant.business_name,
         action_key: selectedRule.action_key,
         action_label: selectedRule.label || selectedRule.action_key,
         channel: "twin",
-        success: evalResult.passed ? 1 : 0,
-        error_code: evalResult.errorCode || null,
+        success: toEventSuccess(evalResult),
+        error_code: evalResult.success === true ? null : evalResult.code,
         severity: evalResult.severity || "info",
         escalated: evalResult.severity === "critical" ? 1 : 0,
         raw_result: evalResult,
       });
 
       // If failed, also log an alert
-      if (!evalResult.passed) {
-        await api.post("/alerts", {
+      if (failed) {
+        outbox.post("/alerts", {
           merchant_id: selectedMerchant.id,
           merchant_name: selectedMerchant.business_name,
           action_key: selectedRule.action_key,
           action_label: selectedRule.label || selectedRule.action_key,
-          error_code: evalResult.errorCode,
+          error_code: evalResult.code,
           severity: evalResult.severity,
-          inline_message: evalResult.inlineMessage,
-          fix_message: evalResult.fixMessage,
-          escalation_msg: evalResult.severity === "critical" ? `Immediate action required: ${evalResult.errorCode}` : null,
+          inline_message: evalResult.inline,
+          fix_message: evalResult.fix,
+          escalation_msg: evalResult.escalation,
         });
       }
     } catch (e) { console.warn("Event log failed:", e.message); }
 
     // Determine automatable actions
     const autos = [];
-    if (!evalResult.passed) {
+    if (failed) {
       if (selectedRule.action_key === "NOTIFICATIONS" && selectedMerchant.preferred_channel === "ussd")
         autos.push({ label:"Auto-enable via USSD", endpoint:"PUT /merchants/:id", automated:true });
       if (selectedRule.action_key === "BALANCE")
@@ -464,8 +902,9 @@ function EvaluatorTab({ rules, toast }) {
     }
     setAutoActions(autos);
     setResult(evalResult);
+    setTrace(evalTrace);
     setRunning(false);
-    toast(evalResult.passed ? `✓ ${selectedRule.action_key} passed` : `✗ ${selectedRule.action_key} failed — ${evalResult.errorCode}`, evalResult.passed ? "success" : "error");
+    toast(!failed ? `✓ ${selectedRule.action_key} passed` : `✗ ${selectedRule.action_key} failed — ${evalResult.code}`, !failed ? "success" : "error");
   };
 
   const runAiAnalysis = async () => {
@@ -483,6 +922,8 @@ function EvaluatorTab({ rules, toast }) {
   };
 
   const enabledRules = rules.filter(r => r.enabled == 1 || r.enabled === true);
+  const passed = result?.success === true;
+  const failed = result?.success === false;
 
   return (
     <div style={{ display:"grid", gridTemplateColumns:"260px 1fr", gap:0, height:"100%", overflow:"hidden" }}>
@@ -565,40 +1006,54 @@ function EvaluatorTab({ rules, toast }) {
         {result && (
           <div style={{ animation:"fadeIn .25s ease" }}>
             {/* Result header */}
-            <div style={{ background: result.passed ? "rgba(74,222,128,.06)" : SEV_BG[result.severity],
-              border:`1px solid ${result.passed ? "rgba(74,222,128,.2)" : `${SEV_COLOR[result.severity]}40`}`,
+            <div style={{ background: passed ? "rgba(74,222,128,.06)" : SEV_BG[result.severity],
+              border:`1px solid ${passed ? "rgba(74,222,128,.2)" : `${SEV_COLOR[result.severity]}40`}`,
               borderRadius:9, padding:14, marginBottom:12 }}>
               <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start" }}>
                 <div>
-                  <div style={{ fontSize:20, marginBottom:4 }}>{result.passed ? "✓" : "✗"}</div>
-                  <div style={{ fontSize:14, fontWeight:800, color: result.passed ? "#4ade80" : SEV_COLOR[result.severity] }}>
-                    {result.passed ? "RULE PASSED" : result.errorCode}
+                  <div style={{ fontSize:20, marginBottom:4 }}>{passed ? "✓" : failed ? "✗" : "⚠"}</div>
+                  <div style={{ fontSize:14, fontWeight:800, color: passed ? "#4ade80" : SEV_COLOR[result.severity] }}>
+                    {passed ? "RULE PASSED" : result.code}
                   </div>
                   <div style={{ fontSize:9, color:"#9C9C9C", marginTop:3 }}>
                     {selectedRule?.action_key} → {selectedMerchant?.business_name}
                   </div>
                 </div>
-                {!result.passed && <SevBadge severity={result.severity} />}
+                {!passed && <SevBadge severity={result.severity} />}
+              </div>
+              <div style={{ marginTop:10 }}>
+                <div style={{ fontSize:10, color:"#c8d8e8", lineHeight:1.6 }}>{result.inline}</div>
+                {!passed && (
+                  <>
+                    <div style={{ fontSize:9, color:"#9C9C9C", lineHeight:1.6, marginTop:4 }}>{result.reason}</div>
+                    <div style={{ marginTop:8, background:"rgba(0,0,0,.3)", borderRadius:5, padding:"8px 10px" }}>
+                      <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>Recommended Fix</div>
+                      <div style={{ fontSize:10, color:"#e2cfa0" }}>{result.fix}</div>
+                      {result.escalation && <div style={{ fontSize:9, color:"#9C9C9C", marginTop:4 }}>{result.escalation}</div>}
+                    </div>
+                  </>
+                )}
               </div>
-              {!result.passed && (
-                <div style={{ marginTop:10 }}>
-                  <div style={{ fontSize:10, color:"#c8d8e8", lineHeight:1.6 }}>{result.inlineMessage}</div>
-                  <div style={{ marginTop:8, background:"rgba(0,0,0,.3)", borderRadius:5, padding:"8px 10px" }}>
-                    <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>Recommended Fix</div>
-                    <div style={{ fontSize:10, color:"#e2cfa0" }}>{result.fixMessage}</div>
-                  </div>
-                </div>
-              )}
             </div>
 
+            {/* Explain trace */}
+            {trace && (
+              <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:7, padding:12, marginBottom:12 }}>
+                <div style={{ fontSize:8, color:"#e2cfa0", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>
+                  ◇ Rule Trace
+                </div>
+                <RuleTrace trace={trace} />
+              </div>
+            )}
+
             {/* Logged to */}
             <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:7, padding:10, marginBottom:12,
               display:"flex", gap:16, fontSize:9, color:"#9C9C9C" }}>
               <div>
-                <span style={{ color:"#4ade80" }}>✓</span> Logged to{" "}
-                <span style={{ color:"#60a5fa", fontFamily:"monospace" }}>POST /events</span>
+                <span style={{ color:"#4ade80" }}>✓</span> Queued for{" "}
+                <span style={{ color:"#60a5fa", fontFamily:"monospace" }}>POST /events/batch</span>
               </div>
-              {!result.passed && (
+              {failed && (
                 <div>
                   <span style={{ color:"#fbbf24" }}>⚠</span> Alert filed to{" "}
                   <span style={{ color:"#60a5fa", fontFamily:"monospace" }}>POST /alerts</span>
@@ -632,7 +1087,7 @@ function EvaluatorTab({ rules, toast }) {
             )}
 
             {/* AI Analysis */}
-            {!result.passed && (
+            {!passed && (
               <div>
                 <button onClick={runAiAnalysis} disabled={runningAi}
                   style={{ background:"rgba(139,92,246,.08)", border:"1px solid rgba(139,92,246,.25)",
@@ -690,15 +1145,42 @@ function EvaluatorTab({ rules, toast }) {
   );
 }
 
+// ─── ROOT-CAUSE GROUPING ──────────────────────────────────────────────────────
+// Alerts → one card per merchant, one row per root cause (see ROOT_CAUSES).
+const SEV_ORDER = { critical:4, high:3, medium:2, low:1 };
+
+function alertAsFailure(alert) {
+  return { ...alert, code:alert.error_code, actionKey:alert.action_key, inline:alert.inline_message, fix:alert.fix_message };
+}
+
+function groupAlertsByMerchant(alerts, merchants) {
+  const byMerchant = {};
+  alerts.forEach(a => {
+    if (!byMerchant[a.merchant_id]) byMerchant[a.merchant_id] = { merchant_id:a.merchant_id, merchant_name:a.merchant_name, alerts:[] };
+    byMerchant[a.merchant_id].alerts.push(a);
+  });
+  return Object.values(byMerchant).map(entry => {
+    const merchant = merchants.find(m => String(m.id) === String(entry.merchant_id));
+    const groups = groupByRootCause(entry.alerts.map(alertAsFailure), merchant);
+    return { ...entry, groups, outreach:buildOutreachMessage(groups) };
+  }).sort((a, b) => (SEV_ORDER[b.groups[0]?.severity] || 0) - (SEV_ORDER[a.groups[0]?.severity] || 0)
+    || b.alerts.length - a.alerts.length);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // TAB 3 — PRE-SCANNER (live alert feed from backend)
 // ═══════════════════════════════════════════════════════════════════════════════
 function PreScannerTab({ toast }) {
+  const canResolve = useAuth().can("alerts.resolve");
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState("all");
   const [resolving, setResolving] = useState(null);
   const [autoResolving, setAutoResolving] = useState(false);
+  const [grouped, setGrouped] = useState(true);
+
+  // Sensor state, so ambiguous codes (ACC_NOT_ACTIVE …) land under the right root cause
+  const { merchants } = useMerchants({ limit:200 });
 
   const loadAlerts = useCallback(async () => {
     setLoading(true);
@@ -715,7 +1197,7 @@ function PreScannerTab({ toast }) {
   const resolveAlert = async (id, merchantName, errorCode) => {
     setResolving(id);
     try {
-      await api.post(`/alerts/${id}/resolve`, {});
+      await api.post(`/alerts/${id}/resolve`, {}, { reason:"Resolved from Pre-Scanner" });
       toast(`Resolved: ${errorCode} for ${merchantName}`, "success");
       setAlerts(prev => prev.filter(a => a.id !== id));
     } catch (e) { toast(`Error: ${e.message}`, "error"); }
@@ -730,7 +1212,7 @@ function PreScannerTab({ toast }) {
     let count = 0;
     for (const a of lowAlerts) {
       try {
-        await api.post(`/alerts/${a.id}/resolve`, {});
+        await api.post(`/alerts/${a.id}/resolve`, {}, { reason:"Auto-resolve low severity" });
         count++;
       } catch {}
     }
@@ -739,8 +1221,25 @@ function PreScannerTab({ toast }) {
     setAutoResolving(false);
   };
 
+  // One root cause, one fix — resolve every alert it explains together
+  const resolveGroup = async (group, merchantName) => {
+    setResolving(group.key + merchantName);
+    let count = 0;
+    for (const a of group.failures) {
+      try {
+        await api.post(`/alerts/${a.id}/resolve`, {}, { reason:`Root cause fixed: ${group.label}` });
+        count++;
+      } catch {}
+    }
+    toast(`Resolved ${count} alert(s) under ${group.label} for ${merchantName}`, "success");
+    const ids = new Set(group.failures.map(a => a.id));
+    setAlerts(prev => prev.filter(a => !ids.has(a.id)));
+    setResolving(null);
+  };
+
   const bySeverity = (sev) => alerts.filter(a => a.severity === sev);
   const sevOrder = ["critical","high","medium","low"];
+  const merchantGroups = grouped ? groupAlertsByMerchant(alerts, merchants) : [];
 
   return (
     <div style={{ padding:16 }}>
@@ -759,16 +1258,21 @@ function PreScannerTab({ toast }) {
           ))}
         </div>
         <div style={{ marginLeft:"auto", display:"flex", gap:6 }}>
+          <button onClick={() => setGrouped(g => !g)}
+            style={{ background: grouped ? "rgba(167,139,250,.08)" : "none", border:`1px solid ${grouped ? "rgba(167,139,250,.3)" : "#0e1922"}`,
+              color: grouped ? "#a78bfa" : "#9C9C9C", borderRadius:5, padding:"4px 10px", cursor:"pointer", fontFamily:"inherit", fontSize:9 }}>
+            {grouped ? "◇ By root cause" : "☰ Every alert"}
+          </button>
           <button onClick={loadAlerts} style={{ background:"none", border:"1px solid #0e1922", color:"#9C9C9C",
             borderRadius:5, padding:"4px 10px", cursor:"pointer", fontFamily:"inherit", fontSize:9 }}>
             ↺ Refresh
           </button>
-          <button onClick={autoResolveLow} disabled={autoResolving}
+          {canResolve && <button onClick={autoResolveLow} disabled={autoResolving}
             style={{ background:"rgba(96,165,250,.08)", border:"1px solid rgba(96,165,250,.25)",
               color:"#60a5fa", borderRadius:5, padding:"4px 10px", cursor:"pointer",
               fontFamily:"inherit", fontSize:9, fontWeight:700 }}>
             ⚡ Auto-Resolve Low
-          </button>
+          </button>}
         </div>
       </div>
 
@@ -794,6 +1298,58 @@ function PreScannerTab({ toast }) {
           <div style={{ fontSize:24, marginBottom:8 }}>✓</div>
           <div style={{ fontSize:10 }}>No open alerts{filter !== "all" ? ` at ${filter} severity` : ""}</div>
         </div>
+      ) : grouped ? (
+        <div style={{ display:"flex", flexDirection:"column", gap:8 }}>
+          {merchantGroups.map(entry => (
+            <div key={entry.merchant_id} style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:7,
+              padding:"10px 12px", animation:"fadeIn .2s ease" }}>
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline", marginBottom:8 }}>
+                <span style={{ fontSize:10, fontWeight:700, color:"#c8d8e8" }}>{entry.merchant_name}</span>
+                <span style={{ fontSize:8, color:"#9C9C9C" }}>
+                  {entry.alerts.length} alert(s) → {entry.groups.length} root cause(s)
+                </span>
+              </div>
+              {entry.groups.map(group => (
+                <div key={group.key} style={{ display:"grid", gridTemplateColumns:"1fr auto", gap:10, alignItems:"center",
+                  background:SEV_BG[group.severity], borderLeft:`3px solid ${SEV_COLOR[group.severity]}`,
+                  borderRadius:"0 6px 6px 0", padding:"7px 10px", marginBottom:4 }}>
+                  <div>
+                    <div style={{ display:"flex", gap:8, alignItems:"center", marginBottom:3 }}>
+                      <SevBadge severity={group.severity} />
+                      <span style={{ fontSize:10, fontWeight:700, color: group.isRoot ? "#e2cfa0" : "#c8d8e8" }}>{group.label}</span>
+                    </div>
+                    <div style={{ fontSize:8, color:"#9C9C9C", fontFamily:"monospace", marginBottom:3 }}>
+                      {group.failures.map(f => `${f.actionKey} · ${f.code}`).filter((v, i, arr) => arr.indexOf(v) === i).join("   ")}
+                    </div>
+                    {group.fix && (
+                      <div style={{ fontSize:9, color:"#8ca4bc" }}>
+                        <span style={{ color:"#4ade80" }}>→</span> {group.fix}
+                      </div>
+                    )}
+                  </div>
+                  {canResolve && <button onClick={() => resolveGroup(group, entry.merchant_name)}
+                    disabled={resolving === group.key + entry.merchant_name}
+                    style={{ background:"rgba(74,222,128,.07)", border:"1px solid rgba(74,222,128,.2)",
+                      color:"#4ade80", borderRadius:5, padding:"5px 10px", cursor:"pointer",
+                      fontFamily:"inherit", fontSize:8, fontWeight:700,
+                      opacity: resolving === group.key + entry.merchant_name ? .5 : 1 }}>
+                    {resolving === group.key + entry.merchant_name ? "…" : `Resolve ${group.failures.length}`}
+                  </button>}
+                </div>
+              ))}
+              <div style={{ display:"flex", gap:8, alignItems:"flex-start", marginTop:6 }}>
+                <div style={{ flex:1, fontSize:8, color:"#9C9C9C", whiteSpace:"pre-line", lineHeight:1.6 }}>
+                  <span style={{ color:"#a78bfa" }}>Outreach: </span>{entry.outreach}
+                </div>
+                <button onClick={() => navigator.clipboard?.writeText(entry.outreach).then(() => toast("Outreach message copied", "success"))}
+                  style={{ background:"none", border:"1px solid #0e1922", color:"#9C9C9C", borderRadius:4,
+                    padding:"3px 8px", cursor:"pointer", fontFamily:"inherit", fontSize:8, flexShrink:0 }}>
+                  Copy
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
       ) : (
         <div style={{ display:"flex", flexDirection:"column", gap:6 }}>
           {alerts.map(alert => (
@@ -828,7 +1384,7 @@ function PreScannerTab({ toast }) {
                   {new Date(alert.created_at).toLocaleString("en-KE")}
                 </div>
               </div>
-              <button
+              {canResolve && <button
                 onClick={() => resolveAlert(alert.id, alert.merchant_name, alert.error_code)}
                 disabled={resolving === alert.id}
                 style={{ background:"rgba(74,222,128,.07)", border:"1px solid rgba(74,222,128,.2)",
@@ -836,7 +1392,7 @@ function PreScannerTab({ toast }) {
                   fontFamily:"inherit", fontSize:8, fontWeight:700, transition:"all .15s",
                   opacity: resolving===alert.id ? .5 : 1 }}>
                 {resolving===alert.id ? "…" : "Resolve"}
-              </button>
+              </button>}
             </div>
           ))}
         </div>
@@ -849,20 +1405,23 @@ function PreScannerTab({ toast }) {
 // TAB 4 — BATCH SCANNER (fleet-level risk matrix)
 // ═══════════════════════════════════════════════════════════════════════════════
 function BatchScannerTab({ rules, toast }) {
-  const [merchants, setMerchants] = useState([]);
+  // First page only — feeds the segment dropdowns; scans page through everything
+  const { merchants } = useMerchants({ limit:200 });
   const [scanning, setScanning] = useState(false);
-  const [progress, setProgress] = useState(0);
-  const [matrix, setMatrix] = useState(null);   // { merchants×rules results }
+  const [progress, setProgress] = useState({ scanned:0, pages:0, chunksDone:0, chunks:0 });
+  const [matrix, setMatrix] = useState(null);   // [{ merchant, results:{ [actionKey]: result } }]
   const [summary, setSummary] = useState(null);
   const [selectedRules, setSelectedRules] = useState([]);
   const [scanScope, setScanScope] = useState("all"); // all | critical | sample
+  const [asOf, setAsOf] = useState("");               // "" = now
+  const [segment, setSegment] = useState({});         // { county:"Nairobi", ... }
+  const [baseline, setBaseline] = useState(null);     // pinned summary to compare against
+  const [paused, setPaused] = useState(null);         // cancelled scan job, resumable
   const abortRef = useRef(false);
+  const mountedRef = useRef(true);
+  const poolRef = useRef(null);
 
   useEffect(() => {
-    api.get("/merchants?limit=200").then(d => {
-      const m = Array.isArray(d) ? d : [];
-      setMerchants(m);
-    });
     // Default: select top 5 rules by demand
     setSelectedRules(rules.slice(0, 5).map(r => r.action_key));
   }, [rules]);
@@ -871,88 +1430,107 @@ function BatchScannerTab({ rules, toast }) {
     setSelectedRules(prev => prev.includes(key) ? prev.filter(k=>k!==key) : [...prev, key]);
   };
 
-  const runBatchScan = async () => {
-    if (!merchants.length || !selectedRules.length) return;
-    abortRef.current = false;
-    setScanning(true);
-    setMatrix(null);
-    setSummary(null);
-    setProgress(0);
-
-    const scope = scanScope === "sample" ? merchants.slice(0, 10)
-                : scanScope === "critical" ? merchants.filter(m => m.account_status !== "active" || m.kyc_status === "expired")
-                : merchants;
-
-    const results = [];
-    const ruleStats = {};
-    selectedRules.forEach(k => { ruleStats[k] = { pass:0, fail:0, critical:0, high:0, medium:0, low:0 }; });
+  // Leaving the tab stops the scan: no more pages, worker messages or events
+  useEffect(() => () => {
+    abortRef.current = true;
+    mountedRef.current = false;
+    poolRef.current?.terminate();
+  }, []);
 
-    let totalCallsAtRisk = 0;
+  // Pages through the fleet on the worker pool (batchScanPool.js runScanJob).
+  // Rows, tally and logged events land once per finished page. Cancel stops
+  // after the page in flight; a failed chunk leaves the job at the last
+  // finished page. Either way the job is kept so Resume picks up from there.
+  const runBatchScan = async (resumeJob = null) => {
+    if (!selectedRules.length && !resumeJob) return;
+    const job = resumeJob || {
+      asOf, segment, scope:scanScope, actionKeys:selectedRules,
+      offset:0, pages:0, rows:[], tally:newTally(selectedRules), logged:{ failures:0, warnings:0 },
+    };
+    const historical = !!job.asOf && job.asOf !== today();
     const ruleMap = {};
     rules.forEach(r => { ruleMap[r.action_key] = r; });
 
-    for (let i = 0; i < scope.length; i++) {
-      if (abortRef.current) break;
-      const merchant = scope[i];
-      const row = { merchant, results:{} };
-
-      for (const key of selectedRules) {
-        const res = evaluateRule(key, merchant);
-        row.results[key] = res;
-
-        if (res.passed) {
-          ruleStats[key].pass++;
-        } else {
-          ruleStats[key].fail++;
-          ruleStats[key][res.severity] = (ruleStats[key][res.severity] || 0) + 1;
-          const rule = ruleMap[key];
-          if (rule?.demand_total) totalCallsAtRisk += rule.demand_total;
-        }
-      }
-      results.push(row);
-      setProgress(Math.round(((i + 1) / scope.length) * 100));
+    abortRef.current = false;
+    setScanning(true);
+    setPaused(null);
+    if (!resumeJob) {
+      setMatrix([]);
+      setSummary(null);
     }
+    setProgress({ scanned:job.rows.length, pages:job.pages, chunksDone:0, chunks:0 });
+
+    // job.rows grows in place — the progress update is what re-renders the matrix
+    const publish = () => {
+      setMatrix(job.rows);
+      setSummary({
+        ...job.tally,
+        asOf: job.asOf || today(),
+        segment: Object.values(job.segment).filter(Boolean).join(" · ") || "All segments",
+        actionKeys: job.actionKeys,
+      });
+    };
 
-    // Batch-log failed events to backend (async, don't block)
-    const failedEvents = [];
-    results.forEach(row => {
-      Object.entries(row.results).forEach(([key, res]) => {
-        if (!res.passed) {
-          failedEvents.push(api.post("/events", {
-            merchant_id: row.merchant.id,
-            merchant_name: row.merchant.business_name,
-            action_key: key,
-            action_label: ruleMap[key]?.label || key,
-            channel: "batch_scan",
-            success: 0,
-            error_code: res.errorCode,
-            severity: res.severity,
-            escalated: res.severity === "critical" ? 1 : 0,
-          }).catch(()=>{}));
-        }
+    const pool = poolRef.current = createScanPool({ rules });
+    try {
+      const done = await runScanJob(pool, job, {
+        loadPage: offset => loadMerchantPage(job.asOf, offset),
+        pageSize: PAGE_SIZE,
+        chunkSize: SCAN_CHUNK_SIZE,
+        select: (page, { rows }) => {
+          const fleet = page.filter(m => inSegment(m, job.segment));
+          return job.scope === "sample" ? fleet.slice(0, SAMPLE_SIZE - rows.length)
+               : job.scope === "critical" ? fleet.filter(m => m.account_status !== "active" || m.kyc_status === "expired")
+               : fleet;
+        },
+        isDone: ({ rows }) => job.scope === "sample" && rows.length >= SAMPLE_SIZE,
+        onPage: (rows) => {
+          tallyRows(job.tally, rows, ruleMap);
+          // As-of scans describe another day, so they stay out of the live event log
+          if (!historical) logScanEvents(rows, ruleMap, job.logged);
+          publish();
+        },
+        onProgress: ({ pages, chunksDone, chunks }) => setProgress({ scanned:job.rows.length, pages, chunksDone, chunks }),
+        stopped: () => abortRef.current,
       });
-    });
-    Promise.all(failedEvents).catch(()=>{});
-
-    setMatrix(results);
-    setSummary({
-      scanned: results.length,
-      totalMerchants: merchants.length,
-      ruleStats,
-      totalCallsAtRisk,
-      criticalMerchants: results.filter(r => Object.values(r.results).some(res => res.severity === "critical" && !res.passed)).length,
-      healthyMerchants:  results.filter(r => Object.values(r.results).every(res => res.passed)).length,
-    });
-    setScanning(false);
-    toast(`Batch scan complete — ${results.length} merchants, ${failedEvents.length} failures logged`, "success");
+      if (!mountedRef.current) return;
+      publish();
+      if (!done) {
+        setPaused(job);
+        toast(`Scan paused at ${job.rows.length} merchants — resume to continue`);
+      } else {
+        toast(historical
+          ? `As-of scan complete — ${job.rows.length} merchants as of ${job.asOf}`
+          : `Batch scan complete — ${job.rows.length} merchants, ${job.logged.failures} failures and ${job.logged.warnings} warnings logged`, "success");
+      }
+    } catch (err) {
+      if (!mountedRef.current) return;
+      setPaused(job);
+      toast(`Scan stopped at ${job.rows.length} merchants: ${err.message}`, "error");
+    } finally {
+      pool.terminate();
+      if (poolRef.current === pool) poolRef.current = null;
+      if (mountedRef.current) setScanning(false);
+    }
   };
 
   const enabledRules = rules.filter(r => r.enabled == 1 || r.enabled === true);
   const ruleMap = {};
   rules.forEach(r => { ruleMap[r.action_key] = r; });
 
+  // Distinct values per segment field, for the filter dropdowns
+  const segmentOptions = Object.fromEntries(SEGMENT_FIELDS.map(({ key }) =>
+    [key, [...new Set(merchants.map(m => m[key]).filter(Boolean))].sort()]));
+
+  const delta = (key) => {
+    if (!baseline || !summary) return null;
+    const d = (summary[key] || 0) - (baseline[key] || 0);
+    return d === 0 ? "±0" : d > 0 ? `▲${key === "totalCallsAtRisk" ? fmtDemand(d) : d}` : `▼${key === "totalCallsAtRisk" ? fmtDemand(-d) : -d}`;
+  };
+
   const getCell = (result) => {
-    if (result.passed) return { bg:"rgba(74,222,128,.07)", color:"#4ade80", symbol:"✓" };
+    if (result.success === true)   return { bg:"rgba(74,222,128,.07)", color:"#4ade80", symbol:"✓" };
+    if (result.success === "warn") return { bg:"rgba(251,191,36,.08)", color:"#fbbf24", symbol:"⚠" };
     return { bg:SEV_BG[result.severity], color:SEV_COLOR[result.severity], symbol:"✗" };
   };
 
@@ -964,7 +1542,7 @@ function BatchScannerTab({ rules, toast }) {
           <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:8, padding:12 }}>
             <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>Scan Scope</div>
             {[
-              { v:"all",      label:"All Merchants",   sub:`${merchants.length} total` },
+              { v:"all",      label:"All Merchants",   sub:`Every page, ${PAGE_SIZE} at a time` },
               { v:"sample",   label:"Sample (10)",     sub:"Quick test run" },
               { v:"critical", label:"At-Risk Only",    sub:"Non-active / expired KYC" },
             ].map(opt => (
@@ -981,6 +1559,47 @@ function BatchScannerTab({ rules, toast }) {
             ))}
           </div>
 
+          <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:8, padding:12 }}>
+            <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>As Of</div>
+            <div style={{ display:"flex", gap:4 }}>
+              <input type="date" value={asOf} onChange={e=>setAsOf(e.target.value)}
+                style={{ flex:1, background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc", borderRadius:4,
+                  padding:"4px 7px", fontSize:9, fontFamily:"inherit" }} />
+              {asOf && (
+                <button onClick={() => setAsOf("")}
+                  style={{ background:"none", border:"none", color:"#9C9C9C", fontSize:8, cursor:"pointer", fontFamily:"inherit" }}>
+                  now
+                </button>
+              )}
+            </div>
+            <div style={{ fontSize:8, color:"#9C9C9C", marginTop:5 }}>
+              {!asOf || asOf === today() ? "Live merchant state"
+                : asOf < today() ? "Stored snapshots, aged to this date"
+                : `Today's state projected ${daysBetween(today(), asOf)} day(s) ahead`}
+            </div>
+          </div>
+
+          <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:8, padding:12 }}>
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:8 }}>
+              <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase" }}>Segment</div>
+              <button onClick={() => setSegment({})}
+                style={{ background:"none", border:"none", color:"#9C9C9C", fontSize:8, cursor:"pointer", fontFamily:"inherit" }}>
+                clear
+              </button>
+            </div>
+            {SEGMENT_FIELDS.map(({ key, label }) => (
+              <div key={key} style={{ display:"flex", alignItems:"center", gap:6, marginBottom:4 }}>
+                <span style={{ fontSize:8, color:"#9C9C9C", minWidth:52 }}>{label}</span>
+                <select value={segment[key] || ""} onChange={e => setSegment(prev => ({ ...prev, [key]: e.target.value }))}
+                  style={{ flex:1, background:"#040b10", border:"1px solid #0e1922", color:"#c8d8e8", borderRadius:4,
+                    padding:"3px 5px", fontSize:9, fontFamily:"inherit" }}>
+                  <option value="">any</option>
+                  {segmentOptions[key].map(v => <option key={v} value={v}>{v}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
           <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:8, padding:12 }}>
             <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:8 }}>
               <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase" }}>Rules to Scan</div>
@@ -1010,20 +1629,40 @@ function BatchScannerTab({ rules, toast }) {
             </div>
           </div>
 
-          <button onClick={runBatchScan} disabled={scanning || !selectedRules.length}
+          <button onClick={() => runBatchScan()} disabled={scanning || !selectedRules.length}
             style={{ background: scanning ? "#060d14" : "rgba(230,175,80,.12)",
               border:`1px solid ${scanning ? "#0e1922" : "rgba(230,175,80,.35)"}`,
               color: scanning ? "#9C9C9C" : "#e2cfa0",
               borderRadius:6, padding:"10px", fontFamily:"inherit", fontSize:11, fontWeight:800,
               cursor: scanning ? "wait" : "pointer", letterSpacing:.5, transition:"all .2s" }}>
-            {scanning ? `Scanning… ${progress}%` : "▶ Run Batch Scan"}
+            {scanning ? `Scanning… ${progress.scanned.toLocaleString()} merchants` : "▶ Run Batch Scan"}
           </button>
 
           {scanning && (
-            <div style={{ background:"#040b10", borderRadius:4, overflow:"hidden", height:4 }}>
-              <div style={{ width:`${progress}%`, height:"100%", background:"#e2cfa0",
-                transition:"width .15s", boxShadow:"0 0 8px #e2cfa080" }} />
-            </div>
+            <>
+              <div style={{ background:"#040b10", borderRadius:4, overflow:"hidden", height:4 }}>
+                <div style={{ width:`${progress.chunks ? progress.chunksDone / progress.chunks * 100 : 0}%`, height:"100%", background:"#e2cfa0",
+                  transition:"width .15s", boxShadow:"0 0 8px #e2cfa080" }} />
+              </div>
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center" }}>
+                <span style={{ fontSize:8, color:"#9C9C9C" }}>
+                  Page {progress.pages + 1} · {progress.pages * PAGE_SIZE} merchants fetched
+                </span>
+                <button onClick={() => { abortRef.current = true; }}
+                  style={{ background:"none", border:"1px solid rgba(248,113,113,.35)", color:"#f87171",
+                    borderRadius:4, padding:"3px 10px", fontSize:8, cursor:"pointer", fontFamily:"inherit" }}>
+                  ■ Cancel
+                </button>
+              </div>
+            </>
+          )}
+
+          {paused && !scanning && (
+            <button onClick={() => runBatchScan(paused)}
+              style={{ background:"rgba(96,165,250,.08)", border:"1px solid rgba(96,165,250,.3)", color:"#60a5fa",
+                borderRadius:6, padding:"8px", fontFamily:"inherit", fontSize:10, fontWeight:700, cursor:"pointer" }}>
+              ⏵ Resume from merchant {paused.offset + 1}
+            </button>
           )}
         </div>
 
@@ -1033,23 +1672,43 @@ function BatchScannerTab({ rules, toast }) {
             <div style={{ textAlign:"center", color:"#9C9C9C", marginTop:60 }}>
               <div style={{ fontSize:28, marginBottom:10 }}>⚡</div>
               <div style={{ fontSize:10 }}>Configure scope and rules, then run batch scan</div>
-              <div style={{ fontSize:8, marginTop:4 }}>Failures are batch-logged to /events</div>
+              <div style={{ fontSize:8, marginTop:4 }}>Failures and early warnings are batch-logged to /events</div>
+              <div style={{ fontSize:8, marginTop:4 }}>Pick an as-of date to scan stored snapshots instead</div>
             </div>
           )}
 
           {summary && (
             <div>
+              {/* Scan window + baseline */}
+              <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:8, fontSize:8, color:"#9C9C9C" }}>
+                <span>As of <span style={{ color:"#e2cfa0" }}>{summary.asOf}</span> · {summary.segment}</span>
+                {baseline && baseline !== summary && (
+                  <span>vs baseline <span style={{ color:"#a78bfa" }}>{baseline.asOf} · {baseline.segment}</span></span>
+                )}
+                <button onClick={() => setBaseline(baseline === summary ? null : summary)}
+                  style={{ marginLeft:"auto", background:"none", border:"1px solid #9C9C9C", color: baseline === summary ? "#a78bfa" : "#9C9C9C",
+                    borderRadius:4, padding:"2px 8px", fontSize:8, cursor:"pointer", fontFamily:"inherit" }}>
+                  {baseline === summary ? "◆ Baseline" : "◇ Pin as baseline"}
+                </button>
+              </div>
+
               {/* Summary stats */}
-              <div style={{ display:"grid", gridTemplateColumns:"repeat(4, 1fr)", gap:8, marginBottom:12 }}>
+              <div style={{ display:"grid", gridTemplateColumns:"repeat(5, 1fr)", gap:8, marginBottom:12 }}>
                 {[
-                  { label:"Scanned",       v:summary.scanned,           color:"#e2cfa0" },
-                  { label:"Healthy",       v:summary.healthyMerchants,  color:"#4ade80" },
-                  { label:"Critical",      v:summary.criticalMerchants, color:"#f87171" },
-                  { label:"Calls at Risk", v:fmtDemand(summary.totalCallsAtRisk), color:"#fb923c" },
-                ].map(({label,v,color}) => (
+                  { label:"Scanned",       v:summary.scanned,           color:"#e2cfa0", key:"scanned" },
+                  { label:"Healthy",       v:summary.healthyMerchants,  color:"#4ade80", key:"healthyMerchants" },
+                  { label:"Early Warning", v:summary.earlyWarningMerchants, color:"#fbbf24", key:"earlyWarningMerchants" },
+                  { label:"Critical",      v:summary.criticalMerchants, color:"#f87171", key:"criticalMerchants" },
+                  { label:"Calls at Risk", v:fmtDemand(summary.totalCallsAtRisk), color:"#fb923c", key:"totalCallsAtRisk" },
+                ].map(({label,v,color,key}) => (
                   <div key={label} style={{ background:"#060d14", border:`1px solid ${color}20`, borderRadius:7, padding:"10px 12px" }}>
                     <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase", marginBottom:4 }}>{label}</div>
-                    <div style={{ fontSize:16, fontWeight:800, color }}>{v}</div>
+                    <div style={{ display:"flex", alignItems:"baseline", gap:6 }}>
+                      <div style={{ fontSize:16, fontWeight:800, color }}>{v}</div>
+                      {baseline && baseline !== summary && (
+                        <span style={{ fontSize:8, color:"#a78bfa" }}>{delta(key)}</span>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
@@ -1057,9 +1716,9 @@ function BatchScannerTab({ rules, toast }) {
               {/* Per-rule breakdown */}
               <div style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:7, padding:10, marginBottom:12 }}>
                 <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>Rule Failure Breakdown</div>
-                {selectedRules.map(key => {
+                {summary.actionKeys.map(key => {
                   const stat = summary.ruleStats[key] || {};
-                  const total = (stat.pass||0) + (stat.fail||0);
+                  const total = (stat.pass||0) + (stat.warn||0) + (stat.fail||0);
                   const failRate = total > 0 ? ((stat.fail||0)/total*100) : 0;
                   const rule = ruleMap[key];
                   return (
@@ -1073,6 +1732,9 @@ function BatchScannerTab({ rules, toast }) {
                       <span style={{ fontSize:8, color:"#9C9C9C", minWidth:45, textAlign:"right" }}>
                         {stat.fail||0}/{total} fail
                       </span>
+                      <span style={{ fontSize:8, color: stat.warn ? "#fbbf24" : "#9C9C9C", minWidth:40, textAlign:"right" }}>
+                        {stat.warn||0} warn
+                      </span>
                       <span style={{ fontSize:8, color:"#9C9C9C", minWidth:50, textAlign:"right" }}>
                         {fmtDemand(rule?.demand_total)} calls
                       </span>
@@ -1084,14 +1746,14 @@ function BatchScannerTab({ rules, toast }) {
               {/* Matrix grid */}
               <div style={{ overflowX:"auto" }}>
                 <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:8 }}>
-                  Risk Matrix — {summary.scanned} merchants × {selectedRules.length} rules
+                  Risk Matrix — {summary.scanned} merchants × {summary.actionKeys.length} rules
                 </div>
                 {/* Rule headers */}
                 <div style={{ display:"grid",
-                  gridTemplateColumns:`160px repeat(${selectedRules.length}, 80px)`,
+                  gridTemplateColumns:`160px repeat(${summary.actionKeys.length}, 80px)`,
                   gap:0, marginBottom:3 }}>
                   <div />
-                  {selectedRules.map(key => (
+                  {summary.actionKeys.map(key => (
                     <div key={key} style={{ fontSize:7, color:"#9C9C9C", textAlign:"center",
                       textTransform:"uppercase", letterSpacing:.5, padding:"0 2px",
                       writingMode:"initial", overflow:"hidden", textOverflow:"ellipsis",
@@ -1100,18 +1762,21 @@ function BatchScannerTab({ rules, toast }) {
                     </div>
                   ))}
                 </div>
-                {/* Rows */}
-                <div style={{ maxHeight:340, overflowY:"auto" }}>
-                  {matrix.map((row, i) => {
-                    const allPass = Object.values(row.results).every(r => r.passed);
+                {/* Rows — virtualized */}
+                <VirtualRows count={matrix.length} rowHeight={MATRIX_ROW_HEIGHT} height={340}
+                  width={160 + summary.actionKeys.length * 80}
+                  renderRow={(i) => {
+                    const row = matrix[i];
+                    const allPass = Object.values(row.results).every(r => r.success !== false);
+                    const anyWarn = Object.values(row.results).some(r => r.success === "warn");
                     return (
-                      <div key={row.merchant.id} style={{
+                      <div style={{
                         display:"grid",
-                        gridTemplateColumns:`160px repeat(${selectedRules.length}, 80px)`,
-                        gap:0, marginBottom:2,
+                        gridTemplateColumns:`160px repeat(${summary.actionKeys.length}, 80px)`,
+                        gap:0, height:MATRIX_ROW_HEIGHT - 2,
                       }}>
                         <div style={{ display:"flex", gap:5, alignItems:"center",
-                          background: allPass ? "transparent" : "rgba(248,113,113,.03)",
+                          background: !allPass ? "rgba(248,113,113,.03)" : anyWarn ? "rgba(251,191,36,.03)" : "transparent",
                           padding:"3px 6px", borderRadius:"5px 0 0 5px" }}>
                           <span style={{ fontSize:13 }}>{row.merchant.avatar||"🏪"}</span>
                           <div>
@@ -1122,11 +1787,11 @@ function BatchScannerTab({ rules, toast }) {
                             <div style={{ fontSize:7, color:"#9C9C9C" }}>{row.merchant.county}</div>
                           </div>
                         </div>
-                        {selectedRules.map(key => {
+                        {summary.actionKeys.map(key => {
                           const res = row.results[key];
                           const cell = getCell(res);
                           return (
-                            <div key={key} title={res.passed ? "Passed" : `${res.errorCode}: ${res.inlineMessage}`}
+                            <div key={key} title={res.success === true ? "Passed" : `${res.code}: ${res.inline}`}
                               style={{ background:cell.bg, color:cell.color,
                                 display:"flex", alignItems:"center", justifyContent:"center",
                                 fontSize:10, fontWeight:700, borderRight:"1px solid #040b10",
@@ -1140,8 +1805,7 @@ function BatchScannerTab({ rules, toast }) {
                         })}
                       </div>
                     );
-                  })}
-                </div>
+                  }} />
               </div>
             </div>
           )}
@@ -1154,37 +1818,56 @@ function BatchScannerTab({ rules, toast }) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // TAB 5 — PROVISION (add rule / upload)
 // ═══════════════════════════════════════════════════════════════════════════════
-function ProvisionTab({ onRulesChanged, toast }) {
+function ProvisionTab({ author, toast }) {
   const [mode, setMode] = useState("add"); // add | upload
   const [form, setForm] = useState({
-    action_key:"", label:"", description:"", demand_total:0, demand_rank:0, enabled:1, automatable:0,
+    action_key:"", label:"", description:"", demand_total:0, demand_rank:0, enabled:1, automatable:0, ok_message:"",
   });
+  const [conditionsText, setConditionsText] = useState("");
   const [saving, setSaving] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
   const [dragging, setDragging] = useState(false);
   const fileRef = useRef();
-  const [uploadHistory, setUploadHistory] = useState([]);
+  const [impact, setImpact] = useState(null); // { ...previewRuleImpact, formKey }
+  const [dryRunning, setDryRunning] = useState(false);
 
-  useEffect(() => {
-    api.get("/uploads").then(d => setUploadHistory(Array.isArray(d) ? d.filter(u=>u.upload_type==="rules") : [])).catch(()=>{});
-  }, []);
+  // Refetched by the cache after every upload
+  const { data:uploads } = useQuery("/uploads");
+  const uploadHistory = useMemo(() => Array.isArray(uploads) ? uploads.filter(u=>u.upload_type==="rules") : [], [uploads]);
 
-  const set = (k,v) => setForm(f => ({...f, [k]:v}));
+  // Any edit invalidates a dry run already on screen
+  const set = (k,v) => { setForm(f => ({...f, [k]:v})); setImpact(null); };
+  const conditionErrors = conditionsText.trim() ? validateConditions(conditionsText) : [];
 
   const submitNew = async () => {
     if (!form.action_key.trim()) { toast("action_key is required", "error"); return; }
+    if (conditionErrors.length) { toast(conditionErrors[0], "error"); return; }
+    const record = {
+      ...form,
+      action_key: form.action_key.toUpperCase().replace(/\s+/g,"_"),
+      enabled: form.enabled ? 1 : 0,
+      automatable: form.automatable ? 1 : 0,
+      conditions: parseConditions(conditionsText.trim()),
+    };
+    // First click runs the dry run; "Confirm save" in the preview creates the rule
+    const formKey = JSON.stringify(record);
+    if (impact?.formKey !== formKey) {
+      setDryRunning(true);
+      try {
+        const fleet = await loadFleet();
+        setImpact({ ...previewRuleImpact(fleet, record), formKey });
+      } catch (e) { toast(`Dry run failed: ${e.message}`, "error"); }
+      finally { setDryRunning(false); }
+      return;
+    }
     setSaving(true);
     try {
-      await api.post("/rules", {
-        ...form,
-        action_key: form.action_key.toUpperCase().replace(/\s+/g,"_"),
-        enabled: form.enabled ? 1 : 0,
-        automatable: form.automatable ? 1 : 0,
-      });
-      toast(`✓ Rule ${form.action_key.toUpperCase()} created`, "success");
-      setForm({ action_key:"", label:"", description:"", demand_total:0, demand_rank:0, enabled:1, automatable:0 });
-      onRulesChanged();
+      await api.post("/rules", { ...record, author: author || null }, { reason:"Created in Provision" });
+      toast(`✓ Rule ${record.action_key} created`, "success");
+      setForm({ action_key:"", label:"", description:"", demand_total:0, demand_rank:0, enabled:1, automatable:0, ok_message:"" });
+      setConditionsText("");
+      setImpact(null);
     } catch (e) { toast(`Error: ${e.message}`, "error"); }
     finally { setSaving(false); }
   };
@@ -1196,10 +1879,9 @@ function ProvisionTab({ onRulesChanged, toast }) {
     const fd = new FormData();
     fd.append("file", file);
     try {
-      const data = await api.upload("/upload/rules", fd);
+      const data = await api.postForm("/upload/rules", fd, { reason:`Bulk upload: ${file.name}` });
       setUploadResult(data);
-      if (data.success_count > 0) { toast(`✓ Imported ${data.success_count} rules`, "success"); onRulesChanged(); }
-      api.get("/uploads").then(d => setUploadHistory(Array.isArray(d) ? d.filter(u=>u.upload_type==="rules") : [])).catch(()=>{});
+      if (data.success_count > 0) toast(`✓ Imported ${data.success_count} rules`, "success");
     } catch (e) { toast(`Upload failed: ${e.message}`, "error"); }
     finally { setUploading(false); }
   };
@@ -1218,6 +1900,7 @@ function ProvisionTab({ onRulesChanged, toast }) {
             { k:"description",  label:"Description",    placeholder:"What this rule checks" },
             { k:"demand_total", label:"Q4 Demand",      placeholder:"0", type:"number" },
             { k:"demand_rank",  label:"Demand Rank",    placeholder:"0", type:"number" },
+            { k:"ok_message",   label:"Pass Message",   placeholder:"Shown when no condition matches — {paybill} etc. allowed" },
           ].map(({k,label,placeholder,type}) => (
             <div key={k}>
               <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>{label}</div>
@@ -1235,6 +1918,24 @@ function ProvisionTab({ onRulesChanged, toast }) {
             </div>
           ))}
 
+          <div>
+            <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>
+              Conditions (JSON, checked in order)
+            </div>
+            <textarea
+              value={conditionsText}
+              onChange={e=>{ setConditionsText(e.target.value); setImpact(null); }}
+              rows={7}
+              placeholder={'[{ "when":[{ "field":"pin_locked", "op":"is_true" }],\n   "outcome":"fail", "code":"PIN_LOCKED", "severity":"high",\n   "inline":"PIN locked for {paybill}", "reason":"…", "fix":"…" }]'}
+              style={{ background:"#040b10", border:`1px solid ${conditionErrors.length ? "rgba(248,113,113,.5)" : "#9C9C9C"}`,
+                color:"#dde8f4", borderRadius:5, padding:"6px 9px", fontSize:9, outline:"none",
+                fontFamily:"monospace", width:"100%", resize:"vertical" }}
+            />
+            {conditionErrors.map((err, i) => (
+              <div key={i} style={{ fontSize:8, color:"#f87171", marginTop:2 }}>{err}</div>
+            ))}
+          </div>
+
           <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:8 }}>
             {[
               { k:"enabled",     label:"Enabled by default" },
@@ -1247,17 +1948,22 @@ function ProvisionTab({ onRulesChanged, toast }) {
             ))}
           </div>
 
-          <button onClick={submitNew} disabled={saving}
+          <button onClick={submitNew} disabled={saving || dryRunning}
             style={{ background:"rgba(230,175,80,.12)", border:"1px solid rgba(230,175,80,.35)",
               color:"#e2cfa0", borderRadius:6, padding:"9px", fontFamily:"inherit",
-              fontSize:11, fontWeight:800, cursor:saving?"wait":"pointer",
-              opacity:saving?.6:1, letterSpacing:.5 }}>
-            {saving ? "Creating…" : "Create Rule"}
+              fontSize:11, fontWeight:800, cursor:saving || dryRunning?"wait":"pointer",
+              opacity:saving || dryRunning?.6:1, letterSpacing:.5 }}>
+            {saving ? "Creating…" : dryRunning ? "Running dry run over the fleet…" : "Preview Impact & Create"}
           </button>
 
+          {impact && (
+            <ImpactPreview impact={impact} saving={saving} onConfirm={submitNew} onCancel={() => setImpact(null)} />
+          )}
+
           <div style={{ fontSize:8, color:"#9C9C9C", lineHeight:1.7 }}>
             Rule will be available immediately in Catalog, Evaluator, and Batch Scanner.
-            Add evaluation logic in <span style={{ color:"#e2cfa0", fontFamily:"monospace" }}>rulesEngine.jsx</span> → <span style={{ fontFamily:"monospace", color:"#9C9C9C" }}>evaluateRule()</span>.
+            Conditions run in the shared engine at runtime — the first matching condition decides the verdict.
+            Operators: <span style={{ color:"#e2cfa0", fontFamily:"monospace" }}>{Object.keys(CONDITION_OPERATORS).join(" · ")}</span>.
           </div>
         </div>
       </div>
@@ -1270,9 +1976,10 @@ function ProvisionTab({ onRulesChanged, toast }) {
             ↑ Upload Rules CSV
           </div>
           <div style={{ fontSize:9, color:"#9C9C9C", lineHeight:1.7, marginBottom:10 }}>
-            CSV columns: <span style={{ color:"#a78bfa", fontFamily:"monospace" }}>action_key, demand_total, demand_rank, enabled</span>
+            CSV columns: <span style={{ color:"#a78bfa", fontFamily:"monospace" }}>action_key, demand_total, demand_rank, enabled, conditions, ok_message</span>
+            <span style={{ display:"block" }}>The <span style={{ fontFamily:"monospace" }}>conditions</span> cell holds the same JSON list as the form.</span>
           </div>
-          <button onClick={() => window.open(`${BASE}/upload/rules/template`,"_blank")}
+          <button onClick={() => window.open(api.upload.template("rules"),"_blank")}
             style={{ background:"none", border:"1px solid #9C9C9C", color:"#9C9C9C",
               borderRadius:5, padding:"5px 10px", cursor:"pointer", fontFamily:"inherit",
               fontSize:9, marginBottom:10 }}>
@@ -1340,15 +2047,236 @@ function ProvisionTab({ onRulesChanged, toast }) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// TAB 6 — HISTORY (rule versions · diff · rollback)
+// ═══════════════════════════════════════════════════════════════════════════════
+function HistoryTab({ rules, author, toast }) {
+  const canWrite = useAuth().can("rules.write");
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loadingV, setLoadingV] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [asOf, setAsOf] = useState("");
+  const [rollingBack, setRollingBack] = useState(false);
+
+  const loadVersions = useCallback(async (actionKey) => {
+    setLoadingV(true);
+    try {
+      const d = await api.get(`/rules/${actionKey}/versions`);
+      const list = (Array.isArray(d) ? d : []).sort((a, b) => b.version - a.version);
+      setVersions(list);
+      setSelectedVersion(list[0] || null);
+    } catch { setVersions([]); }
+    finally { setLoadingV(false); }
+  }, []);
+
+  useEffect(() => { if (selectedKey) loadVersions(selectedKey); }, [selectedKey, loadVersions]);
+
+  const rollback = async (v) => {
+    if (!author) { toast("Your account has no name — rollbacks are versioned too", "error"); return; }
+    const reason = window.prompt(`Roll ${selectedKey} back to v${v.version}? This is saved as a new version.\nReason (recorded in the audit trail):`);
+    if (reason === null) return;
+    setRollingBack(true);
+    try {
+      await api.post(`/rules/${selectedKey}/rollback`, { version: v.version, author }, { reason });
+      toast(`↺ ${selectedKey} rolled back to v${v.version}`, "success");
+      loadVersions(selectedKey);
+    } catch (e) { toast(`Rollback failed: ${e.message}`, "error"); }
+    finally { setRollingBack(false); }
+  };
+
+  const inForce = versionInForce(versions, asOf);
+  const idx = selectedVersion ? versions.indexOf(selectedVersion) : -1;
+  const previous = idx >= 0 ? versions[idx + 1] : null;
+  const changes = selectedVersion
+    ? diffRule(parseSnapshot(previous?.snapshot), parseSnapshot(selectedVersion.snapshot))
+    : [];
+
+  return (
+    <div style={{ display:"grid", gridTemplateColumns:"220px 260px 1fr", flex:1, height:"100%", overflow:"hidden" }}>
+      {/* Rule picker */}
+      <div style={{ borderRight:"1px solid #0e1922", padding:14, overflowY:"auto" }}>
+        <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:6 }}>Rule</div>
+        {rules.map(r => (
+          <button key={r.action_key} onClick={() => setSelectedKey(r.action_key)}
+            style={{ display:"block", width:"100%", textAlign:"left", cursor:"pointer", fontFamily:"inherit",
+              background: selectedKey===r.action_key ? "rgba(230,175,80,.08)" : "transparent",
+              border:`1px solid ${selectedKey===r.action_key ? "rgba(230,175,80,.3)" : "transparent"}`,
+              borderRadius:5, padding:"6px 9px", marginBottom:2 }}>
+            <div style={{ fontSize:9, fontFamily:"monospace", fontWeight:700, color:"#e2cfa0" }}>{r.action_key}</div>
+            <div style={{ fontSize:8, color:"#9C9C9C" }}>{r.label || "—"}</div>
+          </button>
+        ))}
+      </div>
+
+      {/* Version timeline */}
+      <div style={{ borderRight:"1px solid #0e1922", padding:14, overflowY:"auto" }}>
+        <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:6 }}>
+          In force on
+        </div>
+        <input type="date" value={asOf} onChange={e=>setAsOf(e.target.value)}
+          style={{ background:"#040b10", border:"1px solid #9C9C9C", color:"#8ca4bc", borderRadius:4,
+            padding:"4px 7px", fontSize:9, fontFamily:"inherit", width:"100%", marginBottom:12 }} />
+
+        {!selectedKey ? (
+          <div style={{ fontSize:9, color:"#9C9C9C" }}>Select a rule to see its versions</div>
+        ) : loadingV ? (
+          <div style={{ fontSize:9, color:"#9C9C9C" }}>Loading…</div>
+        ) : versions.length === 0 ? (
+          <div style={{ fontSize:9, color:"#9C9C9C" }}>No versions recorded for {selectedKey}</div>
+        ) : versions.map((v, i) => {
+          const isSel = selectedVersion === v;
+          const isForce = inForce === v;
+          return (
+            <button key={v.version} onClick={() => setSelectedVersion(v)}
+              style={{ display:"block", width:"100%", textAlign:"left", cursor:"pointer", fontFamily:"inherit",
+                background: isSel ? "rgba(167,139,250,.08)" : "transparent",
+                border:`1px solid ${isForce ? "rgba(74,222,128,.4)" : isSel ? "rgba(167,139,250,.3)" : "#0e1922"}`,
+                borderRadius:5, padding:"7px 9px", marginBottom:4 }}>
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center" }}>
+                <span style={{ fontSize:10, fontWeight:800, color:"#c8d8e8" }}>v{v.version}</span>
+                <span style={{ fontSize:7, color:"#4ade80" }}>
+                  {i === 0 ? "CURRENT" : isForce ? "IN FORCE" : ""}
+                </span>
+              </div>
+              <div style={{ fontSize:8, color:"#9C9C9C", marginTop:2 }}>
+                {v.author || "unknown"} · {v.created_at ? new Date(v.created_at).toLocaleString("en-KE", { hour12:false }) : "—"}
+              </div>
+              {v.reason && <div style={{ fontSize:8, color:"#8ca4bc", marginTop:2 }}>{v.reason}</div>}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Diff + rollback */}
+      <div style={{ padding:16, overflowY:"auto" }}>
+        {!selectedVersion ? (
+          <div style={{ textAlign:"center", color:"#9C9C9C", marginTop:60, fontSize:10 }}>
+            Every rule edit is stored as a version — pick one to see what changed
+          </div>
+        ) : (
+          <div style={{ animation:"fadeIn .25s ease" }}>
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
+              <div>
+                <div style={{ fontSize:14, fontWeight:800, color:"#e2cfa0" }}>{selectedKey} · v{selectedVersion.version}</div>
+                <div style={{ fontSize:9, color:"#9C9C9C", marginTop:2 }}>
+                  {previous ? `Changes since v${previous.version}` : "Initial version"}
+                </div>
+              </div>
+              {idx > 0 && canWrite && (
+                <button onClick={() => rollback(selectedVersion)} disabled={rollingBack}
+                  style={{ background:"rgba(251,191,36,.08)", border:"1px solid rgba(251,191,36,.3)", color:"#fbbf24",
+                    borderRadius:5, padding:"6px 12px", cursor:rollingBack?"wait":"pointer", fontFamily:"inherit",
+                    fontSize:9, fontWeight:700 }}>
+                  {rollingBack ? "Rolling back…" : `↺ Roll back to v${selectedVersion.version}`}
+                </button>
+              )}
+            </div>
+
+            {changes.length === 0 ? (
+              <div style={{ fontSize:9, color:"#9C9C9C" }}>No field changes in this version</div>
+            ) : changes.map(c => (
+              <div key={c.field} style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:6,
+                padding:"8px 10px", marginBottom:5 }}>
+                <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase", marginBottom:4 }}>{c.field}</div>
+                <div style={{ fontSize:9, fontFamily:"monospace", color:"#f87171", wordBreak:"break-all" }}>− {c.before ?? "∅"}</div>
+                <div style={{ fontSize:9, fontFamily:"monospace", color:"#4ade80", wordBreak:"break-all" }}>+ {c.after ?? "∅"}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TAB 7 — TESTS (fixture suites against the live engine)
+// ═══════════════════════════════════════════════════════════════════════════════
+function TestsTab({ rules }) {
+  const [results, setResults] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [ranAt, setRanAt] = useState(null);
+
+  // Re-run whenever the catalog reloads — a saved edit changes the engine
+  const run = useCallback(() => {
+    setResults(runAllFixtureSuites());
+    setRanAt(new Date());
+  }, []);
+
+  useEffect(() => { run(); }, [run, rules]);
+
+  const untested = rules.map(r => r.action_key).filter(k => !RULE_FIXTURES[k]);
+  const totalCases = (results || []).reduce((s, r) => s + r.cases.length, 0);
+  const totalFailed = (results || []).reduce((s, r) => s + r.failed, 0);
+
+  return (
+    <div style={{ padding:16 }}>
+      <div style={{ display:"flex", gap:10, marginBottom:16, alignItems:"stretch" }}>
+        {[
+          { label:"Suites",   v:(results || []).length,   color:"#e2cfa0" },
+          { label:"Cases",    v:totalCases,               color:"#60a5fa" },
+          { label:"Passing",  v:totalCases - totalFailed, color:"#4ade80" },
+          { label:"Failing",  v:totalFailed,              color: totalFailed ? "#f87171" : "#9C9C9C" },
+        ].map(({label,v,color}) => (
+          <div key={label} style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:7,
+            padding:"10px 14px", flex:1 }}>
+            <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.5, textTransform:"uppercase", marginBottom:4 }}>{label}</div>
+            <div style={{ fontSize:16, fontWeight:800, color }}>{v}</div>
+          </div>
+        ))}
+        <button onClick={run} style={{ background:"rgba(230,175,80,.08)", border:"1px solid rgba(230,175,80,.25)",
+          color:"#e2cfa0", borderRadius:7, padding:"0 18px", cursor:"pointer", fontFamily:"inherit", fontSize:10, fontWeight:700 }}>
+          ▶ Run all
+        </button>
+      </div>
+
+      {ranAt && (
+        <div style={{ fontSize:8, color:"#9C9C9C", marginBottom:8 }}>
+          Last run {ranAt.toLocaleTimeString()} · fixtures live in src/failureRuleFixtures.js · also run by npm test
+        </div>
+      )}
+
+      {(results || []).map(suite => {
+        const open = expanded === suite.actionKey;
+        return (
+          <div key={suite.actionKey} style={{ background:"#060d14", border:"1px solid #0e1922", borderRadius:6, marginBottom:4,
+            borderLeft:`3px solid ${suite.failed ? "#f87171" : "#4ade80"}` }}>
+            <div onClick={() => setExpanded(open ? null : suite.actionKey)}
+              style={{ display:"flex", justifyContent:"space-between", alignItems:"center", padding:"8px 12px", cursor:"pointer" }}>
+              <span style={{ fontSize:10, fontWeight:700, fontFamily:"monospace", color:"#e2cfa0" }}>{suite.actionKey}</span>
+              <span style={{ fontSize:9, fontWeight:700, color: suite.failed ? "#f87171" : "#4ade80" }}>
+                {suite.failed ? `✗ ${suite.failed} failing · ` : "✓ "}{suite.passed}/{suite.cases.length} {open ? "▴" : "▾"}
+              </span>
+            </div>
+            {open && (
+              <div style={{ padding:"0 12px 8px 12px" }}>
+                <FixtureCases suite={suite} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {untested.length > 0 && (
+        <div style={{ fontSize:9, color:"#fbbf24", marginTop:12 }}>
+          ⚠ No fixtures for: {untested.join(", ")}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ROOT COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════════
 export default function RulesEngine() {
-  const [rules, setRules]       = useState([]);
-  const [loading, setLoading]   = useState(true);
-  const [apiOnline, setApiOnline] = useState(null);
   const [activeTab, setActiveTab] = useState("catalog");
   const [toasts, setToasts]     = useState([]);
+  // Versions are attributed to the signed-in user; only rules-admins can write
+  const { user, can } = useAuth();
+  const author = user?.name || user?.id || "";
+  const canWrite = can("rules.write");
 
   const toast = useCallback((msg, type="success") => {
     const id = Date.now() + Math.random();
@@ -1356,29 +2284,19 @@ export default function RulesEngine() {
     setTimeout(() => setToasts(t => t.filter(x => x.id !== id)), 3500);
   }, []);
 
-  const loadRules = useCallback(async () => {
-    setLoading(true);
-    try {
-      const data = await api.get("/rules");
-      console.log(data)
-      setRules(Array.isArray(data) ? data : []);
-      setApiOnline(true);
-    } catch {
-      setApiOnline(false);
-      setRules([]);
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  useEffect(() => { loadRules(); }, [loadRules]);
+  // Shared with the dashboard through the query cache; rule edits refetch it.
+  // Tabs get `rules` once the engine has registered them
+  const { rules, data:ruleData, error:rulesError, fetching:loading, refetch:loadRules } = useRuleDefinitions();
+  const apiOnline = rulesError ? false : ruleData !== undefined ? true : null;
 
   const TABS = [
     { id:"catalog",     label:"Catalog",     icon:"◈", sub:"All rules + demand" },
     { id:"evaluator",   label:"Evaluator",   icon:"▶", sub:"Single merchant × rule" },
     { id:"prescanner",  label:"Pre-Scanner", icon:"⚠", sub:"Live alert feed" },
     { id:"batch",       label:"Batch Scan",  icon:"⚡", sub:"Fleet risk matrix" },
-    { id:"provision",   label:"Provision",   icon:"+", sub:"Add / upload rules" },
+    ...(canWrite ? [{ id:"provision", label:"Provision", icon:"+", sub:"Add / upload rules" }] : []),
+    { id:"history",     label:"History",     icon:"↺", sub:"Versions · diff · rollback" },
+    { id:"tests",       label:"Tests",       icon:"✓", sub:"Fixture suites" },
   ];
 
   const enabledCount = rules.filter(r => r.enabled==1||r.enabled===true).length;
@@ -1416,6 +2334,11 @@ export default function RulesEngine() {
           </div>
 
           <div style={{ display:"flex", gap:12, alignItems:"center", fontSize:8, color:"#9C9C9C" }}>
+            <span style={{ display:"flex", gap:5, alignItems:"center" }}>
+              {canWrite ? "editing as" : "viewing as"}
+              <span style={{ color:"#e2cfa0", fontWeight:700 }}>{author}</span>
+              {!canWrite && <span style={{ color:"#fbbf24", border:"1px solid rgba(251,191,36,.3)", borderRadius:3, padding:"1px 4px" }}>read-only</span>}
+            </span>
             <span><span style={{ color:"#e2cfa0", fontWeight:700 }}>{rules.length}</span> rules</span>
             <span><span style={{ color:"#4ade80", fontWeight:700 }}>{enabledCount}</span> enabled</span>
             <span><span style={{ color:"#f87171", fontWeight:700 }}>{fmtDemand(totalDemand)}</span> calls/qtr</span>
@@ -1439,7 +2362,7 @@ export default function RulesEngine() {
         {apiOnline === false && (
           <div style={{ background:"rgba(239,68,68,.06)", borderBottom:"1px solid rgba(239,68,68,.15)",
             padding:"7px 18px", fontSize:9, color:"#f87171" }}>
-            ⚠ Backend unreachable at {BASE} — run <code style={{ color:"#fbbf24" }}>npm run dev</code>
+            ⚠ Backend unreachable at {getBase()} — run <code style={{ color:"#fbbf24" }}>npm run dev</code>
           </div>
         )}
 
@@ -1462,11 +2385,13 @@ export default function RulesEngine() {
 
         {/* ── TAB CONTENT */}
         <div style={{ flex:1, overflow:"hidden", display:"flex", flexDirection:"column" }}>
-          {activeTab === "catalog"    && <div style={{ flex:1, overflowY:"auto" }}><CatalogTab    rules={rules} loading={loading} onRulesChanged={loadRules} toast={toast} /></div>}
+          {activeTab === "catalog"    && <div style={{ flex:1, overflowY:"auto" }}><CatalogTab    rules={rules} loading={loading} author={author} toast={toast} /></div>}
           {activeTab === "evaluator"  && <div style={{ flex:1, overflow:"hidden", display:"flex" }}><EvaluatorTab  rules={rules} toast={toast} /></div>}
           {activeTab === "prescanner" && <div style={{ flex:1, overflowY:"auto" }}><PreScannerTab toast={toast} /></div>}
           {activeTab === "batch"      && <div style={{ flex:1, overflowY:"auto" }}><BatchScannerTab rules={rules} toast={toast} /></div>}
-          {activeTab === "provision"  && <div style={{ flex:1, overflowY:"auto" }}><ProvisionTab  onRulesChanged={loadRules} toast={toast} /></div>}
+          {activeTab === "provision"  && canWrite && <div style={{ flex:1, overflowY:"auto" }}><ProvisionTab  author={author} toast={toast} /></div>}
+          {activeTab === "history"    && <div style={{ flex:1, overflow:"hidden", display:"flex" }}><HistoryTab rules={rules} author={author} toast={toast} /></div>}
+          {activeTab === "tests"      && <div style={{ flex:1, overflowY:"auto" }}><TestsTab rules={rules} /></div>}
         </div>
 
         <Toast toasts={toasts} />
@@ -2,73 +2,148 @@
 // ─────────────────────────────────────────────────────────────────────────────
 // WHERE EVERY API CALL HAPPENS — one file, fully documented
 //
-// All hooks call api/client.js which points to http://localhost:4000/api/v1
+// All hooks call api/client.js, which points at the active environment (api/env.js)
 // The backend handles: DB persistence, AI (Claude), Safaricom integrations
 //
 // Usage in any component:
 //   const { merchants, loading, refetch } = useMerchants();
 //   const { logEvent } = useEventLogger();
 //   const { analyze } = useAI();
+//   const { user, can } = useAuth();   if (can('merchants.delete')) ...
+//
+// Every hook that reads exposes `error` — the ApiError from api/errors.js
+// (null when fine), so a component can show `error.message` or branch on
+// `error.kind` ('network', 'timeout', 'validation', 'conflict', 'server').
+// In-flight reads are cancelled on unmount and when a newer fetch starts;
+// those cancellations never surface as errors.
+//
+// Reads of shared data (fleet, rules) go through useQuery and a cache, so
+// tabs mounting and unmounting do not refetch the whole fleet.
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import api from '../api/client';
+import api, { isAbort } from '../api/client';
+import queryCache from '../api/queryCache';
+import { can, clearSession, getSession, setSession, subscribeAuth } from '../api/auth';
+import eventQueue from '../api/eventQueue';
+import outbox from '../api/outbox';
+import { fleetToCsv, generateFleet } from '../merchantGenerator';
+import { loadRuleDefinitions } from '../failureRulesEngine';
+
+// ── 0. CANCELLATION — one live request per hook; starting another aborts the
+// previous one, and unmounting aborts whatever is still in flight
+function useLatestSignal() {
+  const ctrlRef = useRef(null);
+  useEffect(() => () => ctrlRef.current?.abort(), []);
+  return useCallback(() => {
+    ctrlRef.current?.abort();
+    ctrlRef.current = new AbortController();
+    return ctrlRef.current.signal;
+  }, []);
+}
 
-// ── 1. MERCHANTS — loaded at app start, refreshed after uploads/adds
-export function useMerchants(filters = {}) {
-  const [merchants, setMerchants] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+// ── Q. SHARED QUERIES — cached GETs (api/queryCache.js). Every component asking
+// for the same path shares one request and one copy of the data; a remount
+// shows the cached copy at once and only refetches when it has gone stale.
+// Writes through api/client.js invalidate the matching paths automatically.
+//
+//   const { data: rules, refetch } = useQuery('/rules');
+//   const { data } = useQuery('/events?limit=200', { refreshMs: 3000 });   // live panel
 
-  const fetch = useCallback(async () => {
-    setLoading(true);
-    try {
-      // API CALL → GET /api/v1/merchants?{filters}
-      const data = await api.merchants.list(filters);
-      setMerchants(data);
-    } catch (e) {
-      setError(e.message);
-      console.warn('[useMerchants] Backend unavailable — using empty list. Start backend with: npm run dev');
-    } finally {
-      setLoading(false);
-    }
-  }, [JSON.stringify(filters)]);
+export function useQuery(path, { staleMs, refreshMs, enabled = true } = {}) {
+  const [state, setState] = useState(() => queryCache.peek(path));
 
-  useEffect(() => { fetch(); }, [fetch]);
+  useEffect(() => {
+    if (!enabled) return;
+    setState(queryCache.peek(path));
+    const unsubscribe = queryCache.subscribe(path, setState);
+    queryCache.fetch(path, () => api.get(path), { staleMs }).catch(() => {});
+    // Keep the data no older than refreshMs — skipped when another view just refreshed it
+    const t = refreshMs ? setInterval(() => queryCache.fetch(path, () => api.get(path), { staleMs: refreshMs - 100 }).catch(() => {}), refreshMs) : null;
+    return () => { unsubscribe(); clearInterval(t); };
+  }, [path, staleMs, refreshMs, enabled]);
+
+  // Failures land in `error`; the promise itself never rejects
+  const refetch = useCallback(() => queryCache.fetch(path, () => api.get(path), { force: true }).catch(() => undefined), [path]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: enabled && state.data === undefined && !state.error,
+    fetching: state.fetching,
+    refetch,
+  };
+}
+
+// ── R. RULE DEFINITIONS — GET /rules from the cache, registered with the engine
+// (loadRuleDefinitions) in an effect. `rules` only changes once the engine holds
+// that set, and `loading` lasts until the first set is in, so nothing renders
+// verdicts against definitions that are about to be replaced. While /rules is
+// loading or has failed, the registered definitions are left alone.
+//
+//   const { rules, error, refetch } = useRuleDefinitions();
+const NO_RULES = [];
+
+export function useRuleDefinitions() {
+  const { data, error, loading, fetching, refetch } = useQuery('/rules');
+  const [registered, setRegistered] = useState(undefined);
 
-  return { merchants, loading, error, refetch: fetch };
+  useEffect(() => {
+    if (data === undefined) return;
+    loadRuleDefinitions(Array.isArray(data) ? data : NO_RULES);
+    setRegistered(data);
+  }, [data]);
+
+  return {
+    rules: Array.isArray(registered) ? registered : NO_RULES,
+    data,
+    error,
+    loading: loading || (data !== undefined && registered === undefined),
+    fetching,
+    refetch,
+  };
+}
+
+// ── 1. MERCHANTS — loaded at app start, refreshed after uploads/adds
+// useMerchants({ limit: 200 }) is the fleet every tab shares; options go to useQuery
+const NO_MERCHANTS = [];
+
+export function useMerchants(filters = {}, options) {
+  const qs = new URLSearchParams(filters).toString();
+  // API CALL → GET /api/v1/merchants?{filters}
+  const { data, loading, error, refetch } = useQuery(qs ? `/merchants?${qs}` : '/merchants', options);
+  return { merchants: Array.isArray(data) ? data : NO_MERCHANTS, loading, error, refetch };
 }
 
 // ── 2. SINGLE MERCHANT with full profile
 export function useMerchantProfile(merchantId) {
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
     if (!merchantId) return;
-    setLoading(true);
+    const ctrl = new AbortController();
+    setLoading(true); setError(null);
     // API CALL → GET /api/v1/merchants/:id/profile
-    api.merchants.profile(merchantId)
+    api.merchants.profile(merchantId, { signal: ctrl.signal })
       .then(setProfile)
-      .catch(e => console.warn('[useMerchantProfile]', e.message))
-      .finally(() => setLoading(false));
+      .catch(e => { if (!isAbort(e)) setError(e); })
+      .finally(() => { if (!ctrl.signal.aborted) setLoading(false); });
+    return () => ctrl.abort();
   }, [merchantId]);
 
-  return { profile, loading };
+  return { profile, loading, error };
 }
 
 // ── 3. EVENT LOGGER — called every time user taps an action in App/USSD/Web
 export function useEventLogger() {
-  const log = useCallback(async (event) => {
-    try {
-      // API CALL → POST /api/v1/events
-      // Payload: { merchant_id, merchant_name, action_key, action_label,
-      //            channel, success, error_code, severity, escalated,
-      //            session_id, retry_count, response_time_ms }
-      await api.events.log(event);
-    } catch (e) {
-      console.warn('[useEventLogger] Could not persist event:', e.message);
-    }
+  const log = useCallback((event) => {
+    // API CALL → POST /api/v1/events/batch (buffered — see api/eventQueue.js)
+    // Payload: { merchant_id, merchant_name, action_key, action_label,
+    //            channel, success, error_code, severity, escalated,
+    //            session_id, retry_count, response_time_ms }
+    eventQueue.push(event);
   }, []);
 
   return { log };
@@ -92,27 +167,21 @@ export function useUSSDSession(merchantId, phoneNumber) {
 
   const logInput = useCallback(async (input, menu, responseTimeMs) => {
     if (!sessionRef.current) return;
-    try {
-      // API CALL → POST /api/v1/ussd/session/input
-      await api.ussd.logInput({ sessionId: sessionRef.current, input, menu, responseTimeMs });
-    } catch (e) { /* silent */ }
+    // API CALL → POST /api/v1/ussd/session/input (via outbox — survives offline)
+    await outbox.post('/ussd/session/input', { sessionId: sessionRef.current, input, menu, responseTimeMs });
   }, []);
 
   const logTimeout = useCallback(async (menu) => {
     if (!sessionRef.current) return;
-    try {
-      // API CALL → POST /api/v1/ussd/session/timeout
-      await api.ussd.logTimeout({ sessionId: sessionRef.current, menu });
-    } catch (e) { /* silent */ }
+    // API CALL → POST /api/v1/ussd/session/timeout (via outbox)
+    await outbox.post('/ussd/session/timeout', { sessionId: sessionRef.current, menu });
   }, []);
 
   const endSession = useCallback(async (finalAction, durationMs) => {
     if (!sessionRef.current) return;
-    try {
-      // API CALL → POST /api/v1/ussd/session/end
-      await api.ussd.endSession({ sessionId: sessionRef.current, finalAction, durationMs });
-      sessionRef.current = null;
-    } catch (e) { /* silent */ }
+    // API CALL → POST /api/v1/ussd/session/end (via outbox)
+    await outbox.post('/ussd/session/end', { sessionId: sessionRef.current, finalAction, durationMs });
+    sessionRef.current = null;
   }, []);
 
   return { startSession, logInput, logTimeout, endSession, sessionId: sessionRef.current };
@@ -129,10 +198,8 @@ export function useAppLogger() {
 
   const retry = useCallback(async (sessionId) => {
     if (!sessionId) return;
-    try {
-      // API CALL → POST /api/v1/app/retry
-      await api.app.retry({ sessionId });
-    } catch (e) { /* silent */ }
+    // API CALL → POST /api/v1/app/retry (via outbox)
+    await outbox.post('/app/retry', { sessionId });
   }, []);
 
   return { log, retry };
@@ -142,30 +209,41 @@ export function useAppLogger() {
 export function useAlerts(filters = {}) {
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const nextSignal = useLatestSignal();
 
   const fetch = useCallback(async () => {
+    const signal = nextSignal();
     try {
       // API CALL → GET /api/v1/alerts?resolved=false&{filters}
-      const data = await api.alerts.list({ resolved: 'false', ...filters });
+      const data = await api.alerts.list({ resolved: 'false', ...filters }, { signal });
       setAlerts(data);
+      setError(null);
     } catch (e) {
-      console.warn('[useAlerts]', e.message);
+      if (isAbort(e)) return;
+      setError(e);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
-  }, [JSON.stringify(filters)]);
+  }, [JSON.stringify(filters), nextSignal]);
 
   useEffect(() => { fetch(); }, [fetch]);
 
-  const resolve = useCallback(async (alertId) => {
+  // Resolves to true on success; a failure is also left in `error`.
+  // `reason` goes to the audit trail, as on every other resolve path.
+  const resolve = useCallback(async (alertId, reason) => {
     try {
       // API CALL → POST /api/v1/alerts/:id/resolve
-      await api.alerts.resolve(alertId);
+      await api.alerts.resolve(alertId, { reason });
       fetch();
-    } catch (e) { console.warn('[useAlerts resolve]', e.message); }
+      return true;
+    } catch (e) {
+      setError(e);
+      return false;
+    }
   }, [fetch]);
 
-  return { alerts, loading, refetch: fetch, resolve };
+  return { alerts, loading, error, refetch: fetch, resolve };
 }
 
 // ── 7. AI — all AI calls go through backend (API key stays server-side)
@@ -181,7 +259,7 @@ export function useAI() {
       // Claude runs server-side — ANTHROPIC_API_KEY never leaves backend
       return await api.ai.analyze({ merchantId, actionKey, ruleResult });
     } catch (e) {
-      setError(e.message);
+      setError(e);
       return null;
     } finally {
       setLoading(false);
@@ -194,7 +272,7 @@ export function useAI() {
       // API CALL → POST /api/v1/ai/sms
       return await api.ai.sms({ merchantId, failureCode });
     } catch (e) {
-      setError(e.message); return null;
+      setError(e); return null;
     } finally { setLoading(false); }
   }, []);
 
@@ -205,7 +283,7 @@ export function useAI() {
       // Also auto-creates a CRM ticket in the backend
       return await api.ai.briefing({ merchantId });
     } catch (e) {
-      setError(e.message); return null;
+      setError(e); return null;
     } finally { setLoading(false); }
   }, []);
 
@@ -215,7 +293,7 @@ export function useAI() {
       // API CALL → POST /api/v1/ai/fleet
       return await api.ai.fleet();
     } catch (e) {
-      setError(e.message); return null;
+      setError(e); return null;
     } finally { setLoading(false); }
   }, []);
 
@@ -225,7 +303,7 @@ export function useAI() {
       // API CALL → POST /api/v1/ai/behaviour
       return await api.ai.behaviour({ merchantId });
     } catch (e) {
-      setError(e.message); return null;
+      setError(e); return null;
     } finally { setLoading(false); }
   }, []);
 
@@ -236,78 +314,124 @@ export function useAI() {
 export function useFleetAnalytics() {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
+    const ctrl = new AbortController();
+    const opts = { signal: ctrl.signal };
     Promise.all([
       // API CALL → GET /api/v1/analytics/fleet
-      api.analytics.fleet(),
+      api.analytics.fleet(opts),
       // API CALL → GET /api/v1/analytics/demographics
-      api.analytics.demographics(),
+      api.analytics.demographics(opts),
       // API CALL → GET /api/v1/analytics/demand
-      api.analytics.demand(),
+      api.analytics.demand(opts),
     ]).then(([fleet, demographics, demand]) => {
       setData({ fleet, demographics, demand });
     }).catch(e => {
-      console.warn('[useFleetAnalytics]', e.message);
+      if (isAbort(e)) return;
+      ctrl.abort(); // one failed — stop the other two
+      setError(e);
     }).finally(() => setLoading(false));
+    return () => ctrl.abort();
   }, []);
 
-  return { data, loading };
+  return { data, loading, error };
 }
 
 // ── 9. TRANSACTIONS — for merchant deep-dive
 export function useTransactions(merchantId) {
   const [transactions, setTransactions] = useState([]);
+  const [error, setError] = useState(null);
   useEffect(() => {
     if (!merchantId) return;
+    const ctrl = new AbortController();
+    setError(null);
     // API CALL → GET /api/v1/merchants/:id/transactions
-    api.merchants.transactions(merchantId)
+    api.merchants.transactions(merchantId, undefined, { signal: ctrl.signal })
       .then(setTransactions)
-      .catch(() => {});
+      .catch(e => { if (!isAbort(e)) setError(e); });
+    return () => ctrl.abort();
   }, [merchantId]);
-  return { transactions };
+  return { transactions, error };
 }
 
 // ── 10. USSD SESSIONS — for merchant deep-dive
 export function useUSSDHistory(merchantId) {
   const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
   useEffect(() => {
     if (!merchantId) return;
+    const ctrl = new AbortController();
+    setError(null);
     // API CALL → GET /api/v1/merchants/:id/sessions/ussd
-    api.merchants.ussdSessions(merchantId)
+    api.merchants.ussdSessions(merchantId, undefined, { signal: ctrl.signal })
       .then(setSessions)
-      .catch(() => {});
+      .catch(e => { if (!isAbort(e)) setError(e); });
+    return () => ctrl.abort();
   }, [merchantId]);
-  return { sessions };
+  return { sessions, error };
 }
 
 // ── 11. CRM TICKETS
 export function useCRMTickets() {
   const [tickets, setTickets] = useState([]);
+  const [error, setError] = useState(null);
+  const nextSignal = useLatestSignal();
   const fetch = useCallback(async () => {
     try {
       // API CALL → GET /api/v1/crm/tickets
-      setTickets(await api.crm.tickets());
-    } catch (e) { console.warn('[useCRMTickets]', e.message); }
-  }, []);
+      setTickets(await api.crm.tickets(undefined, { signal: nextSignal() }));
+      setError(null);
+    } catch (e) { if (!isAbort(e)) setError(e); }
+  }, [nextSignal]);
   useEffect(() => { fetch(); }, [fetch]);
-  return { tickets, refetch: fetch };
+  return { tickets, error, refetch: fetch };
 }
 
 // ── 12. GENERATE MERCHANTS
 export function useMerchantGenerator() {
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
-  const generate = useCallback(async (count) => {
-    setLoading(true);
+  // With a seed the fleet is built here (merchantGenerator.js) and uploaded as a
+  // CSV, so the same seed and spec always save the same merchants
+  const generate = useCallback(async (count, { seed, spec } = {}) => {
+    setLoading(true); setError(null);
     try {
-      // API CALL → POST /api/v1/merchants/generate
-      return await api.merchants.generate(count);
+      if (seed === undefined) {
+        // API CALL → POST /api/v1/merchants/generate
+        return await api.merchants.generate(count, { reason: `Generated ${count} test merchants` });
+      }
+      const merchants = generateFleet({ seed, count, spec });
+      const formData = new FormData();
+      formData.append('file', new Blob([fleetToCsv(merchants)], { type: 'text/csv' }), `synthetic-${seed}.csv`);
+      // API CALL → POST /api/v1/upload/merchants
+      await api.upload.merchants(formData, { reason: `Generated ${count} synthetic merchants (seed ${seed})` });
+      return { generated: merchants.length, merchants, seed };
     } catch (e) {
-      console.warn('[useMerchantGenerator]', e.message);
+      setError(e);
       return null;
     } finally { setLoading(false); }
   }, []);
 
-  return { generate, loading };
-}
\ No newline at end of file
+  return { generate, loading, error };
+}
+
+// ── 13. AUTH — signed-in user, login/logout, and permission checks for gating controls
+export function useAuth() {
+  const [session, setSessionState] = useState(getSession);
+  useEffect(() => subscribeAuth(setSessionState), []);
+
+  const login = useCallback(async (username, password) => {
+    // API CALL → POST /api/v1/auth/login — throws ApiError (401 = wrong credentials)
+    const res = await api.auth.login(username, password);
+    setSession(res);
+    return res.user;
+  }, []);
+
+  const user = session?.user || null;
+  const allowed = useCallback((permission) => can(permission, user), [user]);
+
+  return { user, can: allowed, login, logout: clearSession };
+}
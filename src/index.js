@@ -8,6 +8,11 @@ import MerchantDataModelViewer from "./merchantDataModelViewer";
 import FailureRulesViewer      from "./failureRulesViewer";
 import MerchantSimulator       from "./merchantSimulator";
 import TwinDashboard           from "./twinDashboard";
+import AuditTrail              from "./auditTrail";
+import api                     from "./api/client";
+import outbox                  from "./api/outbox";
+import { ENVIRONMENTS, getEnv, setEnv, subscribeEnv } from "./api/env";
+import { useAuth } from "./hooks/useApi";
 
 const CSS = `
   @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;700&family=Syne:wght@700;800&family=Nunito:wght@400;600;700;800;900&display=swap');
@@ -26,34 +31,122 @@ const STEPS = [
   { id:2, tag:"STEP 2", icon:"⚙️", label:"Rules Engine",  accent:"#f97316", desc:"12 Rules · Evaluator · Batch Scanner",   component:FailureRulesViewer      },
   { id:3, tag:"STEP 3", icon:"📱", label:"Simulator",      accent:"#00a651", desc:"App · USSD *234# · Web Portal",          component:MerchantSimulator       },
   { id:4, tag:"STEP 4", icon:"🔁", label:"Twin Dashboard", accent:"#10b981", desc:"Mirror · Analyze · Update · Summarize",  component:TwinDashboard           },
+  { id:5, tag:"STEP 5", icon:"🧾", label:"Audit",          accent:"#fbbf24", desc:"Who did what · Filters · CSV export",    component:AuditTrail              },
  ];
 
-function BackendStatus() {
+// ─── ENVIRONMENT ──────────────────────────────────────────────────────────────
+// Current API profile; every consumer re-renders when the nav switcher changes it
+function useApiEnv() {
+  const [env, setEnvState] = useState(getEnv);
+  useEffect(() => subscribeEnv(setEnvState), []);
+  return env;
+}
+
+function EnvSwitcher({ env }) {
+  return (
+    <select value={env.id} onChange={e => setEnv(e.target.value)} title={env.base}
+      style={{ background:"#0a0e14", color:"#9ca3af", border:"1px solid #1e2730", borderRadius:5, padding:"3px 6px", fontSize:8, fontFamily:"'JetBrains Mono',monospace", cursor:"pointer", outline:"none" }}>
+      {ENVIRONMENTS.map(e => (
+        <option key={e.id} value={e.id} disabled={!e.base}>
+          {e.label}{e.base ? "" : ` — set REACT_APP_API_BASE_${e.id.toUpperCase()}`}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// ─── SIGN-IN ──────────────────────────────────────────────────────────────────
+// Tabs stay hidden until the active backend has issued a token (api/auth.js)
+function LoginScreen({ env, login }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true); setError(null);
+    try {
+      await login(username.trim(), password);
+    } catch (err) {
+      setError(err.status === 401 ? "Wrong username or password" : err.message);
+      setBusy(false);
+    }
+  };
+
+  const field = { background:"#0d1117", border:"1px solid #1e2730", borderRadius:6, padding:"8px 10px", color:"#e2e8f0", fontSize:11, fontFamily:"'Nunito',sans-serif", outline:"none", width:"100%" };
+  return (
+    <div style={{ flex:1, display:"flex", alignItems:"center", justifyContent:"center", animation:"fadeIn 0.15s" }}>
+      <form onSubmit={submit} style={{ width:280, background:"#080b10", border:"1px solid #1e2730", borderRadius:10, padding:20, display:"flex", flexDirection:"column", gap:10 }}>
+        <div style={{ fontWeight:900, fontSize:13, color:"#e2e8f0", fontFamily:"'Syne',sans-serif" }}>Sign in</div>
+        <div style={{ fontSize:8, color:"#4b5563", fontFamily:"'JetBrains Mono',monospace" }}>{env.label} · {env.base}</div>
+        <input style={field} placeholder="Username" autoFocus value={username} onChange={e => setUsername(e.target.value)} />
+        <input style={field} placeholder="Password" type="password" value={password} onChange={e => setPassword(e.target.value)} />
+        {error && <div style={{ fontSize:9, color:"#ef4444" }}>{error}</div>}
+        <button type="submit" disabled={busy || !username.trim()} style={{
+          background:"#00a651", border:"none", borderRadius:6, padding:"8px 0", color:"white", fontWeight:800, fontSize:11,
+          cursor: busy ? "wait" : "pointer", opacity: busy || !username.trim() ? 0.6 : 1,
+        }}>
+          {busy ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function UserChip({ user, logout }) {
+  return (
+    <div style={{ display:"flex", alignItems:"center", gap:6, background:"#0a0e14", padding:"3px 8px", borderRadius:5, border:"1px solid #1e2730" }}>
+      <span style={{ fontSize:9, color:"#e2e8f0", fontWeight:700 }}>{user.name || user.id}</span>
+      <span style={{ fontSize:7, color:"#6b7280", fontFamily:"'JetBrains Mono',monospace" }}>{user.roles.join(" · ") || "no role"}</span>
+      <button onClick={logout} title="Sign out" style={{ background:"none", border:"none", color:"#6b7280", fontSize:9, cursor:"pointer", padding:0 }}>⎋</button>
+    </div>
+  );
+}
+
+function BackendStatus({ env }) {
   const [status, setStatus] = useState("checking");
+  const [pending, setPending] = useState(0);
+  const hasPending = pending > 0;
+  useEffect(() => outbox.subscribe(setPending), []);
   useEffect(() => {
     const check = () => {
-      fetch("http://localhost:4000/api/v1/health")
-        .then(r => r.json())
-        .then(d => setStatus(d.status === "ok" ? "ok" : "error"))
+      api.health()
+        .then(d => {
+          setStatus(d.status === "ok" ? "ok" : "error");
+          // Backend is reachable — replay anything written while it was down
+          if (d.status === "ok") outbox.drain();
+        })
         .catch(() => setStatus("error"));
     };
     check();
-    const t = setInterval(check, 30000);
+    // Poll faster while writes are waiting, so the replay starts soon after recovery
+    const t = setInterval(check, hasPending ? 5000 : 30000);
     return () => clearInterval(t);
-  }, []);
+  }, [hasPending, env.id]);
   const color = status === "ok" ? "#4ade80" : status === "error" ? "#ef4444" : "#fbbf24";
   return (
-    <div style={{ display:"flex", alignItems:"center", gap:5, background:"#0a0e14", padding:"4px 10px", borderRadius:5, border:"1px solid #1e2730" }}>
-      <div style={{ width:6, height:6, borderRadius:"50%", background:color, animation: status!=="ok" ? "pulse 1s infinite" : "none" }} />
-      <span style={{ fontSize:8, color, fontFamily:"'JetBrains Mono',monospace" }}>
-        {status === "ok" ? "API :4000 ✓" : status === "error" ? "API offline" : "Connecting..."}
-      </span>
+    <div style={{ display:"flex", alignItems:"center", gap:6 }}>
+      {pending > 0 && (
+        <div title="Writes waiting in the offline outbox — replayed in order when the API is back"
+          style={{ display:"flex", alignItems:"center", gap:4, background:"#0a0e14", padding:"4px 8px", borderRadius:5, border:"1px solid #78350f" }}>
+          <span style={{ fontSize:8, color:"#fbbf24", fontFamily:"'JetBrains Mono',monospace" }}>⇡ {pending} queued</span>
+        </div>
+      )}
+      <div style={{ display:"flex", alignItems:"center", gap:5, background:"#0a0e14", padding:"4px 10px", borderRadius:5, border:"1px solid #1e2730" }}>
+        <div style={{ width:6, height:6, borderRadius:"50%", background:color, animation: status!=="ok" ? "pulse 1s infinite" : "none" }} />
+        <span style={{ fontSize:8, color, fontFamily:"'JetBrains Mono',monospace" }}>
+          {status === "ok" ? `API ${env.label} ✓` : status === "error" ? `${env.label} offline` : "Connecting..."}
+        </span>
+      </div>
     </div>
   );
 }
 
 function App() {
   const [active, setActive] = useState(1); // Open on Bot Lab
+  const env = useApiEnv();
+  const { user, login, logout } = useAuth();
 
   const step = STEPS.find(s => s.id === active);
   const ActiveComponent = step?.component;
@@ -99,15 +192,21 @@ function App() {
           );
         })}
 
-        <div style={{ marginLeft:"auto", display:"flex", alignItems:"center", padding:"0 6px", flexShrink:0 }}>
-          <BackendStatus />
+        <div style={{ marginLeft:"auto", display:"flex", alignItems:"center", gap:6, padding:"0 6px", flexShrink:0 }}>
+          <EnvSwitcher env={env} />
+          <BackendStatus env={env} />
+          {user && <UserChip user={user} logout={logout} />}
         </div>
       </nav>
 
-      {/* ACTIVE TAB */}
-      <div key={active} style={{ flex:1, overflow:"hidden", display:"flex", flexDirection:"column", animation:"fadeIn 0.15s" }}>
-        {ActiveComponent && <ActiveComponent />}
-      </div>
+      {/* ACTIVE TAB — remounted on environment or user switch so it refetches from the new backend */}
+      {user ? (
+        <div key={`${active}-${env.id}-${user.id}`} style={{ flex:1, overflow:"hidden", display:"flex", flexDirection:"column", animation:"fadeIn 0.15s" }}>
+          {ActiveComponent && <ActiveComponent />}
+        </div>
+      ) : (
+        <LoginScreen env={env} login={login} />
+      )}
     </div>
   );
 }
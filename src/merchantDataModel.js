@@ -0,0 +1,410 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MERCHANT DATA MODEL  —  Step 1 of 4
+// Safaricom LNM Merchant Digital Twin
+//
+// Responsibilities:
+//   1. UTILITIES   — shared formatting helpers for merchant values
+//   2. SENSORS     — the live sensor fields the rules engine reads
+//   3. SCHEMA      — every known merchant field: type, enum, range, required
+//   4. NORMALIZERS — normalizeMerchant(raw) → one canonical shape, whatever
+//                    the source (SQLite 1/0 flags, CSV strings, form inputs)
+//   5. VALIDATION  — validateMerchant(raw) → { field: message }, empty when valid
+//   6. UPLOADS     — checkMerchantCsv(text) → problems by spreadsheet row,
+//                    toCsv(rows, columns) → the CSV to send
+//   7. MUTATIONS   — applyMutation(merchant, type) → next state + journal entry,
+//                    replayTo(merchant, journal, entryId) → an earlier state
+//   8. SNAPSHOTS   — diffSnapshots(before, after) → merchants added, removed, changed
+//
+// Consumed by:  failureRulesEngine.js       (Step 2 rules engine)
+//               merchantdatamodelviewer.jsx  (sensor grid · Manual Add · Upload)
+//               failurerulesviewer.jsx       (condition builder)
+//               uploadPanel.jsx              (manual entry · upload pre-check)
+//               merchantGenerator.js         (synthetic fleets as CSV)
+// ═══════════════════════════════════════════════════════════════════════════
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 1 — UTILITIES
+// ─────────────────────────────────────────────────────────────────────────────
+
+// KES amount → "KES 12,345"
+export function formatKES(amount) {
+  const n = parseFloat(amount);
+  return "KES " + (isNaN(n) ? 0 : n).toLocaleString("en-KE", { maximumFractionDigits: 2 });
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 2 — SENSOR FIELDS
+// Display config for the sensor grid, plus the value type the condition
+// builder uses to offer operators: enum | number | flag.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const ENUMS = {
+  account_status:    ["active", "suspended", "frozen", "dormant"],
+  kyc_status:        ["verified", "pending", "expired", "rejected"],
+  sim_status:        ["active", "swapped", "unregistered"],
+  start_key_status:  ["valid", "expired", "invalid"],
+  network_type:      ["2G", "3G", "4G", "5G"],
+  customer_type:     ["new", "existing", "dormant"],
+  literacy_tier:     ["literate", "semi-literate", "illiterate"],
+  transaction_tier:  ["high", "medium", "low"],
+  preferred_channel: ["app", "ussd", "web"],
+};
+
+export const SENSOR_FIELDS = [
+  { key: "account_status",        label: "Account Status",   type: "enum", options: ENUMS.account_status },
+  { key: "kyc_status",            label: "KYC Status",       type: "enum", options: ENUMS.kyc_status },
+  { key: "kyc_age_days",          label: "KYC Age",          type: "number", suffix: "d" },
+  { key: "sim_status",            label: "SIM Status",       type: "enum", options: ENUMS.sim_status },
+  { key: "sim_swap_days_ago",     label: "SIM Swap Age",     type: "number", suffix: "d" },
+  { key: "pin_attempts",          label: "PIN Attempts",     type: "number", suffix: "/3" },
+  { key: "pin_locked",            label: "PIN Locked",       type: "flag" },
+  { key: "start_key_status",      label: "Start Key",        type: "enum", options: ENUMS.start_key_status },
+  { key: "balance",               label: "Balance",          type: "number", prefix: "KES ", fmt: n => Number(n).toLocaleString() },
+  { key: "dormant_days",          label: "Dormant",          type: "number", suffix: "d" },
+  { key: "notifications_enabled", label: "Notifications",    type: "flag" },
+  { key: "settlement_on_hold",    label: "Settlement Hold",  type: "flag" },
+  { key: "operator_dormant_days", label: "Operator Dormant", type: "number", suffix: "d" },
+];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 3 — SCHEMA
+// Types: string | number | flag | enum. Fields not listed here (identity,
+// banking detail …) are free text and pass through untouched.
+//
+//   required  must be present and non-blank on a new merchant
+//   default   what normalizeMerchant fills in when the field is missing —
+//             the rules engine relies on every sensor having a value
+//   nullable  blank means "never happened" (sim_swap_days_ago) rather than 0
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const MERCHANT_SCHEMA = {
+  first_name:            { type: "string", required: true },
+  last_name:             { type: "string", required: true },
+  business_name:         { type: "string", required: true },
+  paybill:               { type: "string", pattern: /^\d{5,7}$/,                    hint: "5–7 digits" },
+  phone_number:          { type: "string", pattern: /^(?:\+?254|0)[17]\d{8}$/,       hint: "07XXXXXXXX or +2547XXXXXXXX" },
+  email:                 { type: "string", pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,    hint: "name@domain" },
+  county:                { type: "string" },
+  bank:                  { type: "string" },
+  bank_account:          { type: "string" },
+
+  account_status:        { type: "enum",   options: ENUMS.account_status },
+  kyc_status:            { type: "enum",   options: ENUMS.kyc_status },
+  kyc_age_days:          { type: "number", integer: true, min: 0, default: 0 },
+  sim_status:            { type: "enum",   options: ENUMS.sim_status },
+  sim_swap_days_ago:     { type: "number", integer: true, min: 0, nullable: true, default: null },
+  pin_attempts:          { type: "number", integer: true, min: 0, max: 3, default: 0 },
+  pin_locked:            { type: "flag",   default: false },
+  start_key_status:      { type: "enum",   options: ENUMS.start_key_status },
+  balance:               { type: "number", min: 0, default: 0 },
+  dormant_days:          { type: "number", integer: true, min: 0, default: 0 },
+  notifications_enabled: { type: "flag",   default: false },
+  settlement_on_hold:    { type: "flag",   default: false },
+  operator_dormant_days: { type: "number", integer: true, min: 0, default: 0 },
+
+  network_type:          { type: "enum",   options: ENUMS.network_type },
+  customer_type:         { type: "enum",   options: ENUMS.customer_type },
+  literacy_tier:         { type: "enum",   options: ENUMS.literacy_tier },
+  transaction_tier:      { type: "enum",   options: ENUMS.transaction_tier },
+  preferred_channel:     { type: "enum",   options: ENUMS.preferred_channel },
+  transaction_count_30d: { type: "number", integer: true, min: 0 },
+  expected_turnover:     { type: "number", min: 0 },
+};
+
+export const REQUIRED_FIELDS = Object.keys(MERCHANT_SCHEMA).filter(k => MERCHANT_SCHEMA[k].required);
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 4 — NORMALIZERS
+// "1", 1, true, "TRUE" and "yes" are all a set flag; "Active" is "active";
+// " 250 " is 250. Lenient on purpose — validateMerchant is where bad input
+// gets reported, this only makes good input look the same everywhere.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TRUE_VALUES  = ["1", "true", "yes"];
+const FALSE_VALUES = ["0", "false", "no"];
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+export function toFlag(v) {
+  return v === true || TRUE_VALUES.includes(String(v ?? "").trim().toLowerCase());
+}
+
+function toNumber(v) {
+  return isBlank(v) ? NaN : Number(String(v).trim().replace(/,/g, ""));
+}
+
+// Case-insensitive match against the enum, so "4g" and "Frozen" land on an option
+function toOption(v, options) {
+  const s = String(v).trim();
+  return options.find(o => o.toLowerCase() === s.toLowerCase()) ?? s;
+}
+
+export function normalizeField(key, value) {
+  const spec = MERCHANT_SCHEMA[key];
+  if (!spec) return value;
+  switch (spec.type) {
+    case "flag":
+      return toFlag(value);
+    case "number": {
+      const n = toNumber(value);
+      if (!isNaN(n)) return n;
+      return spec.nullable ? null : spec.default ?? 0;
+    }
+    case "enum":
+      return isBlank(value) ? value : toOption(value, spec.options);
+    default:
+      return typeof value === "string" ? value.trim() : value;
+  }
+}
+
+// { defaults: false } leaves missing fields missing — for a create or edit
+// payload, where the backend decides what an unset field means
+export function normalizeMerchant(raw, { defaults = true } = {}) {
+  const m = { ...raw };
+  Object.entries(MERCHANT_SCHEMA).forEach(([key, spec]) => {
+    if (m[key] !== undefined) m[key] = normalizeField(key, m[key]);
+    else if (defaults && "default" in spec) m[key] = spec.default;
+  });
+  return m;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 5 — VALIDATION
+// validateMerchant(raw) → { field: message }, the same shape as
+// ApiError.fieldErrors, so forms show client and server errors the same way.
+// Pass { partial: true } for an edit — only the fields present are checked.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function validateField(key, value) {
+  const spec = MERCHANT_SCHEMA[key];
+  if (!spec) return null;
+  if (isBlank(value)) return spec.required ? "Required" : null;
+  switch (spec.type) {
+    case "flag": {
+      const s = String(value).trim().toLowerCase();
+      return typeof value === "boolean" || TRUE_VALUES.includes(s) || FALSE_VALUES.includes(s) ? null : "Must be yes/no, true/false or 1/0";
+    }
+    case "number": {
+      const n = toNumber(value);
+      if (isNaN(n)) return "Must be a number";
+      if (spec.integer && !Number.isInteger(n)) return "Must be a whole number";
+      if (spec.min !== undefined && spec.max !== undefined && (n < spec.min || n > spec.max)) return `Must be between ${spec.min} and ${spec.max}`;
+      if (spec.min !== undefined && n < spec.min) return `Must be ${spec.min} or more`;
+      if (spec.max !== undefined && n > spec.max) return `Must be ${spec.max} or less`;
+      return null;
+    }
+    case "enum":
+      return spec.options.includes(toOption(value, spec.options)) ? null : `Must be one of: ${spec.options.join(", ")}`;
+    default:
+      return spec.pattern && !spec.pattern.test(String(value).trim()) ? `Invalid format — ${spec.hint}` : null;
+  }
+}
+
+export function validateMerchant(raw, { partial = false } = {}) {
+  const errors = {};
+  Object.keys(MERCHANT_SCHEMA).forEach(key => {
+    if (partial && !(key in raw)) return;
+    const problem = validateField(key, raw[key]);
+    if (problem) errors[key] = problem;
+  });
+  return errors;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 6 — UPLOAD PRE-CHECK
+// Runs a CSV through validateMerchant before it is sent, so a bad enum or a
+// "twelve" in balance is caught with its row number instead of half-importing.
+// Headers are matched loosely ("Account Status" → account_status); columns the
+// schema does not know are left for the backend's own column mapping.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// RFC 4180 — quoted cells may hold commas, doubled quotes and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// The inverse of parseCsv — quotes only the cells that need it
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map(r => columns.map(c => csvCell(r[c])).join(","))].join("\r\n");
+}
+
+const toKey = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+// → [{ row, field, message }], row being the spreadsheet line (header = 1)
+export function checkMerchantCsv(text) {
+  const [header = [], ...body] = parseCsv(text);
+  const keys = header.map(toKey);
+  const problems = [];
+  body.forEach((cells, i) => {
+    const record = {};
+    keys.forEach((k, c) => { if (MERCHANT_SCHEMA[k]) record[k] = cells[c] ?? ""; });
+    Object.entries(validateMerchant(record, { partial: true })).forEach(([field, message]) => {
+      problems.push({ row: i + 2, field, message });
+    });
+  });
+  return problems;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 7 — MUTATIONS & JOURNAL
+// Named sensor changes — the events that move a merchant toward a failure.
+// applyMutation is pure: it returns the next state and a journal entry
+// listing every field it changed, before → after. The viewer posts the entry
+// to /merchants/:id/mutations, where the backend applies `changes` and
+// appends the entry to that merchant's journal in one step.
+//
+//   entry = { type, label, params, changes: [{ field, before, after }] }
+//
+// Replay never rewrites history: going back to an earlier state is itself a
+// mutation ("replay") whose changes undo everything recorded after it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DAY_COUNTERS = ["kyc_age_days", "dormant_days", "operator_dormant_days", "sim_swap_days_ago"];
+const KYC_VALID_DAYS = 365;
+
+// The merchant `days` later. Verified KYC lapses once it passes the validity
+// window, as the backend does overnight.
+export function ageMerchant(merchant, days) {
+  const m = normalizeMerchant(merchant);
+  DAY_COUNTERS.forEach(f => { if (m[f] !== null) m[f] += days; });
+  if (m.kyc_status === "verified" && m.kyc_age_days > KYC_VALID_DAYS) m.kyc_status = "expired";
+  return m;
+}
+
+export const MUTATIONS = {
+  lock_pin: {
+    label: "Lock PIN", icon: "🔒",
+    apply: () => ({ pin_locked: true, pin_attempts: 3 }),
+  },
+  swap_sim: {
+    label: "Swap SIM", icon: "📶",
+    apply: () => ({ sim_status: "swapped", sim_swap_days_ago: 0 }),
+  },
+  expire_kyc: {
+    label: "Expire KYC", icon: "🪪",
+    apply: (m) => ({ kyc_status: "expired", kyc_age_days: Math.max(m.kyc_age_days, KYC_VALID_DAYS + 1) }),
+  },
+  hold_settlement: {
+    label: "Place settlement hold", icon: "⏸",
+    apply: () => ({ settlement_on_hold: true }),
+  },
+  age_days: {
+    label: "Age by N days", icon: "⏩",
+    params: { days: 30 },
+    apply: (m, { days }) => ageMerchant(m, days),
+  },
+};
+
+// Fields whose normalized value differs between two states
+function diffStates(before, after, fields) {
+  return fields
+    .filter(field => after[field] !== before[field])
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+export function applyMutation(merchant, type, params = {}) {
+  const mutation = MUTATIONS[type];
+  if (!mutation) throw new Error(`Unknown mutation "${type}"`);
+  const args = { ...mutation.params, ...params };
+  if ("days" in args && !(Number.isInteger(args.days) && args.days > 0)) throw new Error("days must be a whole number above 0");
+  const before = normalizeMerchant(merchant);
+  const after = { ...before, ...mutation.apply(before, args) };
+  const label = type === "age_days" ? `Aged ${args.days} day${args.days === 1 ? "" : "s"}` : mutation.label;
+  return {
+    merchant: after,
+    entry: { type, label, params: mutation.params ? args : {}, changes: diffStates(before, after, Object.keys(after)) },
+  };
+}
+
+// Journal oldest → newest; entryId null means "before the first entry".
+// Returns the state right after that entry and the replay entry that gets there.
+export function replayTo(merchant, journal, entryId) {
+  const index = entryId === null ? -1 : journal.findIndex(e => e.id === entryId);
+  if (entryId !== null && index === -1) throw new Error(`No journal entry ${entryId}`);
+  const current = normalizeMerchant(merchant);
+  const target = { ...current };
+  journal.slice(index + 1).reverse().forEach(e => {
+    (e.changes || []).forEach(c => { target[c.field] = normalizeField(c.field, c.before); });
+  });
+  return {
+    merchant: target,
+    entry: {
+      type: "replay",
+      label: index === -1 ? "Replayed to initial state" : `Replayed to #${index + 1} · ${journal[index].label}`,
+      params: { to: entryId },
+      changes: diffStates(current, target, Object.keys(target)),
+    },
+  };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 8 — SNAPSHOT DIFF
+// Named snapshots (one merchant or the whole registry) are taken and restored
+// by the backend — see api.snapshots. This compares two of them merchant by
+// merchant, field by field. Both sides are normalized first, so a flag stored
+// as 1 in one snapshot and true in the other is not a change.
+//
+//   { added: [m], removed: [m], changed: [{ id, before, after, changes }], unchanged }
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Bookkeeping the backend rewrites on every save — never a meaningful change
+const SNAPSHOT_IGNORED = ["updated_at", "taken_at"];
+
+const sameValue = (a, b) => a === b || (typeof a === "object" && typeof b === "object" && JSON.stringify(a) === JSON.stringify(b));
+
+export function diffMerchant(before, after) {
+  const a = normalizeMerchant(before, { defaults: false });
+  const b = normalizeMerchant(after, { defaults: false });
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(field => !SNAPSHOT_IGNORED.includes(field) && !sameValue(a[field] ?? null, b[field] ?? null))
+    .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+}
+
+export function diffSnapshots(before = [], after = []) {
+  const byId = new Map(before.map(m => [String(m.id), m]));
+  const seen = new Set();
+  const changed = [];
+  const added = [];
+  let unchanged = 0;
+  after.forEach(m => {
+    const id = String(m.id);
+    const prev = byId.get(id);
+    seen.add(id);
+    if (!prev) { added.push(m); return; }
+    const changes = diffMerchant(prev, m);
+    if (changes.length) changed.push({ id, before: prev, after: m, changes });
+    else unchanged++;
+  });
+  const removed = before.filter(m => !seen.has(String(m.id)));
+  return { added, removed, changed, unchanged };
+}
@@ -0,0 +1,115 @@
+import { applyMutation, checkMerchantCsv, diffSnapshots, normalizeMerchant, parseCsv, replayTo, validateMerchant } from "./merchantDataModel";
+import { HEALTHY_MERCHANT } from "./failureRuleFixtures";
+
+test("1, \"1\", true and \"TRUE\" are the same flag", () => {
+  [1, "1", true, "TRUE", " yes "].forEach(v => {
+    expect(normalizeMerchant({ pin_locked: v }).pin_locked).toBe(true);
+  });
+  [0, "0", false, "", null, "no"].forEach(v => {
+    expect(normalizeMerchant({ pin_locked: v }).pin_locked).toBe(false);
+  });
+});
+
+test("normalizes numbers and enum case, and fills sensor defaults", () => {
+  const m = normalizeMerchant({ balance: " 12,500 ", account_status: "Frozen", network_type: "4g", sim_swap_days_ago: "", nickname: " Duka " });
+  expect(m).toMatchObject({ balance: 12500, account_status: "frozen", network_type: "4G", sim_swap_days_ago: null, nickname: " Duka " });
+  expect(m).toMatchObject({ kyc_age_days: 0, pin_attempts: 0, settlement_on_hold: false });
+  expect(normalizeMerchant({ balance: "" }, { defaults: false })).toEqual({ balance: 0 });
+  expect(normalizeMerchant({}, { defaults: false })).toEqual({});
+});
+
+test("validates required fields, enums, ranges and formats", () => {
+  expect(validateMerchant({ ...HEALTHY_MERCHANT, first_name: "Amina", last_name: "Wafula" })).toEqual({});
+  expect(validateMerchant({
+    business_name: "Duka",
+    first_name: " ",
+    account_status: "closed",
+    pin_attempts: 5,
+    kyc_age_days: "2.5",
+    balance: "lots",
+    pin_locked: "maybe",
+    phone_number: "12345",
+  })).toEqual({
+    first_name: "Required",
+    last_name: "Required",
+    account_status: "Must be one of: active, suspended, frozen, dormant",
+    pin_attempts: "Must be between 0 and 3",
+    kyc_age_days: "Must be a whole number",
+    balance: "Must be a number",
+    pin_locked: "Must be yes/no, true/false or 1/0",
+    phone_number: "Invalid format — 07XXXXXXXX or +2547XXXXXXXX",
+  });
+  expect(validateMerchant({ kyc_status: "Verified" }, { partial: true })).toEqual({});
+});
+
+test("pre-checks a CSV upload and reports spreadsheet rows", () => {
+  const csv = [
+    "First Name,Last Name,Business Name,Account Status,Balance,Notes",
+    'Amina,Wafula,"Wafula, Sons & Co",active,"1,200",ok',
+    "Otieno,,Mama Mboga,closed,300,\"multi\nline\"",
+    "",
+  ].join("\r\n");
+  expect(parseCsv(csv)[1][2]).toBe("Wafula, Sons & Co");
+  expect(checkMerchantCsv(csv)).toEqual([
+    { row: 3, field: "last_name", message: "Required" },
+    { row: 3, field: "account_status", message: "Must be one of: active, suspended, frozen, dormant" },
+  ]);
+});
+
+test("a mutation records only the fields it changed, before and after", () => {
+  const { merchant, entry } = applyMutation({ ...HEALTHY_MERCHANT, pin_locked: "0", pin_attempts: "1" }, "lock_pin");
+  expect(merchant).toMatchObject({ pin_locked: true, pin_attempts: 3 });
+  expect(entry).toEqual({
+    type: "lock_pin",
+    label: "Lock PIN",
+    params: {},
+    changes: [{ field: "pin_attempts", before: 1, after: 3 }, { field: "pin_locked", before: false, after: true }],
+  });
+  expect(applyMutation(merchant, "lock_pin").entry.changes).toEqual([]);
+  expect(() => applyMutation(merchant, "age_days", { days: -2 })).toThrow(/whole number/);
+});
+
+test("ageing by N days moves the counters and lapses KYC past a year", () => {
+  const { merchant, entry } = applyMutation({ ...HEALTHY_MERCHANT, kyc_age_days: 350 }, "age_days", { days: 20 });
+  expect(entry.label).toBe("Aged 20 days");
+  expect(merchant).toMatchObject({ kyc_age_days: 370, kyc_status: "expired", dormant_days: 23, sim_swap_days_ago: null });
+});
+
+test("replays a merchant to any earlier journal entry", () => {
+  const journal = [];
+  let m = HEALTHY_MERCHANT;
+  ["swap_sim", "hold_settlement", "expire_kyc"].forEach((type, i) => {
+    const step = applyMutation(m, type);
+    journal.push({ id: i + 1, ...step.entry });
+    m = step.merchant;
+  });
+
+  const back = replayTo(m, journal, 1);
+  expect(back.merchant).toMatchObject({ sim_status: "swapped", settlement_on_hold: false, kyc_status: "verified", kyc_age_days: 120 });
+  expect(back.entry).toMatchObject({ type: "replay", label: "Replayed to #1 · Swap SIM", params: { to: 1 } });
+
+  const initial = replayTo(m, journal, null).merchant;
+  expect(initial).toMatchObject({ sim_status: "active", sim_swap_days_ago: null, settlement_on_hold: false, kyc_status: "verified" });
+  expect(() => replayTo(m, journal, 99)).toThrow(/No journal entry/);
+});
+
+test("diffs two snapshots merchant by merchant, ignoring storage noise", () => {
+  const before = [
+    { id: "M1", business_name: "Duka", pin_locked: 0, balance: "500", updated_at: "2026-10-01" },
+    { id: "M2", business_name: "Kibanda", account_status: "active" },
+    { id: "M3", business_name: "Gone" },
+  ];
+  const after = [
+    { id: "M1", business_name: "Duka", pin_locked: true, balance: 500, updated_at: "2026-10-02" },
+    { id: "M2", business_name: "Kibanda", account_status: "frozen" },
+    { id: "M4", business_name: "New" },
+  ];
+  const diff = diffSnapshots(before, after);
+  expect(diff.changed).toEqual([
+    { id: "M1", before: before[0], after: after[0], changes: [{ field: "pin_locked", before: false, after: true }] },
+    { id: "M2", before: before[1], after: after[1], changes: [{ field: "account_status", before: "active", after: "frozen" }] },
+  ]);
+  expect(diff.added.map(m => m.id)).toEqual(["M4"]);
+  expect(diff.removed.map(m => m.id)).toEqual(["M3"]);
+  expect(diffSnapshots(after, after)).toMatchObject({ changed: [], unchanged: 3 });
+});
@@ -0,0 +1,231 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SYNTHETIC MERCHANT GENERATOR
+// Safaricom LNM Merchant Digital Twin
+//
+// Seeded, reproducible fleets for tests, demos and rollout modelling.
+// generateFleet({ seed, count, spec }) always returns the same merchants for
+// the same inputs — and the first 50 of a 100-merchant fleet are the 50-merchant
+// fleet, because every merchant draws from its own seeded stream.
+//
+// The spec sets the population mix; anything left out keeps DEFAULT_SPEC:
+//
+//   { frozen: 15,                         // % of accounts frozen
+//     kyc_expired: 20,                    // % with expired KYC
+//     network_2g: 10,                     // % on 2G (rest 4G/3G/5G at 5:3:1)
+//     literacy:         { literate: 50, "semi-literate": 30, illiterate: 20 },
+//     transaction_tier: { high: 20, medium: 50, low: 30 },
+//     counties:         { Nairobi: 40, Mombasa: 15, ... } }   // weights, any scale
+//
+// Every merchant passes validateMerchant (merchantDataModel.js § 5).
+//
+// Consumed by:  merchantdatamodelviewer.jsx  (Generate tab)
+//               hooks/useApi.js              (useMerchantGenerator)
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { ENUMS, toCsv } from "./merchantDataModel";
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 1 — SEEDED RANDOMNESS
+// mulberry32 over a string hash: small, fast and identical in every browser.
+// ─────────────────────────────────────────────────────────────────────────────
+
+function hashSeed(seed) {
+  let h = 2166136261;
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
+
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A fresh seed for the "🎲" button — short enough to read out in a demo
+export const randomSeed = () => Math.random().toString(36).slice(2, 8);
+
+const int = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+const pick = (rng, list) => list[Math.floor(rng() * list.length)];
+const chance = (rng, pct) => rng() * 100 < pct;
+
+// { a: 3, b: 1 } → "a" three times as often as "b"
+function weighted(rng, weights) {
+  const entries = Object.entries(weights).filter(([, w]) => w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let r = rng() * total;
+  for (const [key, w] of entries) {
+    if ((r -= w) < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 2 — DISTRIBUTION SPEC
+// Defaults follow the Q4 2025 call-center failure mix.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const DEFAULT_SPEC = {
+  frozen: 15,
+  kyc_expired: 20,
+  network_2g: 10,
+  literacy:         { literate: 50, "semi-literate": 30, illiterate: 20 },
+  transaction_tier: { high: 20, medium: 50, low: 30 },
+  counties: {
+    Nairobi: 40, Mombasa: 12, Kisumu: 8, Nakuru: 8, Eldoret: 6, Kiambu: 6,
+    Machakos: 4, Meru: 4, Nyeri: 3, Embu: 3, Kakamega: 3, Kisii: 3,
+  },
+};
+
+// Mixes the spec does not expose — kept fixed so a seed stays comparable
+const SUSPENDED_PCT = 10;
+const KYC_PENDING_PCT = 15;
+const SIM_SWAPPED_PCT = 20;
+const PIN_LOCKED_PCT = 10;
+const SETTLEMENT_HOLD_PCT = 8;
+const NETWORK_REST = { "4G": 5, "3G": 3, "5G": 1 };
+
+const PERCENT_KEYS = ["frozen", "kyc_expired", "network_2g"];
+const MIX_KEYS = ["literacy", "transaction_tier", "counties"];
+
+// Spec merged over DEFAULT_SPEC; throws on values that cannot describe a population
+export function resolveSpec(spec = {}) {
+  const full = { ...DEFAULT_SPEC, ...spec };
+  PERCENT_KEYS.forEach(k => {
+    const v = Number(full[k]);
+    if (!(v >= 0 && v <= 100)) throw new Error(`${k} must be a percentage between 0 and 100`);
+    full[k] = v;
+  });
+  if (full.frozen + SUSPENDED_PCT > 100) throw new Error(`frozen can be at most ${100 - SUSPENDED_PCT}%`);
+  if (full.kyc_expired + KYC_PENDING_PCT > 100) throw new Error(`kyc_expired can be at most ${100 - KYC_PENDING_PCT}%`);
+  MIX_KEYS.forEach(k => {
+    const mix = Object.fromEntries(Object.entries(full[k] || {}).map(([key, w]) => [key, Number(w) || 0]));
+    if (Object.values(mix).some(w => w < 0)) throw new Error(`${k} weights cannot be negative`);
+    if (!Object.values(mix).some(w => w > 0)) throw new Error(`${k} needs at least one weight above 0`);
+    full[k] = mix;
+  });
+  const unknown = Object.keys(full.literacy).filter(k => !ENUMS.literacy_tier.includes(k))
+    .concat(Object.keys(full.transaction_tier).filter(k => !ENUMS.transaction_tier.includes(k)));
+  if (unknown.length) throw new Error(`Unknown mix value(s): ${unknown.join(", ")}`);
+  return full;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SECTION 3 — GENERATOR
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FIRST_NAMES = ["Wanjiru", "Otieno", "Achieng", "Kamau", "Mwangi", "Njeri", "Kiprop", "Chebet", "Mutua", "Atieno",
+  "Omondi", "Wambui", "Kipchoge", "Auma", "Karanja", "Nyambura", "Barasa", "Akinyi", "Mohamed", "Fatuma"];
+const LAST_NAMES = ["Kariuki", "Odhiambo", "Wafula", "Njoroge", "Kiplagat", "Mwende", "Ouma", "Gitau", "Ruto", "Maina",
+  "Onyango", "Wekesa", "Cheruiyot", "Mugo", "Hassan", "Nduta", "Kilonzo", "Owino", "Jeptoo", "Ali"];
+const TRADES = [
+  ["Duka", "🏪", "Retail"], ["Supermarket", "🛒", "Retail"], ["Fresh Produce", "🍎", "Groceries"],
+  ["Butchery", "🥩", "Food"], ["Juice Bar", "🧃", "Food"], ["Hotel", "🍕", "Hospitality"],
+  ["Auto Spares", "🚗", "Automotive"], ["Chemist", "💊", "Health"], ["Agrovet", "🌿", "Agriculture"],
+  ["Cafe", "☕", "Hospitality"], ["Salon", "💈", "Services"], ["Boutique", "🛍️", "Retail"],
+];
+const BANKS = ["Equity Bank", "KCB", "Co-operative Bank", "NCBA", "Absa", "Family Bank", "Stanbic"];
+
+// Ids carry the seed, so a fleet saved twice collides on every id
+export const fleetId = (seed, index) => `SYN-${seed}-${String(index + 1).padStart(4, "0")}`;
+
+function generateMerchant(seed, index, spec) {
+  const rng = createRng(`${seed}:${index}`);
+  const first = pick(rng, FIRST_NAMES);
+  const last = pick(rng, LAST_NAMES);
+  const [trade, avatar, category] = pick(rng, TRADES);
+
+  const roll = rng() * 100;
+  const account_status = roll < spec.frozen ? "frozen" : roll < spec.frozen + SUSPENDED_PCT ? "suspended" : "active";
+
+  const kycRoll = rng() * 100;
+  const kyc_status = kycRoll < spec.kyc_expired ? "expired" : kycRoll < spec.kyc_expired + KYC_PENDING_PCT ? "pending" : "verified";
+  const kyc_age_days = kyc_status === "expired" ? int(rng, 366, 900) : kyc_status === "pending" ? int(rng, 0, 30) : int(rng, 10, 360);
+
+  const swapped = chance(rng, SIM_SWAPPED_PCT);
+  const pin_locked = chance(rng, PIN_LOCKED_PCT);
+  const customer_type = weighted(rng, { existing: 70, new: 20, dormant: 10 });
+  const dormant_days = customer_type === "dormant" ? int(rng, 60, 200) : int(rng, 0, 25);
+
+  return {
+    id: fleetId(seed, index),
+    first_name: first,
+    last_name: last,
+    business_name: `${last} ${trade}`,
+    business_category: category,
+    avatar,
+    phone_number: `07${String(int(rng, 0, 99999999)).padStart(8, "0")}`,
+    paybill: String(int(rng, 100000, 999999)),
+    county: weighted(rng, spec.counties),
+    bank: pick(rng, BANKS),
+    bank_account_name: `${first} ${last}`,
+    account_status,
+    kyc_status,
+    kyc_age_days,
+    sim_status: swapped ? "swapped" : "active",
+    sim_swap_days_ago: swapped ? int(rng, 0, 60) : null,
+    pin_locked,
+    pin_attempts: pin_locked ? 3 : Number(weighted(rng, { 0: 60, 1: 25, 2: 15 })),
+    start_key_status: weighted(rng, { valid: 90, expired: 7, invalid: 3 }),
+    balance: Math.round(Math.exp(rng() * 12) * 100) / 100,
+    dormant_days,
+    operator_dormant_days: int(rng, 0, 90),
+    notifications_enabled: chance(rng, 85),
+    settlement_on_hold: chance(rng, SETTLEMENT_HOLD_PCT),
+    network_type: chance(rng, spec.network_2g) ? "2G" : weighted(rng, NETWORK_REST),
+    customer_type,
+    literacy_tier: weighted(rng, spec.literacy),
+    transaction_tier: weighted(rng, spec.transaction_tier),
+    transaction_count_30d: int(rng, 0, 900),
+    preferred_channel: weighted(rng, { app: 45, ussd: 45, web: 10 }),
+    source: `synthetic:${seed}`,
+  };
+}
+
+export function generateFleet({ seed, count, spec } = {}) {
+  if (seed === undefined || seed === null || String(seed).trim() === "") throw new Error("A seed is required");
+  if (!(Number.isInteger(count) && count > 0)) throw new Error("count must be a whole number above 0");
+  const resolved = resolveSpec(spec);
+  const tag = String(seed).trim();
+  return Array.from({ length: count }, (_, i) => generateMerchant(tag, i, resolved));
+}
+
+// Actual shares in a fleet, in percent — to compare against the spec it came from
+export function summarizeFleet(merchants) {
+  const n = merchants.length || 1;
+  const pct = (test) => Math.round(merchants.filter(test).length / n * 1000) / 10;
+  const mix = (field) => merchants.reduce((acc, m) => ({ ...acc, [m[field]]: (acc[m[field]] || 0) + 1 }), {});
+  return {
+    frozen: pct(m => m.account_status === "frozen"),
+    kyc_expired: pct(m => m.kyc_status === "expired"),
+    network_2g: pct(m => m.network_type === "2G"),
+    literacy: mix("literacy_tier"),
+    transaction_tier: mix("transaction_tier"),
+    counties: mix("county"),
+  };
+}
+
+// The fleet as a merchants CSV for POST /upload/merchants
+export const FLEET_COLUMNS = [
+  "id", "first_name", "last_name", "business_name", "business_category", "avatar", "phone_number", "paybill",
+  "county", "bank", "bank_account_name", "account_status", "kyc_status", "kyc_age_days", "sim_status",
+  "sim_swap_days_ago", "pin_locked", "pin_attempts", "start_key_status", "balance", "dormant_days",
+  "operator_dormant_days", "notifications_enabled", "settlement_on_hold", "network_type", "customer_type",
+  "literacy_tier", "transaction_tier", "transaction_count_30d", "preferred_channel", "source",
+];
+
+export function fleetToCsv(merchants) {
+  return toCsv(merchants.map(m => ({
+    ...m,
+    // The upload expects 1/0 flags, as SQLite stores them
+    pin_locked: m.pin_locked ? 1 : 0,
+    notifications_enabled: m.notifications_enabled ? 1 : 0,
+    settlement_on_hold: m.settlement_on_hold ? 1 : 0,
+  })), FLEET_COLUMNS);
+}
@@ -0,0 +1,47 @@
+import { DEFAULT_SPEC, fleetToCsv, generateFleet, summarizeFleet } from "./merchantGenerator";
+import { checkMerchantCsv, validateMerchant } from "./merchantDataModel";
+
+test("the same seed and spec give the same fleet, and a larger count extends it", () => {
+  const a = generateFleet({ seed: "demo-42", count: 40 });
+  expect(generateFleet({ seed: "demo-42", count: 40 })).toEqual(a);
+  expect(generateFleet({ seed: "demo-42", count: 60 }).slice(0, 40)).toEqual(a);
+  expect(generateFleet({ seed: "demo-43", count: 40 })).not.toEqual(a);
+  expect(a[0].id).toBe("SYN-demo-42-0001");
+});
+
+test("every merchant is valid and internally consistent", () => {
+  const fleet = generateFleet({ seed: "consistency", count: 200 });
+  expect(fleet.filter(m => Object.keys(validateMerchant(m)).length)).toEqual([]);
+  expect(fleet.filter(m => m.kyc_status === "expired" && m.kyc_age_days <= 365)).toEqual([]);
+  expect(fleet.filter(m => m.pin_locked && m.pin_attempts !== 3)).toEqual([]);
+  expect(fleet.filter(m => (m.sim_swap_days_ago === null) !== (m.sim_status !== "swapped"))).toEqual([]);
+  expect(checkMerchantCsv(fleetToCsv(fleet))).toEqual([]);
+});
+
+test("the fleet follows the distribution spec", () => {
+  const spec = {
+    frozen: 40,
+    network_2g: 0,
+    literacy: { illiterate: 1 },
+    transaction_tier: { high: 3, low: 1 },
+    counties: { Turkana: 1, Garissa: 1 },
+  };
+  const summary = summarizeFleet(generateFleet({ seed: "mix", count: 1000, spec }));
+  expect(summary.frozen).toBeGreaterThan(35);
+  expect(summary.frozen).toBeLessThan(45);
+  expect(summary.kyc_expired).toBeGreaterThan(DEFAULT_SPEC.kyc_expired - 5);
+  expect(summary.kyc_expired).toBeLessThan(DEFAULT_SPEC.kyc_expired + 5);
+  expect(summary.network_2g).toBe(0);
+  expect(summary.literacy).toEqual({ illiterate: 1000 });
+  expect(summary.transaction_tier.high).toBeGreaterThan(700);
+  expect(summary.transaction_tier.medium).toBeUndefined();
+  expect(Object.keys(summary.counties).sort()).toEqual(["Garissa", "Turkana"]);
+});
+
+test("rejects specs that cannot describe a population", () => {
+  expect(() => generateFleet({ seed: "", count: 5 })).toThrow(/seed/);
+  expect(() => generateFleet({ seed: "x", count: 0 })).toThrow(/count/);
+  expect(() => generateFleet({ seed: "x", count: 5, spec: { frozen: 120 } })).toThrow(/percentage/);
+  expect(() => generateFleet({ seed: "x", count: 5, spec: { counties: { Nairobi: 0 } } })).toThrow(/at least one weight/);
+  expect(() => generateFleet({ seed: "x", count: 5, spec: { literacy: { fluent: 1 } } })).toThrow(/fluent/);
+});
@@ -1,92 +1,18 @@
 // MerchantSimulator.jsx
 // Live Merchant Interaction Simulator — App · USSD · Web
 // All data from backend APIs. Zero hardcoded merchants/rules.
+// Verdicts come from failureRulesEngine.js — same engine as the Rules Engine tabs
 // Every interaction logged to /events, /ussd/session/*, /app/log, /transactions
+// (fire-and-forget writes go through api/outbox.js and survive the backend being down)
 // Network simulation: 2G lag, offline fallback, crash scenarios
 
 import { useState, useEffect, useCallback, useRef } from "react";
-
-// ─── API CLIENT ───────────────────────────────────────────────────────────────
-const BASE = "http://localhost:4000/api/v1";
-const api = {
-  get:  (p)    => fetch(`${BASE}${p}`).then(r => { if(!r.ok) throw new Error(r.status); return r.json(); }),
-  post: (p, b) => fetch(`${BASE}${p}`, { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(b) }).then(r => { if(!r.ok) throw new Error(r.status); return r.json(); }),
-};
-
-// ─── EVALUATION ENGINE (client-side mirror of backend rules) ─────────────────
-function evaluate(actionKey, merchant) {
-  const m = merchant;
-  const rules = {
-    SETTLE_FUNDS: () => {
-      if (m.settlement_on_hold == 1) return fail("SETTLEMENT_HOLD","critical","Settlement funds are on hold","Verify KYC compliance and lift hold via admin portal","Escalate to settlements team — SLA: 4hrs");
-      if (m.account_status !== "active") return fail("ACCOUNT_INACTIVE","high","Account not active — settlement blocked","Reactivate account first","Escalate to account management");
-      return ok("Settlement request processed. Funds will reflect within 2 hours.");
-    },
-    PIN_PUK: () => {
-      if (m.pin_locked == 1) return fail("PIN_LOCKED","high","PIN locked after too many failed attempts","Reset PIN via self-service USSD *234*0# or contact centre","Offer PIN reset via agent — identity verification required");
-      if (parseInt(m.pin_attempts) >= 2) return warn("PIN_ATTEMPTS_HIGH","medium",`${m.pin_attempts}/3 failed attempts — one more will lock PIN`,"Advise merchant to reset PIN before next attempt");
-      return ok("PIN verified successfully.");
-    },
-    SIM_SWAP: () => {
-      if (m.sim_status === "unregistered") return fail("SIM_UNREGISTERED","critical","SIM not registered — service blocked","Register SIM immediately at Safaricom agent","Urgent: CBK compliance breach — same-day resolution required");
-      if (m.sim_status === "swapped") return fail("SIM_RECENTLY_SWAPPED","medium","SIM swapped — 24hr transaction hold active","Wait out 24hr security hold or request early clearance","Verify swap was merchant-initiated — fraud risk if not");
-      return ok("SIM status verified. No issues detected.");
-    },
-    ACCOUNT_STATUS: () => {
-      if (m.account_status === "frozen") return fail("ACCOUNT_FROZEN","critical","Account frozen — all services suspended","Contact compliance team for unfreeze procedure","Compliance escalation required — SLA: 24hrs");
-      if (m.account_status === "suspended") return fail("ACCOUNT_SUSPENDED","high","Account suspended","Resolve outstanding compliance flags","Account management team — SLA: 48hrs");
-      return ok("Account is active and in good standing.");
-    },
-    START_KEY: () => {
-      if (!m.start_key_status || m.start_key_status === "expired" || m.start_key_status === "invalid")
-        return fail("START_KEY_INVALID","high","Start key invalid — LNM transactions will fail","Re-register start key via merchant portal or USSD *234*5#","Technical support — start key regeneration: 30 mins");
-      return ok("Start key is valid. LNM transactions enabled.");
-    },
-    KYC_CHANGE: () => {
-      if (m.kyc_status === "expired") return fail("KYC_EXPIRED","critical",`KYC expired (${m.kyc_age_days || "?"}d) — CBK compliance breach`,"Submit updated KYC documents via merchant portal today","Compliance: KYC renewal mandatory — service suspension in 48hrs if unresolved");
-      if (m.kyc_status === "pending") return warn("KYC_PENDING","medium","KYC verification pending","Follow up with compliance on submission status");
-      if (parseInt(m.kyc_age_days) > 300) return warn("KYC_EXPIRING","low",`KYC expires in ~${365 - parseInt(m.kyc_age_days)} days`,"Schedule renewal soon to avoid interruption");
-      return ok("KYC is verified and current.");
-    },
-    BALANCE: () => {
-      const b = parseFloat(m.balance) || 0;
-      if (b === 0) return fail("ZERO_BALANCE","medium","Float balance is zero — outgoing transactions will fail","Top up float via bank transfer or Safaricom agent","Customer can initiate bank top-up — processing: 2hrs");
-      if (b < 500) return warn("LOW_BALANCE","low",`Balance critically low (KES ${b.toLocaleString()})`, "Top up float soon");
-      return ok(`Balance KES ${b.toLocaleString()} — sufficient for transactions.`);
-    },
-    NOTIFICATIONS: () => {
-      if (!m.notifications_enabled || m.notifications_enabled == 0)
-        return warn("NOTIF_OFF","low","Transaction notifications disabled","Enable via *234# Settings or M-PESA app");
-      return ok("Notifications enabled. Merchant will receive all transaction alerts.");
-    },
-    DORMANT_OP: () => {
-      const d = parseInt(m.operator_dormant_days) || 0;
-      if (d >= 90) return fail("OPERATOR_DORMANT","high",`Operator dormant ${d}d — auto-suspension imminent`,"Process any transaction to reactivate","Operator account at risk — proactive outreach needed");
-      if (d >= 30) return warn("OPERATOR_INACTIVE","medium",`Operator inactive for ${d} days`,"Advise merchant to log in and transact");
-      return ok("Operator account active.");
-    },
-    STATEMENT: () => {
-      if (m.account_status !== "active") return fail("STATEMENT_BLOCKED","medium","Account inactive — statement access restricted","Reactivate account","Account management");
-      return ok("Statement generated. Last 90 days of transactions available.");
-    },
-    APPLICATION: () => {
-      if (m.account_status === "frozen" || m.account_status === "suspended") return fail("APPLICATION_BLOCKED","high","Account issues block application","Resolve account status first","Account management team");
-      if (m.kyc_status !== "verified") return fail("KYC_NOT_VERIFIED","medium","KYC must be verified before application proceeds","Complete KYC verification first","KYC team");
-      return ok("Application submitted successfully. Processing time: 3-5 business days.");
-    },
-    PIN_UNLOCK: () => {
-      if (m.pin_locked == 1) return ok("PIN unlocked successfully. Merchant can now transact.");
-      return ok("PIN is not locked — no action needed.");
-    },
-  };
-  const fn = rules[actionKey];
-  if (!fn) return ok(`${actionKey} processed.`);
-  return fn();
-}
-
-function ok(msg)  { return { success:true,  severity:"ok",  inline:msg }; }
-function warn(code, severity, msg, fix) { return { success:"warn", code, severity, inline:msg, reason:`Rule ${code} triggered`, fix, escalation:"Monitor and follow up within 24 hours" }; }
-function fail(code, severity, msg, fix, esc) { return { success:false, code, severity, inline:msg, reason:`Sensor check failed: ${code}`, fix, escalation:esc }; }
+import { evaluateAction, toEventSuccess } from "./failureRulesEngine";
+import eventQueue from "./api/eventQueue";
+import outbox from "./api/outbox";
+import api, { getBase } from "./api/client";
+import queryCache from "./api/queryCache";
+import { useRuleDefinitions } from "./hooks/useApi";
 
 // ─── NETWORK SIMULATION ───────────────────────────────────────────────────────
 const NETWORK_PROFILES = {
@@ -232,28 +158,28 @@ function AppChannel({ merchant, network, onEvent, rules }) {
       setLoadingPct(100);
       await new Promise(r => setTimeout(r, 150));
 
-      const res = evaluate(actionKey, merchant);
+      const res = evaluateAction(merchant, actionKey);
       setResult(res);
       setScreen("result");
 
       // log event
-      await api.post("/events", {
+      eventQueue.push({
         merchant_id: merchant.id, merchant_name: merchant.business_name,
         action_key: actionKey, action_label: label, channel:"app",
-        success: res.success === true ? 1 : 0,
-        error_code: res.code || null, severity: res.severity === "ok" ? "info" : res.severity,
+        success: toEventSuccess(res),
+        error_code: res.success === true ? null : res.code, severity: res.severity || "info",
         escalated: res.severity === "critical" ? 1 : 0,
         response_time_ms: latency, raw_result: res,
-      }).catch(()=>{});
+      });
 
       if (res.success !== true) {
-        await api.post("/alerts", {
+        outbox.post("/alerts", {
           merchant_id: merchant.id, merchant_name: merchant.business_name,
           action_key: actionKey, action_label: label,
           error_code: res.code, severity: res.severity,
           inline_message: res.inline, fix_message: res.fix,
           escalation_msg: res.escalation,
-        }).catch(()=>{});
+        });
       }
 
       onEvent({ channel:"app", action:label, result:res, latency, merchantName:merchant.business_name, time: new Date().toLocaleTimeString("en-KE",{hour12:false}) });
@@ -272,22 +198,22 @@ function AppChannel({ merchant, network, onEvent, rules }) {
       setScreen(isOffline ? "offline" : isCrash ? "crash" : "timeout");
 
       // log crash
-      await api.post("/app/log", {
+      outbox.post("/app/log", {
         merchantId: merchant.id, networkType: network, actionAttempted: actionKey,
         errorType: isCrash ? "crash" : isTimeout ? "timeout" : "network_error",
         errorMessage: reason,
-      }).catch(()=>{});
+      });
 
       if (sessionRef.current) {
-        await api.post("/app/retry", { sessionId: sessionRef.current }).catch(()=>{});
+        outbox.post("/app/retry", { sessionId: sessionRef.current });
       }
 
-      await api.post("/events", {
+      eventQueue.push({
         merchant_id: merchant.id, merchant_name: merchant.business_name,
         action_key: actionKey, action_label: label, channel:"app",
         success: 0, error_code: err.message, severity:"high",
         escalated: isOffline ? 1 : 0,
-      }).catch(()=>{});
+      });
 
       onEvent({ channel:"app", action:label, crashed:true, timeout:isTimeout, crashReason:reason, merchantName:merchant.business_name, time: new Date().toLocaleTimeString("en-KE",{hour12:false}) });
     }
@@ -357,7 +283,7 @@ function AppChannel({ merchant, network, onEvent, rules }) {
                   <div style={{ fontSize:10, fontWeight:700, color:"#c8d8e8" }}>{cat.label}</div>
                   <div style={{ fontSize:8, color:"#9C9C9C", marginTop:2 }}>
                     {cat.keys.filter(k => {
-                      const r = evaluate(k, merchant);
+                      const r = evaluateAction(merchant, k);
                       return r.success !== true;
                     }).length > 0 ? (
                       <span style={{ color:"#f87171" }}>⚠ Issues detected</span>
@@ -379,7 +305,7 @@ function AppChannel({ merchant, network, onEvent, rules }) {
               {activeCategory.icon} {activeCategory.label}
             </div>
             {activeCategory.keys.map(key => {
-              const preview = evaluate(key, merchant);
+              const preview = evaluateAction(merchant, key);
               const hasFail = preview.success !== true;
               return (
                 <button key={key} onClick={() => runAction(key)}
@@ -430,7 +356,7 @@ function AppChannel({ merchant, network, onEvent, rules }) {
               <div style={{ fontSize:18, marginBottom:6 }}>{result.success===true ? "✅" : result.success==="warn" ? "⚠️" : "❌"}</div>
               <div style={{ fontSize:12, fontWeight:800, color:result.success===true ? "#4ade80" : SEV[result.severity]?.text, marginBottom:4 }}>
                 {result.success===true ? "SUCCESS" : result.success==="warn" ? "WARNING" : "FAILED"}
-                {result.code && <span style={{ fontSize:9, color:"#9C9C9C", marginLeft:6 }}>[{result.code}]</span>}
+                {result.success!==true && <span style={{ fontSize:9, color:"#9C9C9C", marginLeft:6 }}>[{result.code}]</span>}
               </div>
               <div style={{ fontSize:10, color:"#c8d8e8", lineHeight:1.6 }}>{result.inline}</div>
               {result.fix && (
@@ -479,7 +405,7 @@ function AppChannel({ merchant, network, onEvent, rules }) {
               Backend unreachable or merchant has no data connection. Check network settings.
             </div>
             <div style={{ marginTop:12, fontSize:8, color:"#9C9C9C", fontFamily:"monospace" }}>
-              {BASE}
+              {getBase()}
             </div>
           </div>
         )}
@@ -550,12 +476,12 @@ function USSDChannel({ merchant, network, onEvent }) {
         push("⏱ USSD SESSION TIMEOUT\n\nSession expired — poor network signal.\n\nThis session has been logged.", "timeout");
 
         const sid = sessionId || `USSD-${Date.now()}`;
-        await api.post("/ussd/session/timeout", { sessionId:sid, menu:"main" }).catch(()=>{});
-        await api.post("/events", {
+        outbox.post("/ussd/session/timeout", { sessionId:sid, menu:"main" });
+        eventQueue.push({
           merchant_id:merchant.id, merchant_name:merchant.business_name,
           action_key:"USSD_TIMEOUT", action_label:"USSD Session Timeout", channel:"ussd",
           success:0, error_code:"USSD_TIMEOUT", severity:"medium",
-        }).catch(()=>{});
+        });
 
         onEvent({ channel:"ussd", action:"USSD Dial", timeout:true, merchantName:merchant.business_name, time:new Date().toLocaleTimeString("en-KE",{hour12:false}) });
         setSending(false);
@@ -622,7 +548,7 @@ function USSDChannel({ merchant, network, onEvent }) {
       // 2G random timeout mid-session
       if ((network === "2G" || network === "EDGE") && Math.random() > 0.6) {
         push("⏱ SESSION EXPIRED\n\nPoor signal — session timed out.\nDial *234# to try again.", "timeout");
-        if (sessionId) await api.post("/ussd/session/timeout", { sessionId, menu:phase }).catch(()=>{});
+        if (sessionId) outbox.post("/ussd/session/timeout", { sessionId, menu:phase });
         onEvent({ channel:"ussd", action:`Input ${v}`, timeout:true, merchantName:merchant.business_name, time:new Date().toLocaleTimeString("en-KE",{hour12:false}) });
         setPhase("idle");
         setSending(false);
@@ -630,7 +556,7 @@ function USSDChannel({ merchant, network, onEvent }) {
       }
 
       if (sessionId) {
-        await api.post("/ussd/session/input", { sessionId, input:v, menu:phase, responseTimeMs:latency }).catch(()=>{});
+        outbox.post("/ussd/session/input", { sessionId, input:v, menu:phase, responseTimeMs:latency });
       }
 
       if (phase === "main") {
@@ -648,23 +574,23 @@ function USSDChannel({ merchant, network, onEvent }) {
         if (sub) {
           const item = sub.items[parseInt(v)-1];
           if (item) {
-            const res = evaluate(item.k, merchant);
+            const res = evaluateAction(merchant, item.k);
             const lines = res.success===true
               ? [`END ✓ ${item.l}`, "", res.inline]
               : [`END ✗ ${item.l}`, `[${res.code}]`, "", res.inline, "", `FIX: ${res.fix}`, "", res.escalation];
             push(lines.join("\n"), res.success===true ? "success" : "fail");
 
             if (sessionId) {
-              await api.post("/ussd/session/end", { sessionId, finalAction:item.k, status:res.success===true?"completed":"failed" }).catch(()=>{});
+              outbox.post("/ussd/session/end", { sessionId, finalAction:item.k, status:res.success===true?"completed":"failed" });
             }
 
-            await api.post("/events", {
+            eventQueue.push({
               merchant_id:merchant.id, merchant_name:merchant.business_name,
               action_key:item.k, action_label:item.l, channel:"ussd",
-              success:res.success===true?1:0, error_code:res.code||null,
-              severity:res.severity==="ok"?"info":res.severity,
+              success:toEventSuccess(res), error_code:res.success===true?null:res.code,
+              severity:res.severity||"info",
               session_id:sessionId, response_time_ms:latency,
-            }).catch(()=>{});
+            });
 
             onEvent({ channel:"ussd", action:item.l, result:res, latency, merchantName:merchant.business_name, time:new Date().toLocaleTimeString("en-KE",{hour12:false}) });
             setPhase("end");
@@ -816,25 +742,25 @@ function WebChannel({ merchant, network, onEvent }) {
         return;
       }
 
-      const res = evaluate(actionKey, merchant);
+      const res = evaluateAction(merchant, actionKey);
       setResult(res);
 
       // log to backend
-      await api.post("/events", {
+      eventQueue.push({
         merchant_id:merchant.id, merchant_name:merchant.business_name,
         action_key:actionKey, action_label:ACTION_LABELS[actionKey]||actionKey,
-        channel:"web", success:res.success===true?1:0,
-        error_code:res.code||null, severity:res.severity==="ok"?"info":res.severity,
+        channel:"web", success:toEventSuccess(res),
+        error_code:res.success===true?null:res.code, severity:res.severity||"info",
         response_time_ms:latency,
-      }).catch(()=>{});
+      });
 
       if (res.success !== true) {
-        await api.post("/alerts", {
+        outbox.post("/alerts", {
           merchant_id:merchant.id, merchant_name:merchant.business_name,
           action_key:actionKey, action_label:ACTION_LABELS[actionKey]||actionKey,
           error_code:res.code, severity:res.severity,
           inline_message:res.inline, fix_message:res.fix,
-        }).catch(()=>{});
+        });
       }
 
       onEvent({ channel:"web", action:ACTION_LABELS[actionKey]||actionKey, result:res, latency, merchantName:merchant.business_name, time:new Date().toLocaleTimeString("en-KE",{hour12:false}) });
@@ -942,7 +868,7 @@ function WebChannel({ merchant, network, onEvent }) {
           <div style={{ animation:"fadeUp .2s ease" }}>
             <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:6, marginBottom:10 }}>
               {tabActions[activeTab].map(key => {
-                const preview = evaluate(key, merchant);
+                const preview = evaluateAction(merchant, key);
                 const hasFail = preview.success !== true;
                 const isActive = activeAction === key;
                 return (
@@ -988,7 +914,7 @@ function WebChannel({ merchant, network, onEvent }) {
                   <span style={{ fontSize:16 }}>{result.success===true?"✅":result.success==="warn"?"⚠️":"❌"}</span>
                   <span style={{ fontSize:11, fontWeight:800, color:result.success===true?"#4ade80":SEV[result.severity]?.text }}>
                     {result.success===true?"SUCCESS":result.success==="warn"?"WARNING":"FAILED"}
-                    {result.code && <span style={{ fontSize:8, color:"#9C9C9C", marginLeft:6 }}>[{result.code}]</span>}
+                    {result.success!==true && <span style={{ fontSize:8, color:"#9C9C9C", marginLeft:6 }}>[{result.code}]</span>}
                   </span>
                 </div>
                 <div style={{ fontSize:9, color:"#c8d8e8", lineHeight:1.6, marginBottom:6 }}>{result.inline}</div>
@@ -1192,6 +1118,9 @@ export default function MerchantSimulator() {
   const ussdTriggerRef = useRef(null);
   const webTriggerRef  = useRef(null);
 
+  // Same rule definitions the Rules Engine tabs use; a failed /rules keeps the last set
+  useRuleDefinitions();
+
   // wire up channel triggers
   useEffect(() => {
     const interval = setInterval(() => {
@@ -1211,8 +1140,9 @@ export default function MerchantSimulator() {
   const loadMerchants = useCallback(async () => {
     setLoading(true);
     try {
-      const data = await api.get("/merchants?limit=50");
-      const list = Array.isArray(data) ? data : [];
+      // Same cached fleet the other tabs use — no refetch when switching back
+      const data = await queryCache.fetch("/merchants?limit=200", () => api.get("/merchants?limit=200"));
+      const list = Array.isArray(data) ? data.slice(0, 50) : [];
       setMerchants(list);
       if (list.length && !selected) setSelected(list[0]);
       setApiOnline(true);
@@ -1240,7 +1170,7 @@ export default function MerchantSimulator() {
         <div style={{ fontSize:48, marginBottom:16 }}>📵</div>
         <div style={{ fontSize:18, fontWeight:800, color:"#f87171", marginBottom:8 }}>BACKEND OFFLINE</div>
         <div style={{ fontSize:10, color:"#9C9C9C", marginBottom:20, textAlign:"center", lineHeight:1.8 }}>
-          Cannot reach <span style={{ color:"#e2cfa0", fontFamily:"monospace" }}>{BASE}</span><br/>
+          Cannot reach <span style={{ color:"#e2cfa0", fontFamily:"monospace" }}>{getBase()}</span><br/>
           Start the backend to use the simulator
         </div>
         <div style={{ background:"#060d14", border:"1px solid #9C9C9C", borderRadius:8, padding:"12px 16px",
@@ -1355,7 +1285,7 @@ export default function MerchantSimulator() {
                 ) : merchants.map(m => {
                   const isSelected = selected?.id === m.id;
                   const hasFail = ["ACCOUNT_STATUS","KYC_CHANGE","SETTLE_FUNDS","SIM_SWAP"].some(k => {
-                    const r = evaluate(k, m);
+                    const r = evaluateAction(m, k);
                     return r.success !== true;
                   });
                   return (
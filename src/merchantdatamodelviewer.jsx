@@ -1,20 +1,15 @@
 // MerchantDataModelViewer.jsx
 // Live backend-connected merchant data model viewer
-// All data from http://localhost:4000/api/v1 — zero hardcoded merchants
-// Three modes: Registry (browse/view), Generator (random), Manual Add, Upload CSV
+// All data from the active API environment (api/env.js) — zero hardcoded merchants
+// Modes: Registry (browse/view/edit), Snapshots (capture/diff/restore), Generator (seeded personas), Manual Add, Upload CSV
 
-import { useState, useEffect, useCallback, useRef } from "react";
-
-// ─── API CLIENT ───────────────────────────────────────────────────────────────
-const BASE = "http://localhost:4000/api/v1";
-
-const api = {
-  get:    (path) => fetch(`${BASE}${path}`).then(r => r.json()),
-  post:   (path, body) => fetch(`${BASE}${path}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }).then(r => r.json()),
-  put:    (path, body) => fetch(`${BASE}${path}`, { method: "PUT",  headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }).then(r => r.json()),
-  delete: (path)       => fetch(`${BASE}${path}`, { method: "DELETE" }).then(r => r.json()),
-  upload: (path, form) => fetch(`${BASE}${path}`, { method: "POST", body: form }).then(r => r.json()),
-};
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { ENUMS, MERCHANT_SCHEMA, MUTATIONS, REQUIRED_FIELDS, SENSOR_FIELDS, applyMutation, checkMerchantCsv, diffSnapshots, normalizeField, normalizeMerchant, replayTo, toFlag, validateMerchant } from "./merchantDataModel";
+import { diffVerdicts, scanAllFailures } from "./failureRulesEngine";
+import api, { getBase } from "./api/client";
+import queryCache from "./api/queryCache";
+import { DEFAULT_SPEC, fleetId, generateFleet, randomSeed, summarizeFleet } from "./merchantGenerator";
+import { useAuth, useMerchantGenerator, useMerchants, useQuery, useRuleDefinitions } from "./hooks/useApi";
 
 // ─── SENSOR HEALTH ────────────────────────────────────────────────────────────
 function sensorColor(field, value) {
@@ -74,22 +69,6 @@ function getRiskTier(m) {
   return                                           { label: "HEALTHY", color: "#4ade80", bg: "rgba(74,222,128,.07)", border: "rgba(74,222,128,.25)" };
 }
 
-// ─── SENSOR FIELDS DISPLAY CONFIG ─────────────────────────────────────────────
-const SENSOR_FIELDS = [
-  { key: "account_status",        label: "Account Status" },
-  { key: "kyc_status",            label: "KYC Status" },
-  { key: "kyc_age_days",          label: "KYC Age",          suffix: "d" },
-  { key: "sim_status",            label: "SIM Status" },
-  { key: "pin_attempts",          label: "PIN Attempts",     suffix: "/3" },
-  { key: "pin_locked",            label: "PIN Locked" },
-  { key: "start_key_status",      label: "Start Key" },
-  { key: "balance",               label: "Balance",          prefix: "KES ", fmt: n => Number(n).toLocaleString() },
-  { key: "dormant_days",          label: "Dormant",          suffix: "d" },
-  { key: "notifications_enabled", label: "Notifications" },
-  { key: "settlement_on_hold",    label: "Settlement Hold" },
-  { key: "operator_dormant_days", label: "Operator Dormant", suffix: "d" },
-];
-
 const FIELD_GROUPS = {
   identity: {
     label: "Identity",
@@ -113,22 +92,23 @@ const FIELD_GROUPS = {
   },
 };
 
-// ─── MANUAL ADD FORM SCHEMA ────────────────────────────────────────────────────
+// ─── MANUAL ADD FORM ──────────────────────────────────────────────────────────
+// Layout only — types, enums and required fields come from MERCHANT_SCHEMA
 const MANUAL_FIELDS = [
-  { key: "first_name",    label: "First Name",     required: true },
-  { key: "last_name",     label: "Last Name",      required: true },
-  { key: "business_name", label: "Business Name",  required: true },
+  { key: "first_name",    label: "First Name" },
+  { key: "last_name",     label: "Last Name" },
+  { key: "business_name", label: "Business Name" },
   { key: "phone_number",  label: "Phone Number",   placeholder: "07XXXXXXXX" },
   { key: "paybill",       label: "Paybill",        placeholder: "174379" },
   { key: "county",        label: "County",         type: "select", options: ["Nairobi","Mombasa","Kisumu","Nakuru","Eldoret","Kiambu","Machakos","Meru","Nyeri","Embu","Kakamega","Kisii"] },
   { key: "bank",          label: "Bank",           placeholder: "Equity Bank" },
   { key: "bank_account",  label: "Bank Account",   placeholder: "01234567890" },
   { key: "balance",       label: "Initial Balance (KES)", type: "number" },
-  { key: "network_type",  label: "Network",        type: "select", options: ["4G","3G","5G","2G"] },
-  { key: "customer_type", label: "Customer Type",  type: "select", options: ["new","existing","dormant"] },
-  { key: "literacy_tier", label: "Literacy",       type: "select", options: ["literate","semi-literate","illiterate"] },
-  { key: "transaction_tier", label: "Txn Tier",    type: "select", options: ["high","medium","low"] },
-  { key: "preferred_channel", label: "Channel",    type: "select", options: ["app","ussd","web"] },
+  { key: "network_type",  label: "Network",        type: "select", options: ENUMS.network_type },
+  { key: "customer_type", label: "Customer Type",  type: "select", options: ENUMS.customer_type },
+  { key: "literacy_tier", label: "Literacy",       type: "select", options: ENUMS.literacy_tier },
+  { key: "transaction_tier", label: "Txn Tier",    type: "select", options: ENUMS.transaction_tier },
+  { key: "preferred_channel", label: "Channel",    type: "select", options: ENUMS.preferred_channel },
 ];
 
 // ─── STYLES ───────────────────────────────────────────────────────────────────
@@ -244,22 +224,56 @@ function MerchantCard({ merchant, selected, onClick }) {
   );
 }
 
+// ─── FIELD INPUT ──────────────────────────────────────────────────────────────
+// One editable value, shaped by MERCHANT_SCHEMA; unknown fields are free text
+function FieldInput({ field, value, error, onChange }) {
+  const spec = MERCHANT_SCHEMA[field] || { type: "string" };
+  const style = { ...S.input, padding: "3px 6px", fontSize: 10, borderColor: error ? "rgba(248,113,113,.5)" : "#9C9C9C" };
+  const input =
+    spec.type === "enum" ? (
+      <select value={value ?? ""} onChange={e => onChange(e.target.value)} style={{ ...style, cursor: "pointer" }}>
+        {!spec.options.includes(value) && <option value={value ?? ""}>{value || "—"}</option>}
+        {spec.options.map(o => <option key={o} value={o}>{o}</option>)}
+      </select>
+    ) : spec.type === "flag" ? (
+      <select value={toFlag(value) ? "1" : "0"} onChange={e => onChange(e.target.value === "1")} style={{ ...style, cursor: "pointer" }}>
+        <option value="1">yes</option>
+        <option value="0">no</option>
+      </select>
+    ) : (
+      <input value={value ?? ""} onChange={e => onChange(e.target.value)}
+        type={spec.type === "number" ? "number" : "text"} min={spec.min} max={spec.max} style={style} />
+    );
+  return (
+    <>
+      {input}
+      {error && <div style={{ fontSize: 8, color: "#f87171", marginTop: 2 }}>{error}</div>}
+    </>
+  );
+}
+
 // ─── SENSOR GRID ──────────────────────────────────────────────────────────────
-function SensorGrid({ merchant }) {
+// edit = { draft, errors, set } while MerchantDetail is in edit mode
+function SensorGrid({ merchant, edit }) {
   return (
     <div>
       <div style={S.sectionTitle}>📡 Live Sensors</div>
       <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 5 }}>
         {SENSOR_FIELDS.map(({ key, label, suffix, prefix, fmt }) => {
-          const raw = merchant[key];
+          const raw = edit && key in edit.draft ? edit.draft[key] : merchant[key];
           const display = raw == null ? "—" : (prefix || "") + (fmt ? fmt(raw) : raw) + (suffix || "");
           const col = sensorColor(key, raw);
+          const changed = edit && key in edit.draft;
           return (
-            <div key={key} style={{ background: "#040b10", border: `1px solid ${col}20`, borderRadius: 6, padding: "7px 8px" }}>
+            <div key={key} style={{ background: "#040b10", border: `1px solid ${changed ? "rgba(96,165,250,.5)" : `${col}20`}`, borderRadius: 6, padding: "7px 8px" }}>
               <div style={{ fontSize: 7, color: "#9C9C9C", marginBottom: 3, letterSpacing: .5 }}>{label}</div>
-              <div style={{ fontSize: 11, fontWeight: 700, color: col, textTransform: "uppercase", letterSpacing: .3 }}>
-                {display}
-              </div>
+              {edit ? (
+                <FieldInput field={key} value={raw} error={edit.errors[key]} onChange={v => edit.set(key, v)} />
+              ) : (
+                <div style={{ fontSize: 11, fontWeight: 700, color: col, textTransform: "uppercase", letterSpacing: .3 }}>
+                  {display}
+                </div>
+              )}
             </div>
           );
         })}
@@ -269,7 +283,7 @@ function SensorGrid({ merchant }) {
 }
 
 // ─── FIELD GROUP ──────────────────────────────────────────────────────────────
-function FieldGroup({ title, fields, merchant }) {
+function FieldGroup({ title, fields, merchant, edit }) {
   const [open, setOpen] = useState(true);
   return (
     <div style={{ ...S.card, padding: 0, overflow: "hidden", marginBottom: 8 }}>
@@ -284,7 +298,14 @@ function FieldGroup({ title, fields, merchant }) {
       </button>
       {open && (
         <div style={{ padding: "0 12px 10px" }}>
-          {fields.filter(f => merchant[f] != null && merchant[f] !== "").map(f => (
+          {edit ? fields.map(f => (
+            <div key={f} style={{ ...S.row, gap: 10 }}>
+              <span style={{ ...S.kvKey, color: f in edit.draft ? "#60a5fa" : S.kvKey.color }}>{f.replace(/_/g, " ")}</span>
+              <div style={{ width: 180 }}>
+                <FieldInput field={f} value={f in edit.draft ? edit.draft[f] : merchant[f]} error={edit.errors[f]} onChange={v => edit.set(f, v)} />
+              </div>
+            </div>
+          )) : fields.filter(f => merchant[f] != null && merchant[f] !== "").map(f => (
             <div key={f} style={S.row}>
               <span style={S.kvKey}>{f.replace(/_/g, " ")}</span>
               <span style={S.kvVal}>{String(merchant[f])}</span>
@@ -327,70 +348,267 @@ function HealthBar({ merchant }) {
   );
 }
 
+// ─── MUTATION JOURNAL ─────────────────────────────────────────────────────────
+// Sensor mutations (merchantDataModel.js § 7) and the per-merchant timeline of
+// every change, before → after. Replaying to an entry appends a new entry —
+// the journal itself is never rewritten.
+const NO_ENTRIES = [];
+
+const fmtValue = v => v === null || v === undefined || v === "" ? "—" : String(v);
+
+function JournalPanel({ merchant, onChanged, toast }) {
+  const { can } = useAuth();
+  const { data, error, loading } = useQuery(`/merchants/${merchant.id}/journal`);
+  const journal = Array.isArray(data) ? data : data?.entries || NO_ENTRIES;
+  const [days, setDays] = useState(MUTATIONS.age_days.params.days);
+  const [busy, setBusy] = useState(null);
+
+  const commit = async ({ merchant: next, entry }, key) => {
+    if (!entry.changes.length) { toast("No change — the merchant is already in that state", "success"); return; }
+    setBusy(key);
+    try {
+      const res = await api.merchants.mutate(merchant.id, entry, { reason: entry.label });
+      onChanged(res?.merchant || { ...merchant, ...Object.fromEntries(entry.changes.map(c => [c.field, next[c.field]])) });
+      toast(`${entry.label} · ${entry.changes.length} field(s) changed`, "success");
+    } catch (e) {
+      toast(`Error: ${e.message}`, "error");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const mutate = (type) => {
+    try {
+      commit(applyMutation(merchant, type, type === "age_days" ? { days: Number(days) } : {}), type);
+    } catch (e) {
+      toast(e.message, "error");
+    }
+  };
+
+  const replay = (entryId, n) => {
+    const result = replayTo(merchant, journal, entryId);
+    if (result.entry.changes.length && !window.confirm(`${result.entry.label}? ${result.entry.changes.length} field(s) change — recorded as a new journal entry.`)) return;
+    commit(result, `replay-${n}`);
+  };
+
+  const canWrite = can("merchants.write");
+
+  return (
+    <div>
+      {canWrite && (
+        <div style={S.card}>
+          <div style={S.sectionTitle}>⚙ Mutations</div>
+          <div style={{ display: "flex", gap: 5, flexWrap: "wrap", alignItems: "center" }}>
+            {Object.entries(MUTATIONS).map(([type, m]) => (
+              <span key={type} style={{ display: "inline-flex", gap: 3, alignItems: "center" }}>
+                {type === "age_days" && (
+                  <input type="number" min={1} value={days} onChange={e => setDays(e.target.value)}
+                    style={{ ...S.input, width: 52, padding: "5px 6px" }} />
+                )}
+                <button onClick={() => mutate(type)} disabled={!!busy}
+                  style={{ ...S.btnGhost, opacity: busy && busy !== type ? .5 : 1 }}>
+                  {busy === type ? "…" : `${m.icon} ${type === "age_days" ? `Age ${days}d` : m.label}`}
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div style={S.sectionTitle}>🕓 Journal · {journal.length} change{journal.length === 1 ? "" : "s"}</div>
+      {error ? (
+        <div style={{ fontSize: 9, color: "#f87171" }}>Journal unavailable: {error.message}</div>
+      ) : loading ? (
+        <div style={{ fontSize: 9, color: "#9C9C9C" }}>Loading…</div>
+      ) : (
+        <div style={{ borderLeft: "1px solid #0e1922", marginLeft: 4, paddingLeft: 12 }}>
+          {[...journal].reverse().map((e, i) => {
+            const n = journal.length - i;
+            return (
+              <div key={e.id ?? n} style={{ position: "relative", marginBottom: 10 }}>
+                <div style={{ position: "absolute", left: -16, top: 3, width: 7, height: 7, borderRadius: "50%", background: e.type === "replay" ? "#a78bfa" : "#4ade80" }} />
+                <div style={{ display: "flex", gap: 6, alignItems: "baseline" }}>
+                  <span style={{ fontSize: 8, color: "#9C9C9C" }}>#{n}</span>
+                  <span style={{ fontSize: 10, fontWeight: 700, color: "#dde8f4" }}>{e.label}</span>
+                  <span style={{ fontSize: 8, color: "#9C9C9C" }}>
+                    {e.at && new Date(e.at).toLocaleString()}{e.actor_name && ` · ${e.actor_name}`}
+                  </span>
+                  {canWrite && i > 0 && (
+                    <button onClick={() => replay(e.id, n)} disabled={!!busy}
+                      style={{ ...S.btnGhost, marginLeft: "auto", padding: "2px 7px", fontSize: 8 }}>
+                      {busy === `replay-${n}` ? "…" : "↺ Replay to here"}
+                    </button>
+                  )}
+                </div>
+                {(e.changes || []).map(c => (
+                  <div key={c.field} style={{ fontSize: 9, color: "#9C9C9C", marginTop: 2 }}>
+                    {c.field.replace(/_/g, " ")}: <span style={{ color: "#f87171" }}>{fmtValue(c.before)}</span> → <span style={{ color: "#4ade80" }}>{fmtValue(c.after)}</span>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+          <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 9, color: "#9C9C9C" }}>
+            <span>Initial state</span>
+            {canWrite && journal.length > 0 && (
+              <button onClick={() => replay(null, 0)} disabled={!!busy}
+                style={{ ...S.btnGhost, marginLeft: "auto", padding: "2px 7px", fontSize: 8 }}>
+                {busy === "replay-0" ? "…" : "↺ Replay to here"}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ─── GENERATE PANEL ───────────────────────────────────────────────────────────
+// One weight input per mix value, with the share it actually got in the preview
+function MixEditor({ label, mix, actual, total, onChange, onAdd }) {
+  const [adding, setAdding] = useState("");
+  const weightSum = Object.values(mix).reduce((a, w) => a + (Number(w) || 0), 0) || 1;
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <span style={S.label}>{label}</span>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 4 }}>
+        {Object.entries(mix).map(([key, w]) => (
+          <div key={key} style={{ display: "flex", alignItems: "center", gap: 5, background: "#040b10", borderRadius: 4, padding: "3px 6px" }}>
+            <span style={{ flex: 1, fontSize: 9, color: "#8ca4bc", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{key}</span>
+            <input type="number" min={0} value={w} onChange={e => onChange(key, e.target.value)}
+              style={{ ...S.input, width: 48, padding: "2px 4px", fontSize: 9 }} />
+            <span style={{ width: 62, textAlign: "right", fontSize: 8, color: "#9C9C9C" }}>
+              {Math.round((Number(w) || 0) / weightSum * 100)}% → <span style={{ color: "#4ade80" }}>{total ? Math.round((actual[key] || 0) / total * 100) : 0}%</span>
+            </span>
+          </div>
+        ))}
+      </div>
+      {onAdd && (
+        <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+          <input value={adding} onChange={e => setAdding(e.target.value)} placeholder="Add county…"
+            style={{ ...S.input, width: 140, padding: "3px 6px", fontSize: 9 }} />
+          <button disabled={!adding.trim() || adding.trim() in mix}
+            onClick={() => { onAdd(adding.trim()); setAdding(""); }}
+            style={{ ...S.btnGhost, padding: "2px 8px", fontSize: 9, opacity: !adding.trim() || adding.trim() in mix ? .4 : 1 }}>
+            + Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function GeneratePanel({ onGenerated, toast }) {
-  const [count, setCount] = useState(5);
-  const [loading, setLoading] = useState(false);
+  const [seed, setSeed] = useState(randomSeed);
+  const [count, setCount] = useState(50);
+  const [spec, setSpec] = useState(DEFAULT_SPEC);
   const [result, setResult] = useState(null);
+  const { generate, loading, error } = useMerchantGenerator();
+  const tag = seed.trim(); // the seed both the preview and Save use
 
-  const generate = async () => {
-    setLoading(true);
-    setResult(null);
+  // A seed already in the registry would re-upload the same ids
+  const firstId = tag ? fleetId(tag, 0) : "";
+  const existing = useQuery(`/merchants/${encodeURIComponent(firstId)}`, { enabled: !!tag });
+  const seedTaken = !!tag && !!existing.data;
+  const checkingSeed = !!tag && existing.loading;
+
+  const setPercent = (key) => (e) => setSpec(s => ({ ...s, [key]: e.target.value }));
+  const setWeight = (mixKey) => (key, value) => setSpec(s => ({ ...s, [mixKey]: { ...s[mixKey], [key]: value } }));
+
+  // The exact fleet Save will upload — same seed and spec, same merchants
+  const preview = useMemo(() => {
     try {
-      const data = await api.post("/merchants/generate", { count });
-      setResult(data);
-      toast(`✓ Generated ${data.generated} merchants`, "success");
-      onGenerated();
+      const fleet = generateFleet({ seed: tag, count, spec });
+      return { fleet, summary: summarizeFleet(fleet), failing: fleet.filter(m => scanAllFailures(m).length > 0).length };
     } catch (e) {
-      toast(`Error: ${e.message}`, "error");
-    } finally {
-      setLoading(false);
+      return { error: e.message };
     }
+  }, [tag, count, spec]);
+
+  const save = async () => {
+    setResult(null);
+    const data = await generate(count, { seed: tag, spec });
+    if (!data) return;
+    setResult(data);
+    toast(`✓ Generated ${data.generated} merchants from seed ${data.seed}`, "success");
+    onGenerated();
   };
 
+  const { summary } = preview;
+
   return (
     <div>
       <div style={{ ...S.card, borderColor: "rgba(0,200,83,.15)" }}>
-        <div style={S.sectionTitle}>⚡ Random Generator</div>
+        <div style={S.sectionTitle}>⚡ Seeded Generator</div>
         <div style={{ fontSize: 10, color: "#9C9C9C", lineHeight: 1.7, marginBottom: 14 }}>
-          Generates merchants with weighted random sensor states matching Q4 2025 call-center failure distribution.
-          Stored directly to backend via <span style={{ color: "#4ade80" }}>POST /merchants/generate</span>.
+          Builds a synthetic fleet from a seed and a persona mix — the same seed and mix always give the same merchants.
+          A seed can be saved once; use a new seed for more merchants. Saved via <span style={{ color: "#4ade80" }}>POST /upload/merchants</span>.
+        </div>
+
+        <div style={{ display: "flex", gap: 10, alignItems: "flex-end", marginBottom: 14 }}>
+          <div>
+            <span style={S.label}>Seed</span>
+            <div style={{ display: "flex", gap: 4 }}>
+              <input value={seed} onChange={e => setSeed(e.target.value)} style={{ ...S.input, width: 120 }} />
+              <button onClick={() => setSeed(randomSeed())} title="New random seed" style={S.btnGhost}>🎲</button>
+            </div>
+          </div>
+          <div>
+            <span style={S.label}>Count</span>
+            <input
+              type="number" min={1} max={500} value={count}
+              onChange={e => setCount(Math.min(500, Math.max(1, parseInt(e.target.value) || 1)))}
+              style={{ ...S.input, width: 80 }}
+            />
+          </div>
+          <button onClick={() => setSpec(DEFAULT_SPEC)} style={{ ...S.btnGhost, marginLeft: "auto" }}>Reset mix</button>
         </div>
 
-        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 12, fontSize: 9, color: "#9C9C9C" }}>
-          {[
-            ["account_status", "60% active · 25% suspended · 15% frozen"],
-            ["kyc_status", "60% verified · 20% pending · 20% expired"],
-            ["sim_status", "80% active · 20% swapped"],
-            ["pin_attempts", "55% zero · 35% 1–2 · 10% locked"],
-            ["network_type", "50% 4G · 30% 3G · 10% 5G · 10% 2G"],
-            ["literacy_tier", "50% literate · 30% semi · 20% illiterate"],
-          ].map(([k, v]) => (
-            <div key={k} style={{ background: "#040b10", borderRadius: 5, padding: "6px 8px", borderLeft: "2px solid rgba(0,200,83,.2)" }}>
-              <div style={{ fontWeight: 700, color: "#4ade80", marginBottom: 2 }}>{k}</div>
-              <div style={{ lineHeight: 1.5 }}>{v}</div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8, marginBottom: 12 }}>
+          {[["frozen", "% Frozen"], ["kyc_expired", "% KYC expired"], ["network_2g", "% On 2G"]].map(([key, label]) => (
+            <div key={key}>
+              <span style={S.label}>{label}</span>
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <input type="number" min={0} max={100} value={spec[key]} onChange={setPercent(key)} style={{ ...S.input, width: 70 }} />
+                {summary && <span style={{ fontSize: 9, color: "#4ade80" }}>→ {summary[key]}%</span>}
+              </div>
             </div>
           ))}
         </div>
 
-        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
-          <div style={{ fontSize: 9, color: "#9C9C9C" }}>Count</div>
-          <input
-            type="number" min={1} max={100} value={count}
-            onChange={e => setCount(Math.min(100, Math.max(1, parseInt(e.target.value) || 1)))}
-            style={{ ...S.input, width: 70 }}
-          />
-          <button onClick={generate} disabled={loading} style={{
-            ...S.btn, opacity: loading ? .5 : 1,
+        <MixEditor label="Literacy mix" mix={spec.literacy} actual={summary?.literacy || {}} total={count}
+          onChange={setWeight("literacy")} />
+        <MixEditor label="Transaction tier mix" mix={spec.transaction_tier} actual={summary?.transaction_tier || {}} total={count}
+          onChange={setWeight("transaction_tier")} />
+        <MixEditor label="County weights" mix={spec.counties} actual={summary?.counties || {}} total={count}
+          onChange={setWeight("counties")} onAdd={key => setWeight("counties")(key, 1)} />
+
+        <div style={{ display: "flex", gap: 10, alignItems: "center", borderTop: "1px solid #0e1922", paddingTop: 10 }}>
+          {preview.error ? (
+            <span style={{ fontSize: 9, color: "#f87171" }}>⚠ {preview.error}</span>
+          ) : (
+            <span style={{ fontSize: 9, color: "#9C9C9C" }}>
+              Preview: <span style={{ color: "#dde8f4" }}>{preview.fleet.length}</span> merchants ·{" "}
+              <span style={{ color: preview.failing ? "#f87171" : "#4ade80" }}>{preview.failing}</span> with at least one failing action
+            </span>
+          )}
+          <button onClick={save} disabled={loading || !!preview.error || seedTaken || checkingSeed} style={{
+            ...S.btn, marginLeft: "auto", opacity: loading || preview.error || seedTaken || checkingSeed ? .5 : 1,
           }}>
-            {loading ? "Generating…" : `Generate ${count}`}
+            {loading ? "Saving…" : checkingSeed ? "Checking seed…" : `Save ${count} to registry`}
           </button>
         </div>
+        {seedTaken && (
+          <div style={{ fontSize: 9, color: "#fbbf24", marginTop: 6 }}>
+            ⚠ Seed "{tag}" is already in the registry ({firstId}) — saving it again would re-upload the same ids. Pick another seed with 🎲.
+          </div>
+        )}
+        {error && <div style={{ fontSize: 9, color: "#f87171", marginTop: 6 }}>⚠ Could not save: {error.message}</div>}
       </div>
 
       {result && (
         <div style={{ ...S.card, borderColor: "rgba(0,200,83,.2)" }}>
-          <div style={S.sectionTitle}>✓ Generated {result.generated} merchants</div>
+          <div style={S.sectionTitle}>✓ Generated {result.generated} merchants · seed {result.seed}</div>
           <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
             {(result.merchants || []).map(m => (
               <div key={m.id} style={{
@@ -398,7 +616,7 @@ function GeneratePanel({ onGenerated, toast }) {
                 padding: "3px 7px", fontSize: 9, color: "#9C9C9C",
               }}>
                 <span style={{ color: "#4ade80" }}>{m.id}</span>
-                {" "}{m.name}
+                {" "}{m.business_name}
               </div>
             ))}
           </div>
@@ -422,24 +640,17 @@ function ManualAddPanel({ onAdded, toast }) {
     setErrors(e => { const n = { ...e }; delete n[k]; return n; });
   };
 
-  const validate = () => {
-    const e = {};
-    MANUAL_FIELDS.filter(f => f.required).forEach(f => {
-      if (!form[f.key]?.trim()) e[f.key] = "Required";
-    });
-    return e;
-  };
-
   const submit = async () => {
-    const e = validate();
+    const e = validateMerchant(form);
     if (Object.keys(e).length) { setErrors(e); return; }
     setLoading(true);
     try {
-      const data = await api.post("/merchants", form);
+      const data = await api.post("/merchants", normalizeMerchant(form, { defaults: false }), { reason: "Added from form" });
       toast(`✓ Created merchant ${data.id}`, "success");
       setForm({ network_type: "4G", customer_type: "new", literacy_tier: "literate", transaction_tier: "medium", preferred_channel: "app", county: "Nairobi" });
       onAdded();
     } catch (err) {
+      setErrors(err.fieldErrors || {});
       toast(`Error: ${err.message}`, "error");
     } finally {
       setLoading(false);
@@ -450,10 +661,10 @@ function ManualAddPanel({ onAdded, toast }) {
     <div style={{ ...S.card, borderColor: "rgba(96,165,250,.15)" }}>
       <div style={S.sectionTitle}>✍️ Manual Add</div>
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
-        {MANUAL_FIELDS.map(({ key, label, required, placeholder, type, options }) => (
+        {MANUAL_FIELDS.map(({ key, label, placeholder, type, options }) => (
           <div key={key}>
             <label style={S.label}>
-              {label}{required && <span style={{ color: "#f87171" }}> *</span>}
+              {label}{REQUIRED_FIELDS.includes(key) && <span style={{ color: "#f87171" }}> *</span>}
             </label>
             {type === "select" ? (
               <select value={form[key] || ""} onChange={e => set(key, e.target.value)}
@@ -491,16 +702,21 @@ function UploadPanel({ onUploaded, toast }) {
   const [dragging, setDragging] = useState(false);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
+  const [problems, setProblems] = useState([]);
   const fileRef = useRef();
 
   const doUpload = async (file) => {
     if (!file) return;
-    setLoading(true);
     setResult(null);
+    // CSVs are checked against the merchant schema first; Excel is left to the backend
+    const found = /\.csv$/i.test(file.name) ? checkMerchantCsv(await file.text()) : [];
+    setProblems(found);
+    if (found.length) { toast(`${file.name}: ${found.length} problem(s) — nothing uploaded`, "error"); return; }
+    setLoading(true);
     const form = new FormData();
     form.append("file", file);
     try {
-      const data = await api.upload("/upload/merchants", form);
+      const data = await api.postForm("/upload/merchants", form, { reason: `Bulk upload: ${file.name}` });
       setResult(data);
       if (data.success_count > 0) {
         toast(`✓ Imported ${data.success_count} merchants`, "success");
@@ -522,7 +738,7 @@ function UploadPanel({ onUploaded, toast }) {
   };
 
   const downloadTemplate = () => {
-    window.open(`${BASE}/upload/merchants/template`, "_blank");
+    window.open(api.upload.template("merchants"), "_blank");
   };
 
   return (
@@ -530,7 +746,7 @@ function UploadPanel({ onUploaded, toast }) {
       <div style={{ ...S.card, borderColor: "rgba(124,58,237,.2)" }}>
         <div style={S.sectionTitle}>📤 Upload CSV / Excel</div>
         <div style={{ fontSize: 9, color: "#9C9C9C", lineHeight: 1.7, marginBottom: 12 }}>
-          Upload a CSV or Excel file of merchants. Hit <span style={{ color: "#a78bfa" }}>POST /upload/merchants</span>. Required fields: first_name, last_name, business_name.
+          Upload a CSV or Excel file of merchants. Hit <span style={{ color: "#a78bfa" }}>POST /upload/merchants</span>. Required fields: {REQUIRED_FIELDS.join(", ")}.
         </div>
 
         <button onClick={downloadTemplate} style={{ ...S.btnGhost, marginBottom: 12, fontSize: 9 }}>
@@ -561,6 +777,18 @@ function UploadPanel({ onUploaded, toast }) {
         </div>
       </div>
 
+      {problems.length > 0 && (
+        <div style={{ ...S.card, borderColor: "rgba(248,113,113,.25)" }}>
+          <div style={S.sectionTitle}>Fix before uploading</div>
+          {problems.slice(0, 8).map((p, i) => (
+            <div key={i} style={{ fontSize: 9, color: "#f87171", padding: "2px 0" }}>
+              Row {p.row} · <span style={{ color: "#dde8f4" }}>{p.field}</span> — {p.message}
+            </div>
+          ))}
+          {problems.length > 8 && <div style={{ fontSize: 9, color: "#9C9C9C", marginTop: 4 }}>+{problems.length - 8} more</div>}
+        </div>
+      )}
+
       {result && (
         <div style={{ ...S.card, borderColor: result.error_count > 0 ? "rgba(251,191,36,.2)" : "rgba(0,200,83,.2)" }}>
           <div style={S.sectionTitle}>Upload Result</div>
@@ -594,14 +822,93 @@ function UploadPanel({ onUploaded, toast }) {
   );
 }
 
+// ─── VERDICT DIFF ─────────────────────────────────────────────────────────────
+// Rules whose verdict an edit flips — live while editing, kept after a save
+function VerdictDiff({ title, diff }) {
+  const tone = r => r.success === true ? "#4ade80" : r.success === "warn" ? "#fbbf24" : "#f87171";
+  return (
+    <div style={{ ...S.card, borderColor: "rgba(96,165,250,.2)" }}>
+      <div style={S.sectionTitle}>{title}</div>
+      {!diff.length ? (
+        <div style={{ fontSize: 9, color: "#9C9C9C" }}>No rule verdict changes</div>
+      ) : diff.map(d => (
+        <div key={d.actionKey} style={{ ...S.row, gap: 8 }}>
+          <span style={{ fontSize: 9, color: "#8ca4bc" }}>{d.label}</span>
+          <span style={{ fontSize: 9 }}>
+            <span style={{ color: tone(d.before) }}>{d.before.code}</span>
+            <span style={{ color: "#9C9C9C" }}> → </span>
+            <span style={{ color: tone(d.after), fontWeight: 700 }}>{d.after.code}</span>
+            {d.after.severity && <span style={{ color: "#9C9C9C" }}> · {d.after.severity}</span>}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // ─── MERCHANT DETAIL PANEL ────────────────────────────────────────────────────
-function MerchantDetail({ merchant, onDelete, onRefresh, toast }) {
+function MerchantDetail({ merchant, onDelete, onRefresh, onChanged, toast }) {
+  const { can } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [lastImpact, setLastImpact] = useState(null);
+
+  // Verdicts use the backend's rule definitions, as on the Rules Engine tab;
+  // the hook re-renders the verdict diff once the engine holds them
+  useRuleDefinitions();
+
+  // Only fields whose value really differs, normalized the way the engine reads them
+  const changes = useMemo(() => {
+    const changed = Object.keys(draft).filter(k => normalizeField(k, draft[k]) !== normalizeField(k, merchant[k]));
+    return normalizeMerchant(Object.fromEntries(changed.map(k => [k, draft[k]])), { defaults: false });
+  }, [draft, merchant]);
+  const changeCount = Object.keys(changes).length;
+  const preview = editing && changeCount ? diffVerdicts(merchant, { ...merchant, ...changes }) : null;
+
+  const setField = (key, value) => {
+    setDraft(d => ({ ...d, [key]: value }));
+    setFieldErrors(e => { const n = { ...e }; delete n[key]; return n; });
+  };
+
+  const cancelEdit = () => { setEditing(false); setDraft({}); setFieldErrors({}); };
+
+  // Optimistic: the new values show at once and are rolled back if the backend refuses them
+  const saveEdit = async () => {
+    const errs = validateMerchant(Object.fromEntries(Object.keys(changes).map(k => [k, draft[k]])), { partial: true });
+    if (Object.keys(errs).length) { setFieldErrors(errs); return; }
+    if (!changeCount) { cancelEdit(); return; }
+    const previous = merchant;
+    const impact = preview || [];
+    onChanged({ ...merchant, ...changes });
+    setLastImpact(impact);
+    setEditing(false);
+    setSaving(true);
+    try {
+      const saved = await api.merchants.update(merchant.id, changes, { reason: `Edited ${Object.keys(changes).join(", ")}` });
+      if (saved?.id) onChanged(saved);
+      setDraft({});
+      toast(`Saved ${changeCount} field(s)${impact.length ? ` · ${impact.length} rule verdict(s) changed` : ""}`, "success");
+    } catch (e) {
+      onChanged(previous);
+      setLastImpact(null);
+      setEditing(true);
+      setFieldErrors(e.fieldErrors || {});
+      toast(`Save failed, changes reverted: ${e.message}`, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const edit = editing ? { draft, errors: fieldErrors, set: setField } : null;
   const [deleting, setDeleting] = useState(false);
   const [profile, setProfile] = useState(null);
   const [loadingProfile, setLoadingProfile] = useState(false);
   const [activeSection, setActiveSection] = useState("sensors");
   const tier = getRiskTier(merchant);
   const [confirmDelete, setConfirmDelete] = useState(false);
+  const [deleteReason, setDeleteReason] = useState("");
   const loadProfile = async () => {
     if (profile) return;
     setLoadingProfile(true);
@@ -622,7 +929,7 @@ function MerchantDetail({ merchant, onDelete, onRefresh, toast }) {
     setDeleting(true);
     setConfirmDelete(false);
     try {
-      await api.delete(`/merchants/${merchant.id}`);
+      await api.delete(`/merchants/${merchant.id}`, { reason: deleteReason.trim() });
       toast(`Deleted ${merchant.business_name}`, "success");
       onDelete(merchant.id);
     } catch (e) {
@@ -632,7 +939,7 @@ function MerchantDetail({ merchant, onDelete, onRefresh, toast }) {
     }
   };
 
-  const sections = ["sensors", "identity", "business", "contact", "banking", "demographics"];
+  const sections = ["sensors", "journal", "identity", "business", "contact", "banking", "demographics"];
 
   return (
     <div>
@@ -661,13 +968,27 @@ function MerchantDetail({ merchant, onDelete, onRefresh, toast }) {
         </div>
         <div style={{ display: "flex", gap: 5 }}>
           <button onClick={onRefresh} style={S.btnGhost} title="Refresh">↺</button>
-          {confirmDelete ? (
+          {!can("merchants.write") ? null : editing ? (
+            <>
+              <button onClick={saveEdit} style={S.btn}>Save{changeCount ? ` (${changeCount})` : ""}</button>
+              <button onClick={cancelEdit} style={S.btnGhost}>Cancel</button>
+            </>
+          ) : (
+            <button onClick={() => { setEditing(true); setLastImpact(null); if (activeSection === "journal") setActiveSection("sensors"); }}
+              disabled={saving} style={{ ...S.btnGhost, opacity: saving ? .5 : 1 }}>
+              {saving ? "Saving…" : "✎ Edit"}
+            </button>
+          )}
+          {!can("merchants.delete") ? null : confirmDelete ? (
   <>
-    <button onClick={doDelete} disabled={deleting}
-      style={{ ...S.btnDanger, opacity: deleting ? .5 : 1 }}>
+    {/* Deletes are irreversible — the reason goes to the audit trail */}
+    <input value={deleteReason} onChange={e => setDeleteReason(e.target.value)} autoFocus
+      placeholder="Reason for deleting…" style={{ ...S.input, width: 170 }} />
+    <button onClick={doDelete} disabled={deleting || !deleteReason.trim()}
+      style={{ ...S.btnDanger, opacity: deleting || !deleteReason.trim() ? .5 : 1 }}>
       {deleting ? "…" : "Confirm"}
     </button>
-    <button onClick={() => setConfirmDelete(false)} style={S.btnGhost}>
+    <button onClick={() => { setConfirmDelete(false); setDeleteReason(""); }} style={S.btnGhost}>
       Cancel
     </button>
   </>
@@ -699,13 +1020,19 @@ function MerchantDetail({ merchant, onDelete, onRefresh, toast }) {
         ))}
       </div>
 
+      {/* Rule impact of the edit */}
+      {preview && <VerdictDiff title="If saved — rule verdicts that change" diff={preview} />}
+      {!editing && lastImpact && <VerdictDiff title="Last edit — rule verdicts that changed" diff={lastImpact} />}
+
       {/* Section content */}
-      {activeSection === "sensors" && <SensorGrid merchant={merchant} />}
+      {activeSection === "sensors" && <SensorGrid merchant={merchant} edit={edit} />}
+      {activeSection === "journal" && <JournalPanel merchant={merchant} onChanged={onChanged} toast={toast} />}
       {activeSection !== "sensors" && FIELD_GROUPS[activeSection] && (
         <FieldGroup
           title={FIELD_GROUPS[activeSection].label}
           fields={FIELD_GROUPS[activeSection].fields}
           merchant={merchant}
+          edit={edit}
         />
       )}
 
@@ -726,6 +1053,218 @@ function MerchantDetail({ merchant, onDelete, onRefresh, toast }) {
   );
 }
 
+// ─── SNAPSHOTS ────────────────────────────────────────────────────────────────
+// Named point-in-time copies of one merchant or the whole registry, taken and
+// restored by the backend (api.snapshots). Any two can be diffed field by
+// field, with what each change does to the risk tier and the failure scan.
+const NO_SNAPSHOTS = [];
+
+// Risk tier and failure codes of both sides of one merchant's change
+function impactOf(before, after) {
+  const codes = m => (m ? scanAllFailures(m).map(f => f.code) : []);
+  const a = codes(before);
+  const b = codes(after);
+  return {
+    tierBefore: before ? getRiskTier(before) : null,
+    tierAfter: after ? getRiskTier(after) : null,
+    failuresBefore: a.length,
+    failuresAfter: b.length,
+    newFailures: b.filter(c => !a.includes(c)),
+    cleared: a.filter(c => !b.includes(c)),
+  };
+}
+
+function TierChip({ tier }) {
+  if (!tier) return <span style={{ fontSize: 8, color: "#9C9C9C" }}>—</span>;
+  return (
+    <span style={{ background: tier.bg, border: `1px solid ${tier.border}`, color: tier.color, fontSize: 7, fontWeight: 800, padding: "1px 6px", borderRadius: 100, letterSpacing: 1 }}>
+      {tier.label}
+    </span>
+  );
+}
+
+function SnapshotDiffRow({ name, before, after, changes }) {
+  const impact = impactOf(before, after);
+  return (
+    <div style={{ borderTop: "1px solid #0e1922", padding: "8px 0" }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ fontSize: 10, fontWeight: 700, color: "#dde8f4" }}>{name}</span>
+        {!before && <span style={{ fontSize: 8, color: "#4ade80" }}>added</span>}
+        {!after && <span style={{ fontSize: 8, color: "#f87171" }}>removed</span>}
+        <span style={{ marginLeft: "auto", display: "flex", gap: 4, alignItems: "center" }}>
+          <TierChip tier={impact.tierBefore} />
+          <span style={{ fontSize: 8, color: "#9C9C9C" }}>→</span>
+          <TierChip tier={impact.tierAfter} />
+        </span>
+      </div>
+      {(impact.newFailures.length > 0 || impact.cleared.length > 0) && (
+        <div style={{ fontSize: 9, marginTop: 3 }}>
+          {impact.newFailures.map(c => <span key={c} style={{ color: "#f87171", marginRight: 8 }}>+ {c}</span>)}
+          {impact.cleared.map(c => <span key={c} style={{ color: "#4ade80", marginRight: 8 }}>− {c}</span>)}
+        </div>
+      )}
+      {(changes || []).map(c => (
+        <div key={c.field} style={{ fontSize: 9, color: "#9C9C9C", marginTop: 2 }}>
+          {c.field.replace(/_/g, " ")}: <span style={{ color: "#f87171" }}>{fmtValue(c.before)}</span> → <span style={{ color: "#4ade80" }}>{fmtValue(c.after)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SnapshotDiff({ a, b }) {
+  const left = useQuery(`/snapshots/${a}`);
+  const right = useQuery(`/snapshots/${b}`);
+  const diff = useMemo(
+    () => (left.data && right.data ? diffSnapshots(left.data.merchants || [], right.data.merchants || []) : null),
+    [left.data, right.data]
+  );
+  const totals = useMemo(() => {
+    if (!diff) return null;
+    const rows = [
+      ...diff.changed.map(c => impactOf(c.before, c.after)),
+      ...diff.added.map(m => impactOf(null, m)),
+      ...diff.removed.map(m => impactOf(m, null)),
+    ];
+    return {
+      failuresBefore: rows.reduce((n, r) => n + r.failuresBefore, 0),
+      failuresAfter: rows.reduce((n, r) => n + r.failuresAfter, 0),
+      tierChanges: rows.filter(r => r.tierBefore?.label !== r.tierAfter?.label).length,
+    };
+  }, [diff]);
+
+  if (left.error || right.error) return <div style={{ fontSize: 9, color: "#f87171" }}>Could not load snapshot: {(left.error || right.error).message}</div>;
+  if (!diff) return <div style={{ fontSize: 9, color: "#9C9C9C" }}>Loading snapshots…</div>;
+
+  const label = m => m.business_name || m.id;
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 14, fontSize: 9, color: "#9C9C9C", marginBottom: 8, flexWrap: "wrap" }}>
+        <span><b style={{ color: "#60a5fa" }}>{diff.changed.length}</b> changed</span>
+        <span><b style={{ color: "#4ade80" }}>{diff.added.length}</b> added</span>
+        <span><b style={{ color: "#f87171" }}>{diff.removed.length}</b> removed</span>
+        <span><b style={{ color: "#8ca4bc" }}>{diff.unchanged}</b> unchanged</span>
+        <span>· <b style={{ color: "#fbbf24" }}>{totals.tierChanges}</b> risk tier change(s)</span>
+        <span>· failures in changed merchants {totals.failuresBefore} → <b style={{ color: totals.failuresAfter > totals.failuresBefore ? "#f87171" : "#4ade80" }}>{totals.failuresAfter}</b></span>
+      </div>
+      {diff.changed.map(c => <SnapshotDiffRow key={c.id} name={label(c.after)} before={c.before} after={c.after} changes={c.changes} />)}
+      {diff.added.map(m => <SnapshotDiffRow key={`+${m.id}`} name={label(m)} before={null} after={m} />)}
+      {diff.removed.map(m => <SnapshotDiffRow key={`-${m.id}`} name={label(m)} before={m} after={null} />)}
+      {!diff.changed.length && !diff.added.length && !diff.removed.length && (
+        <div style={{ fontSize: 9, color: "#9C9C9C" }}>The two snapshots are identical</div>
+      )}
+    </div>
+  );
+}
+
+function SnapshotPanel({ selected, onRestored, toast }) {
+  const { can } = useAuth();
+  const { data, error, loading } = useQuery("/snapshots");
+  const snapshots = Array.isArray(data) ? data : data?.snapshots || NO_SNAPSHOTS;
+  const [name, setName] = useState("");
+  const [scope, setScope] = useState("registry");
+  const [busy, setBusy] = useState(null);
+  const [pair, setPair] = useState({ a: null, b: null });
+
+  const capture = async () => {
+    setBusy("capture");
+    try {
+      const merchantId = scope === "merchant" ? selected?.id : null;
+      await api.snapshots.create({ name: name.trim(), merchant_id: merchantId }, { reason: `Snapshot: ${name.trim()}` });
+      toast(`📸 Captured "${name.trim()}"`, "success");
+      setName("");
+    } catch (e) {
+      toast(`Error: ${e.message}`, "error");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const restore = async (snap) => {
+    const what = snap.merchant_id ? `merchant ${snap.merchant_id}` : "the whole registry";
+    const reason = window.prompt(`Restore ${what} to "${snap.name}"? Current values are overwritten.\nReason (recorded in the audit trail):`);
+    if (reason === null) return;
+    setBusy(snap.id);
+    try {
+      await api.snapshots.restore(snap.id, { reason: reason || `Restore snapshot "${snap.name}"` });
+      toast(`Restored ${what} to "${snap.name}"`, "success");
+      onRestored();
+    } catch (e) {
+      toast(`Restore failed: ${e.message}`, "error");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const pick = (side, id) => setPair(p => ({ ...p, [side]: p[side] === id ? null : id }));
+  const canWrite = can("merchants.write");
+
+  return (
+    <div>
+      {canWrite && (
+        <div style={{ ...S.card, borderColor: "rgba(96,165,250,.15)" }}>
+          <div style={S.sectionTitle}>📸 Capture snapshot</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <input value={name} onChange={e => setName(e.target.value)} placeholder="e.g. Known-good demo fleet"
+              style={{ ...S.input, width: 220 }} />
+            <select value={scope} onChange={e => setScope(e.target.value)} style={{ ...S.input, width: "auto" }}>
+              <option value="registry">Whole registry</option>
+              <option value="merchant" disabled={!selected}>{selected ? `Only ${selected.business_name || selected.id}` : "Only selected merchant (none)"}</option>
+            </select>
+            <button onClick={capture} disabled={!name.trim() || busy === "capture" || (scope === "merchant" && !selected)}
+              style={{ ...S.btn, opacity: !name.trim() || busy === "capture" ? .5 : 1 }}>
+              {busy === "capture" ? "Capturing…" : "Capture"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={S.card}>
+        <div style={S.sectionTitle}>Snapshots · pick A and B to diff</div>
+        {error ? (
+          <div style={{ fontSize: 9, color: "#f87171" }}>Snapshots unavailable: {error.message}</div>
+        ) : loading ? (
+          <div style={{ fontSize: 9, color: "#9C9C9C" }}>Loading…</div>
+        ) : !snapshots.length ? (
+          <div style={{ fontSize: 9, color: "#9C9C9C" }}>No snapshots yet</div>
+        ) : snapshots.map(snap => (
+          <div key={snap.id} style={{ ...S.row, gap: 8, padding: "4px 0", borderBottom: "1px solid #0a121a" }}>
+            {["a", "b"].map(side => (
+              <button key={side} onClick={() => pick(side, snap.id)} style={{
+                ...S.btnGhost, padding: "2px 7px", fontSize: 8, textTransform: "uppercase",
+                color: pair[side] === snap.id ? "#60a5fa" : "#9C9C9C",
+                borderColor: pair[side] === snap.id ? "rgba(96,165,250,.5)" : "#9C9C9C",
+              }}>{side}</button>
+            ))}
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: 10, color: "#dde8f4", fontWeight: 700 }}>{snap.name}</div>
+              <div style={{ fontSize: 8, color: "#9C9C9C" }}>
+                {snap.merchant_id ? `merchant ${snap.merchant_id}` : `registry${snap.merchant_count != null ? ` · ${snap.merchant_count} merchants` : ""}`}
+                {snap.taken_at && ` · ${new Date(snap.taken_at).toLocaleString()}`}
+                {snap.actor_name && ` · ${snap.actor_name}`}
+              </div>
+            </div>
+            {canWrite && (
+              <button onClick={() => restore(snap)} disabled={!!busy} style={{ ...S.btnDanger, opacity: busy === snap.id ? .5 : 1 }}>
+                {busy === snap.id ? "…" : "Restore"}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {pair.a && pair.b && (
+        <div style={S.card}>
+          <div style={S.sectionTitle}>
+            Diff · {snapshots.find(x => x.id === pair.a)?.name} → {snapshots.find(x => x.id === pair.b)?.name}
+          </div>
+          <SnapshotDiff a={pair.a} b={pair.b} />
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ─── FLEET STATS BAR ──────────────────────────────────────────────────────────
 function FleetStats({ merchants }) {
   const total    = merchants.length;
@@ -751,12 +1290,12 @@ function FleetStats({ merchants }) {
 }
 
 // ─── MAIN COMPONENT ───────────────────────────────────────────────────────────
+// Cached /merchants lists (any filter), not /merchants/:id/… sub-resources
+const isMerchantList = key => key === "/merchants" || key.startsWith("/merchants?");
+
 export default function MerchantDataModelViewer() {
-  const [merchants, setMerchants]   = useState([]);
   const [selected,  setSelected]    = useState(null);
-  const [loading,   setLoading]     = useState(true);
-  const [apiOnline, setApiOnline]   = useState(null);
-  const [activeTab, setActiveTab]   = useState("browse"); // browse | generate | add | upload
+  const [activeTab, setActiveTab]   = useState("browse"); // browse | snapshots | generate | add | upload
   const [search,    setSearch]      = useState("");
   const [filterStatus, setFilterStatus] = useState("all");
   const [toasts,    setToasts]      = useState([]);
@@ -768,24 +1307,9 @@ export default function MerchantDataModelViewer() {
     setTimeout(() => setToasts(t => t.filter(x => x.id !== id)), 3500);
   }, []);
 
-  // load merchants from backend
-  const loadMerchants = useCallback(async () => {
-    setLoading(true);
-    try {
-      const params = new URLSearchParams();
-      if (filterStatus !== "all") params.set("account_status", filterStatus);
-      const data = await api.get(`/merchants${params.toString() ? "?" + params : ""}`);
-      setMerchants(Array.isArray(data) ? data : []);
-      setApiOnline(true);
-    } catch {
-      setApiOnline(false);
-      setMerchants([]);
-    } finally {
-      setLoading(false);
-    }
-  }, [filterStatus]);
-
-  useEffect(() => { loadMerchants(); }, [loadMerchants]);
+  // load merchants from backend — cached, and refetched after generate/add/upload/delete
+  const { merchants, loading, error, refetch:loadMerchants } = useMerchants(filterStatus !== "all" ? { account_status:filterStatus } : {});
+  const apiOnline = error ? false : loading ? null : true;
 
   // filter merchants by search
   const filtered = merchants.filter(m => {
@@ -801,17 +1325,26 @@ export default function MerchantDataModelViewer() {
     );
   });
 
+  // Swap in the latest copy of one merchant, in the detail pane and every cached list
+  const replaceMerchant = (m) => {
+    setSelected(m);
+    queryCache.update(isMerchantList, list => list.map(x => x.id === m.id ? m : x));
+  };
+
   const handleDelete = (id) => {
-    setMerchants(prev => prev.filter(m => m.id !== id));
+    queryCache.update(isMerchantList, list => list.filter(m => m.id !== id));
     if (selected?.id === id) setSelected(null);
   };
 
+  // Generate / Add / Upload write to the registry — data-admin only
+  const { can } = useAuth();
   const tabs = [
     { id: "browse",   label: "Browse",   icon: "◈" },
-    { id: "generate", label: "Generate", icon: "⚡" },
-    { id: "add",      label: "Add",      icon: "+" },
-    { id: "upload",   label: "Upload",   icon: "↑" },
-  ];
+    { id: "snapshots", label: "Snapshots", icon: "◷" },
+    { id: "generate", label: "Generate", icon: "⚡", write: true },
+    { id: "add",      label: "Add",      icon: "+", write: true },
+    { id: "upload",   label: "Upload",   icon: "↑", write: true },
+  ].filter(t => !t.write || can("merchants.write"));
 
   return (
     <>
@@ -838,7 +1371,7 @@ export default function MerchantDataModelViewer() {
               <span style={{ color: "#00c853" }}>⬡</span> Merchant Data Model
             </div>
             <div style={{ fontSize: 8, color: "#9C9C9C", letterSpacing: 1, marginTop: 2 }}>
-              /api/v1/merchants · {BASE}
+              /api/v1/merchants · {getBase()}
             </div>
           </div>
 
@@ -896,7 +1429,7 @@ export default function MerchantDataModelViewer() {
             borderBottom: "1px solid rgba(239,68,68,.2)", padding: "8px 18px",
             fontSize: 9, color: "#f87171", letterSpacing: .3,
           }}>
-            ⚠ Cannot reach {BASE} — start the backend: <code style={{ color: "#fbbf24" }}>npm run dev</code> in merchant-twin-backend/
+            ⚠ Cannot reach {getBase()} — start the backend: <code style={{ color: "#fbbf24" }}>npm run dev</code> in merchant-twin-backend/
           </div>
         )}
 
@@ -967,12 +1500,10 @@ export default function MerchantDataModelViewer() {
                     onDelete={handleDelete}
                     onRefresh={() => {
                       api.get(`/merchants/${selected.id}`)
-                        .then(m => {
-                          setSelected(m);
-                          setMerchants(prev => prev.map(x => x.id === m.id ? m : x));
-                        })
+                        .then(replaceMerchant)
                         .catch(() => toast("Refresh failed", "error"));
                     }}
+                    onChanged={replaceMerchant}
                     toast={toast}
                   />
                 )}
@@ -981,24 +1512,34 @@ export default function MerchantDataModelViewer() {
           </div>
         )}
 
+        {/* ── SNAPSHOTS TAB */}
+        {activeTab === "snapshots" && (
+          <div style={{ flex: 1, overflow: "auto", padding: 16, maxWidth: 900 }}>
+            <SnapshotPanel selected={selected} toast={toast} onRestored={() => {
+              // The open merchant may have been rewritten — or may not exist in the restored registry
+              if (selected) api.get(`/merchants/${selected.id}`).then(replaceMerchant).catch(() => setSelected(null));
+            }} />
+          </div>
+        )}
+
         {/* ── GENERATE TAB */}
         {activeTab === "generate" && (
           <div style={{ flex: 1, overflow: "auto", padding: 16, maxWidth: 700 }}>
-            <GeneratePanel onGenerated={() => { loadMerchants(); setActiveTab("browse"); }} toast={toast} />
+            <GeneratePanel onGenerated={() => setActiveTab("browse")} toast={toast} />
           </div>
         )}
 
         {/* ── ADD TAB */}
         {activeTab === "add" && (
           <div style={{ flex: 1, overflow: "auto", padding: 16, maxWidth: 700 }}>
-            <ManualAddPanel onAdded={() => { loadMerchants(); setActiveTab("browse"); }} toast={toast} />
+            <ManualAddPanel onAdded={() => setActiveTab("browse")} toast={toast} />
           </div>
         )}
 
         {/* ── UPLOAD TAB */}
         {activeTab === "upload" && (
           <div style={{ flex: 1, overflow: "auto", padding: 16, maxWidth: 700 }}>
-            <UploadPanel onUploaded={() => { loadMerchants(); setActiveTab("browse"); }} toast={toast} />
+            <UploadPanel onUploaded={() => setActiveTab("browse")} toast={toast} />
           </div>
         )}
 
@@ -0,0 +1,8 @@
+// spawnScanWorker.js
+// Starts one batchScanWorker.js. Kept apart from batchScanPool.js because the
+// bundler needs this exact `new Worker(new URL(…, import.meta.url))` form, and
+// Jest cannot parse import.meta — tests mock this module instead.
+
+export default function spawnScanWorker() {
+  return new Worker(new URL("./batchScanWorker.js", import.meta.url));
+}
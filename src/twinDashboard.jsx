@@ -1,19 +1,14 @@
 // TwinDashboard.jsx
 // Safaricom LNM Merchant Digital Twin — Mission Control Dashboard
-// Real-time: polls /events (3s), /alerts (5s), /analytics/fleet (10s)
-// Panels: Fleet Overview · Pre-failure Alerts · Activity Log · Demand Heatmap · Merchant Deep-Dive
-
-import { useState, useEffect, useCallback, useRef } from "react";
-
-// ─── API ──────────────────────────────────────────────────────────────────────
-const BASE = "http://localhost:4000/api/v1";
-const api = {
-  get:  (p, q={}) => {
-    const qs = Object.keys(q).length ? "?" + new URLSearchParams(q).toString() : "";
-    return fetch(`${BASE}${p}${qs}`).then(r => { if(!r.ok) throw new Error(r.status); return r.json(); });
-  },
-  post: (p, b) => fetch(`${BASE}${p}`, { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(b) }).then(r => r.json()),
-};
+// Real-time: SSE push from /stream (api/liveFeed.js); polls /events (3s), /alerts (5s), /merchants (15s) only while the stream is down
+// Panels: Fleet Overview · Pre-failure Alerts · Activity Log · Demand Heatmap · Merchant Deep-Dive · Failure Forecast
+
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { scanAllFailures, scanAllWarnings, scanMerchantBatch, getMerchantSummary, explainAction, groupByRootCause, projectFleetFailures } from "./failureRulesEngine";
+import api, { getBase } from "./api/client";
+import queryCache from "./api/queryCache";
+import liveFeed from "./api/liveFeed";
+import { useAuth, useMerchants, useRuleDefinitions } from "./hooks/useApi";
 
 // ─── COLOURS ──────────────────────────────────────────────────────────────────
 const SEV = {
@@ -122,6 +117,9 @@ function FleetOverview({ merchants, events, alerts, rules }) {
     ? Math.round((events.filter(e => e.success === 0).length / events.length) * 100)
     : 0;
 
+  // Early warning — merchants one step away from a failure, per the rules engine
+  const { merchantsAtRisk, totalWarnings, topWarnings } = useMemo(() => scanMerchantBatch(merchants).fleet, [merchants]);
+
   // Top demand rules
   const sortedRules = [...rules].sort((a,b) => (b.demand_total||0) - (a.demand_total||0));
   const totalDemand = rules.reduce((s,r) => s + (r.demand_total||0), 0);
@@ -198,6 +196,29 @@ function FleetOverview({ merchants, events, alerts, rules }) {
         </div>
       </div>
 
+      {/* Early warning */}
+      <div style={{ background:"#060d14", border:"1px solid rgba(251,191,36,.15)", borderRadius:8, padding:12 }}>
+        <div style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline", marginBottom:8 }}>
+          <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1.2, textTransform:"uppercase" }}>EARLY WARNING</div>
+          <div style={{ fontSize:8, color:"#fbbf24" }}>
+            {merchantsAtRisk} at risk · {totalWarnings} warnings
+          </div>
+        </div>
+        {topWarnings.length === 0 ? (
+          <div style={{ fontSize:8, color:"#9C9C9C" }}>No merchants close to a failure threshold</div>
+        ) : (
+          <div style={{ display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:6 }}>
+            {topWarnings.slice(0,4).map(w => (
+              <div key={w.code} style={{ background:"rgba(251,191,36,.05)", border:"1px solid rgba(251,191,36,.2)",
+                borderRadius:6, padding:"6px 8px" }}>
+                <div style={{ fontSize:12, fontWeight:800, color:"#fbbf24" }}>{w.count}</div>
+                <div style={{ fontSize:7, color:"#9C9C9C", fontFamily:"monospace" }}>{w.code}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Two columns: demand + merchant profile */}
       <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:10 }}>
         {/* Top demand rules */}
@@ -283,18 +304,40 @@ function FleetOverview({ merchants, events, alerts, rules }) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // PANEL 2 — PRE-FAILURE ALERT FEED
 // ═══════════════════════════════════════════════════════════════════════════════
-function AlertFeed({ alerts, onResolve, resolving }) {
+// onResolve is null for users who may not resolve alerts — the buttons are hidden
+function AlertFeed({ alerts, merchants, onResolve, resolving }) {
   const [filter, setFilter] = useState("all");
   const [expandedId, setExpandedId] = useState(null);
+  const [grouped, setGrouped] = useState(true);
 
   const sevOrder = ["critical","high","medium","low"];
   const filtered = filter === "all" ? alerts : alerts.filter(a => a.severity === filter);
+
+  // Engine-predicted warnings — kept apart from backend alerts, nothing to resolve yet
+  const earlyWarnings = useMemo(() => merchants.flatMap(m => scanAllWarnings(m).map(w => ({
+    ...w, id:`${m.id}:${w.actionKey}`, merchant_name:m.business_name,
+  }))), [merchants]);
   const counts = Object.fromEntries(sevOrder.map(s => [s, alerts.filter(a=>a.severity===s&&!a.resolved).length]));
 
+  // One card per merchant × root cause — "account frozen" instead of six alerts
+  const rootGroups = grouped ? Object.values(filtered.reduce((acc, a) => {
+    (acc[a.merchant_id] = acc[a.merchant_id] || []).push(a);
+    return acc;
+  }, {})).flatMap(list => {
+    const merchant = merchants.find(m => m.id === list[0].merchant_id);
+    return groupByRootCause(list.map(a => ({ ...a, code:a.error_code, actionKey:a.action_key, inline:a.inline_message, fix:a.fix_message })), merchant)
+      .map(g => ({ ...g, id:`${list[0].merchant_id}:${g.key}`, merchant_name:list[0].merchant_name }));
+  }).sort((a, b) => sevOrder.indexOf(a.severity) - sevOrder.indexOf(b.severity)) : [];
+
+  const resolveGroup = async (group) => {
+    for (const a of group.failures) await onResolve(a.id);
+  };
+
   return (
     <div style={{ display:"flex", flexDirection:"column", gap:0, height:"100%" }}>
       <SectionHeader icon="🚨" title="PRE-FAILURE ALERT FEED"
-        sub="Predicted failures before merchant calls" live count={`${filtered.length} open`} color="#f87171" />
+        sub="Predicted failures before merchant calls" live
+        count={grouped ? `${filtered.length} open · ${rootGroups.length} causes` : `${filtered.length} open`} color="#f87171" />
 
       {/* Severity pills */}
       <div style={{ display:"flex", gap:4, marginBottom:10, flexWrap:"wrap" }}>
@@ -312,16 +355,112 @@ function AlertFeed({ alerts, onResolve, resolving }) {
             </button>
           );
         })}
+        <button onClick={() => setFilter("warn")}
+          style={{ background:filter==="warn" ? "rgba(251,191,36,.08)" : "transparent",
+            border:`1px solid ${filter==="warn" ? "rgba(251,191,36,.3)" : "#9C9C9C"}`,
+            color:filter==="warn" ? "#fbbf24" : "#9C9C9C",
+            borderRadius:5, padding:"3px 9px", cursor:"pointer", fontFamily:"inherit",
+            fontSize:8, fontWeight:700, transition:"all .12s", display:"flex", gap:4 }}>
+          ⚠ EARLY WARNING {earlyWarnings.length > 0 && <span style={{ opacity:.7 }}>({earlyWarnings.length})</span>}
+        </button>
+        <button onClick={() => setGrouped(g => !g)}
+          style={{ marginLeft:"auto", background:grouped ? "rgba(167,139,250,.08)" : "transparent",
+            border:`1px solid ${grouped ? "rgba(167,139,250,.3)" : "#9C9C9C"}`, color:grouped ? "#a78bfa" : "#9C9C9C",
+            borderRadius:5, padding:"3px 9px", cursor:"pointer", fontFamily:"inherit", fontSize:8, fontWeight:700 }}>
+          {grouped ? "◇ ROOT CAUSE" : "☰ ALL"}
+        </button>
       </div>
 
       {/* Alert list */}
       <div style={{ flex:1, overflowY:"auto", display:"flex", flexDirection:"column", gap:5 }}>
-        {filtered.length === 0 ? (
+        {filter === "warn" ? (
+          earlyWarnings.length === 0 ? (
+            <div style={{ textAlign:"center", padding:40, color:"#9C9C9C" }}>
+              <div style={{ fontSize:24, marginBottom:8 }}>✓</div>
+              <div style={{ fontSize:10 }}>No merchants close to a failure threshold</div>
+            </div>
+          ) : earlyWarnings.map(w => {
+            const isExpanded = expandedId === w.id;
+            return (
+              <div key={w.id}
+                style={{ background:"rgba(251,191,36,.04)", border:"1px dashed rgba(251,191,36,.25)",
+                  borderLeft:"3px solid #eab308", borderRadius:"0 7px 7px 0",
+                  padding:"8px 10px", cursor:"pointer", animation:"slideIn .2s ease" }}
+                onClick={() => setExpandedId(isExpanded ? null : w.id)}>
+                <div style={{ display:"flex", gap:6, alignItems:"center", flexWrap:"wrap", marginBottom:3 }}>
+                  <span style={{ fontSize:8, fontFamily:"monospace", fontWeight:800, color:"#e2cfa0" }}>{w.actionKey}</span>
+                  <span style={{ fontSize:7, color:"#fbbf24", fontFamily:"monospace" }}>{w.code}</span>
+                </div>
+                <div style={{ fontSize:10, fontWeight:700, color:"#c8d8e8", marginBottom:2 }}>{w.merchant_name}</div>
+                <div style={{ fontSize:8, color:"#8ca4bc", lineHeight:1.5 }}>{w.inline}</div>
+                {isExpanded && w.fix && (
+                  <div style={{ marginTop:7, background:"rgba(226,207,160,.06)", borderRadius:5,
+                    padding:"6px 8px", animation:"fadeUp .15s ease" }}>
+                    <div style={{ fontSize:7, color:"#e2cfa0", marginBottom:2 }}>💡 PREVENT</div>
+                    <div style={{ fontSize:9, color:"#c8d8e8" }}>{w.fix}</div>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        ) : filtered.length === 0 ? (
           <div style={{ textAlign:"center", padding:40, color:"#9C9C9C" }}>
             <div style={{ fontSize:24, marginBottom:8 }}>✓</div>
             <div style={{ fontSize:10 }}>No open alerts{filter!=="all"?` at ${filter} severity`:""}</div>
           </div>
-        ) : filtered.map(alert => {
+        ) : grouped ? rootGroups.map(group => {
+          const s = SEV[group.severity] || SEV.low;
+          const isExpanded = expandedId === group.id;
+          const busy = group.failures.some(a => a.id === resolving);
+          return (
+            <div key={group.id}
+              style={{ background:s.bg, border:`1px solid ${s.border}`,
+                borderLeft:`3px solid ${s.dot}`, borderRadius:"0 7px 7px 0",
+                padding:"8px 10px", cursor:"pointer", transition:"all .12s",
+                animation:"slideIn .2s ease" }}
+              onClick={() => setExpandedId(isExpanded ? null : group.id)}>
+              <div style={{ display:"flex", gap:8, alignItems:"flex-start" }}>
+                <PulseDot color={s.dot} size={6} />
+                <div style={{ flex:1, minWidth:0 }}>
+                  <div style={{ display:"flex", gap:6, alignItems:"center", flexWrap:"wrap", marginBottom:3 }}>
+                    <span style={{ fontSize:8, fontWeight:800, color:"#e2cfa0" }}>{group.label}</span>
+                    <span style={{ fontSize:7, color:s.text, background:`${s.dot}18`,
+                      border:`1px solid ${s.dot}35`, borderRadius:100, padding:"1px 6px", fontWeight:800 }}>
+                      {(group.severity||"").toUpperCase()}
+                    </span>
+                    {group.actionKeys.length > 1 && (
+                      <span style={{ fontSize:7, color:"#9C9C9C" }}>{group.actionKeys.length} actions</span>
+                    )}
+                  </div>
+                  <div style={{ fontSize:10, fontWeight:700, color:"#c8d8e8", marginBottom:2 }}>
+                    {group.merchant_name}
+                  </div>
+                  <div style={{ fontSize:7, color:"#9C9C9C", fontFamily:"monospace", lineHeight:1.6 }}>
+                    {group.actionKeys.join(" · ")}
+                  </div>
+                  {isExpanded && group.fix && (
+                    <div style={{ marginTop:7, background:"rgba(226,207,160,.06)", borderRadius:5,
+                      padding:"6px 8px", animation:"fadeUp .15s ease" }}>
+                      <div style={{ fontSize:7, color:"#e2cfa0", marginBottom:2 }}>💡 ONE FIX</div>
+                      <div style={{ fontSize:9, color:"#c8d8e8" }}>{group.fix}</div>
+                    </div>
+                  )}
+                </div>
+                <div style={{ display:"flex", flexDirection:"column", gap:4, alignItems:"flex-end", flexShrink:0 }}>
+                  <span style={{ fontSize:7, color:"#9C9C9C" }}>{elapsed(group.failures[0].created_at)}</span>
+                  {onResolve && <button onClick={e => { e.stopPropagation(); resolveGroup(group); }}
+                    disabled={busy}
+                    style={{ background:"rgba(74,222,128,.07)", border:"1px solid rgba(74,222,128,.2)",
+                      color:"#4ade80", borderRadius:4, padding:"3px 7px", cursor:"pointer",
+                      fontFamily:"inherit", fontSize:7, fontWeight:700,
+                      opacity: busy ? .5 : 1 }}>
+                    {busy ? "…" : `✓ Resolve ${group.failures.length}`}
+                  </button>}
+                </div>
+              </div>
+            </div>
+          );
+        }) : filtered.map(alert => {
           const s = SEV[alert.severity] || SEV.low;
           const isExpanded = expandedId === alert.id;
           return (
@@ -370,14 +509,14 @@ function AlertFeed({ alerts, onResolve, resolving }) {
                 </div>
                 <div style={{ display:"flex", flexDirection:"column", gap:4, alignItems:"flex-end", flexShrink:0 }}>
                   <span style={{ fontSize:7, color:"#9C9C9C" }}>{elapsed(alert.created_at)}</span>
-                  <button onClick={e => { e.stopPropagation(); onResolve(alert.id); }}
+                  {onResolve && <button onClick={e => { e.stopPropagation(); onResolve(alert.id); }}
                     disabled={resolving === alert.id}
                     style={{ background:"rgba(74,222,128,.07)", border:"1px solid rgba(74,222,128,.2)",
                       color:"#4ade80", borderRadius:4, padding:"3px 7px", cursor:"pointer",
                       fontFamily:"inherit", fontSize:7, fontWeight:700,
                       opacity: resolving===alert.id ? .5 : 1 }}>
                     {resolving===alert.id ? "…" : "✓ Resolve"}
-                  </button>
+                  </button>}
                 </div>
               </div>
             </div>
@@ -421,6 +560,7 @@ function ActivityLog({ events, loading }) {
         {[
           ["all","All","#9C9C9C"],
           ["fail","Failures","#f87171"],
+          ["warn","Warnings","#fbbf24"],
           ["app","App","#4ade80"],
           ["ussd","USSD","#fbbf24"],
           ["web","Web","#60a5fa"],
@@ -861,6 +1001,7 @@ function MerchantDeepDive({ merchants, events, alerts, rules }) {
   const [merchantEvents, setMerchantEvents] = useState([]);
   const [merchantAlerts, setMerchantAlerts] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [openTrace, setOpenTrace] = useState(null); // `${merchantId}:${actionKey}`
 
   const merchant = merchants.find(m => m.id === selectedId);
 
@@ -882,10 +1023,18 @@ function MerchantDeepDive({ merchants, events, alerts, rules }) {
     const mAlerts = alerts.filter(a => a.merchant_id === m.id && !a.resolved);
     const mFails = events.filter(e => e.merchant_id === m.id && e.success === 0).length;
     const criticals = mAlerts.filter(a => a.severity === "critical").length;
-    const score = criticals * 10 + mAlerts.length * 3 + mFails;
-    return { ...m, riskScore: score, openAlerts: mAlerts.length, recentFails: mFails };
+    const predicted = getMerchantSummary(m);
+    const score = criticals * 10 + mAlerts.length * 3 + mFails + predicted.bySeverity.critical * 2 + predicted.failures;
+    return { ...m, riskScore: score, openAlerts: mAlerts.length, recentFails: mFails, predictedFails: predicted.failures };
   }).sort((a,b) => b.riskScore - a.riskScore);
 
+  const engineFailures = merchant ? scanAllFailures(merchant) : [];
+  // Full traces, so the agent sees every blocker behind each failing action
+  const traces = Object.fromEntries(engineFailures.map(f => [f.actionKey, explainAction(merchant, f.actionKey)]));
+  const allBlockers = Object.values(Object.fromEntries(
+    Object.values(traces).flatMap(t => t.blockers).filter(b => b.success === false).map(b => [b.code, b])
+  ));
+
   const sensorRows = merchant ? [
     { k:"Account Status",   v:merchant.account_status,   bad:v=>v!=="active" },
     { k:"KYC Status",       v:merchant.kyc_status,       bad:v=>v!=="verified", warn:v=>v==="pending" },
@@ -931,6 +1080,9 @@ function MerchantDeepDive({ merchants, events, alerts, rules }) {
                     {m.recentFails > 0 && (
                       <span style={{ fontSize:7, color:"#fb923c" }}>✗ {m.recentFails}</span>
                     )}
+                    {m.predictedFails > 0 && (
+                      <span style={{ fontSize:7, color:"#a78bfa" }}>◆ {m.predictedFails}</span>
+                    )}
                     {m.riskScore === 0 && (
                       <span style={{ fontSize:7, color:"#4ade80" }}>✓ clean</span>
                     )}
@@ -1014,6 +1166,71 @@ function MerchantDeepDive({ merchants, events, alerts, rules }) {
                 })}
               </div>
 
+              {/* Engine verdict — same rules the Evaluator and simulator run */}
+              {engineFailures.length > 0 && (
+                <>
+                  <div style={{ fontSize:8, color:"#9C9C9C", letterSpacing:1, textTransform:"uppercase",
+                    marginBottom:7 }}>ENGINE VERDICT ({engineFailures.length} failing)</div>
+                  {allBlockers.length > 1 && (
+                    <div style={{ fontSize:8, color:"#c8d8e8", background:"rgba(239,68,68,.06)",
+                      border:"1px solid rgba(239,68,68,.18)", borderRadius:4, padding:"5px 7px", marginBottom:6, lineHeight:1.6 }}>
+                      <span style={{ color:"#f87171", fontWeight:700 }}>{allBlockers.length} blockers: </span>
+                      {allBlockers.map((b, i) => (
+                        <span key={b.code}>
+                          {i > 0 && <span style={{ color:"#9C9C9C" }}> AND </span>}
+                          <span style={{ fontFamily:"monospace", color:SEV[b.severity]?.text||"#f87171" }}>{b.code}</span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div style={{ display:"flex", flexDirection:"column", gap:3, marginBottom:12 }}>
+                    {engineFailures.map(f => {
+                      const trace = traces[f.actionKey];
+                      const traceKey = `${merchant.id}:${f.actionKey}`;
+                      const isOpen = openTrace === traceKey;
+                      return (
+                        <div key={f.actionKey} style={{ background:"rgba(255,255,255,.02)", borderRadius:4,
+                          borderLeft:`2px solid ${SEV[f.severity]?.dot||"#f87171"}` }}>
+                          <div onClick={() => setOpenTrace(isOpen ? null : traceKey)}
+                            style={{ display:"flex", gap:8, alignItems:"center", padding:"5px 6px", cursor:"pointer" }}>
+                            <span style={{ fontSize:8, fontFamily:"monospace", color:"#e2cfa0", width:100 }}>
+                              {f.actionKey}
+                            </span>
+                            <span style={{ fontSize:8, color:SEV[f.severity]?.text||"#9C9C9C", width:110 }}>
+                              {f.code}
+                            </span>
+                            <span style={{ fontSize:8, color:"#c8d8e8", flex:1 }}>{f.inline}</span>
+                            {trace.blockers.length > 1 && (
+                              <span style={{ fontSize:7, color:"#fb923c" }}>+{trace.blockers.length - 1} more</span>
+                            )}
+                            <span style={{ fontSize:8, color:"#9C9C9C" }}>{isOpen ? "▴" : "▾"}</span>
+                          </div>
+                          {isOpen && (
+                            <div style={{ padding:"2px 8px 6px 8px" }}>
+                              {trace.steps.map(step => {
+                                const blocks = step.matched && step.success !== true;
+                                return (
+                                  <div key={step.index} style={{ display:"flex", gap:8, fontSize:8, padding:"2px 0",
+                                    opacity: step.reached || blocks ? 1 : .55 }}>
+                                    <span style={{ color:"#9C9C9C", width:16 }}>#{step.index + 1}</span>
+                                    <span style={{ fontFamily:"monospace", color:"#8ca4bc", flex:1 }}>
+                                      {Object.entries(step.reads).map(([k, v]) => `${k} = ${v ?? "—"}`).join(" · ") || "—"}
+                                    </span>
+                                    <span style={{ color: step.decisive ? "#f87171" : blocks ? "#fb923c" : "#9C9C9C", fontWeight:700 }}>
+                                      {step.decisive ? `◆ ${step.code}` : blocks ? `✗ also ${step.code}` : step.reached ? "✓ clear" : "· short-circuited"}
+                                    </span>
+                                  </div>
+                                );
+                              })}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </>
+              )}
+
               {/* Recent events for this merchant */}
               {loading ? (
                 <div style={{ color:"#9C9C9C", fontSize:9, textAlign:"center", padding:20 }}>Loading…</div>
@@ -1078,33 +1295,133 @@ function MerchantDeepDive({ merchants, events, alerts, rules }) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PANEL 6 — FAILURE FORECAST (time-travel projection)
+// ═══════════════════════════════════════════════════════════════════════════════
+function FailureForecast({ merchants }) {
+  const [horizon, setHorizon] = useState(14);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Merchants' day-counters aged forward — who starts failing, and when
+  const projections = useMemo(() => projectFleetFailures(merchants, { horizonDays:horizon }), [merchants, horizon]);
+  const merchantCount = new Set(projections.map(p => p.merchant.id)).size;
+  const callsAtRisk = projections.reduce((sum, p) => sum + (p.demand_total || 0), 0);
+
+  return (
+    <div style={{ display:"flex", flexDirection:"column", height:"100%" }}>
+      <SectionHeader icon="🔮" title="FAILURE FORECAST"
+        sub={`Failing in the next ${horizon} days — call before they do`}
+        count={`${merchantCount} merchants · ${fmtK(callsAtRisk)} calls`} color="#2dd4bf" />
+
+      <div style={{ display:"flex", gap:4, marginBottom:10 }}>
+        {[7, 14, 30].map(d => (
+          <button key={d} onClick={() => setHorizon(d)}
+            style={{ background:horizon===d ? "rgba(45,212,191,.1)" : "transparent",
+              border:`1px solid ${horizon===d ? "rgba(45,212,191,.35)" : "#9C9C9C"}`,
+              color:horizon===d ? "#2dd4bf" : "#9C9C9C",
+              borderRadius:5, padding:"3px 9px", cursor:"pointer", fontFamily:"inherit",
+              fontSize:8, fontWeight:700, transition:"all .12s" }}>
+            {d} DAYS
+          </button>
+        ))}
+      </div>
+
+      <div style={{ flex:1, overflowY:"auto", display:"flex", flexDirection:"column", gap:3 }}>
+        {projections.length === 0 ? (
+          <div style={{ textAlign:"center", padding:30, color:"#9C9C9C" }}>
+            <div style={{ fontSize:20, marginBottom:6 }}>✓</div>
+            <div style={{ fontSize:9 }}>No merchant crosses a failure threshold in the next {horizon} days</div>
+          </div>
+        ) : projections.map(p => {
+          const s = SEV[p.severity] || SEV.low;
+          const id = `${p.merchant.id}:${p.actionKey}`;
+          const isExpanded = expandedId === id;
+          return (
+            <div key={id} onClick={() => setExpandedId(isExpanded ? null : id)}
+              style={{ display:"grid", gridTemplateColumns:"70px 1fr 150px 70px", gap:8, alignItems:"start",
+                padding:"6px 8px", borderRadius:5, cursor:"pointer",
+                background:isExpanded ? "rgba(45,212,191,.04)" : "transparent",
+                borderLeft:`2px solid ${s.dot}` }}>
+              <div>
+                <div style={{ fontSize:10, fontWeight:800, color:p.daysUntil <= 3 ? "#f87171" : "#2dd4bf" }}>
+                  {p.daysUntil}d
+                </div>
+                <div style={{ fontSize:7, color:"#9C9C9C" }}>{fmtDate(p.date)}</div>
+              </div>
+              <div style={{ minWidth:0 }}>
+                <div style={{ fontSize:9, fontWeight:700, color:"#c8d8e8",
+                  whiteSpace:"nowrap", overflow:"hidden", textOverflow:"ellipsis" }}>
+                  {p.merchant.business_name}
+                </div>
+                <div style={{ fontSize:8, color:"#8ca4bc", lineHeight:1.5 }}>{p.inline}</div>
+                {isExpanded && p.fix && (
+                  <div style={{ marginTop:5, background:"rgba(226,207,160,.06)", borderRadius:5,
+                    padding:"5px 8px", animation:"fadeUp .15s ease" }}>
+                    <div style={{ fontSize:7, color:"#e2cfa0", marginBottom:2 }}>📞 OUTREACH</div>
+                    <div style={{ fontSize:9, color:"#c8d8e8" }}>{p.fix}</div>
+                  </div>
+                )}
+              </div>
+              <div>
+                <div style={{ fontSize:8, fontFamily:"monospace", fontWeight:700, color:"#e2cfa0" }}>{p.actionKey}</div>
+                <div style={{ fontSize:7, fontFamily:"monospace", color:"#9C9C9C" }}>{p.code}</div>
+              </div>
+              <span style={{ fontSize:7, color:s.text, fontWeight:800, textAlign:"right" }}>
+                {(p.severity||"").toUpperCase()}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ─── LIVE FEED MERGE ─────────────────────────────────────────────────────────
+// Stream messages are applied one at a time instead of re-downloading the lists
+const MAX_EVENTS = 200;
+const isFleetKey = key => key === "/merchants" || key.startsWith("/merchants?");
+
+function mergeEvent(list, evt) {
+  if (evt.id !== undefined && list.some(e => e.id === evt.id)) return list;
+  return [evt, ...list].slice(0, MAX_EVENTS);
+}
+
+function upsertAlert(list, alert) {
+  const rest = list.filter(a => a.id !== alert.id);
+  return alert.resolved ? rest : [alert, ...rest];
+}
+
+function upsertMerchant(list, merchant) {
+  const i = list.findIndex(m => m.id === merchant.id);
+  if (i < 0) return [...list, merchant];
+  const next = list.slice();
+  next[i] = { ...list[i], ...merchant };
+  return next;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ROOT — TWIN DASHBOARD
 // ═══════════════════════════════════════════════════════════════════════════════
 export default function TwinDashboard() {
-  const [merchants, setMerchants] = useState([]);
   const [events,    setEvents]    = useState([]);
   const [alerts,    setAlerts]    = useState([]);
-  const [rules,     setRules]     = useState([]);
-  const [apiOnline, setApiOnline] = useState(null);
   const [lastPoll,  setLastPoll]  = useState(null);
   const [resolving, setResolving] = useState(null);
   const [layout,    setLayout]    = useState("mission"); // mission | focus
   const [focusPanel,setFocusPanel]= useState(null);
-  const pollRef = useRef({});
-
-  // ── Initial load
-  const loadAll = useCallback(async () => {
-    try {
-      const [m, r] = await Promise.all([
-        api.get("/merchants", { limit:200 }),
-        api.get("/rules"),
-      ]);
-      setMerchants(Array.isArray(m) ? m : []);
-      setRules(Array.isArray(r) ? r : []);
-      setApiOnline(true);
-    } catch { setApiOnline(false); }
-  }, []);
+  const [feedStatus,setFeedStatus]= useState(liveFeed.status); // connecting | live | down
+  const canResolve = useAuth().can("alerts.resolve");
+  const streaming = feedStatus === "live";
+
+  // ── Fleet + rules — from the shared query cache, so coming back to this tab
+  // shows them at once; while the stream is down the fleet is kept no older than 15s
+  const fleet     = useMerchants({ limit:200 }, { refreshMs: streaming ? 0 : 15000 });
+  const ruleQuery = useRuleDefinitions();
+  const merchants = fleet.merchants;
+  const rules = ruleQuery.rules;
+  const apiOnline = fleet.error || ruleQuery.error ? false : fleet.loading || ruleQuery.loading ? null : true;
+  const loadAll = () => { fleet.refetch(); ruleQuery.refetch(); };
 
   // ── Live polls
   const pollEvents = useCallback(async () => {
@@ -1122,20 +1439,33 @@ export default function TwinDashboard() {
     } catch {}
   }, []);
 
+  // ── Push feed — merged into state as it arrives
+  useEffect(() => {
+    const offStatus = liveFeed.onStatus(setFeedStatus);
+    const off = liveFeed.subscribe(({ type, data }) => {
+      if (type === "event") { setEvents(l => mergeEvent(l, data)); setLastPoll(new Date()); }
+      else if (type === "alert") setAlerts(l => upsertAlert(l, data));
+      else if (type === "alert_resolved") setAlerts(l => l.filter(a => a.id !== data.id));
+      else if (type === "merchant") queryCache.update(isFleetKey, list => Array.isArray(list) ? upsertMerchant(list, data) : list);
+    });
+    return () => { off(); offStatus(); };
+  }, []);
+
+  // ── Snapshot on mount and on every (re)connect, to cover anything missed;
+  // interval polling only while the stream is down
   useEffect(() => {
-    loadAll();
     pollEvents();
     pollAlerts();
-    pollRef.current.events = setInterval(pollEvents, 3000);
-    pollRef.current.alerts = setInterval(pollAlerts, 5000);
-    pollRef.current.merchants = setInterval(loadAll, 15000);
-    return () => Object.values(pollRef.current).forEach(clearInterval);
-  }, []);
+    if (streaming) return;
+    const e = setInterval(pollEvents, 3000);
+    const a = setInterval(pollAlerts, 5000);
+    return () => { clearInterval(e); clearInterval(a); };
+  }, [streaming, pollEvents, pollAlerts]);
 
   const resolveAlert = async (id) => {
     setResolving(id);
     try {
-      await api.post(`/alerts/${id}/resolve`, {});
+      await api.post(`/alerts/${id}/resolve`, {}, { reason:"Resolved from mission view" });
       setAlerts(prev => prev.filter(a => a.id !== id));
     } catch {}
     finally { setResolving(null); }
@@ -1155,7 +1485,7 @@ export default function TwinDashboard() {
           TWIN OFFLINE
         </div>
         <div style={{ fontSize:10, color:"#9C9C9C", marginBottom:20, textAlign:"center", lineHeight:2 }}>
-          Cannot reach <span style={{ color:"#e2cfa0" }}>{BASE}</span>
+          Cannot reach <span style={{ color:"#e2cfa0" }}>{getBase()}</span>
         </div>
         <div style={{ background:"#060d14", border:"1px solid #9C9C9C", borderRadius:8,
           padding:"12px 18px", fontFamily:"monospace", fontSize:10, color:"#4ade80" }}>
@@ -1175,6 +1505,7 @@ export default function TwinDashboard() {
     { id:"log",     label:"Activity Log",        icon:"📋",  color:"#60a5fa" },
     { id:"heatmap", label:"Demand Heatmap",      icon:"📊",  color:"#fbbf24" },
     { id:"deepdive",label:"Merchant Deep-Dive",  icon:"🔬",  color:"#a78bfa" },
+    { id:"forecast",label:"Failure Forecast",    icon:"🔮",  color:"#2dd4bf" },
   ];
 
   return (
@@ -1257,8 +1588,11 @@ export default function TwinDashboard() {
             {/* API status */}
             <div style={{ display:"flex", gap:4, alignItems:"center", background:"#040b10",
               border:"1px solid #0e1922", borderRadius:4, padding:"3px 8px" }}>
-              <PulseDot color="#4ade80" size={4} />
-              <span style={{ fontSize:8, color:"#4ade80" }}>LIVE :4000</span>
+              <PulseDot color={streaming ? "#4ade80" : "#fbbf24"} size={4} />
+              <span style={{ fontSize:8, color: streaming ? "#4ade80" : "#fbbf24" }}
+                title={streaming ? "Pushed over /stream" : "Stream unavailable — polling /events and /alerts"}>
+                {streaming ? "LIVE · stream" : "LIVE · polling"}
+              </span>
             </div>
           </div>
         </div>
@@ -1293,7 +1627,7 @@ export default function TwinDashboard() {
             <div id="panel-alerts" style={{ background:"rgba(5,12,20,.8)", backdropFilter:"blur(8px)",
               border:"1px solid rgba(239,68,68,.12)", borderRadius:12, padding:16,
               display:"flex", flexDirection:"column", maxHeight:520, overflow:"hidden" }}>
-              <AlertFeed alerts={openAlerts} onResolve={resolveAlert} resolving={resolving} />
+              <AlertFeed alerts={openAlerts} merchants={merchants} onResolve={canResolve ? resolveAlert : null} resolving={resolving} />
             </div>
           </div>
 
@@ -1316,10 +1650,17 @@ export default function TwinDashboard() {
 
           {/* ROW 3: Merchant deep-dive full width */}
           <div id="panel-deepdive" style={{ background:"rgba(5,12,20,.8)", backdropFilter:"blur(8px)",
-            border:"1px solid rgba(167,139,250,.08)", borderRadius:12, padding:16,
+            border:"1px solid rgba(167,139,250,.08)", borderRadius:12, padding:16, marginBottom:14,
             maxHeight:560, overflow:"hidden", display:"flex", flexDirection:"column" }}>
             <MerchantDeepDive merchants={merchants} events={events} alerts={alerts} rules={rules} />
           </div>
+
+          {/* ROW 4: Failure forecast full width */}
+          <div id="panel-forecast" style={{ background:"rgba(5,12,20,.8)", backdropFilter:"blur(8px)",
+            border:"1px solid rgba(45,212,191,.08)", borderRadius:12, padding:16,
+            maxHeight:480, overflow:"hidden", display:"flex", flexDirection:"column" }}>
+            <FailureForecast merchants={merchants} />
+          </div>
         </div>
       </div>
     </>
@@ -5,6 +5,7 @@
 import { useState, useRef, useCallback } from "react";
 import api from "./api/client";
 import { useMerchantGenerator } from "./hooks/useApi";
+import { ENUMS, REQUIRED_FIELDS, checkMerchantCsv, normalizeMerchant, validateMerchant } from "./merchantDataModel";
 
 const CSS = `
   @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;700&family=Nunito:wght@400;600;700;800;900&display=swap');
@@ -109,11 +110,12 @@ function ManualForm({ onSuccess }) {
   const set = (k, v) => setForm(prev => ({ ...prev, [k]: v }));
 
   const handleSubmit = async () => {
-    if (!form.business_name || !form.paybill) { setError("Business name and paybill are required"); return; }
+    const problems = Object.entries(validateMerchant(form));
+    if (problems.length) { setError(problems.map(([k, msg]) => `${k}: ${msg}`).join(" · ")); return; }
     setLoading(true); setError(null);
     try {
       // 🔌 API CALL → POST /api/v1/merchants
-      await api.merchants.create(form);
+      await api.merchants.create(normalizeMerchant(form, { defaults:false }), { reason:"Added from Upload panel" });
       setSuccess(true);
       setForm({ ...MANUAL_DEFAULTS });
       onSuccess?.();
@@ -125,18 +127,18 @@ function ManualForm({ onSuccess }) {
 
   const fields = [
     [["first_name","First Name","text"],["last_name","Last Name","text"]],
-    [["business_name","Business Name *","text",true],["paybill","Paybill *","text",true]],
+    [["business_name","Business Name","text"],["paybill","Paybill","text"]],
     [["phone_number","Phone Number","text"],["county","County","text"]],
     [["bank","Bank","text"],["balance","Balance (KES)","number"]],
   ];
 
   const selects = [
-    { key:"account_status", label:"Account Status", options:["active","suspended","frozen","dormant"] },
-    { key:"kyc_status",     label:"KYC Status",     options:["verified","pending","expired","rejected"] },
-    { key:"network_type",   label:"Network",        options:["2G","3G","4G","5G"] },
-    { key:"customer_type",  label:"Customer Type",  options:["existing","new","dormant"] },
-    { key:"literacy_tier",  label:"Literacy",       options:["literate","semi-literate","illiterate"] },
-    { key:"preferred_channel", label:"Channel",     options:["app","ussd","web"] },
+    { key:"account_status", label:"Account Status", options:ENUMS.account_status },
+    { key:"kyc_status",     label:"KYC Status",     options:ENUMS.kyc_status },
+    { key:"network_type",   label:"Network",        options:ENUMS.network_type },
+    { key:"customer_type",  label:"Customer Type",  options:ENUMS.customer_type },
+    { key:"literacy_tier",  label:"Literacy",       options:ENUMS.literacy_tier },
+    { key:"preferred_channel", label:"Channel",     options:ENUMS.preferred_channel },
   ];
 
   return (
@@ -158,12 +160,15 @@ function ManualForm({ onSuccess }) {
       {/* Text fields */}
       {fields.map((row, ri) => (
         <div key={ri} style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:8, marginBottom:8 }}>
-          {row.map(([key, label, type, required]) => (
-            <div key={key}>
-              <div style={{ fontSize:8, color: required ? "#fbbf24" : "#374151", fontWeight:700, marginBottom:3 }}>{label}</div>
-              <input className="field-input" type={type} value={form[key]} onChange={e => set(key, e.target.value)} placeholder={label} />
-            </div>
-          ))}
+          {row.map(([key, label, type]) => {
+            const required = REQUIRED_FIELDS.includes(key);
+            return (
+              <div key={key}>
+                <div style={{ fontSize:8, color: required ? "#fbbf24" : "#374151", fontWeight:700, marginBottom:3 }}>{label}{required && " *"}</div>
+                <input className="field-input" type={type} value={form[key]} onChange={e => set(key, e.target.value)} placeholder={label} />
+              </div>
+            );
+          })}
         </div>
       ))}
 
@@ -215,19 +220,26 @@ export default function UploadPanel() {
   const [history,      setHistory]      = useState([]);
   const [genCount,     setGenCount]     = useState(5);
   const [genResult,    setGenResult]    = useState(null);
-  const { generate, loading: genLoading } = useMerchantGenerator();
+  const { generate, loading: genLoading, error: genError } = useMerchantGenerator();
 
   const selectedType = UPLOAD_TYPES.find(t => t.id === uploadType);
 
   const handleFile = async (file) => {
-    setLoading(true); setUploadResult(null); setError(null);
+    setUploadResult(null); setError(null);
+    // Merchant and behaviour CSVs are checked against the merchant schema before sending
+    if (uploadType !== "rules" && /\.csv$/i.test(file.name)) {
+      const problems = checkMerchantCsv(await file.text());
+      if (problems.length) {
+        setError(`${problems.length} problem(s), nothing uploaded — ` + problems.slice(0,3).map(p => `row ${p.row} ${p.field}: ${p.message}`).join(" · "));
+        return;
+      }
+    }
+    setLoading(true);
     try {
       const formData = new FormData();
       formData.append("file", file);
       // 🔌 API CALL → POST /api/v1/upload/:type
-      const res = await fetch(`http://localhost:4000/api/v1/upload/${uploadType}`, { method:"POST", body:formData });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
+      const data = await api.upload[uploadType](formData, { reason:`Bulk upload: ${file.name}` });
       setUploadResult(data);
       setHistory(prev => [{ file:file.name, type:uploadType, result:data, ts:new Date().toLocaleTimeString() }, ...prev.slice(0,9)]);
     } catch (e) {
@@ -243,7 +255,7 @@ export default function UploadPanel() {
 
   const downloadTemplate = (type) => {
     // 🔌 API CALL → GET /api/v1/upload/:type/template
-    window.open(`http://localhost:4000/api/v1/upload/${type}/template`, "_blank");
+    window.open(api.upload.template(type), "_blank");
   };
 
   const MODES = [
@@ -391,6 +403,12 @@ export default function UploadPanel() {
               </div>
             </div>
 
+            {genError && !genLoading && (
+              <div style={{ fontSize:9, color:"#ef4444", background:"rgba(239,68,68,0.06)", border:"1px solid rgba(239,68,68,0.2)", borderRadius:8, padding:"8px 12px", marginBottom:10 }}>
+                Generate failed ({genError.kind}): {genError.message}
+              </div>
+            )}
+
             {genResult && (
               <div style={{ background:"rgba(74,222,128,0.06)", border:"1px solid rgba(74,222,128,0.2)", borderRadius:10, padding:"14px", animation:"popIn 0.2s" }}>
                 <div style={{ fontWeight:800, fontSize:12, color:"#4ade80", marginBottom:8 }}>✅ Generated {genCount} merchants</div>